@@ -179,6 +179,8 @@ async function main() {
         basePrice: 7000.0,
         discountPercent: 15.0,
         finalPrice: 5950.0, // 15% discount
+        maxRolloverSessions: 2,
+        overagePrice: 550.0,
         isActive: true,
         isPopular: true
       }
@@ -198,6 +200,8 @@ async function main() {
         basePrice: 3500.0,
         discountPercent: 5.0,
         finalPrice: 3325.0, // 5% discount
+        maxRolloverSessions: 2,
+        overagePrice: 450.0,
         isActive: true,
         isPopular: false
       }
@@ -1,6 +1,28 @@
 const { PrismaClient } = require('@prisma/client');
+const maidMatchingService = require('../services/maidMatchingService');
+const maidAvailabilityService = require('../services/maidAvailabilityService');
+const { AssignmentConflictError } = maidAvailabilityService;
+const auditService = require('../services/auditService');
+const configService = require('../services/configService');
+const permissionService = require('../services/permissionService');
+const { calculateDistance } = require('../utils/geoUtils');
+const { generateOTP } = require('../utils/otpUtils');
 const prisma = new PrismaClient();
 
+// Helper function to check a booking against a supervisor's zones
+async function isBookingInZoneScope(bookingId, zoneScope) {
+  if (!zoneScope) {
+    return true;
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: { zoneId: true }
+  });
+
+  return Boolean(booking) && permissionService.isBookingInScope(booking, zoneScope);
+}
+
 // Get all customers with active subscriptions for admin dashboard
 const getActiveCustomers = async (req, res) => {
   try {
@@ -45,8 +67,9 @@ const getPendingBookings = async (req, res) => {
   try {
     const bookings = await prisma.booking.findMany({
       where: {
-        status: 'CONFIRMED',
-        maidId: null
+        status: { in: ['CONFIRMED', 'RESCHEDULED'] },
+        maidId: null,
+        ...permissionService.bookingZoneFilter(req.zoneScope)
       },
       include: {
         customer: {
@@ -85,7 +108,8 @@ const getAvailableMaids = async (req, res) => {
         status: 'ACTIVE',
         maidProfile: {
           status: 'ACTIVE'
-        }
+        },
+        ...permissionService.maidZoneFilter(req.zoneScope)
       },
       include: {
         maidProfile: true
@@ -107,7 +131,7 @@ const getAvailableMaids = async (req, res) => {
           maid.longitude
         );
         
-        return distance <= (maid.maidProfile?.serviceRadius || 5); // Default 5km radius
+        return distance <= (maid.maidProfile?.serviceRadius || configService.get('matching.defaultServiceRadiusKm'));
       });
     }
 
@@ -121,7 +145,7 @@ const getAvailableMaids = async (req, res) => {
 // Assign maid to booking
 const assignMaidToBooking = async (req, res) => {
   try {
-    const { bookingId, maidId } = req.body;
+    const { bookingId, maidId, override = false, overrideReason } = req.body;
 
     // Check if maid is available
     const maid = await prisma.user.findFirst({
@@ -135,17 +159,27 @@ const assignMaidToBooking = async (req, res) => {
       }
     });
 
-    if (!maid) {
+    if (!maid || !(await permissionService.isMaidInScope(maid.id, req.zoneScope))) {
       return res.status(404).json({ message: 'Maid not found or not available' });
     }
 
-    // Update booking with maid assignment
-    const booking = await prisma.booking.update({
+    const existingBooking = await prisma.booking.findUnique({
       where: { id: bookingId },
-      data: {
-        maidId,
-        status: 'ASSIGNED'
-      },
+      include: { service: true }
+    });
+
+    if (!existingBooking || !permissionService.isBookingInScope(existingBooking, req.zoneScope)) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    // Overlapping bookings, capacity limits and leave need an override
+    const { booking, conflicts } = await maidAvailabilityService.assignMaid({
+      booking: existingBooking,
+      maid,
+      override,
+      overrideReason,
+      overriddenBy: req.user.id,
+      req,
       include: {
         customer: {
           select: {
@@ -189,10 +223,16 @@ const assignMaidToBooking = async (req, res) => {
     res.json({
       success: true,
       data: booking,
-      message: 'Maid assigned successfully'
+      overriddenConflicts: conflicts,
+      message: conflicts.length > 0
+        ? 'Maid assigned successfully with conflicts overridden'
+        : 'Maid assigned successfully'
     });
 
   } catch (error) {
+    if (error instanceof AssignmentConflictError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error('Error assigning maid to booking:', error);
     res.status(500).json({ message: 'Failed to assign maid to booking' });
   }
@@ -203,8 +243,11 @@ const generateServiceOTP = async (req, res) => {
   try {
     const { bookingId } = req.body;
 
-    // Generate 6-digit OTP
-    const startOTP = Math.floor(100000 + Math.random() * 900000).toString();
+    if (!(await isBookingInZoneScope(bookingId, req.zoneScope))) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const startOTP = generateOTP();
 
     // Store OTP in ServiceOTP table
     await prisma.serviceOTP.upsert({
@@ -235,24 +278,124 @@ const generateServiceOTP = async (req, res) => {
   }
 };
 
-// Helper function to calculate distance between two coordinates
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c; // Distance in km
-  return distance;
-}
+// Dry run: ranked maid candidates for a booking with score breakdown
+const getMatchCandidates = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await isBookingInZoneScope(id, req.zoneScope))) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const { booking, candidates, excluded } = await maidMatchingService.getRankedCandidates(id);
+
+    res.json({
+      bookingId: booking.id,
+      scheduledAt: booking.scheduledAt,
+      zoneId: booking.zoneId,
+      candidates,
+      excluded
+    });
+  } catch (error) {
+    console.error('Error ranking maid candidates:', error);
+    if (error.message === 'Booking not found') {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    res.status(500).json({ message: 'Failed to rank maid candidates' });
+  }
+};
+
+// Assign the best matching maid to a booking
+const autoAssignBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await isBookingInZoneScope(id, req.zoneScope))) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const result = await maidMatchingService.autoAssignBooking(id);
+
+    if (!result) {
+      return res.status(409).json({ message: 'No eligible maid available for this booking' });
+    }
+
+    res.json({
+      success: true,
+      data: result.booking,
+      match: result.match,
+      message: 'Maid auto-assigned successfully'
+    });
+  } catch (error) {
+    console.error('Error auto-assigning booking:', error);
+    if (error.message === 'Booking not found') {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (error.message === 'Booking is not awaiting assignment') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Failed to auto-assign booking' });
+  }
+};
+
+// Run the next-day auto-assignment on demand (same as the nightly job)
+const runNextDayAutoAssignment = async (req, res) => {
+  try {
+    const { dryRun = false } = req.body;
+
+    // The run covers every zone, so zone-limited supervisors cannot start it
+    if (req.zoneScope) {
+      return res.status(403).json({ message: 'Next-day auto-assignment covers all zones' });
+    }
+
+    const result = await maidMatchingService.autoAssignNextDayBookings({ dryRun: Boolean(dryRun) });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error running next-day auto-assignment:', error);
+    res.status(500).json({ message: 'Failed to run auto-assignment' });
+  }
+};
+
+// Get audit trail entries with filters
+const getAuditLogs = async (req, res) => {
+  try {
+    const { userId, resource, resourceId, action, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    if ((startDate && Number.isNaN(new Date(startDate).getTime())) ||
+      (endDate && Number.isNaN(new Date(endDate).getTime()))) {
+      return res.status(400).json({ message: 'startDate and endDate must be valid dates' });
+    }
+
+    const result = await auditService.getLogs({
+      userId,
+      resource,
+      resourceId,
+      action,
+      startDate,
+      endDate,
+      page: Math.max(parseInt(page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100)
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({ message: 'Failed to fetch audit logs' });
+  }
+};
 
 module.exports = {
   getActiveCustomers,
   getPendingBookings,
   getAvailableMaids,
   assignMaidToBooking,
-  generateServiceOTP
+  generateServiceOTP,
+  getMatchCandidates,
+  autoAssignBooking,
+  runNextDayAutoAssignment,
+  getAuditLogs
 };
@@ -0,0 +1,341 @@
+const { PrismaClient } = require('@prisma/client');
+const attendanceService = require('../services/attendanceService');
+const permissionService = require('../services/permissionService');
+const prisma = new PrismaClient();
+
+const ATTENDANCE_STATUSES = ['PRESENT', 'ABSENT', 'LATE', 'HALF_DAY', 'ON_LEAVE', 'SICK_LEAVE'];
+
+// Helper function to read a {latitude, longitude} pair from the request body
+function parseLocation(body) {
+  const latitude = parseFloat(body.latitude);
+  const longitude = parseFloat(body.longitude);
+
+  if (Number.isNaN(latitude) || Number.isNaN(longitude) ||
+    latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    return null;
+  }
+
+  return { latitude, longitude };
+}
+
+// Helper function to read month/year query params, defaulting to the current month
+function parseMonth(query) {
+  const now = new Date();
+  const month = query.month ? parseInt(query.month) : now.getMonth() + 1;
+  const year = query.year ? parseInt(query.year) : now.getFullYear();
+
+  if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year)) {
+    return null;
+  }
+
+  return { month, year };
+}
+
+// Maid check-in for the day
+const checkIn = async (req, res) => {
+  try {
+    const maidId = req.user.id;
+    const location = parseLocation(req.body);
+
+    if (!location) {
+      return res.status(400).json({ message: 'Valid latitude and longitude are required' });
+    }
+
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: maidId },
+      include: {
+        zones: {
+          include: { zone: true }
+        }
+      }
+    });
+
+    if (!maidProfile) {
+      return res.status(404).json({ message: 'Maid profile not found' });
+    }
+
+    if (!attendanceService.isWithinMaidZones(maidProfile, location.latitude, location.longitude)) {
+      return res.status(400).json({ message: 'Check-in location is outside your assigned zones' });
+    }
+
+    const now = new Date();
+    const date = attendanceService.getAttendanceDate(now);
+
+    const existing = await prisma.attendance.findUnique({
+      where: {
+        maidId_date: {
+          maidId: maidProfile.id,
+          date
+        }
+      }
+    });
+
+    if (existing && ['ON_LEAVE', 'SICK_LEAVE'].includes(existing.status)) {
+      return res.status(400).json({ message: 'You are marked on leave today' });
+    }
+
+    if (existing && existing.checkIn) {
+      return res.status(409).json({ message: 'Already checked in today' });
+    }
+
+    const { status, firstBookingAt } = await attendanceService.getCheckInStatus(maidId, now);
+    const attendanceStreak = await attendanceService.getNextStreak(maidProfile, date);
+
+    const checkInData = {
+      checkIn: now,
+      checkInLocation: { lat: location.latitude, lng: location.longitude },
+      status
+    };
+
+    const [attendance] = await prisma.$transaction([
+      prisma.attendance.upsert({
+        where: {
+          maidId_date: {
+            maidId: maidProfile.id,
+            date
+          }
+        },
+        update: checkInData,
+        create: {
+          maidId: maidProfile.id,
+          date,
+          ...checkInData
+        }
+      }),
+      prisma.maidProfile.update({
+        where: { id: maidProfile.id },
+        data: { attendanceStreak }
+      })
+    ]);
+
+    res.status(201).json({
+      success: true,
+      data: attendance,
+      firstBookingAt,
+      message: status === 'LATE' ? 'Checked in late' : 'Checked in successfully'
+    });
+  } catch (error) {
+    console.error('Error checking in:', error);
+    res.status(500).json({ message: 'Failed to check in' });
+  }
+};
+
+// Maid check-out for the day
+const checkOut = async (req, res) => {
+  try {
+    const maidId = req.user.id;
+    const location = parseLocation(req.body);
+
+    if (!location) {
+      return res.status(400).json({ message: 'Valid latitude and longitude are required' });
+    }
+
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: maidId },
+      include: {
+        zones: {
+          include: { zone: true }
+        }
+      }
+    });
+
+    if (!maidProfile) {
+      return res.status(404).json({ message: 'Maid profile not found' });
+    }
+
+    if (!attendanceService.isWithinMaidZones(maidProfile, location.latitude, location.longitude)) {
+      return res.status(400).json({ message: 'Check-out location is outside your assigned zones' });
+    }
+
+    const now = new Date();
+    const attendance = await prisma.attendance.findUnique({
+      where: {
+        maidId_date: {
+          maidId: maidProfile.id,
+          date: attendanceService.getAttendanceDate(now)
+        }
+      }
+    });
+
+    if (!attendance || !attendance.checkIn) {
+      return res.status(400).json({ message: 'You have not checked in today' });
+    }
+
+    if (attendance.checkOut) {
+      return res.status(409).json({ message: 'Already checked out today' });
+    }
+
+    const { hoursWorked, overtime, status } = attendanceService.calculateHours(
+      attendance.checkIn,
+      now,
+      attendance.status
+    );
+
+    const updatedAttendance = await prisma.attendance.update({
+      where: { id: attendance.id },
+      data: {
+        checkOut: now,
+        checkOutLocation: { lat: location.latitude, lng: location.longitude },
+        hoursWorked,
+        overtime,
+        status
+      }
+    });
+
+    res.json({
+      success: true,
+      data: updatedAttendance,
+      message: 'Checked out successfully'
+    });
+  } catch (error) {
+    console.error('Error checking out:', error);
+    res.status(500).json({ message: 'Failed to check out' });
+  }
+};
+
+// Get the logged-in maid's attendance for a month
+const getMyAttendance = async (req, res) => {
+  try {
+    const period = parseMonth(req.query);
+    if (!period) {
+      return res.status(400).json({ message: 'Invalid month or year' });
+    }
+
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!maidProfile) {
+      return res.status(404).json({ message: 'Maid profile not found' });
+    }
+
+    const report = await attendanceService.getMonthlyReport(maidProfile.id, period.month, period.year);
+
+    res.json({
+      ...report,
+      attendanceStreak: maidProfile.attendanceStreak
+    });
+  } catch (error) {
+    console.error('Error fetching attendance:', error);
+    res.status(500).json({ message: 'Failed to fetch attendance' });
+  }
+};
+
+// Adjust an attendance record (admin)
+const adjustAttendance = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, checkIn: checkInTime, checkOut: checkOutTime, adminNotes } = req.body;
+
+    if (!adminNotes) {
+      return res.status(400).json({ message: 'adminNotes are required for attendance adjustments' });
+    }
+
+    if (status !== undefined && !ATTENDANCE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: 'Invalid attendance status. Must be one of: ' + ATTENDANCE_STATUSES.join(', ')
+      });
+    }
+
+    const attendance = await prisma.attendance.findUnique({
+      where: { id },
+      include: {
+        maid: {
+          select: { userId: true }
+        }
+      }
+    });
+
+    if (!attendance || !(await permissionService.isMaidInScope(attendance.maid.userId, req.zoneScope))) {
+      return res.status(404).json({ message: 'Attendance record not found' });
+    }
+
+    const newCheckIn = checkInTime !== undefined ? (checkInTime && new Date(checkInTime)) : attendance.checkIn;
+    const newCheckOut = checkOutTime !== undefined ? (checkOutTime && new Date(checkOutTime)) : attendance.checkOut;
+
+    if ((newCheckIn && Number.isNaN(newCheckIn.getTime())) || (newCheckOut && Number.isNaN(newCheckOut.getTime()))) {
+      return res.status(400).json({ message: 'Invalid checkIn or checkOut time' });
+    }
+
+    if (newCheckIn && newCheckOut && newCheckOut <= newCheckIn) {
+      return res.status(400).json({ message: 'checkOut must be after checkIn' });
+    }
+
+    const updateData = {
+      checkIn: newCheckIn || null,
+      checkOut: newCheckOut || null,
+      status: status || attendance.status,
+      adminAdjusted: true,
+      adminNotes
+    };
+
+    // Recompute hours whenever both times are known
+    if (newCheckIn && newCheckOut) {
+      const hours = attendanceService.calculateHours(newCheckIn, newCheckOut, updateData.status);
+      updateData.hoursWorked = hours.hoursWorked;
+      updateData.overtime = hours.overtime;
+      // An explicit status from the admin wins over the derived one
+      if (!status) updateData.status = hours.status;
+    } else {
+      updateData.hoursWorked = null;
+      updateData.overtime = 0;
+    }
+
+    const updatedAttendance = await prisma.attendance.update({
+      where: { id },
+      data: updateData
+    });
+
+    res.json({
+      success: true,
+      data: updatedAttendance,
+      message: 'Attendance adjusted successfully'
+    });
+  } catch (error) {
+    console.error('Error adjusting attendance:', error);
+    res.status(500).json({ message: 'Failed to adjust attendance' });
+  }
+};
+
+// Monthly attendance report for a maid (admin, maidId is the maid's user id)
+const getMaidAttendanceReport = async (req, res) => {
+  try {
+    const { maidId } = req.params;
+    const period = parseMonth(req.query);
+    if (!period) {
+      return res.status(400).json({ message: 'Invalid month or year' });
+    }
+
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: maidId },
+      include: {
+        user: {
+          select: { id: true, name: true, email: true, phone: true }
+        }
+      }
+    });
+
+    if (!maidProfile || !(await permissionService.isMaidInScope(maidId, req.zoneScope))) {
+      return res.status(404).json({ message: 'Maid not found' });
+    }
+
+    const report = await attendanceService.getMonthlyReport(maidProfile.id, period.month, period.year);
+
+    res.json({
+      maid: maidProfile.user,
+      attendanceStreak: maidProfile.attendanceStreak,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error fetching attendance report:', error);
+    res.status(500).json({ message: 'Failed to fetch attendance report' });
+  }
+};
+
+module.exports = {
+  checkIn,
+  checkOut,
+  getMyAttendance,
+  adjustAttendance,
+  getMaidAttendanceReport
+};
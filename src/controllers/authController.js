@@ -0,0 +1,367 @@
+const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
+const authService = require('../services/authService');
+const invitationService = require('../services/invitationService');
+const tokenService = require('../services/tokenService');
+const phoneOtpService = require('../services/phoneOtpService');
+const passwordResetService = require('../services/passwordResetService');
+const notificationService = require('../services/notificationService');
+const prisma = new PrismaClient();
+
+const PHONE_PATTERN = /^\+?[1-9]\d{1,14}$/;
+
+// Codes that log in; PASSWORD_RESET codes only work on /reset-password
+const LOGIN_OTP_PURPOSES = ['LOGIN', 'VERIFY_PHONE'];
+
+// Public sign-up for customers and maids
+const register = async (req, res) => {
+  try {
+    const { email, password, name, phone, address, role } = req.body;
+
+    let result;
+    try {
+      result = await authService.register({ email, password, name, phone, address, role }, req);
+    } catch (error) {
+      if (error.message === 'Staff accounts are created by invitation') {
+        return res.status(403).json({ error: error.message });
+      }
+      if (['User already exists', 'Phone number already registered'].includes(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Notify clients
+    await notificationService.notifyUserRegistration(result.user);
+
+    // No session until the phone is verified through /otp/verify
+    res.status(201).json({
+      message: result.verificationCodeSent
+        ? 'User registered successfully. Verify your phone with the code sent by SMS.'
+        : 'User registered successfully. Request a verification code to verify your phone.',
+      verificationRequired: true,
+      verificationCodeSent: result.verificationCodeSent,
+      user: result.user
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Error registering user' });
+  }
+};
+
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    let result;
+    try {
+      result = await authService.login(email, password, req);
+    } catch (error) {
+      if (error.message === 'Invalid credentials') {
+        return res.status(401).json({ error: error.message });
+      }
+      if (error.message.startsWith('Account is ')) {
+        return res.status(403).json({ error: error.message });
+      }
+      if (error.message === 'Phone number is not verified') {
+        return res.status(403).json({ error: error.message, verificationRequired: true });
+      }
+      throw error;
+    }
+
+    res.json({
+      message: 'Login successful',
+      ...result.tokens,
+      user: result.user
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Error logging in' });
+  }
+};
+
+// Create a staff account from an invitation token
+const acceptInvitation = async (req, res) => {
+  try {
+    const { token, name, phone, password } = req.body;
+
+    let result;
+    try {
+      result = await invitationService.acceptInvitation(token, { name, phone, password }, req);
+    } catch (error) {
+      if (['Invitation is invalid or has expired', 'User already exists', 'Phone number already registered'].includes(error.message)) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      message: 'Account created successfully',
+      ...result.tokens,
+      user: result.user
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+};
+
+// Send a login or phone verification code by SMS
+const requestOtp = async (req, res) => {
+  try {
+    const { phone, purpose = 'LOGIN' } = req.body;
+
+    if (!phone || !PHONE_PATTERN.test(phone)) {
+      return res.status(400).json({ error: 'Please provide a valid phone number' });
+    }
+
+    if (!LOGIN_OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({ error: 'purpose must be LOGIN or VERIFY_PHONE' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { phone }
+    });
+
+    // Unknown and blocked numbers go through the same limits without an SMS,
+    // so the answer (including 429s) does not reveal which numbers have accounts
+    const result = await phoneOtpService.sendCode(phone, purpose, req, {
+      deliver: Boolean(user) && !tokenService.isBlocked(user)
+    });
+
+    if (!result.sent) {
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many codes requested. Please try again later.',
+        retryAfterSeconds: result.retryAfterSeconds
+      });
+    }
+
+    res.json({
+      message: 'If the number is registered, a code has been sent',
+      expiresAt: result.expiresAt
+    });
+  } catch (error) {
+    console.error('Error sending OTP:', error);
+    res.status(500).json({ error: 'Failed to send code' });
+  }
+};
+
+// Log in with a phone code; verifies the phone and activates PENDING_VERIFICATION accounts
+const verifyOtp = async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+
+    if (!phone || !code) {
+      return res.status(400).json({ error: 'phone and code are required' });
+    }
+
+    const result = await phoneOtpService.verifyCode(phone, code, LOGIN_OTP_PURPOSES);
+
+    if (!result.valid) {
+      if (result.reason === 'TOO_MANY_ATTEMPTS') {
+        return res.status(429).json({ error: 'Too many wrong attempts. Please request a new code.' });
+      }
+      if (result.reason === 'NO_ACTIVE_CODE') {
+        return res.status(400).json({ error: 'No active code for this phone. Please request a new one.' });
+      }
+      return res.status(400).json({
+        error: 'Invalid code',
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { phone }
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    if (tokenService.isBlocked(user)) {
+      return res.status(403).json({ error: `Account is ${user.status.toLowerCase()}` });
+    }
+
+    const verifiedUser = await phoneOtpService.markPhoneVerified(user);
+    const tokens = await tokenService.issueTokens(verifiedUser, req);
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: {
+        id: verifiedUser.id,
+        email: verifiedUser.email,
+        name: verifiedUser.name,
+        phone: verifiedUser.phone,
+        role: verifiedUser.role,
+        status: verifiedUser.status,
+        phoneVerifiedAt: verifiedUser.phoneVerifiedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying OTP:', error);
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
+};
+
+// Send a password reset link by email or a reset code by SMS
+const forgotPassword = async (req, res) => {
+  try {
+    const { email, phone } = req.body;
+
+    await passwordResetService.requestReset({ email, phone }, req);
+
+    // Same answer whether or not the account exists or is rate limited
+    res.json({ message: 'If an account matches, reset instructions have been sent' });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+};
+
+// Set a new password with a reset token or SMS code; signs out every session
+const resetPassword = async (req, res) => {
+  try {
+    const { token, phone, code, newPassword } = req.body;
+
+    const result = await passwordResetService.resetPassword({ token, phone, code }, newPassword);
+
+    if (!result.success) {
+      if (result.reason === 'TOO_MANY_ATTEMPTS') {
+        return res.status(429).json({ error: 'Too many wrong attempts. Please request a new code.' });
+      }
+      if (result.reason === 'INVALID_CODE') {
+        return res.status(400).json({
+          error: 'Invalid code',
+          attemptsRemaining: result.attemptsRemaining
+        });
+      }
+      return res.status(400).json({ error: 'Reset token or code is invalid or has expired' });
+    }
+
+    notificationService.disconnectUser(result.userId, 'Password reset');
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+};
+
+// Change the password of the logged in user; other sessions are signed out
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ error: 'New password must be different from the current password' });
+    }
+
+    await passwordResetService.setPassword(user.id, newPassword, 'PASSWORD_CHANGED');
+    notificationService.disconnectUser(user.id, 'Password changed');
+
+    // Keep this device signed in with a fresh session
+    const tokens = await tokenService.issueTokens(user, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    let tokens;
+    try {
+      tokens = await tokenService.rotateRefreshToken(token);
+    } catch (error) {
+      if (['Invalid refresh token', 'Session has expired', 'Account is not active'].includes(error.message)) {
+        return res.status(401).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+};
+
+// End the current session (or the one a refresh token belongs to)
+const logout = async (req, res) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    let sessionId = req.sessionId;
+    if (token) {
+      const session = await tokenService.findSessionByRefreshToken(token);
+      if (session && session.userId === req.user.id) {
+        sessionId = session.id;
+      }
+    }
+
+    if (!sessionId) {
+      return res.status(400).json({ error: 'No session to log out of; pass the refreshToken or use logout-all' });
+    }
+
+    await tokenService.revokeSession(sessionId, 'LOGOUT');
+    notificationService.disconnectSession(sessionId);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+};
+
+// End every session of the current user on all devices
+const logoutAll = async (req, res) => {
+  try {
+    const sessions = await tokenService.revokeAllSessions(req.user.id, 'LOGOUT_ALL');
+    notificationService.disconnectUser(req.user.id, 'Logged out');
+
+    res.json({
+      message: 'Logged out from all devices',
+      sessionsRevoked: sessions
+    });
+  } catch (error) {
+    console.error('Error logging out from all devices:', error);
+    res.status(500).json({ error: 'Failed to log out from all devices' });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  acceptInvitation,
+  requestOtp,
+  verifyOtp,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refreshToken,
+  logout,
+  logoutAll
+};
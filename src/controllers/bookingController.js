@@ -1,11 +1,38 @@
 const { PrismaClient } = require('@prisma/client');
 const notificationService = require('../services/notificationService');
+const zoneService = require('../services/zoneService');
+const maidAvailabilityService = require('../services/maidAvailabilityService');
+const { AssignmentConflictError } = maidAvailabilityService;
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const razorpayService = require('../services/razorpayService');
+const configService = require('../services/configService');
+const permissionService = require('../services/permissionService');
+const subscriptionLifecycleService = require('../services/subscriptionLifecycleService');
+const subscriptionPauseService = require('../services/subscriptionPauseService');
+const sessionUsageService = require('../services/sessionUsageService');
 const prisma = new PrismaClient();
 
+// Booking statuses that can no longer be cancelled
+const UNCANCELLABLE_STATUSES = ['COMPLETED', 'CANCELLED', 'NO_SHOW'];
+
+// Combine YYYY-MM-DD date and HH:MM (or HHMM) time, returns null when invalid
+function parseScheduledAt(scheduledDate, scheduledTime) {
+  try {
+    const timeString = scheduledTime.includes(':') 
+      ? scheduledTime 
+      : scheduledTime.slice(0, 2) + ':' + scheduledTime.slice(2);
+
+    const scheduledAt = new Date(`${scheduledDate}T${timeString}:00`);
+    return isNaN(scheduledAt.getTime()) ? null : scheduledAt;
+  } catch (error) {
+    return null;
+  }
+}
+
 const createBooking = async (req, res) => {
   try {
     // Extract data from request
-    const { serviceId, scheduledDate, scheduledTime, notes, address } = req.body;
+    const { serviceId, scheduledDate, scheduledTime, notes, address, latitude, longitude } = req.body;
     const customerId = req.user.id;
 
     // Validate required fields
@@ -16,20 +43,8 @@ const createBooking = async (req, res) => {
     }
 
     // Combine date and time into a single DateTime object
-    let scheduledAt;
-    try {
-      // Directly combine ISO date with time (assuming time is in HH:MM format)
-      const timeString = scheduledTime.includes(':') 
-        ? scheduledTime 
-        : scheduledTime.slice(0, 2) + ':' + scheduledTime.slice(2);
-      
-      scheduledAt = new Date(`${scheduledDate}T${timeString}:00`);
-      
-      // Validate the date
-      if (isNaN(scheduledAt.getTime())) {
-        throw new Error('Invalid date/time');
-      }
-    } catch (error) {
+    const scheduledAt = parseScheduledAt(scheduledDate, scheduledTime);
+    if (!scheduledAt) {
       return res.status(400).json({ 
         message: 'Invalid scheduledDate or scheduledTime format. Please use YYYY-MM-DD and HH:MM format.' 
       });
@@ -51,12 +66,14 @@ const createBooking = async (req, res) => {
       });
     }
 
+    await subscriptionLifecycleService.expireIfEnded(customerProfile.id);
+
     // Check subscription status using customerProfile.id
     const subscription = await prisma.subscription.findFirst({
       where: {
         customerId: customerProfile.id,
         status: 'ACTIVE',
-        endDate: { gte: new Date() },
+        endDate: { gte: subscriptionLifecycleService.renewalGraceCutoff() }
       },
       include: {
         plan: true
@@ -72,6 +89,14 @@ const createBooking = async (req, res) => {
       });
     }
 
+    // No subscription service while the customer is on a break
+    const pause = await subscriptionPauseService.findPauseCovering(subscription.id, scheduledAt);
+    if (pause) {
+      return res.status(400).json({
+        message: `Your subscription is paused from ${pause.startDate.toDateString()} to ${pause.endDate.toDateString()}`
+      });
+    }
+
     // Get service details for pricing
     const service = await prisma.service.findUnique({
       where: { id: serviceId }
@@ -81,12 +106,26 @@ const createBooking = async (req, res) => {
       return res.status(404).json({ message: 'Service not found' });
     }
 
+    // Fall back to the customer's saved coordinates when none are sent
+    const serviceLatitude = latitude !== undefined ? parseFloat(latitude) : req.user.latitude;
+    const serviceLongitude = longitude !== undefined ? parseFloat(longitude) : req.user.longitude;
+
+    if (Number.isNaN(serviceLatitude) || Number.isNaN(serviceLongitude)) {
+      return res.status(400).json({ message: 'latitude and longitude must be valid numbers' });
+    }
+
+    // Resolve the service zone from the coordinates
+    const zone = await zoneService.resolveZoneForLocation(serviceLatitude, serviceLongitude);
+
     // Customer has active subscription - create booking with no payment required
     const bookingData = {
       customerId,
       serviceId,
       specialInstructions: notes,
       serviceAddress: address,
+      serviceLatitude: serviceLatitude ?? null,
+      serviceLongitude: serviceLongitude ?? null,
+      zoneId: zone ? zone.id : null,
       status: 'CONFIRMED', // Direct confirmation for subscription customers
       scheduledAt,
       estimatedDuration: service.baseDuration,
@@ -95,27 +134,46 @@ const createBooking = async (req, res) => {
       discount: 0
     };
 
-    // Create the booking
-    const booking = await prisma.booking.create({
-      data: bookingData,
-      include: {
-        service: true,
-        customer: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            phone: true,
-            address: true
-          }
+    // Create the booking with a session from the plan; beyond the quota the plan either refuses or charges the session
+    const { booking, isOverage, reason } = await sessionUsageService.bookSession(subscription, scheduledAt, bookingData, {
+      service: true,
+      zone: true,
+      customer: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          phone: true,
+          address: true
         }
       }
     });
 
+    if (!booking) {
+      return res.status(403).json({
+        success: false,
+        message: sessionUsageService.describeLimit(subscription.plan, reason),
+        quotaExceeded: true,
+        sessions: await sessionUsageService.getUsageSummary(subscription)
+      });
+    }
+
     // Send notification for booking creation
     await notificationService.notifyBookingCreated(booking);
 
     // Return successful response
+    if (isOverage) {
+      return res.status(201).json({
+        success: true,
+        data: {
+          booking,
+          hasActiveSubscription: true,
+          requiresPayment: true
+        },
+        message: `Booking created. This session is beyond your plan's quota; pay ₹${subscription.plan.overagePrice} to confirm it.`
+      });
+    }
+
     res.status(201).json({
       success: true,
       data: {
@@ -145,6 +203,7 @@ const createBooking = async (req, res) => {
 const getAllBookings = async (req, res) => {
   try {
     const bookings = await prisma.booking.findMany({
+      where: permissionService.bookingZoneFilter(req.zoneScope),
       include: {
         service: true,
         customer: {
@@ -198,7 +257,7 @@ const getBookingById = async (req, res) => {
       }
     });
 
-    if (!booking) {
+    if (!booking || !permissionService.isBookingInScope(booking, req.zoneScope)) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
@@ -261,17 +320,44 @@ const getMaidBookings = async (req, res) => {
   }
 };
 
-const   assignMaid = async (req, res) => {
+const assignMaid = async (req, res) => {
   try {
     const { id } = req.params;
-    const { maidId } = req.body;
+    const { maidId, override = false, overrideReason } = req.body;
 
-    const booking = await prisma.booking.update({
+    if (!maidId) {
+      return res.status(400).json({ message: 'maidId is required' });
+    }
+
+    const existingBooking = await prisma.booking.findUnique({
       where: { id },
-      data: {
-        maidId,
-        status: 'ASSIGNED'
+      include: { service: true }
+    });
+
+    if (!existingBooking || !permissionService.isBookingInScope(existingBooking, req.zoneScope)) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const maid = await prisma.user.findFirst({
+      where: {
+        id: maidId,
+        role: { in: ['MAID', 'FLOATING_MAID'] }
       },
+      include: { maidProfile: true }
+    });
+
+    if (!maid || !(await permissionService.isMaidInScope(maid.id, req.zoneScope))) {
+      return res.status(404).json({ message: 'Maid not found' });
+    }
+
+    // Overlapping bookings, capacity limits and leave need an override
+    const { booking } = await maidAvailabilityService.assignMaid({
+      booking: existingBooking,
+      maid,
+      override,
+      overrideReason,
+      overriddenBy: req.user.id,
+      req,
       include: {
         service: true,
         customer: {
@@ -298,6 +384,9 @@ const   assignMaid = async (req, res) => {
 
     res.json(booking);
   } catch (error) {
+    if (error instanceof AssignmentConflictError) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
     console.error('Error assigning maid:', error);
     res.status(500).json({ message: 'Failed to assign maid' });
   }
@@ -356,14 +445,59 @@ const updateBookingStatus = async (req, res) => {
   }
 };
 
+// Cancel booking (customer for own bookings, or admin) applying the cancellation policy
 const cancelBooking = async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason = 'Cancelled by user' } = req.body;
-    
-    const booking = await prisma.booking.update({
+    const { reason = 'Cancelled by user', waiveFee = false } = req.body;
+
+    const existingBooking = await prisma.booking.findUnique({
+      where: { id },
+      include: { payment: true }
+    });
+
+    if (!existingBooking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    // Staff with bookings:cancel can cancel other customers' bookings in their zones
+    const access = await permissionService.getAccess(req.user);
+    const isStaffCancellation = existingBooking.customerId !== req.user.id;
+    if (isStaffCancellation && !(
+      access &&
+      access.permissions.has('bookings:cancel') &&
+      permissionService.isBookingInScope(existingBooking, access.zoneIds)
+    )) {
+      return res.status(403).json({ message: 'You can only cancel your own bookings' });
+    }
+
+    if (UNCANCELLABLE_STATUSES.includes(existingBooking.status)) {
+      return res.status(400).json({ 
+        message: `Bookings with status ${existingBooking.status} cannot be cancelled` 
+      });
+    }
+
+    const payment = existingBooking.payment;
+    const isPaid = payment && payment.status === 'COMPLETED';
+
+    // Only staff can waive the late cancellation fee
+    const policy = cancellationPolicyService.evaluate(existingBooking, {
+      waiveFee: isStaffCancellation && Boolean(waiveFee),
+      paidAmount: isPaid ? payment.finalAmount : 0
+    });
+
+    // Claim the cancellation, so concurrent requests cannot both refund or give the session back
+    const claim = await prisma.booking.updateMany({
+      where: { id, status: { notIn: UNCANCELLABLE_STATUSES } },
+      data: { status: 'CANCELLED' }
+    });
+
+    if (claim.count === 0) {
+      return res.status(409).json({ message: 'Booking was already cancelled or completed' });
+    }
+
+    const booking = await prisma.booking.findUnique({
       where: { id },
-      data: { status: 'CANCELLED' },
       include: {
         service: true,
         customer: {
@@ -385,16 +519,247 @@ const cancelBooking = async (req, res) => {
       }
     });
 
+    const cancellation = {
+      ...policy,
+      refundStatus: null,
+      sessionCredited: false
+    };
+
+    if (isPaid) {
+      // Refund paid bookings through the payment gateway
+      if (policy.refundAmount > 0) {
+        try {
+          const refundResult = await razorpayService.processRefund(
+            payment.id,
+            policy.refundAmount,
+            `Booking cancelled: ${reason}`
+          );
+          cancellation.refundStatus = refundResult.payment.status;
+          await notificationService.notifyRefundProcessed(refundResult.payment, policy.refundAmount);
+        } catch (refundError) {
+          console.error('Error refunding cancelled booking:', refundError);
+          cancellation.refundStatus = 'FAILED';
+          await notificationService.sendToAdmins({
+            type: 'SYSTEM_ALERT',
+            title: 'Cancellation Refund Failed',
+            message: `Refund of ₹${policy.refundAmount} for cancelled booking ${booking.id} failed and needs manual processing`,
+            data: {
+              bookingId: booking.id,
+              paymentId: payment.id,
+              refundAmount: policy.refundAmount,
+              error: refundError.message
+            },
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+    } else if (payment && payment.status === 'PENDING') {
+      // Nothing was charged, close the pending payment
+      await prisma.payment.update({
+        where: { id: payment.id },
+        data: { status: 'CANCELLED' }
+      });
+    } else if (!payment && !existingBooking.isOverage) {
+      // Subscription booking - give the session back for free cancellations
+      if (policy.creditSession) {
+        cancellation.sessionCredited = await sessionUsageService.releaseSession(existingBooking);
+      }
+    }
+
+    // Overage bookings come off the period's overage count, paid or not
+    if (existingBooking.isOverage) {
+      await sessionUsageService.releaseSession(existingBooking);
+    }
+
     // Send notification
-    await notificationService.notifyBookingCancellation(booking, reason);
+    await notificationService.notifyBookingCancellation(booking, reason, policy.refundAmount);
 
-    res.json(booking);
+    // Booking fields stay at the top level for existing clients
+    res.json({
+      ...booking,
+      cancellation
+    });
   } catch (error) {
     console.error('Error cancelling booking:', error);
     res.status(500).json({ message: 'Failed to cancel booking' });
   }
 };
 
+// Reschedule booking (customer within cutoff window, or admin)
+const rescheduleBooking = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scheduledDate, scheduledTime, reason } = req.body;
+    const isAdmin = req.user.role === 'ADMIN';
+
+    if (!scheduledDate || !scheduledTime || !reason) {
+      return res.status(400).json({ 
+        message: 'scheduledDate, scheduledTime, and reason are required' 
+      });
+    }
+
+    const newScheduledAt = parseScheduledAt(scheduledDate, scheduledTime);
+    if (!newScheduledAt) {
+      return res.status(400).json({ 
+        message: 'Invalid scheduledDate or scheduledTime format. Please use YYYY-MM-DD and HH:MM format.' 
+      });
+    }
+
+    if (newScheduledAt <= new Date()) {
+      return res.status(400).json({ message: 'New booking time must be in the future' });
+    }
+
+    const existingBooking = await prisma.booking.findUnique({
+      where: { id },
+      include: {
+        service: true,
+        maid: {
+          include: { maidProfile: true }
+        }
+      }
+    });
+
+    if (!existingBooking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (!isAdmin && existingBooking.customerId !== req.user.id) {
+      return res.status(403).json({ message: 'You can only reschedule your own bookings' });
+    }
+
+    if (!['PENDING', 'CONFIRMED', 'ASSIGNED', 'RESCHEDULED'].includes(existingBooking.status)) {
+      return res.status(400).json({ 
+        message: `Bookings with status ${existingBooking.status} cannot be rescheduled` 
+      });
+    }
+
+    // Customers must reschedule before the cutoff window, admins can always reschedule
+    const rescheduleCutoffHours = configService.get('booking.rescheduleCutoffHours');
+    const hoursUntilService = (existingBooking.scheduledAt - new Date()) / (60 * 60 * 1000);
+    if (!isAdmin && hoursUntilService < rescheduleCutoffHours) {
+      return res.status(400).json({ 
+        message: `Bookings can only be rescheduled at least ${rescheduleCutoffHours} hours before the scheduled time` 
+      });
+    }
+
+    // Subscription bookings cannot move into a pause
+    const customerProfile = await prisma.customerProfile.findUnique({
+      where: { userId: existingBooking.customerId },
+      include: {
+        subscription: {
+          include: { plan: true }
+        }
+      }
+    });
+    const subscription = customerProfile ? customerProfile.subscription : null;
+
+    if (subscription) {
+      const pause = await subscriptionPauseService.findPauseCovering(subscription.id, newScheduledAt);
+      if (pause) {
+        return res.status(400).json({
+          message: `Your subscription is paused from ${pause.startDate.toDateString()} to ${pause.endDate.toDateString()}`
+        });
+      }
+    }
+
+    const oldScheduledAt = existingBooking.scheduledAt;
+
+    // Keep the assigned maid only if they are free at the new time
+    let keepMaid = false;
+    let maidConflicts = [];
+    if (existingBooking.maidId) {
+      maidConflicts = await maidAvailabilityService.checkAssignmentConflicts(
+        { ...existingBooking, scheduledAt: newScheduledAt },
+        existingBooking.maid
+      );
+      keepMaid = maidConflicts.length === 0;
+    }
+
+    const moveBooking = async (tx, sessionData = {}) => {
+      const updated = await tx.booking.update({
+        where: { id },
+        data: {
+          scheduledAt: newScheduledAt,
+          ...sessionData,
+          ...(keepMaid
+            ? { status: 'ASSIGNED' }
+            : { maidId: null, status: existingBooking.status === 'PENDING' ? 'PENDING' : 'RESCHEDULED' })
+        },
+        include: {
+          service: true,
+          customer: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              phone: true
+            }
+          },
+          maid: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              phone: true
+            }
+          }
+        }
+      });
+
+      await tx.rescheduleHistory.create({
+        data: {
+          bookingId: id,
+          oldDateTime: oldScheduledAt,
+          newDateTime: newScheduledAt,
+          reason,
+          requestedBy: req.user.id
+        }
+      });
+
+      return updated;
+    };
+
+    // A booking holding a plan session moves it to the new week and period, within the plan's limits
+    const { booking, reason: limitReason } = subscription && existingBooking.usagePeriodId
+      ? await sessionUsageService.rescheduleSession(subscription, existingBooking, newScheduledAt, moveBooking)
+      : { booking: await prisma.$transaction((tx) => moveBooking(tx)) };
+
+    if (!booking) {
+      return res.status(403).json({
+        success: false,
+        message: sessionUsageService.describeLimit(subscription.plan, limitReason),
+        quotaExceeded: true,
+        sessions: await sessionUsageService.getUsageSummary(subscription)
+      });
+    }
+
+    // Notify customer, maid (if still assigned) and admins
+    await notificationService.notifyBookingRescheduled(booking, oldScheduledAt, newScheduledAt);
+
+    // Let the previous maid know they no longer have this service
+    if (existingBooking.maidId && !keepMaid) {
+      await notificationService.notifyMaidUnassigned(
+        booking,
+        existingBooking.maidId,
+        'Booking was rescheduled to a time you are not available'
+      );
+    }
+
+    res.json({
+      success: true,
+      data: booking,
+      maidUnassigned: Boolean(existingBooking.maidId && !keepMaid),
+      maidConflicts,
+      message: existingBooking.maidId && !keepMaid
+        ? 'Booking rescheduled. The assigned maid is not available at the new time and a new maid will be assigned.'
+        : 'Booking rescheduled successfully'
+    });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(500).json({ message: 'Failed to reschedule booking' });
+  }
+};
+
 // Complete booking payment and confirm booking
 const completeBookingPayment = async (req, res) => {
   try {
@@ -491,5 +856,6 @@ module.exports = {
   assignMaid,
   updateBookingStatus,
   cancelBooking,
+  rescheduleBooking,
   completeBookingPayment
 };
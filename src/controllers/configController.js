@@ -0,0 +1,133 @@
+const configService = require('../services/configService');
+const auditService = require('../services/auditService');
+const notificationService = require('../services/notificationService');
+
+const CONFIG_TYPES = ['STRING', 'NUMBER', 'BOOLEAN', 'JSON'];
+
+// Helper function to tell admins a setting changed
+async function notifyConfigChange(req, key, oldValue, newValue) {
+  await notificationService.sendToAdmins({
+    type: 'SYSTEM_ALERT',
+    title: 'System Setting Changed',
+    message: `${req.user.name} changed ${key}`,
+    data: {
+      key,
+      oldValue,
+      newValue,
+      changedBy: req.user.id
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Get all settings with their current values (admin)
+const getAllConfigs = async (req, res) => {
+  try {
+    res.json(configService.list());
+  } catch (error) {
+    console.error('Error fetching system config:', error);
+    res.status(500).json({ message: 'Failed to fetch system config' });
+  }
+};
+
+// Get one setting (admin)
+const getConfig = async (req, res) => {
+  try {
+    const config = configService.describe(req.params.key);
+
+    if (!config) {
+      return res.status(404).json({ message: 'Setting not found' });
+    }
+
+    res.json(config);
+  } catch (error) {
+    console.error('Error fetching setting:', error);
+    res.status(500).json({ message: 'Failed to fetch setting' });
+  }
+};
+
+// Create or update a setting (admin)
+const updateConfig = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { value, type, description } = req.body;
+
+    if (type !== undefined && !CONFIG_TYPES.includes(type)) {
+      return res.status(400).json({
+        message: 'Invalid type. Must be one of: ' + CONFIG_TYPES.join(', ')
+      });
+    }
+
+    try {
+      configService.resolveValue(key, { value, type });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const previous = configService.describe(key);
+    const config = await configService.set(key, { value, type, description }, req.user.id);
+
+    await auditService.log({
+      req,
+      action: previous ? 'CONFIG_UPDATED' : 'CONFIG_CREATED',
+      resource: 'SystemConfig',
+      resourceId: key,
+      oldValues: previous,
+      newValues: config
+    });
+
+    await notifyConfigChange(req, key, previous?.value ?? null, config.value);
+
+    res.json({
+      success: true,
+      data: config,
+      message: 'Setting saved'
+    });
+  } catch (error) {
+    console.error('Error updating setting:', error);
+    res.status(500).json({ message: 'Failed to update setting' });
+  }
+};
+
+// Delete a stored setting, built-in settings go back to their default (admin)
+const deleteConfig = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const previous = configService.describe(key);
+
+    const removed = await configService.remove(key);
+
+    if (!removed) {
+      return res.status(404).json({ message: 'No stored value for this setting' });
+    }
+
+    const current = configService.describe(key);
+
+    await auditService.log({
+      req,
+      action: 'CONFIG_DELETED',
+      resource: 'SystemConfig',
+      resourceId: key,
+      oldValues: previous,
+      newValues: current
+    });
+
+    await notifyConfigChange(req, key, previous?.value ?? null, current?.value ?? null);
+
+    res.json({
+      success: true,
+      data: current,
+      message: current ? 'Setting reset to default' : 'Setting deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting setting:', error);
+    res.status(500).json({ message: 'Failed to delete setting' });
+  }
+};
+
+module.exports = {
+  getAllConfigs,
+  getConfig,
+  updateConfig,
+  deleteConfig
+};
@@ -0,0 +1,248 @@
+const { PrismaClient } = require('@prisma/client');
+const earningsService = require('../services/earningsService');
+const notificationService = require('../services/notificationService');
+const prisma = new PrismaClient();
+
+const maidInclude = {
+  maid: {
+    select: {
+      id: true,
+      hourlyRate: true,
+      commissionRate: true,
+      user: {
+        select: { id: true, name: true, email: true, phone: true }
+      }
+    }
+  }
+};
+
+// Get the logged-in maid's earnings statement (defaults to the current month)
+const getMyEarnings = async (req, res) => {
+  try {
+    const now = new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = req.query.to ? new Date(req.query.to) : new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ message: 'from and to must be valid dates with from before to' });
+    }
+
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!maidProfile) {
+      return res.status(404).json({ message: 'Maid profile not found' });
+    }
+
+    const statement = await earningsService.getStatement(maidProfile.id, from, to);
+
+    res.json({
+      hourlyRate: maidProfile.hourlyRate,
+      commissionRate: maidProfile.commissionRate,
+      ...statement
+    });
+  } catch (error) {
+    console.error('Error fetching earnings:', error);
+    res.status(500).json({ message: 'Failed to fetch earnings' });
+  }
+};
+
+// List payouts (admin)
+const getAllPayouts = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, maidId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter object
+    const where = {};
+    if (status) where.status = status;
+    if (maidId) where.maid = { userId: maidId };
+
+    const payouts = await prisma.maidPayout.findMany({
+      where,
+      include: maidInclude,
+      orderBy: [
+        { periodStart: 'desc' },
+        { createdAt: 'desc' }
+      ],
+      skip,
+      take: parseInt(limit)
+    });
+
+    const totalPayouts = await prisma.maidPayout.count({ where });
+
+    res.json({
+      payouts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalPayouts,
+        totalPages: Math.ceil(totalPayouts / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching payouts:', error);
+    res.status(500).json({ message: 'Failed to fetch payouts' });
+  }
+};
+
+// Get a payout with its earnings (admin)
+const getPayoutById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const payout = await prisma.maidPayout.findUnique({
+      where: { id },
+      include: {
+        ...maidInclude,
+        earnings: {
+          include: {
+            booking: {
+              select: {
+                id: true,
+                scheduledAt: true,
+                service: {
+                  select: { id: true, name: true }
+                }
+              }
+            }
+          },
+          orderBy: { earnedAt: 'asc' }
+        }
+      }
+    });
+
+    if (!payout) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    res.json(payout);
+  } catch (error) {
+    console.error('Error fetching payout:', error);
+    res.status(500).json({ message: 'Failed to fetch payout' });
+  }
+};
+
+// Build payouts for completed weeks (admin)
+const generatePayouts = async (req, res) => {
+  try {
+    const payouts = await earningsService.generatePayouts();
+
+    res.json({
+      success: true,
+      data: payouts,
+      message: `${payouts.length} payout(s) generated`
+    });
+  } catch (error) {
+    console.error('Error generating payouts:', error);
+    res.status(500).json({ message: 'Failed to generate payouts' });
+  }
+};
+
+// Approve a pending payout (admin)
+const approvePayout = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    const existingPayout = await prisma.maidPayout.findUnique({
+      where: { id }
+    });
+
+    if (!existingPayout) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    if (existingPayout.status !== 'PENDING') {
+      return res.status(400).json({ message: `Payout is already ${existingPayout.status}` });
+    }
+
+    const payout = await prisma.maidPayout.update({
+      where: { id },
+      data: {
+        status: 'APPROVED',
+        approvedBy: req.user.id,
+        approvedAt: new Date(),
+        ...(notes !== undefined && { notes })
+      },
+      include: maidInclude
+    });
+
+    res.json({
+      success: true,
+      data: payout,
+      message: 'Payout approved'
+    });
+  } catch (error) {
+    console.error('Error approving payout:', error);
+    res.status(500).json({ message: 'Failed to approve payout' });
+  }
+};
+
+// Mark an approved payout as paid (admin)
+const markPayoutPaid = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { paymentReference, notes } = req.body;
+
+    if (!paymentReference) {
+      return res.status(400).json({ message: 'paymentReference is required' });
+    }
+
+    const existingPayout = await prisma.maidPayout.findUnique({
+      where: { id }
+    });
+
+    if (!existingPayout) {
+      return res.status(404).json({ message: 'Payout not found' });
+    }
+
+    if (existingPayout.status !== 'APPROVED') {
+      return res.status(400).json({ message: 'Only approved payouts can be marked as paid' });
+    }
+
+    const payout = await prisma.maidPayout.update({
+      where: { id },
+      data: {
+        status: 'PAID',
+        paidAt: new Date(),
+        paymentReference,
+        ...(notes !== undefined && { notes })
+      },
+      include: maidInclude
+    });
+
+    await notificationService.sendToMaid(payout.maid.user.id, {
+      type: 'PAYOUT_PAID',
+      title: 'Payout Sent',
+      message: `Your payout of ₹${payout.totalAmount} has been paid`,
+      data: {
+        payoutId: payout.id,
+        amount: payout.totalAmount,
+        periodStart: payout.periodStart,
+        periodEnd: payout.periodEnd,
+        paymentReference
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      data: payout,
+      message: 'Payout marked as paid'
+    });
+  } catch (error) {
+    console.error('Error marking payout paid:', error);
+    res.status(500).json({ message: 'Failed to mark payout as paid' });
+  }
+};
+
+module.exports = {
+  getMyEarnings,
+  getAllPayouts,
+  getPayoutById,
+  generatePayouts,
+  approvePayout,
+  markPayoutPaid
+};
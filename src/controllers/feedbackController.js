@@ -0,0 +1,331 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('../services/notificationService');
+const permissionService = require('../services/permissionService');
+const prisma = new PrismaClient();
+
+const RATING_FIELDS = ['overallRating', 'qualityRating', 'punctualityRating', 'behaviorRating'];
+
+const isValidRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+// Recompute a maid's average rating from all feedback on their bookings
+const recalculateMaidRating = async (maidId) => {
+  const stats = await prisma.feedback.aggregate({
+    where: {
+      booking: { maidId }
+    },
+    _avg: { overallRating: true },
+    _count: { overallRating: true }
+  });
+
+  return prisma.maidProfile.update({
+    where: { userId: maidId },
+    data: {
+      rating: Math.round((stats._avg.overallRating || 0) * 100) / 100,
+      totalRatings: stats._count.overallRating
+    }
+  });
+};
+
+// Submit feedback for a completed booking (customer, once per booking)
+const submitFeedback = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { comment, improvements, wouldRecommend } = req.body;
+
+    const ratings = {};
+    for (const field of RATING_FIELDS) {
+      if (req.body[field] !== undefined && req.body[field] !== null) {
+        ratings[field] = Number(req.body[field]);
+      }
+    }
+
+    if (ratings.overallRating === undefined) {
+      return res.status(400).json({ message: 'overallRating is required' });
+    }
+
+    const invalidField = Object.keys(ratings).find(field => !isValidRating(ratings[field]));
+    if (invalidField) {
+      return res.status(400).json({ message: `${invalidField} must be a whole number between 1 and 5` });
+    }
+
+    const booking = await prisma.booking.findUnique({
+      where: { id },
+      include: { feedback: true }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (booking.customerId !== req.user.id) {
+      return res.status(403).json({ message: 'You can only leave feedback for your own bookings' });
+    }
+
+    if (booking.status !== 'COMPLETED') {
+      return res.status(400).json({ message: 'Feedback can only be submitted for completed bookings' });
+    }
+
+    if (booking.feedback) {
+      return res.status(409).json({ message: 'Feedback has already been submitted for this booking' });
+    }
+
+    const feedback = await prisma.feedback.create({
+      data: {
+        bookingId: booking.id,
+        customerId: req.user.id,
+        ...ratings,
+        comment,
+        improvements,
+        ...(wouldRecommend !== undefined && { wouldRecommend: Boolean(wouldRecommend) })
+      },
+      include: {
+        booking: {
+          select: { id: true, maidId: true, serviceId: true }
+        }
+      }
+    });
+
+    if (booking.maidId) {
+      await recalculateMaidRating(booking.maidId);
+    }
+
+    await notificationService.notifyFeedbackReceived(feedback);
+
+    res.status(201).json({
+      success: true,
+      data: feedback,
+      message: 'Thank you for your feedback'
+    });
+  } catch (error) {
+    console.error('Error submitting feedback:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Feedback has already been submitted for this booking' });
+    }
+    res.status(500).json({ message: 'Failed to submit feedback' });
+  }
+};
+
+// List feedback with filters (admin)
+const getAllFeedback = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      maidId,
+      minRating,
+      maxRating,
+      hasResponse,
+      startDate,
+      endDate
+    } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    // Build filter object
+    const where = {};
+    if (maidId || req.zoneScope) {
+      where.booking = {
+        ...(maidId && { maidId }),
+        ...permissionService.bookingZoneFilter(req.zoneScope)
+      };
+    }
+    if (minRating || maxRating) {
+      where.overallRating = {
+        ...(minRating && { gte: parseInt(minRating) }),
+        ...(maxRating && { lte: parseInt(maxRating) })
+      };
+    }
+    if (hasResponse !== undefined) {
+      where.adminResponse = hasResponse === 'true' ? { not: null } : null;
+    }
+    if (startDate || endDate) {
+      where.createdAt = {
+        ...(startDate && { gte: new Date(startDate) }),
+        ...(endDate && { lte: new Date(endDate) })
+      };
+    }
+
+    const feedback = await prisma.feedback.findMany({
+      where,
+      include: {
+        customer: {
+          select: { id: true, name: true, email: true }
+        },
+        booking: {
+          include: {
+            service: true,
+            maid: {
+              select: { id: true, name: true, email: true }
+            }
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      },
+      skip,
+      take: parseInt(limit)
+    });
+
+    const totalFeedback = await prisma.feedback.count({ where });
+
+    res.json({
+      feedback,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalFeedback,
+        totalPages: Math.ceil(totalFeedback / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching feedback:', error);
+    res.status(500).json({ message: 'Failed to fetch feedback' });
+  }
+};
+
+// Respond to a customer's feedback (admin)
+const respondToFeedback = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { response } = req.body;
+
+    if (!response || !response.trim()) {
+      return res.status(400).json({ message: 'response is required' });
+    }
+
+    const existingFeedback = await prisma.feedback.findUnique({
+      where: { id },
+      include: {
+        booking: {
+          select: { zoneId: true }
+        }
+      }
+    });
+
+    if (!existingFeedback || !permissionService.isBookingInScope(existingFeedback.booking, req.zoneScope)) {
+      return res.status(404).json({ message: 'Feedback not found' });
+    }
+
+    const feedback = await prisma.feedback.update({
+      where: { id },
+      data: {
+        adminResponse: response.trim(),
+        adminResponseAt: new Date()
+      },
+      include: {
+        booking: {
+          include: { service: true }
+        }
+      }
+    });
+
+    await notificationService.sendToUser(feedback.customerId, {
+      type: 'FEEDBACK_RESPONSE',
+      title: 'Response to Your Feedback',
+      message: `We have responded to your feedback on ${feedback.booking.service.name}`,
+      data: {
+        feedbackId: feedback.id,
+        bookingId: feedback.bookingId,
+        response: feedback.adminResponse
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      data: feedback,
+      message: 'Response saved successfully'
+    });
+  } catch (error) {
+    console.error('Error responding to feedback:', error);
+    res.status(500).json({ message: 'Failed to respond to feedback' });
+  }
+};
+
+// Public rating summary for a maid (by user id)
+const getMaidRatingSummary = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const maid = await prisma.user.findFirst({
+      where: {
+        id,
+        role: { in: ['MAID', 'FLOATING_MAID'] }
+      },
+      select: {
+        id: true,
+        name: true,
+        maidProfile: {
+          select: { rating: true, totalRatings: true }
+        }
+      }
+    });
+
+    if (!maid || !maid.maidProfile) {
+      return res.status(404).json({ message: 'Maid not found' });
+    }
+
+    const where = { booking: { maidId: id } };
+
+    const [averages, distribution, recommendCount, recentFeedback] = await Promise.all([
+      prisma.feedback.aggregate({
+        where,
+        _avg: {
+          qualityRating: true,
+          punctualityRating: true,
+          behaviorRating: true
+        }
+      }),
+      prisma.feedback.groupBy({
+        by: ['overallRating'],
+        where,
+        _count: { overallRating: true }
+      }),
+      prisma.feedback.count({
+        where: { ...where, wouldRecommend: true }
+      }),
+      prisma.feedback.findMany({
+        where: { ...where, comment: { not: null } },
+        select: {
+          overallRating: true,
+          comment: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'desc' },
+        take: 5
+      })
+    ]);
+
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    distribution.forEach(entry => {
+      ratingDistribution[entry.overallRating] = entry._count.overallRating;
+    });
+
+    const roundRating = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+    res.json({
+      maidId: maid.id,
+      name: maid.name,
+      rating: maid.maidProfile.rating,
+      totalRatings: maid.maidProfile.totalRatings,
+      averages: {
+        quality: roundRating(averages._avg.qualityRating),
+        punctuality: roundRating(averages._avg.punctualityRating),
+        behavior: roundRating(averages._avg.behaviorRating)
+      },
+      ratingDistribution,
+      recommendCount,
+      recentFeedback
+    });
+  } catch (error) {
+    console.error('Error fetching maid rating summary:', error);
+    res.status(500).json({ message: 'Failed to fetch maid rating summary' });
+  }
+};
+
+module.exports = {
+  submitFeedback,
+  getAllFeedback,
+  respondToFeedback,
+  getMaidRatingSummary
+};
@@ -0,0 +1,98 @@
+const invitationService = require('../services/invitationService');
+const auditService = require('../services/auditService');
+
+const INVITATION_STATUSES = ['PENDING', 'ACCEPTED', 'REVOKED', 'EXPIRED'];
+
+// Invite someone to an admin or supervisor account (admin)
+const createInvitation = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    // Only admins can hand out admin accounts
+    if (role === 'ADMIN' && req.user.role !== 'ADMIN') {
+      return res.status(403).json({ message: 'Only admins can invite admins' });
+    }
+
+    let invitation;
+    try {
+      invitation = await invitationService.createInvitation({ email, role }, req.user);
+    } catch (error) {
+      if (error.message === 'User already exists') {
+        return res.status(400).json({ message: 'An account with this email already exists' });
+      }
+      throw error;
+    }
+
+    await auditService.log({
+      req,
+      action: 'STAFF_INVITED',
+      resource: 'StaffInvitation',
+      resourceId: invitation.id,
+      newValues: { email: invitation.email, role: invitation.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+      message: 'Invitation sent'
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({ message: 'Failed to create invitation' });
+  }
+};
+
+// List staff invitations, optionally by status (admin)
+const getInvitations = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !INVITATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'status must be one of: ' + INVITATION_STATUSES.join(', ') });
+    }
+
+    const invitations = await invitationService.listInvitations({ status });
+
+    res.json({
+      success: true,
+      data: invitations
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ message: 'Failed to fetch invitations' });
+  }
+};
+
+// Withdraw a pending invitation (admin)
+const revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.revokeInvitation(req.params.id);
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Pending invitation not found' });
+    }
+
+    await auditService.log({
+      req,
+      action: 'STAFF_INVITATION_REVOKED',
+      resource: 'StaffInvitation',
+      resourceId: invitation.id,
+      newValues: { email: invitation.email, role: invitation.role }
+    });
+
+    res.json({
+      success: true,
+      data: invitation,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ message: 'Failed to revoke invitation' });
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+};
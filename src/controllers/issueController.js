@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const permissionService = require('../services/permissionService');
 const prisma = new PrismaClient();
 
 const createIssue = async (req, res) => {
@@ -96,6 +97,7 @@ const createIssue = async (req, res) => {
 const getAllIssues = async (req, res) => {
   try {
     const issues = await prisma.issue.findMany({
+      where: req.zoneScope ? { booking: permissionService.bookingZoneFilter(req.zoneScope) } : {},
       include: {
         booking: {
           include: {
@@ -149,7 +151,7 @@ const getIssueById = async (req, res) => {
       }
     });
 
-    if (!issue) {
+    if (!issue || !permissionService.isBookingInScope(issue.booking, req.zoneScope)) {
       return res.status(404).json({ message: 'Issue not found' });
     }
 
@@ -172,6 +174,17 @@ const updateIssueStatus = async (req, res) => {
       return res.status(400).json({ message: 'Invalid status' });
     }
 
+    if (req.zoneScope) {
+      const existingIssue = await prisma.issue.findUnique({
+        where: { id },
+        include: { booking: { select: { zoneId: true } } }
+      });
+
+      if (!existingIssue || !permissionService.isBookingInScope(existingIssue.booking, req.zoneScope)) {
+        return res.status(404).json({ message: 'Issue not found' });
+      }
+    }
+
     const issue = await prisma.issue.update({
       where: { id },
       data: {
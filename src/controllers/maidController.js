@@ -1,11 +1,23 @@
 const { PrismaClient } = require('@prisma/client');
+const taskService = require('../services/taskService');
+const maidDocumentService = require('../services/maidDocumentService');
+const performanceService = require('../services/performanceService');
+const earningsService = require('../services/earningsService');
+const permissionService = require('../services/permissionService');
+const { generateOTP } = require('../utils/otpUtils');
 const prisma = new PrismaClient();
 
+// Task statuses that still block completing a service
+const PENDING_TASK_STATUSES = ['PENDING', 'IN_PROGRESS'];
+
 // Get all maids
 const getAllMaids = async (req, res) => {
   try {
     const maids = await prisma.user.findMany({
-      where: { role: 'MAID' },
+      where: {
+        role: 'MAID',
+        ...permissionService.maidZoneFilter(req.zoneScope)
+      },
       include: { maidProfile: true }
     });
     res.json(maids);
@@ -23,7 +35,7 @@ const getMaidById = async (req, res) => {
       where: { id },
       include: { maidProfile: true }
     });
-    if (!maid || maid.role !== 'MAID') {
+    if (!maid || maid.role !== 'MAID' || !(await permissionService.isMaidInScope(maid.id, req.zoneScope))) {
       return res.status(404).json({ error: 'Maid not found' });
     }
     res.json(maid);
@@ -57,6 +69,23 @@ const updateMaidStatus = async (req, res) => {
     if (!['ACTIVE', 'INACTIVE', 'SUSPENDED', 'BLACKLISTED'].includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
+
+    // Maids are (re)activated only while their required documents are verified
+    const existingProfile = await prisma.maidProfile.findUnique({
+      where: { userId: id }
+    });
+    if (!existingProfile) {
+      return res.status(404).json({ error: 'Maid not found' });
+    }
+    if (status === 'ACTIVE' && existingProfile.status !== 'ACTIVE') {
+      const missingDocuments = await maidDocumentService.getMissingRequiredDocuments(existingProfile.id);
+      if (missingDocuments.length > 0) {
+        return res.status(400).json({
+          error: 'Required documents are not verified yet',
+          missingDocuments
+        });
+      }
+    }
     const maid = await prisma.maidProfile.update({
       where: { userId: id },
       data: { status }
@@ -104,6 +133,11 @@ const verifyStartOTP = async (req, res) => {
             email: true,
             phone: true
           }
+        },
+        service: {
+          include: {
+            tasks: true
+          }
         }
       }
     });
@@ -117,7 +151,13 @@ const verifyStartOTP = async (req, res) => {
       return res.status(400).json({ message: 'Invalid OTP' });
     }
 
-    // Update booking status and OTP verification
+    // Tasks the customer disabled are left out of the checklist
+    const checklistTasks = taskService.mergeTasks(
+      booking.service.tasks,
+      (await taskService.getCustomizationMap(booking.customerId)).get(booking.customerId)
+    );
+
+    // Update booking status and OTP verification, and seed the task checklist
     await prisma.$transaction([
       prisma.booking.update({
         where: { id: bookingId },
@@ -132,11 +172,21 @@ const verifyStartOTP = async (req, res) => {
           startVerified: true,
           startOTPVerifiedAt: new Date()
         }
+      }),
+      prisma.taskCompletion.createMany({
+        data: checklistTasks.map(task => ({
+          bookingId,
+          taskId: task.taskId
+        })),
+        skipDuplicates: true
       })
     ]);
 
+    const tasks = await getBookingTaskCompletions(bookingId);
+
     res.json({
       success: true,
+      data: { tasks },
       message: 'Service started successfully'
     });
 
@@ -168,6 +218,31 @@ const completeService = async (req, res) => {
       return res.status(404).json({ message: 'Booking not found or not in progress' });
     }
 
+    // Required tasks must be completed (or have an issue reported) before finishing
+    const pendingTasks = await prisma.taskCompletion.findMany({
+      where: {
+        bookingId,
+        status: { in: PENDING_TASK_STATUSES },
+        task: { isRequired: true }
+      },
+      include: {
+        task: {
+          select: { id: true, name: true, order: true }
+        }
+      }
+    });
+
+    if (pendingTasks.length > 0) {
+      return res.status(400).json({
+        message: `${pendingTasks.length} required task(s) are still pending`,
+        pendingTasks: pendingTasks.map(completion => ({
+          taskId: completion.task.id,
+          name: completion.task.name,
+          status: completion.status
+        }))
+      });
+    }
+
     // Verify end OTP
     if (!booking.serviceOTP || booking.serviceOTP.endOTP !== otp) {
       return res.status(400).json({ message: 'Invalid completion OTP' });
@@ -193,8 +268,9 @@ const completeService = async (req, res) => {
       })
     ]);
 
-    // Update maid performance metrics
+    // Update maid performance metrics and earnings
     await updateMaidPerformance(maidId);
+    await recordMaidEarning(bookingId);
 
     res.json({
       success: true,
@@ -230,7 +306,11 @@ const getMaidAssignments = async (req, res) => {
             address: true
           }
         },
-        service: true,
+        service: {
+          include: {
+            tasks: true
+          }
+        },
         serviceOTP: true
       },
       orderBy: {
@@ -238,7 +318,27 @@ const getMaidAssignments = async (req, res) => {
       }
     });
 
-    res.json(bookings);
+    // Per-customer task list with instructions in the maid's language
+    const language = taskService.getMaidLanguage(
+      await prisma.user.findUnique({
+        where: { id: maidId },
+        include: { maidProfile: true }
+      })
+    );
+    const customizationMap = await taskService.getCustomizationMap(
+      [...new Set(bookings.map(booking => booking.customerId))]
+    );
+
+    const assignments = bookings.map(booking => {
+      const { tasks, ...service } = booking.service;
+      return {
+        ...booking,
+        service,
+        tasks: taskService.mergeTasks(tasks, customizationMap.get(booking.customerId), language)
+      };
+    });
+
+    res.json(assignments);
   } catch (error) {
     console.error('Error fetching maid assignments:', error);
     res.status(500).json({ message: 'Failed to fetch assignments' });
@@ -265,7 +365,7 @@ const generateEndOTP = async (req, res) => {
     }
 
     // Generate end OTP
-    const endOTP = Math.floor(100000 + Math.random() * 900000).toString();
+    const endOTP = generateOTP();
 
     // Update or create service OTP
     await prisma.serviceOTP.upsert({
@@ -293,47 +393,140 @@ const generateEndOTP = async (req, res) => {
   }
 };
 
-// Helper function to update maid performance
-async function updateMaidPerformance(maidId) {
+// Get the task checklist for a booking assigned to the maid
+const getBookingTasks = async (req, res) => {
   try {
-    const currentDate = new Date();
-    const currentMonth = currentDate.getMonth() + 1;
-    const currentYear = currentDate.getFullYear();
+    const { bookingId } = req.params;
+    const maidId = req.user.id;
 
-    // Get completed bookings for current month
-    const completedBookings = await prisma.booking.count({
+    const booking = await prisma.booking.findFirst({
       where: {
+        id: bookingId,
+        maidId
+      }
+    });
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found or not assigned to you' });
+    }
+
+    const tasks = await getBookingTaskCompletions(bookingId);
+
+    res.json(tasks);
+  } catch (error) {
+    console.error('Error fetching booking tasks:', error);
+    res.status(500).json({ message: 'Failed to fetch tasks' });
+  }
+};
+
+// Update progress on a single task during a service
+const updateTaskStatus = async (req, res) => {
+  try {
+    const { bookingId, taskId } = req.params;
+    const { status, notes, timeSpent, proofImages, verificationMethod } = req.body;
+    const maidId = req.user.id;
+
+    const validStatuses = ['IN_PROGRESS', 'COMPLETED', 'SKIPPED', 'ISSUE_REPORTED'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        message: 'Invalid task status. Must be one of: ' + validStatuses.join(', ')
+      });
+    }
+
+    if (timeSpent !== undefined && (!Number.isInteger(Number(timeSpent)) || Number(timeSpent) < 0)) {
+      return res.status(400).json({ message: 'timeSpent must be a non-negative number of minutes' });
+    }
+
+    if (proofImages !== undefined && !Array.isArray(proofImages)) {
+      return res.status(400).json({ message: 'proofImages must be an array of image URLs' });
+    }
+
+    const booking = await prisma.booking.findFirst({
+      where: {
+        id: bookingId,
         maidId,
-        status: 'COMPLETED',
-        completedAt: {
-          gte: new Date(currentYear, currentMonth - 1, 1),
-          lt: new Date(currentYear, currentMonth, 1)
-        }
+        status: 'IN_PROGRESS'
       }
     });
 
-    // Update or create performance metric
-    await prisma.performanceMetric.upsert({
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found or not in progress' });
+    }
+
+    const taskCompletion = await prisma.taskCompletion.findUnique({
       where: {
-        maidId_month_year: {
-          maidId,
-          month: currentMonth,
-          year: currentYear
+        bookingId_taskId: {
+          bookingId,
+          taskId
         }
       },
-      update: {
-        completedBookings
+      include: { task: true }
+    });
+
+    if (!taskCompletion) {
+      return res.status(404).json({ message: 'Task not found for this booking' });
+    }
+
+    if (status === 'SKIPPED' && taskCompletion.task.isRequired) {
+      return res.status(400).json({ message: 'Required tasks cannot be skipped. Report an issue instead.' });
+    }
+
+    if (['SKIPPED', 'ISSUE_REPORTED'].includes(status) && !notes) {
+      return res.status(400).json({ message: 'notes are required when skipping a task or reporting an issue' });
+    }
+
+    const updatedTask = await prisma.taskCompletion.update({
+      where: { id: taskCompletion.id },
+      data: {
+        status,
+        completedAt: status === 'COMPLETED' ? new Date() : null,
+        ...(notes !== undefined && { notes }),
+        ...(timeSpent !== undefined && { timeSpent: parseInt(timeSpent) }),
+        ...(proofImages !== undefined && { proofImages }),
+        ...(verificationMethod !== undefined && { verificationMethod })
       },
-      create: {
-        maidId,
-        month: currentMonth,
-        year: currentYear,
-        completedBookings
-      }
+      include: { task: true }
+    });
+
+    res.json({
+      success: true,
+      data: updatedTask,
+      message: 'Task updated successfully'
     });
+  } catch (error) {
+    console.error('Error updating task status:', error);
+    res.status(500).json({ message: 'Failed to update task' });
+  }
+};
+
+// Helper function to load a booking's task checklist in service order
+async function getBookingTaskCompletions(bookingId) {
+  return prisma.taskCompletion.findMany({
+    where: { bookingId },
+    include: { task: true },
+    orderBy: {
+      task: { order: 'asc' }
+    }
+  });
+}
+
+// Helper function to record what the maid earned for a completed booking
+async function recordMaidEarning(bookingId) {
+  try {
+    await earningsService.recordBookingEarning(bookingId);
+  } catch (error) {
+    // The weekly payout run picks up bookings without an earning
+    console.error('Error recording maid earning:', error);
+  }
+}
+
+// Helper function to update maid performance
+async function updateMaidPerformance(maidId) {
+  try {
+    const currentDate = new Date();
 
     // Update maid profile completed bookings count
-    await prisma.maidProfile.update({
+    const maidProfile = await prisma.maidProfile.update({
       where: { userId: maidId },
       data: {
         completedBookings: {
@@ -342,6 +535,14 @@ async function updateMaidPerformance(maidId) {
       }
     });
 
+    // Refresh this month's metrics and the maid's performance score
+    await performanceService.computeMonthlyMetrics(
+      maidProfile,
+      currentDate.getMonth() + 1,
+      currentDate.getFullYear()
+    );
+    await performanceService.refreshPerformanceScore(maidProfile.id);
+
   } catch (error) {
     console.error('Error updating maid performance:', error);
   }
@@ -356,5 +557,7 @@ module.exports = {
   verifyStartOTP,
   completeService,
   getMaidAssignments,
-  generateEndOTP
+  generateEndOTP,
+  getBookingTasks,
+  updateTaskStatus
 };
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const maidDocumentService = require('../services/maidDocumentService');
+const notificationService = require('../services/notificationService');
+const { UPLOAD_DIR } = require('../middleware/upload');
+const prisma = new PrismaClient();
+
+const DOCUMENT_TYPES = [
+  'AADHAR_CARD', 'PAN_CARD', 'VOTER_ID', 'DRIVING_LICENSE', 'PASSPORT',
+  'ADDRESS_PROOF', 'POLICE_VERIFICATION', 'MEDICAL_CERTIFICATE', 'BANK_ACCOUNT_PROOF', 'PHOTO'
+];
+
+// Helper function to drop an uploaded file that will not be kept
+function removeUploadedFile(file) {
+  if (file) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+// Upload a KYC document (maid)
+const uploadDocument = async (req, res) => {
+  try {
+    const { type, documentNumber, expiryDate } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A document file is required' });
+    }
+
+    if (!DOCUMENT_TYPES.includes(type)) {
+      removeUploadedFile(req.file);
+      return res.status(400).json({
+        message: 'Invalid document type. Must be one of: ' + DOCUMENT_TYPES.join(', ')
+      });
+    }
+
+    let parsedExpiry = null;
+    if (expiryDate) {
+      parsedExpiry = new Date(expiryDate);
+      if (Number.isNaN(parsedExpiry.getTime()) || parsedExpiry <= new Date()) {
+        removeUploadedFile(req.file);
+        return res.status(400).json({ message: 'expiryDate must be a valid future date' });
+      }
+    }
+
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!maidProfile) {
+      removeUploadedFile(req.file);
+      return res.status(404).json({ message: 'Maid profile not found' });
+    }
+
+    const document = await prisma.maidDocument.create({
+      data: {
+        maidId: maidProfile.id,
+        type,
+        documentNumber,
+        // Stored relative to the upload directory
+        url: path.relative(UPLOAD_DIR, req.file.path),
+        expiryDate: parsedExpiry
+      }
+    });
+
+    await notificationService.sendToAdmins({
+      type: 'DOCUMENT_UPLOADED',
+      title: 'Document Awaiting Review',
+      message: `${req.user.name} uploaded a ${type} document for verification`,
+      data: {
+        documentId: document.id,
+        maidId: req.user.id,
+        documentType: type
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: document,
+      message: 'Document uploaded and sent for verification'
+    });
+  } catch (error) {
+    console.error('Error uploading document:', error);
+    removeUploadedFile(req.file);
+    res.status(500).json({ message: 'Failed to upload document' });
+  }
+};
+
+// Get the logged-in maid's documents and what is still required
+const getMyDocuments = async (req, res) => {
+  try {
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: req.user.id },
+      include: {
+        documents: {
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+
+    if (!maidProfile) {
+      return res.status(404).json({ message: 'Maid profile not found' });
+    }
+
+    const missingRequired = await maidDocumentService.getMissingRequiredDocuments(maidProfile.id);
+
+    res.json({
+      status: maidProfile.status,
+      documents: maidProfile.documents,
+      requiredTypes: maidDocumentService.getRequiredDocumentTypes(),
+      missingRequired
+    });
+  } catch (error) {
+    console.error('Error fetching documents:', error);
+    res.status(500).json({ message: 'Failed to fetch documents' });
+  }
+};
+
+// Download a document file (owning maid or admin)
+const getDocumentFile = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const document = await prisma.maidDocument.findUnique({
+      where: { id },
+      include: {
+        maid: {
+          select: { userId: true }
+        }
+      }
+    });
+
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (req.user.role !== 'ADMIN' && document.maid.userId !== req.user.id) {
+      return res.status(403).json({ message: 'You can only view your own documents' });
+    }
+
+    const filePath = path.resolve(UPLOAD_DIR, document.url);
+    if (!filePath.startsWith(UPLOAD_DIR) || !fs.existsSync(filePath)) {
+      return res.status(404).json({ message: 'Document file not found' });
+    }
+
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('Error fetching document file:', error);
+    res.status(500).json({ message: 'Failed to fetch document file' });
+  }
+};
+
+// Review queue of documents (admin)
+const getDocumentQueue = async (req, res) => {
+  try {
+    const { status = 'PENDING', type, maidId } = req.query;
+
+    const statusFilters = {
+      PENDING: { verified: false, rejectedAt: null },
+      VERIFIED: { verified: true },
+      REJECTED: { rejectedAt: { not: null } }
+    };
+
+    if (!statusFilters[status]) {
+      return res.status(400).json({ message: 'Invalid status. Must be one of: PENDING, VERIFIED, REJECTED' });
+    }
+
+    const documents = await prisma.maidDocument.findMany({
+      where: {
+        ...statusFilters[status],
+        ...(type && { type }),
+        ...(maidId && { maid: { userId: maidId } })
+      },
+      include: {
+        maid: {
+          select: {
+            id: true,
+            status: true,
+            user: {
+              select: { id: true, name: true, email: true, phone: true }
+            }
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(documents);
+  } catch (error) {
+    console.error('Error fetching document queue:', error);
+    res.status(500).json({ message: 'Failed to fetch document queue' });
+  }
+};
+
+// Approve or reject a document (admin)
+const reviewDocument = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { approved, reason } = req.body;
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ message: 'approved must be true or false' });
+    }
+
+    if (!approved && !reason) {
+      return res.status(400).json({ message: 'reason is required when rejecting a document' });
+    }
+
+    const existingDocument = await prisma.maidDocument.findUnique({
+      where: { id }
+    });
+
+    if (!existingDocument) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (existingDocument.verified || existingDocument.rejectedAt) {
+      return res.status(400).json({ message: 'Document has already been reviewed' });
+    }
+
+    const reviewData = approved
+      ? { verified: true, verifiedBy: req.user.id, verifiedAt: new Date() }
+      : { rejectedBy: req.user.id, rejectedAt: new Date(), rejectionReason: reason };
+
+    const document = await prisma.maidDocument.update({
+      where: { id },
+      data: reviewData,
+      include: {
+        maid: {
+          include: {
+            user: {
+              select: { id: true, name: true }
+            }
+          }
+        }
+      }
+    });
+
+    await notificationService.notifyMaidDocumentVerified(
+      document.maid,
+      document.type,
+      approved ? 'approved' : `rejected: ${reason}`
+    );
+
+    const maidActivated = approved
+      ? await maidDocumentService.activateIfVerified(document.maid)
+      : false;
+
+    res.json({
+      success: true,
+      data: document,
+      maidActivated,
+      message: approved ? 'Document verified' : 'Document rejected'
+    });
+  } catch (error) {
+    console.error('Error reviewing document:', error);
+    res.status(500).json({ message: 'Failed to review document' });
+  }
+};
+
+module.exports = {
+  uploadDocument,
+  getMyDocuments,
+  getDocumentFile,
+  getDocumentQueue,
+  reviewDocument
+};
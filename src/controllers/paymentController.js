@@ -1,6 +1,8 @@
 const { PrismaClient } = require('@prisma/client');
 const razorpayService = require('../services/razorpayService');
 const notificationService = require('../services/notificationService');
+const renewalService = require('../services/renewalService');
+const planChangeService = require('../services/planChangeService');
 const crypto = require('crypto');
 const prisma = new PrismaClient();
 
@@ -407,6 +409,11 @@ const createRazorpayBookingOrder = async (req, res) => {
       return res.status(404).json({ error: 'Booking not found or unauthorized' });
     }
 
+    // A session beyond the plan's quota is paid at the plan's overage price
+    if (booking.isOverage && amount !== booking.finalAmount) {
+      return res.status(400).json({ error: `This session is paid at ₹${booking.finalAmount}` });
+    }
+
     // Check if payment already exists
     const existingPayment = await prisma.payment.findFirst({
       where: { 
@@ -583,6 +590,43 @@ const processRefund = async (req, res) => {
   }
 };
 
+// Send a failed plan change refund again
+const retryPlanChangeRefund = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId }
+    });
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    if (payment.paymentType !== 'PLAN_CHANGE' || !payment.refundReason || payment.status !== 'FAILED') {
+      return res.status(400).json({ error: 'Only failed plan change refunds can be retried' });
+    }
+
+    const refundPayment = await planChangeService.retryRefund(paymentId);
+
+    if (!refundPayment) {
+      return res.status(409).json({ error: 'Refund is already being retried' });
+    }
+
+    const refunded = refundPayment.status === 'REFUNDED';
+
+    res.json({
+      success: refunded,
+      message: refunded ? 'Refund processed successfully' : 'Refund failed again',
+      payment: refundPayment
+    });
+
+  } catch (error) {
+    console.error('Error retrying plan change refund:', error);
+    res.status(500).json({ error: 'Failed to retry refund' });
+  }
+};
+
 // Get payment status from Razorpay
 const getPaymentStatus = async (req, res) => {
   try {
@@ -648,9 +692,36 @@ const handleRazorpayWebhook = async (req, res) => {
   }
 };
 
+// Helper function to find a renewal or plan change charge still waiting for Razorpay
+async function findPendingSubscriptionCharge(orderId) {
+  return prisma.payment.findFirst({
+    where: {
+      transactionId: orderId,
+      paymentType: { in: ['RENEWAL', 'PLAN_CHANGE'] },
+      status: 'PROCESSING'
+    }
+  });
+}
+
 // Webhook event handlers
 const handlePaymentCaptured = async (paymentEntity) => {
   try {
+    // Renewal charges also extend the subscription, plan change charges switch the plan
+    const subscriptionCharge = await findPendingSubscriptionCharge(paymentEntity.order_id);
+    if (subscriptionCharge && subscriptionCharge.paymentType === 'PLAN_CHANGE') {
+      await planChangeService.completePlanChangePayment(subscriptionCharge.id, { response: paymentEntity });
+      console.log(`Plan change payment captured: ${paymentEntity.id}`);
+      return;
+    }
+    if (subscriptionCharge) {
+      await renewalService.completeRenewal(subscriptionCharge.id, {
+        response: paymentEntity,
+        paymentMethod: razorpayService.mapRazorpayMethod(paymentEntity.method)
+      });
+      console.log(`Renewal payment captured: ${paymentEntity.id}`);
+      return;
+    }
+
     // Update payment status in database
     await prisma.payment.updateMany({
       where: { transactionId: paymentEntity.order_id },
@@ -669,6 +740,25 @@ const handlePaymentCaptured = async (paymentEntity) => {
 
 const handlePaymentFailed = async (paymentEntity) => {
   try {
+    // Failed renewal charges move the subscription into dunning, failed plan change charges keep the old plan
+    const subscriptionCharge = await findPendingSubscriptionCharge(paymentEntity.order_id);
+    if (subscriptionCharge && subscriptionCharge.paymentType === 'PLAN_CHANGE') {
+      await planChangeService.failPlanChangePayment(subscriptionCharge.id, {
+        response: paymentEntity,
+        error: paymentEntity.error_description
+      });
+      console.log(`Plan change payment failed: ${paymentEntity.id}`);
+      return;
+    }
+    if (subscriptionCharge) {
+      await renewalService.failRenewal(subscriptionCharge.id, {
+        response: paymentEntity,
+        error: paymentEntity.error_description
+      });
+      console.log(`Renewal payment failed: ${paymentEntity.id}`);
+      return;
+    }
+
     // Update payment status in database
     await prisma.payment.updateMany({
       where: { transactionId: paymentEntity.order_id },
@@ -733,6 +823,7 @@ module.exports = {
   verifyRazorpayPayment,
   handleRazorpayPaymentFailure,
   processRefund,
+  retryPlanChangeRefund,
   getPaymentStatus,
   handleRazorpayWebhook
 };
@@ -0,0 +1,109 @@
+const { PrismaClient } = require('@prisma/client');
+const performanceService = require('../services/performanceService');
+const permissionService = require('../services/permissionService');
+const prisma = new PrismaClient();
+
+const MAX_TREND_MONTHS = 24;
+
+// Helper function to read the number of trend months from the query
+function parseMonths(query) {
+  const months = query.months ? parseInt(query.months) : 6;
+  if (!Number.isInteger(months) || months < 1 || months > MAX_TREND_MONTHS) {
+    return null;
+  }
+  return months;
+}
+
+// Get the logged-in maid's performance trend
+const getMyPerformance = async (req, res) => {
+  try {
+    const months = parseMonths(req.query);
+    if (!months) {
+      return res.status(400).json({ message: `months must be between 1 and ${MAX_TREND_MONTHS}` });
+    }
+
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!maidProfile) {
+      return res.status(404).json({ message: 'Maid profile not found' });
+    }
+
+    const trend = await performanceService.getTrend(maidProfile.id, months);
+
+    res.json({
+      performanceScore: maidProfile.performanceScore,
+      trend
+    });
+  } catch (error) {
+    console.error('Error fetching performance:', error);
+    res.status(500).json({ message: 'Failed to fetch performance' });
+  }
+};
+
+// Get a maid's monthly performance trend (admin, maidId is the maid's user id)
+const getMaidPerformanceTrend = async (req, res) => {
+  try {
+    const { maidId } = req.params;
+    const months = parseMonths(req.query);
+    if (!months) {
+      return res.status(400).json({ message: `months must be between 1 and ${MAX_TREND_MONTHS}` });
+    }
+
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: maidId },
+      include: {
+        user: {
+          select: { id: true, name: true, email: true }
+        }
+      }
+    });
+
+    if (!maidProfile || !(await permissionService.isMaidInScope(maidId, req.zoneScope))) {
+      return res.status(404).json({ message: 'Maid not found' });
+    }
+
+    const trend = await performanceService.getTrend(maidProfile.id, months);
+
+    res.json({
+      maid: maidProfile.user,
+      performanceScore: maidProfile.performanceScore,
+      rating: maidProfile.rating,
+      trend
+    });
+  } catch (error) {
+    console.error('Error fetching performance trend:', error);
+    res.status(500).json({ message: 'Failed to fetch performance trend' });
+  }
+};
+
+// Recompute all maids' metrics for a month (admin)
+const recomputePerformance = async (req, res) => {
+  try {
+    const now = new Date();
+    const month = req.body.month ? parseInt(req.body.month) : now.getMonth() + 1;
+    const year = req.body.year ? parseInt(req.body.year) : now.getFullYear();
+
+    if (!Number.isInteger(month) || month < 1 || month > 12 || !Number.isInteger(year)) {
+      return res.status(400).json({ message: 'Invalid month or year' });
+    }
+
+    const result = await performanceService.computeAllMaids(month, year);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Performance metrics updated for ${result.updated} maid(s)`
+    });
+  } catch (error) {
+    console.error('Error recomputing performance:', error);
+    res.status(500).json({ message: 'Failed to recompute performance' });
+  }
+};
+
+module.exports = {
+  getMyPerformance,
+  getMaidPerformanceTrend,
+  recomputePerformance
+};
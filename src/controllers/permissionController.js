@@ -0,0 +1,172 @@
+const { PrismaClient } = require('@prisma/client');
+const permissionService = require('../services/permissionService');
+const auditService = require('../services/auditService');
+const prisma = new PrismaClient();
+
+const STAFF_ROLES = ['ADMIN', 'SUPERVISOR'];
+
+// Helper function to load a staff user with their admin profile and zones
+async function findStaffUser(userId) {
+  return prisma.user.findFirst({
+    where: {
+      id: userId,
+      role: { in: STAFF_ROLES }
+    },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      role: true,
+      adminProfile: {
+        include: {
+          supervisedZones: {
+            select: { id: true, name: true }
+          }
+        }
+      }
+    }
+  });
+}
+
+// Helper function to describe a staff user's access
+async function describeAccess(user) {
+  const access = await permissionService.getAccess(user);
+
+  return {
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    },
+    permissions: [...access.permissions].sort(),
+    overrides: user.adminProfile?.permissions || {},
+    zones: user.adminProfile?.supervisedZones || [],
+    zoneRestricted: Boolean(access.zoneIds)
+  };
+}
+
+// List every permission and the supervisor defaults (admin)
+const getPermissionCatalogue = async (req, res) => {
+  try {
+    res.json(permissionService.getCatalogue());
+  } catch (error) {
+    console.error('Error fetching permissions:', error);
+    res.status(500).json({ message: 'Failed to fetch permissions' });
+  }
+};
+
+// Get a staff member's effective permissions and zones (admin)
+const getStaffPermissions = async (req, res) => {
+  try {
+    const user = await findStaffUser(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json({ message: 'Admin or supervisor not found' });
+    }
+
+    res.json(await describeAccess(user));
+  } catch (error) {
+    console.error('Error fetching staff permissions:', error);
+    res.status(500).json({ message: 'Failed to fetch staff permissions' });
+  }
+};
+
+// Grant or revoke permissions and set supervised zones (admin)
+const updateStaffPermissions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { permissions, zoneIds } = req.body;
+
+    if (permissions !== undefined) {
+      if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+        return res.status(400).json({ message: 'permissions must be an object of permission names to true or false' });
+      }
+
+      const invalid = Object.keys(permissions).filter(name => !permissionService.isValidPermission(name));
+      if (invalid.length > 0) {
+        return res.status(400).json({ message: 'Unknown permission(s): ' + invalid.join(', ') });
+      }
+
+      if (Object.values(permissions).some(value => typeof value !== 'boolean')) {
+        return res.status(400).json({ message: 'Permission values must be true or false' });
+      }
+    }
+
+    if (zoneIds !== undefined && (!Array.isArray(zoneIds) || zoneIds.some(zoneId => typeof zoneId !== 'string'))) {
+      return res.status(400).json({ message: 'zoneIds must be an array of zone ids' });
+    }
+
+    const existingUser = await findStaffUser(userId);
+
+    if (!existingUser) {
+      return res.status(404).json({ message: 'Admin or supervisor not found' });
+    }
+
+    if (existingUser.role !== 'SUPERVISOR') {
+      return res.status(400).json({ message: 'Admins have every permission; only supervisors can be restricted' });
+    }
+
+    if (zoneIds && zoneIds.length > 0) {
+      const zoneCount = await prisma.zone.count({
+        where: { id: { in: zoneIds } }
+      });
+      if (zoneCount !== new Set(zoneIds).size) {
+        return res.status(400).json({ message: 'One or more zones were not found' });
+      }
+    }
+
+    // Overrides are merged so a request only needs to name what changes
+    const mergedPermissions = {
+      ...(existingUser.adminProfile?.permissions || {}),
+      ...(permissions || {})
+    };
+    const zoneConnections = zoneIds && zoneIds.map(id => ({ id }));
+
+    await prisma.adminProfile.upsert({
+      where: { userId },
+      update: {
+        permissions: mergedPermissions,
+        ...(zoneConnections && { supervisedZones: { set: zoneConnections } })
+      },
+      create: {
+        userId,
+        permissions: mergedPermissions,
+        ...(zoneConnections && { supervisedZones: { connect: zoneConnections } })
+      }
+    });
+
+    const updatedUser = await findStaffUser(userId);
+    const access = await describeAccess(updatedUser);
+
+    await auditService.log({
+      req,
+      action: 'STAFF_PERMISSIONS_UPDATED',
+      resource: 'User',
+      resourceId: userId,
+      oldValues: {
+        overrides: existingUser.adminProfile?.permissions || {},
+        zoneIds: (existingUser.adminProfile?.supervisedZones || []).map(zone => zone.id)
+      },
+      newValues: {
+        overrides: access.overrides,
+        zoneIds: access.zones.map(zone => zone.id)
+      }
+    });
+
+    res.json({
+      success: true,
+      data: access,
+      message: 'Permissions updated'
+    });
+  } catch (error) {
+    console.error('Error updating staff permissions:', error);
+    res.status(500).json({ message: 'Failed to update staff permissions' });
+  }
+};
+
+module.exports = {
+  getPermissionCatalogue,
+  getStaffPermissions,
+  updateStaffPermissions
+};
@@ -1,5 +1,13 @@
 const { PrismaClient } = require('@prisma/client');
 const notificationService = require('../services/notificationService');
+const configService = require('../services/configService');
+const renewalService = require('../services/renewalService');
+const planChangeService = require('../services/planChangeService');
+const subscriptionPauseService = require('../services/subscriptionPauseService');
+const sessionUsageService = require('../services/sessionUsageService');
+const { PauseNotAllowedError } = subscriptionPauseService;
+const subscriptionLifecycleService = require('../services/subscriptionLifecycleService');
+const { InvalidSubscriptionTransitionError } = subscriptionLifecycleService;
 const prisma = new PrismaClient();
 
 // Get all subscription plans
@@ -42,16 +50,14 @@ const subscribeToPlan = async (req, res) => {
 
     const customerId = customerProfile.id;
 
+    await subscriptionLifecycleService.expireIfEnded(customerId);
+
     // Check if user already has an active subscription
-    const existingSubscription = await prisma.subscription.findFirst({
-      where: {
-        customerId,
-        status: 'ACTIVE',
-        endDate: { gte: new Date() }
-      }
+    const existingSubscription = await prisma.subscription.findUnique({
+      where: { customerId }
     });
 
-    if (existingSubscription) {
+    if (existingSubscription && ['ACTIVE', 'SUSPENDED', 'PAUSED'].includes(existingSubscription.status)) {
       return res.status(400).json({
         message: 'You already have an active subscription'
       });
@@ -71,20 +77,51 @@ const subscribeToPlan = async (req, res) => {
     const endDate = new Date();
     endDate.setMonth(startDate.getMonth() + plan.duration);
 
-    // Create subscription (initially pending payment)
-    const subscription = await prisma.subscription.create({
-      data: {
-        customerId,
-        planId,
-        status: 'PENDING_PAYMENT',
-        startDate,
-        endDate,
-        billingCycle: 'MONTHLY',
-        amount: plan.finalPrice,
-        discount: plan.basePrice - plan.finalPrice,
-        autoRenew: true,
-        nextBillDate: new Date(startDate.getTime() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
-      },
+    const subscriptionData = {
+      planId,
+      startDate,
+      endDate,
+      billingCycle: 'MONTHLY',
+      amount: plan.finalPrice,
+      discount: plan.basePrice - plan.finalPrice,
+      autoRenew: true,
+      nextBillDate: new Date(startDate.getTime() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
+      renewalAttempts: 0,
+      nextRenewalAttemptAt: null,
+      gracePeriodEndsAt: null,
+      lastRenewalError: null
+    };
+
+    // Create subscription (initially pending payment); a customer keeps one subscription
+    // record, so an unpaid, expired or cancelled one is restarted instead
+    let subscriptionId;
+    if (!existingSubscription) {
+      const created = await prisma.subscription.create({
+        data: {
+          customerId,
+          status: 'PENDING_PAYMENT',
+          ...subscriptionData
+        }
+      });
+      subscriptionId = created.id;
+    } else if (existingSubscription.status === 'PENDING_PAYMENT') {
+      await prisma.subscription.update({
+        where: { id: existingSubscription.id },
+        data: subscriptionData
+      });
+      subscriptionId = existingSubscription.id;
+    } else {
+      await planChangeService.cancelScheduledChanges(existingSubscription.id);
+      await subscriptionLifecycleService.transition(existingSubscription.id, 'PENDING_PAYMENT', {
+        reason: 'Subscribed again',
+        actorId: userId,
+        data: subscriptionData
+      });
+      subscriptionId = existingSubscription.id;
+    }
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: subscriptionId },
       include: {
         plan: {
           include: {
@@ -116,6 +153,9 @@ const subscribeToPlan = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof InvalidSubscriptionTransitionError) {
+      return res.status(409).json({ message: error.message });
+    }
     console.error('Error subscribing to plan:', error);
     res.status(500).json({ message: 'Failed to subscribe to plan' });
   }
@@ -135,12 +175,13 @@ const getUserSubscription = async (req, res) => {
       return res.status(404).json({ message: 'Customer profile not found' });
     }
 
-    // First check for active subscription
+    await subscriptionLifecycleService.expireIfEnded(customerProfile.id);
+
+    // First check for active (or suspended or paused) subscription
     let subscription = await prisma.subscription.findFirst({
       where: {
         customerId: customerProfile.id,
-        status: 'ACTIVE',
-        endDate: { gte: new Date() }
+        status: { in: ['ACTIVE', 'SUSPENDED', 'PAUSED'] }
       },
       include: {
         plan: {
@@ -152,6 +193,28 @@ const getUserSubscription = async (req, res) => {
           orderBy: {
             createdAt: 'desc'
           }
+        },
+        statusChanges: {
+          orderBy: {
+            createdAt: 'desc'
+          },
+          take: 10
+        },
+        planChanges: {
+          where: {
+            status: { in: ['PENDING_PAYMENT', 'SCHEDULED'] }
+          },
+          include: {
+            toPlan: true
+          }
+        },
+        pauses: {
+          where: {
+            status: { in: ['SCHEDULED', 'ACTIVE'] }
+          },
+          orderBy: {
+            startDate: 'asc'
+          }
         }
       }
     });
@@ -182,7 +245,12 @@ const getUserSubscription = async (req, res) => {
       return res.status(404).json({ message: 'No subscription found' });
     }
 
-    res.json(subscription);
+    // Sessions left in the current billing period, once the subscription is running
+    const sessions = subscription.status === 'PENDING_PAYMENT'
+      ? null
+      : await sessionUsageService.getUsageSummary(subscription);
+
+    res.json({ ...subscription, sessions });
   } catch (error) {
     console.error('Error fetching subscription:', error);
     res.status(500).json({ message: 'Failed to fetch subscription' });
@@ -204,12 +272,14 @@ const confirmNextDayService = async (req, res) => {
       return res.status(404).json({ message: 'Customer profile not found' });
     }
 
-    // Check if user has active subscription
+    await subscriptionLifecycleService.expireIfEnded(customerProfile.id);
+
+    // Check if user has active (or paused) subscription
     const subscription = await prisma.subscription.findFirst({
       where: {
         customerId: customerProfile.id,
-        status: 'ACTIVE',
-        endDate: { gte: new Date() }
+        status: { in: ['ACTIVE', 'PAUSED'] },
+        endDate: { gte: subscriptionLifecycleService.renewalGraceCutoff() }
       },
       include: {
         plan: {
@@ -224,51 +294,71 @@ const confirmNextDayService = async (req, res) => {
       return res.status(404).json({ message: 'No active subscription found' });
     }
 
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    // No service while the customer is on a break
+    const pause = await subscriptionPauseService.findPauseCovering(subscription.id, tomorrow);
+    if (pause) {
+      return res.status(409).json({
+        message: `Your subscription is paused until ${pause.endDate.toDateString()}`,
+        pause
+      });
+    }
+
     if (confirm) {
       // Create booking for tomorrow
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      tomorrow.setHours(9, 0, 0, 0); // Default to 9 AM
+      const [hours, minutes] = configService.get('subscription.defaultServiceTime').split(':').map(Number);
+      tomorrow.setHours(hours, minutes, 0, 0);
 
       // Get user's address
       const user = await prisma.user.findUnique({
         where: { id: userId }
       });
 
-      const booking = await prisma.booking.create({
-        data: {
-          customerId: userId,
-          serviceId: subscription.plan.serviceId,
-          scheduledAt: tomorrow,
-          serviceAddress: user.address || 'Address not provided',
-          status: 'CONFIRMED',
-          estimatedDuration: subscription.plan.service.baseDuration,
-          totalAmount: subscription.plan.finalPrice / subscription.plan.sessionsPerMonth,
-          finalAmount: subscription.plan.finalPrice / subscription.plan.sessionsPerMonth,
-          discount: 0,
-          specialInstructions: 'Subscription-based daily service'
-        },
-        include: {
-          service: true,
-          customer: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-              phone: true,
-              address: true
-            }
+      // Use a session from the plan; beyond the quota the plan either refuses or charges the session
+      const { booking, isOverage, reason } = await sessionUsageService.bookSession(subscription, tomorrow, {
+        customerId: userId,
+        serviceId: subscription.plan.serviceId,
+        scheduledAt: tomorrow,
+        serviceAddress: user.address || 'Address not provided',
+        status: 'CONFIRMED',
+        estimatedDuration: subscription.plan.service.baseDuration,
+        totalAmount: subscription.plan.finalPrice / subscription.plan.sessionsPerMonth,
+        finalAmount: subscription.plan.finalPrice / subscription.plan.sessionsPerMonth,
+        discount: 0,
+        specialInstructions: 'Subscription-based daily service'
+      }, {
+        service: true,
+        customer: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            phone: true,
+            address: true
           }
         }
       });
 
+      if (!booking) {
+        return res.status(403).json({
+          message: sessionUsageService.describeLimit(subscription.plan, reason),
+          quotaExceeded: true,
+          sessions: await sessionUsageService.getUsageSummary(subscription)
+        });
+      }
+
       // Send notification for booking creation
       await notificationService.notifyBookingCreated(booking);
 
       res.json({
         success: true,
-        message: 'Service confirmed for tomorrow',
-        booking
+        message: isOverage
+          ? `Service booked for tomorrow. This session is beyond your plan's quota; pay ₹${subscription.plan.overagePrice} to confirm it.`
+          : 'Service confirmed for tomorrow',
+        booking,
+        ...(isOverage && { requiresPayment: true })
       });
     } else {
       res.json({
@@ -324,6 +414,10 @@ const completeSubscriptionPayment = async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized access to subscription' });
     }
 
+    if (!subscriptionLifecycleService.canTransition(payment.subscription.status, 'ACTIVE')) {
+      return res.status(409).json({ error: `Subscription is already ${payment.subscription.status.toLowerCase()}` });
+    }
+
     // Update payment status
     await prisma.payment.update({
       where: { id: paymentId },
@@ -335,12 +429,14 @@ const completeSubscriptionPayment = async (req, res) => {
       }
     });
 
-    // Activate subscription
-    const subscription = await prisma.subscription.update({
+    // Activate subscription (notifies the customer and admins)
+    await subscriptionLifecycleService.transition(subscriptionId, 'ACTIVE', {
+      reason: 'Subscription payment completed',
+      actorId: userId
+    });
+
+    const subscription = await prisma.subscription.findUnique({
       where: { id: subscriptionId },
-      data: {
-        status: 'ACTIVE'
-      },
       include: {
         plan: {
           include: {
@@ -355,9 +451,6 @@ const completeSubscriptionPayment = async (req, res) => {
       }
     });
 
-    // Send notification for subscription activation
-    await notificationService.notifySubscriptionCreated(subscription);
-
     res.json({
       success: true,
       message: 'Subscription activated successfully',
@@ -365,6 +458,9 @@ const completeSubscriptionPayment = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof InvalidSubscriptionTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error('Error completing subscription payment:', error);
     res.status(500).json({ error: 'Failed to complete subscription payment' });
   }
@@ -384,50 +480,350 @@ const cancelSubscription = async (req, res) => {
       return res.status(404).json({ message: 'Customer profile not found' });
     }
 
-    // Get the subscription details before cancelling
     const existingSubscription = await prisma.subscription.findFirst({
+      where: {
+        customerId: customerProfile.id,
+        status: { in: ['PENDING_PAYMENT', 'ACTIVE', 'SUSPENDED', 'PAUSED'] }
+      }
+    });
+
+    if (!existingSubscription) {
+      return res.status(404).json({ message: 'No subscription to cancel' });
+    }
+
+    // Notifies the customer and admins
+    await subscriptionLifecycleService.transition(existingSubscription.id, 'CANCELLED', {
+      reason: 'Cancelled by user',
+      actorId: userId,
+      data: { autoRenew: false }
+    });
+
+    res.json({
+      success: true,
+      message: 'Subscription cancelled successfully'
+    });
+
+  } catch (error) {
+    if (error instanceof InvalidSubscriptionTransitionError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Error cancelling subscription:', error);
+    res.status(500).json({ message: 'Failed to cancel subscription' });
+  }
+};
+
+// Retry a failed renewal charge now, e.g. after updating the payment method
+const retryRenewalPayment = async (req, res) => {
+  try {
+    const customerProfile = await prisma.customerProfile.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!customerProfile) {
+      return res.status(404).json({ message: 'Customer profile not found' });
+    }
+
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        customerId: customerProfile.id,
+        status: { in: ['ACTIVE', 'SUSPENDED'] },
+        renewalAttempts: { gt: 0 }
+      }
+    });
+
+    if (!subscription) {
+      return res.status(400).json({ message: 'There is no failed renewal payment to retry' });
+    }
+
+    const result = await renewalService.attemptRenewal(subscription.id);
+
+    if (result.status === 'SKIPPED') {
+      return res.status(409).json({ message: 'A renewal payment is already being processed' });
+    }
+
+    const updatedSubscription = await prisma.subscription.findUnique({
+      where: { id: subscription.id }
+    });
+
+    const messages = {
+      SUCCEEDED: 'Subscription renewed successfully',
+      PENDING: 'Renewal payment started; the subscription renews once the payment is confirmed',
+      FAILED: 'Renewal payment failed'
+    };
+
+    res.status(result.status === 'FAILED' ? 402 : 200).json({
+      success: result.status !== 'FAILED',
+      message: messages[result.status],
+      data: {
+        payment: result.payment,
+        subscription: updatedSubscription
+      }
+    });
+  } catch (error) {
+    console.error('Error retrying renewal payment:', error);
+    res.status(500).json({ message: 'Failed to retry renewal payment' });
+  }
+};
+
+// Switch to another plan, either now with a prorated charge or refund, or at the next billing date
+const changePlan = async (req, res) => {
+  try {
+    const { planId, timing = 'IMMEDIATELY' } = req.body;
+    const userId = req.user.id;
+
+    const customerProfile = await prisma.customerProfile.findUnique({
+      where: { userId }
+    });
+
+    if (!customerProfile) {
+      return res.status(404).json({ message: 'Customer profile not found' });
+    }
+
+    await subscriptionLifecycleService.expireIfEnded(customerProfile.id);
+
+    const subscription = await prisma.subscription.findFirst({
       where: {
         customerId: customerProfile.id,
         status: 'ACTIVE'
       },
       include: {
-        plan: {
+        plan: true,
+        customer: {
           include: {
-            service: true
+            user: {
+              select: { id: true, name: true, email: true, phone: true }
+            }
           }
-        },
-        customer: {
+        }
+      }
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ message: 'No active subscription to change' });
+    }
+
+    if (subscription.renewalAttempts > 0) {
+      return res.status(409).json({ message: 'Settle the failed renewal payment before changing plans' });
+    }
+
+    const inFlight = await prisma.payment.findFirst({
+      where: {
+        subscriptionId: subscription.id,
+        paymentType: { in: ['RENEWAL', 'PLAN_CHANGE'] },
+        status: 'PROCESSING'
+      }
+    });
+
+    if (inFlight) {
+      return res.status(409).json({ message: 'A payment for this subscription is already being processed' });
+    }
+
+    const plan = await prisma.servicePlan.findUnique({
+      where: { id: planId }
+    });
+
+    if (!plan || !plan.isActive) {
+      return res.status(404).json({ message: 'Plan not found' });
+    }
+
+    // Choosing the current plan again withdraws a scheduled change
+    if (plan.id === subscription.planId) {
+      const cancelled = await planChangeService.cancelScheduledChanges(subscription.id);
+      if (cancelled === 0) {
+        return res.status(400).json({ message: 'You are already on this plan' });
+      }
+      return res.json({
+        success: true,
+        message: 'Scheduled plan change cancelled'
+      });
+    }
+
+    if (timing === 'NEXT_BILLING_DATE') {
+      if (!subscription.autoRenew || !subscription.nextBillDate) {
+        return res.status(400).json({ message: 'Only subscriptions that auto-renew can change plans at the next billing date' });
+      }
+
+      const planChange = await planChangeService.schedulePlanChange(subscription, plan, userId);
+
+      return res.json({
+        success: true,
+        message: `Your plan will change to ${plan.name} on the next billing date`,
+        data: { planChange }
+      });
+    }
+
+    const result = await planChangeService.changePlanNow(subscription, plan, userId);
+
+    const updatedSubscription = await prisma.subscription.findUnique({
+      where: { id: subscription.id },
+      include: {
+        plan: {
           include: {
-            user: true
+            service: true
           }
         }
       }
     });
 
-    const subscription = await prisma.subscription.updateMany({
+    const messages = {
+      APPLIED: 'Plan changed successfully',
+      PENDING: 'Plan change payment started; the plan changes once the payment is confirmed',
+      FAILED: 'Plan change payment failed'
+    };
+
+    res.status(result.status === 'FAILED' ? 402 : 200).json({
+      success: result.status !== 'FAILED',
+      message: messages[result.status],
+      data: {
+        planChange: result.planChange,
+        payment: result.payment,
+        subscription: updatedSubscription
+      }
+    });
+  } catch (error) {
+    console.error('Error changing plan:', error);
+    res.status(500).json({ message: 'Failed to change plan' });
+  }
+};
+
+// Pause the subscription for a date range (vacation), pushing its end and next bill back
+const pauseSubscription = async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+    const userId = req.user.id;
+
+    const customerProfile = await prisma.customerProfile.findUnique({
+      where: { userId }
+    });
+
+    if (!customerProfile) {
+      return res.status(404).json({ message: 'Customer profile not found' });
+    }
+
+    await subscriptionLifecycleService.expireIfEnded(customerProfile.id);
+
+    const subscription = await prisma.subscription.findFirst({
       where: {
         customerId: customerProfile.id,
         status: 'ACTIVE'
       },
-      data: {
-        status: 'CANCELLED',
-        autoRenew: false
+      include: {
+        plan: true,
+        customer: true
       }
     });
 
-    // Send notification for subscription cancellation
-    if (existingSubscription) {
-      await notificationService.notifySubscriptionCancelled(existingSubscription, 'Cancelled by user');
+    if (!subscription) {
+      return res.status(404).json({ message: 'No active subscription to pause' });
     }
 
-    res.json({
+    if (subscription.renewalAttempts > 0) {
+      return res.status(409).json({ message: 'Settle the failed renewal payment before pausing' });
+    }
+
+    let pause;
+    try {
+      pause = await subscriptionPauseService.schedulePause(
+        subscription,
+        // Whole days in server time, like booking dates
+        { startDate: new Date(`${startDate}T00:00:00`), endDate: new Date(`${endDate}T00:00:00`), reason },
+        userId
+      );
+    } catch (error) {
+      if (error instanceof PauseNotAllowedError) {
+        return res.status(400).json({ message: error.message, ...error.details });
+      }
+      throw error;
+    }
+
+    const updatedSubscription = await prisma.subscription.findUnique({
+      where: { id: subscription.id }
+    });
+
+    res.status(201).json({
       success: true,
-      message: 'Subscription cancelled successfully'
+      message: `Subscription paused from ${pause.startDate.toDateString()} to ${pause.endDate.toDateString()}`,
+      data: {
+        pause,
+        subscription: updatedSubscription
+      }
+    });
+  } catch (error) {
+    console.error('Error pausing subscription:', error);
+    res.status(500).json({ message: 'Failed to pause subscription' });
+  }
+};
+
+// Helper function to cancel a scheduled pause and answer with the subscription
+async function respondWithCancelledPause(res, pause) {
+  if (pause.status !== 'SCHEDULED') {
+    return res.status(400).json({ message: 'Only pauses that have not started can be cancelled' });
+  }
+
+  const cancelledPause = await subscriptionPauseService.cancelPause(pause.id);
+
+  if (!cancelledPause) {
+    return res.status(409).json({ message: 'The pause has already started or been cancelled' });
+  }
+
+  const subscription = await prisma.subscription.findUnique({
+    where: { id: cancelledPause.subscriptionId }
+  });
+
+  res.json({
+    success: true,
+    message: 'Pause cancelled',
+    data: {
+      pause: cancelledPause,
+      subscription
+    }
+  });
+}
+
+// Cancel one of the customer's own scheduled pauses
+const cancelPause = async (req, res) => {
+  try {
+    const customerProfile = await prisma.customerProfile.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!customerProfile) {
+      return res.status(404).json({ message: 'Customer profile not found' });
+    }
+
+    const pause = await prisma.subscriptionPause.findFirst({
+      where: {
+        id: req.params.id,
+        subscription: { customerId: customerProfile.id }
+      }
     });
 
+    if (!pause) {
+      return res.status(404).json({ message: 'Pause not found' });
+    }
+
+    await respondWithCancelledPause(res, pause);
   } catch (error) {
-    console.error('Error cancelling subscription:', error);
-    res.status(500).json({ message: 'Failed to cancel subscription' });
+    console.error('Error cancelling pause:', error);
+    res.status(500).json({ message: 'Failed to cancel pause' });
+  }
+};
+
+// Cancel any customer's scheduled pause (admin)
+const cancelSubscriptionPause = async (req, res) => {
+  try {
+    const pause = await prisma.subscriptionPause.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!pause) {
+      return res.status(404).json({ message: 'Pause not found' });
+    }
+
+    await respondWithCancelledPause(res, pause);
+  } catch (error) {
+    console.error('Error cancelling pause:', error);
+    res.status(500).json({ message: 'Failed to cancel pause' });
   }
 };
 
@@ -451,12 +847,14 @@ const checkSubscriptionStatus = async (req, res) => {
       });
     }
 
+    await subscriptionLifecycleService.expireIfEnded(customerProfile.id);
+
     // Check for active subscription
     const subscription = await prisma.subscription.findFirst({
       where: {
         customerId: customerProfile.id,
         status: 'ACTIVE',
-        endDate: { gte: new Date() }
+        endDate: { gte: subscriptionLifecycleService.renewalGraceCutoff() }
       },
       include: {
         plan: {
@@ -470,6 +868,7 @@ const checkSubscriptionStatus = async (req, res) => {
     res.json({
       hasActiveSubscription: !!subscription,
       subscription: subscription || null,
+      sessions: subscription ? await sessionUsageService.getUsageSummary(subscription) : null,
       message: subscription 
         ? 'Active subscription found' 
         : 'No active subscription found. Payment will be required for bookings.'
@@ -488,5 +887,10 @@ module.exports = {
   confirmNextDayService,
   completeSubscriptionPayment,
   cancelSubscription,
+  retryRenewalPayment,
+  changePlan,
+  pauseSubscription,
+  cancelPause,
+  cancelSubscriptionPause,
   checkSubscriptionStatus
 };
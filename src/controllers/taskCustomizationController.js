@@ -0,0 +1,192 @@
+const { PrismaClient } = require('@prisma/client');
+const taskService = require('../services/taskService');
+const subscriptionLifecycleService = require('../services/subscriptionLifecycleService');
+const prisma = new PrismaClient();
+
+const MAX_NOTES_LENGTH = 500;
+
+// Helper function to load the customer's profile and active subscription service
+async function getSubscribedService(userId) {
+  const customerProfile = await prisma.customerProfile.findUnique({
+    where: { userId }
+  });
+
+  if (!customerProfile) {
+    return { customerProfile: null, serviceId: null };
+  }
+
+  await subscriptionLifecycleService.expireIfEnded(customerProfile.id);
+
+  const subscription = await prisma.subscription.findFirst({
+    where: {
+      customerId: customerProfile.id,
+      status: { in: ['ACTIVE', 'PAUSED'] },
+      endDate: { gte: subscriptionLifecycleService.renewalGraceCutoff() }
+    },
+    include: { plan: true }
+  });
+
+  return {
+    customerProfile,
+    serviceId: subscription ? subscription.plan.serviceId : null
+  };
+}
+
+// Get the task list of the customer's recurring service with their customizations
+const getMyTaskList = async (req, res) => {
+  try {
+    const { serviceId } = await getSubscribedService(req.user.id);
+
+    if (!serviceId) {
+      return res.status(404).json({ message: 'No active subscription found' });
+    }
+
+    const tasks = await taskService.getCustomerTaskList(
+      serviceId,
+      req.user.id,
+      req.user.languagePreferences?.[0],
+      { includeDisabled: true }
+    );
+
+    res.json({ serviceId, tasks });
+  } catch (error) {
+    console.error('Error fetching task list:', error);
+    res.status(500).json({ message: 'Failed to fetch task list' });
+  }
+};
+
+// Customize or disable a task of the customer's recurring service
+const upsertTaskCustomization = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { disabled, notes, extraChecklist } = req.body;
+
+    if (disabled === undefined && notes === undefined && extraChecklist === undefined) {
+      return res.status(400).json({ message: 'Provide at least one of disabled, notes or extraChecklist' });
+    }
+
+    if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH)) {
+      return res.status(400).json({ message: `notes must be text of at most ${MAX_NOTES_LENGTH} characters` });
+    }
+
+    if (extraChecklist !== undefined &&
+      (!Array.isArray(extraChecklist) || extraChecklist.some(item => typeof item !== 'string'))) {
+      return res.status(400).json({ message: 'extraChecklist must be an array of strings' });
+    }
+
+    const { customerProfile, serviceId } = await getSubscribedService(req.user.id);
+
+    if (!serviceId) {
+      return res.status(404).json({ message: 'No active subscription found' });
+    }
+
+    const task = await prisma.task.findUnique({
+      where: { id: taskId }
+    });
+
+    if (!task || task.serviceId !== serviceId) {
+      return res.status(404).json({ message: 'Task not found in your subscribed service' });
+    }
+
+    if (disabled && task.isRequired) {
+      return res.status(400).json({ message: 'Required tasks cannot be disabled' });
+    }
+
+    const existing = await prisma.taskCustomization.findUnique({
+      where: {
+        customerId_taskId: {
+          customerId: customerProfile.id,
+          taskId
+        }
+      }
+    });
+
+    // Fields left out keep their saved value; empty notes or checklist clear it.
+    // A removed customization starts over.
+    const modifications = existing && existing.isActive ? { ...existing.modifications } : {};
+    if (disabled !== undefined) {
+      modifications.disabled = Boolean(disabled);
+    }
+    if (notes !== undefined) {
+      if (notes && notes.trim()) {
+        modifications.notes = notes.trim();
+      } else {
+        delete modifications.notes;
+      }
+    }
+    if (extraChecklist !== undefined) {
+      if (extraChecklist.length > 0) {
+        modifications.extraChecklist = extraChecklist;
+      } else {
+        delete modifications.extraChecklist;
+      }
+    }
+
+    const customization = await prisma.taskCustomization.upsert({
+      where: {
+        customerId_taskId: {
+          customerId: customerProfile.id,
+          taskId
+        }
+      },
+      update: {
+        modifications,
+        isActive: true
+      },
+      create: {
+        customerId: customerProfile.id,
+        taskId,
+        modifications
+      },
+      include: { task: true }
+    });
+
+    res.json({
+      success: true,
+      data: customization,
+      message: 'Task customization saved'
+    });
+  } catch (error) {
+    console.error('Error saving task customization:', error);
+    res.status(500).json({ message: 'Failed to save task customization' });
+  }
+};
+
+// Remove a task customization, restoring the default task
+const removeTaskCustomization = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const customerProfile = await prisma.customerProfile.findUnique({
+      where: { userId: req.user.id }
+    });
+
+    if (!customerProfile) {
+      return res.status(404).json({ message: 'Task customization not found' });
+    }
+
+    const { count } = await prisma.taskCustomization.updateMany({
+      where: {
+        customerId: customerProfile.id,
+        taskId,
+        isActive: true
+      },
+      data: { isActive: false }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: 'Task customization not found' });
+    }
+
+    res.json({ message: 'Task customization removed' });
+  } catch (error) {
+    console.error('Error removing task customization:', error);
+    res.status(500).json({ message: 'Failed to remove task customization' });
+  }
+};
+
+module.exports = {
+  getMyTaskList,
+  upsertTaskCustomization,
+  removeTaskCustomization
+};
@@ -1,111 +1,9 @@
 const { PrismaClient } = require('@prisma/client');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const notificationService = require('../services/notificationService');
+const tokenService = require('../services/tokenService');
 
 const prisma = new PrismaClient();
 
-const register = async (req, res) => {
-  try {
-    const { email, password, name, phone, address, role } = req.body;
-
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email }
-    });
-
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
-
-    // Check if phone already exists
-    const existingPhone = await prisma.user.findUnique({
-      where: { phone }
-    });
-    if (existingPhone) {
-      return res.status(400).json({ error: 'Phone number already registered' });
-    }
-
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    // Create user
-    const user = await prisma.user.create({
-      data: {
-        email,
-        password: hashedPassword,
-        name,
-        phone,
-        address,
-        role // This will default to CUSTOMER if not provided
-      }
-    });
-
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
-
-    // Notify clients
-    await notificationService.notifyUserRegistration(user);
-
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        phone: user.phone,
-        address: user.address,
-        role: user.role
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Error registering user' });
-  }
-};
-
-const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Find user
-    const user = await prisma.user.findUnique({
-      where: { email },
-      include: {
-        customerProfile: true,
-        maidProfile: true,
-        adminProfile: true
-      }
-    });
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-    // Generate JWT token
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET || 'fallback-secret-key');
-
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
-
-    res.json({ user: userWithoutPassword, token });
-  } catch (error) {
-    console.error('Error logging in:', error);
-    res.status(500).json({ error: 'Error logging in' });
-  }
-};
-
 const getProfile = async (req, res) => {
   try {
     const userId = req.user.id;
@@ -213,8 +111,22 @@ const updateUserRole = async (req, res) => {
     const { id } = req.params;
     const { role } = req.body;
 
-    if (!['ADMIN', 'MAID', 'CUSTOMER'].includes(role)) {
-      return res.status(400).json({ message: 'Invalid role' });
+    // Staff roles are only granted through invitations and never changed here
+    if (!['MAID', 'CUSTOMER'].includes(role)) {
+      return res.status(400).json({ message: 'Role must be CUSTOMER or MAID; staff accounts are created by invitation' });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { id },
+      select: { role: true }
+    });
+
+    if (!existingUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!['MAID', 'CUSTOMER'].includes(existingUser.role)) {
+      return res.status(400).json({ message: 'Staff roles cannot be changed here' });
     }
 
     const updatedUser = await prisma.user.update({
@@ -257,6 +169,12 @@ const updateUserStatus = async (req, res) => {
       },
     });
 
+    // Suspended and blacklisted users are logged out everywhere
+    if (tokenService.isBlocked(updatedUser)) {
+      await tokenService.revokeAllSessions(id, status);
+      notificationService.disconnectUser(id, `Account ${status.toLowerCase()}`);
+    }
+
     res.json(updatedUser);
   } catch (error) {
     console.error('Error updating user status:', error);
@@ -278,8 +196,6 @@ const deleteUser = async (req, res) => {
 };
 
 module.exports = {
-  register,
-  login,
   getProfile,
   updateProfile,
   getAllUsers,
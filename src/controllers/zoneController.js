@@ -0,0 +1,427 @@
+const { PrismaClient } = require('@prisma/client');
+const zoneService = require('../services/zoneService');
+const { validatePolygon } = require('../utils/geoUtils');
+const prisma = new PrismaClient();
+
+const maidUserSelect = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true
+};
+
+// Create a new zone
+const createZone = async (req, res) => {
+  try {
+    const { name, description, boundaries, maxMaids, isActive } = req.body;
+
+    if (!name || !boundaries) {
+      return res.status(400).json({ message: 'name and boundaries are required' });
+    }
+
+    const boundaryError = validatePolygon(boundaries);
+    if (boundaryError) {
+      return res.status(400).json({ message: boundaryError });
+    }
+
+    if (maxMaids !== undefined && (!Number.isInteger(Number(maxMaids)) || Number(maxMaids) < 1)) {
+      return res.status(400).json({ message: 'maxMaids must be a positive integer' });
+    }
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ message: 'isActive must be a boolean' });
+    }
+
+    const zone = await prisma.zone.create({
+      data: {
+        name,
+        description,
+        boundaries,
+        ...(maxMaids !== undefined && { maxMaids: parseInt(maxMaids) }),
+        ...(isActive !== undefined && { isActive })
+      }
+    });
+
+    res.status(201).json(zone);
+  } catch (error) {
+    console.error('Error creating zone:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'A zone with this name already exists' });
+    }
+    res.status(500).json({ message: 'Failed to create zone' });
+  }
+};
+
+// Get all zones with maid counts
+const getAllZones = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const zones = await prisma.zone.findMany({
+      where: {
+        ...(isActive !== undefined && { isActive: isActive === 'true' })
+      },
+      include: {
+        _count: {
+          select: { maidZones: true, bookings: true }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json(zones);
+  } catch (error) {
+    console.error('Error fetching zones:', error);
+    res.status(500).json({ message: 'Failed to fetch zones' });
+  }
+};
+
+// Get a zone with its assigned maids
+const getZoneById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const zone = await prisma.zone.findUnique({
+      where: { id },
+      include: {
+        maidZones: {
+          include: {
+            maid: {
+              include: {
+                user: { select: maidUserSelect }
+              }
+            }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!zone) {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+
+    res.json(zone);
+  } catch (error) {
+    console.error('Error fetching zone:', error);
+    res.status(500).json({ message: 'Failed to fetch zone' });
+  }
+};
+
+// Update zone details or boundaries
+const updateZone = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description, boundaries, maxMaids, isActive } = req.body;
+
+    if (isActive !== undefined && typeof isActive !== 'boolean') {
+      return res.status(400).json({ message: 'isActive must be a boolean' });
+    }
+
+    if (boundaries !== undefined) {
+      const boundaryError = validatePolygon(boundaries);
+      if (boundaryError) {
+        return res.status(400).json({ message: boundaryError });
+      }
+    }
+
+    if (maxMaids !== undefined && (!Number.isInteger(Number(maxMaids)) || Number(maxMaids) < 1)) {
+      return res.status(400).json({ message: 'maxMaids must be a positive integer' });
+    }
+
+    // Build update data object, only including provided fields
+    const updateData = {};
+    if (name !== undefined) updateData.name = name;
+    if (description !== undefined) updateData.description = description;
+    if (boundaries !== undefined) updateData.boundaries = boundaries;
+    if (maxMaids !== undefined) updateData.maxMaids = parseInt(maxMaids);
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    // Locks the zone before counting its maids, so an assignment cannot slip in under the old limit
+    const result = await prisma.$transaction(async (tx) => {
+      await tx.zone.update({
+        where: { id },
+        data: { updatedAt: new Date() }
+      });
+
+      const maidCount = await tx.maidZone.count({
+        where: { zoneId: id }
+      });
+
+      // Don't allow shrinking below the number of maids already attached
+      if (updateData.maxMaids !== undefined && updateData.maxMaids < maidCount) {
+        return { maidCount, updated: null };
+      }
+
+      const updated = await tx.zone.update({
+        where: { id },
+        data: updateData
+      });
+
+      return { maidCount, updated };
+    });
+
+    if (!result.updated) {
+      return res.status(400).json({
+        message: `Zone already has ${result.maidCount} maids assigned. Remove maids before lowering maxMaids.`
+      });
+    }
+
+    res.json(result.updated);
+  } catch (error) {
+    console.error('Error updating zone:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'A zone with this name already exists' });
+    }
+    res.status(500).json({ message: 'Failed to update zone' });
+  }
+};
+
+// Delete zone (maid assignments cascade, bookings keep a null zone)
+const deleteZone = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.zone.delete({
+      where: { id }
+    });
+
+    res.json({ message: 'Zone deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting zone:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+    res.status(500).json({ message: 'Failed to delete zone' });
+  }
+};
+
+// Attach a maid to a zone, optionally as their primary zone
+const assignMaidToZone = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { maidId, isPrimary = false } = req.body;
+
+    if (!maidId) {
+      return res.status(400).json({ message: 'maidId is required' });
+    }
+
+    if (typeof isPrimary !== 'boolean') {
+      return res.status(400).json({ message: 'isPrimary must be a boolean' });
+    }
+
+    const zone = await prisma.zone.findUnique({
+      where: { id }
+    });
+
+    if (!zone) {
+      return res.status(404).json({ message: 'Zone not found' });
+    }
+
+    if (!zone.isActive) {
+      return res.status(400).json({ message: 'Cannot assign maids to an inactive zone' });
+    }
+
+    // maidId is the maid's user id, consistent with the rest of the admin API
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: maidId }
+    });
+
+    if (!maidProfile) {
+      return res.status(404).json({ message: 'Maid not found' });
+    }
+
+    const existingAssignment = await prisma.maidZone.findUnique({
+      where: {
+        maidId_zoneId: {
+          maidId: maidProfile.id,
+          zoneId: id
+        }
+      }
+    });
+
+    if (existingAssignment) {
+      return res.status(409).json({ message: 'Maid is already assigned to this zone' });
+    }
+
+    // Locks the zone before counting its maids, so concurrent assignments cannot exceed maxMaids
+    const { maxMaids, maidZone } = await prisma.$transaction(async (tx) => {
+      const lockedZone = await tx.zone.update({
+        where: { id },
+        data: { updatedAt: new Date() }
+      });
+
+      const maidCount = await tx.maidZone.count({
+        where: { zoneId: id }
+      });
+
+      if (maidCount >= lockedZone.maxMaids) {
+        return { maxMaids: lockedZone.maxMaids, maidZone: null };
+      }
+
+      // A maid can only have one primary zone
+      if (isPrimary) {
+        await tx.maidZone.updateMany({
+          where: { maidId: maidProfile.id, isPrimary: true },
+          data: { isPrimary: false }
+        });
+      }
+
+      const created = await tx.maidZone.create({
+        data: {
+          maidId: maidProfile.id,
+          zoneId: id,
+          isPrimary
+        },
+        include: {
+          zone: true,
+          maid: {
+            include: {
+              user: { select: maidUserSelect }
+            }
+          }
+        }
+      });
+
+      return { maxMaids: lockedZone.maxMaids, maidZone: created };
+    });
+
+    if (!maidZone) {
+      return res.status(409).json({
+        message: `Zone has reached its maximum of ${maxMaids} maids`
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: maidZone,
+      message: 'Maid assigned to zone successfully'
+    });
+  } catch (error) {
+    console.error('Error assigning maid to zone:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'Maid is already assigned to this zone' });
+    }
+    res.status(500).json({ message: 'Failed to assign maid to zone' });
+  }
+};
+
+// Change the primary flag of a maid's zone assignment
+const updateMaidZone = async (req, res) => {
+  try {
+    const { id, maidId } = req.params;
+    const { isPrimary } = req.body;
+
+    if (isPrimary === undefined) {
+      return res.status(400).json({ message: 'isPrimary is required' });
+    }
+
+    if (typeof isPrimary !== 'boolean') {
+      return res.status(400).json({ message: 'isPrimary must be a boolean' });
+    }
+
+    const maidZone = await prisma.maidZone.findFirst({
+      where: {
+        zoneId: id,
+        maid: { userId: maidId }
+      }
+    });
+
+    if (!maidZone) {
+      return res.status(404).json({ message: 'Maid is not assigned to this zone' });
+    }
+
+    const operations = [];
+
+    if (isPrimary) {
+      operations.push(
+        prisma.maidZone.updateMany({
+          where: {
+            maidId: maidZone.maidId,
+            isPrimary: true,
+            id: { not: maidZone.id }
+          },
+          data: { isPrimary: false }
+        })
+      );
+    }
+
+    operations.push(
+      prisma.maidZone.update({
+        where: { id: maidZone.id },
+        data: { isPrimary },
+        include: { zone: true }
+      })
+    );
+
+    const results = await prisma.$transaction(operations);
+
+    res.json({
+      success: true,
+      data: results[results.length - 1],
+      message: 'Maid zone updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating maid zone:', error);
+    res.status(500).json({ message: 'Failed to update maid zone' });
+  }
+};
+
+// Detach a maid from a zone
+const removeMaidFromZone = async (req, res) => {
+  try {
+    const { id, maidId } = req.params;
+
+    const { count } = await prisma.maidZone.deleteMany({
+      where: {
+        zoneId: id,
+        maid: { userId: maidId }
+      }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ message: 'Maid is not assigned to this zone' });
+    }
+
+    res.json({ message: 'Maid removed from zone successfully' });
+  } catch (error) {
+    console.error('Error removing maid from zone:', error);
+    res.status(500).json({ message: 'Failed to remove maid from zone' });
+  }
+};
+
+// Resolve which zone a coordinate falls into
+const resolveZone = async (req, res) => {
+  try {
+    const { latitude, longitude } = req.query;
+
+    if (latitude === undefined || longitude === undefined) {
+      return res.status(400).json({ message: 'latitude and longitude are required' });
+    }
+
+    const zone = await zoneService.resolveZoneForLocation(latitude, longitude);
+
+    res.json({
+      zone,
+      message: zone ? 'Location is inside a service zone' : 'Location is not covered by any active zone'
+    });
+  } catch (error) {
+    console.error('Error resolving zone:', error);
+    res.status(500).json({ message: 'Failed to resolve zone' });
+  }
+};
+
+module.exports = {
+  createZone,
+  getAllZones,
+  getZoneById,
+  updateZone,
+  deleteZone,
+  assignMaidToZone,
+  updateMaidZone,
+  removeMaidFromZone,
+  resolveZone
+};
@@ -91,6 +91,24 @@ app.use((err, req, res, next) => {
 
 // Start server only if not in test environment
 if (process.env.NODE_ENV !== 'test') {
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET must be set');
+    process.exit(1);
+  }
+
+  // Stored settings replace the defaults as soon as they load; jobs are moved if their schedule differs
+  require('./services/configService').start()
+    .catch(error => console.error('Error loading system config:', error));
+
+  // Scheduled background jobs
+  require('./scheduler/autoAssignment');
+  require('./scheduler/documentExpiry');
+  require('./scheduler/performanceMetrics');
+  require('./scheduler/weeklyPayouts');
+  require('./scheduler/subscriptionRenewals');
+  require('./scheduler/subscriptionExpiry');
+  require('./scheduler/subscriptionPauses');
+
   const PORT = process.env.PORT || 3000;
   server.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
@@ -0,0 +1,86 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('../services/auditService');
+
+const prisma = new PrismaClient();
+
+// Snapshot loaders per audited resource
+const resourceLoaders = {
+  User: (id) => prisma.user.findUnique({
+    where: { id },
+    select: { id: true, name: true, email: true, phone: true, role: true, status: true }
+  }),
+  Maid: (id) => prisma.user.findUnique({
+    where: { id },
+    select: { id: true, name: true, email: true, phone: true, role: true, status: true, maidProfile: true }
+  }),
+  Payment: (id) => prisma.payment.findUnique({
+    where: { id },
+    select: {
+      id: true,
+      bookingId: true,
+      subscriptionId: true,
+      status: true,
+      finalAmount: true,
+      transactionId: true,
+      refundAmount: true,
+      refundReason: true,
+      refundedAt: true
+    }
+  }),
+  Booking: (id) => prisma.booking.findUnique({
+    where: { id },
+    select: { id: true, status: true, maidId: true, scheduledAt: true, customerId: true }
+  }),
+  Service: (id) => prisma.service.findUnique({
+    where: { id }
+  })
+};
+
+/**
+ * Record an admin action with before and after snapshots of the resource.
+ * The entry is written once the response finishes with a success status.
+ * getResourceId defaults to req.params.id; for creates the id is taken from the response body.
+ */
+const auditAction = (action, resource, { getResourceId = (req) => req.params.id } = {}) => {
+  const loadSnapshot = resourceLoaders[resource];
+
+  return async (req, res, next) => {
+    try {
+      const resourceId = getResourceId(req);
+      const oldValues = resourceId && loadSnapshot ? await loadSnapshot(resourceId) : null;
+
+      // Remember the id of a created resource from the response body
+      let responseId = null;
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        responseId = body?.data?.id || body?.id || null;
+        return originalJson(body);
+      };
+
+      res.on('finish', async () => {
+        if (res.statusCode >= 400) return;
+
+        const id = resourceId || responseId;
+        const newValues = id && loadSnapshot ? await loadSnapshot(id).catch(() => null) : null;
+
+        await auditService.log({
+          req,
+          action,
+          resource,
+          resourceId: id,
+          oldValues,
+          newValues
+        });
+      });
+
+      next();
+    } catch (error) {
+      console.error('Error preparing audit log:', error);
+      next();
+    }
+  };
+};
+
+module.exports = {
+  auditAction
+};
@@ -1,33 +1,7 @@
-const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
-
-const prisma = new PrismaClient();
-
-const auth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-
-    if (!token) {
-      throw new Error();
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId || decoded.id },
-    });
-
-    if (!user) {
-      throw new Error();
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({ error: 'Please authenticate.' });
-  }
-};
-
+const permissionService = require('../services/permissionService');
+const tokenService = require('../services/tokenService');
 
+// Verify the bearer token and attach the user; revoked or expired tokens get 401
 const authenticateToken = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -36,22 +10,17 @@ const authenticateToken = async (req, res, next) => {
       throw new Error();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId || decoded.id },
-    });
-
-    if (!user) {
-      throw new Error();
-    }
+    const { user, sessionId } = await tokenService.verifyAccessToken(token);
 
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
     res.status(401).json({ error: 'Please authenticate.' });
   }
 };
 
+const auth = authenticateToken;
 
 const authorizeAdmin = async (req, res, next) => {
   try {
@@ -67,6 +36,36 @@ const authorizeAdmin = async (req, res, next) => {
   }
 };
 
+// Allow admins, and supervisors holding every listed permission.
+// Sets req.permissions and req.zoneScope (zone ids, or null when unrestricted).
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Please authenticate.' });
+      }
+
+      const access = await permissionService.getAccess(req.user);
+      const missing = access
+        ? permissions.filter(permission => !access.permissions.has(permission))
+        : permissions;
+
+      if (!access || missing.length > 0) {
+        return res.status(403).json({
+          error: 'Access denied. Missing permission: ' + missing.join(', ')
+        });
+      }
+
+      req.permissions = access.permissions;
+      req.zoneScope = access.zoneIds;
+      next();
+    } catch (error) {
+      console.error('Error checking permissions:', error);
+      res.status(500).json({ error: 'Failed to check permissions' });
+    }
+  };
+};
+
 const checkRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -85,6 +84,7 @@ module.exports = {
   auth,
   authenticateToken,
   authorizeAdmin,
+  requirePermission,
   checkRole
 }; 
 
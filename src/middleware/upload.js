@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const configService = require('../services/configService');
+
+// Root directory for files uploaded to the local store
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+const documentStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const dir = path.join(UPLOAD_DIR, 'maid-documents');
+    fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+// Built per request so the size limit follows the documents.maxSizeMb setting
+const documentUpload = (maxSizeMb) => multer({
+  storage: documentStorage,
+  limits: { fileSize: maxSizeMb * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only JPEG, PNG and PDF files are allowed');
+      error.status = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// Single document upload in the "file" field, upload errors are returned as 400
+const uploadDocumentFile = (req, res, next) => {
+  const maxSizeMb = configService.get('documents.maxSizeMb');
+
+  documentUpload(maxSizeMb)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File must be smaller than ${maxSizeMb} MB`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    if (error && error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  uploadDocumentFile
+};
@@ -9,19 +9,23 @@ const validate = (req, res, next) => {
   next();
 };
 
+// Password strength rules shared by registration, reset and change
+const passwordRule = (field) =>
+  body(field)
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/\d/)
+    .withMessage('Password must contain at least one number')
+    .matches(/[A-Z]/)
+    .withMessage('Password must contain at least one uppercase letter');
+
 // User registration validation rules
 const registerValidation = [
   body('email')
     .isEmail()
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/\d/)
-    .withMessage('Password must contain at least one number')
-    .matches(/[A-Z]/)
-    .withMessage('Password must contain at least one uppercase letter'),
+  passwordRule('password'),
   body('name')
     .trim()
     .isLength({ min: 2 })
@@ -30,8 +34,37 @@ const registerValidation = [
     .matches(/^\+?[1-9]\d{1,14}$/)
     .withMessage('Please provide a valid phone number'),
   body('role')
-    .isIn(['CUSTOMER', 'MAID', 'ADMIN'])
-    .withMessage('Invalid role specified'),
+    .optional()
+    .isIn(['CUSTOMER', 'MAID'])
+    .withMessage('Only CUSTOMER and MAID accounts can sign up; staff accounts are created by invitation'),
+  validate
+];
+
+// Staff invitation acceptance validation rules
+const acceptInvitationValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  passwordRule('password'),
+  body('name')
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Name must be at least 2 characters long'),
+  body('phone')
+    .matches(/^\+?[1-9]\d{1,14}$/)
+    .withMessage('Please provide a valid phone number'),
+  validate
+];
+
+// Staff invitation validation rules
+const createInvitationValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  body('role')
+    .isIn(['ADMIN', 'SUPERVISOR'])
+    .withMessage('Invitations are for ADMIN or SUPERVISOR accounts'),
   validate
 ];
 
@@ -66,14 +99,49 @@ const updateProfileValidation = [
   validate
 ];
 
+// Forgot password validation rules (email or phone)
+const forgotPasswordValidation = [
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  body('phone')
+    .optional()
+    .matches(/^\+?[1-9]\d{1,14}$/)
+    .withMessage('Please provide a valid phone number'),
+  body()
+    .custom((value) => Boolean(value.email || value.phone))
+    .withMessage('Please provide an email address or phone number'),
+  validate
+];
+
+// Password reset validation rules (emailed token, or phone and SMS code)
+const resetPasswordValidation = [
+  body()
+    .custom((value) => Boolean(value.token || (value.phone && value.code)))
+    .withMessage('Please provide the reset token, or the phone number and code'),
+  passwordRule('newPassword'),
+  validate
+];
+
+// Password change validation rules
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordRule('newPassword'),
+  validate
+];
+
 // User role update validation rules
 const updateRoleValidation = [
   param('id')
     .isUUID()
     .withMessage('Invalid user ID'),
   body('role')
-    .isIn(['CUSTOMER', 'MAID', 'ADMIN'])
-    .withMessage('Invalid role specified'),
+    .isIn(['CUSTOMER', 'MAID'])
+    .withMessage('Role must be CUSTOMER or MAID; staff accounts are created by invitation'),
   validate
 ];
 
@@ -88,6 +156,43 @@ const updateStatusValidation = [
   validate
 ];
 
+// Subscription plan change validation rules
+const changePlanValidation = [
+  body('planId')
+    .isUUID()
+    .withMessage('A valid planId is required'),
+  body('timing')
+    .optional()
+    .isIn(['IMMEDIATELY', 'NEXT_BILLING_DATE'])
+    .withMessage('timing must be IMMEDIATELY or NEXT_BILLING_DATE'),
+  validate
+];
+
+// Subscription pause validation rules
+const pauseSubscriptionValidation = [
+  body('startDate')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('startDate must be a date (YYYY-MM-DD)'),
+  body('endDate')
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('endDate must be a date (YYYY-MM-DD)'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  validate
+];
+
+// Task progress validation rules
+const updateTaskStatusValidation = [
+  body('verificationMethod')
+    .optional()
+    .isIn(['PHOTO', 'VIDEO', 'OTP', 'SIGNATURE', 'PROXIMITY', 'CUSTOMER_CONFIRMATION'])
+    .withMessage('verificationMethod must be one of PHOTO, VIDEO, OTP, SIGNATURE, PROXIMITY, CUSTOMER_CONFIRMATION'),
+  validate
+];
+
 // User ID validation rules
 const userIdValidation = [
   param('id')
@@ -99,8 +204,16 @@ const userIdValidation = [
 module.exports = {
   registerValidation,
   loginValidation,
+  acceptInvitationValidation,
+  createInvitationValidation,
   updateProfileValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
   updateRoleValidation,
   updateStatusValidation,
-  userIdValidation
+  userIdValidation,
+  changePlanValidation,
+  pauseSubscriptionValidation,
+  updateTaskStatusValidation
 }; 
\ No newline at end of file
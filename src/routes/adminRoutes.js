@@ -1,19 +1,147 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
+const { createInvitationValidation } = require('../middleware/validation');
 const {
   getActiveCustomers,
   getPendingBookings,
   getAvailableMaids,
   assignMaidToBooking,
-  generateServiceOTP
+  generateServiceOTP,
+  getMatchCandidates,
+  autoAssignBooking,
+  runNextDayAutoAssignment,
+  getAuditLogs
 } = require('../controllers/adminController');
+const {
+  createZone,
+  getAllZones,
+  getZoneById,
+  updateZone,
+  deleteZone,
+  assignMaidToZone,
+  updateMaidZone,
+  removeMaidFromZone,
+  resolveZone
+} = require('../controllers/zoneController');
+const {
+  adjustAttendance,
+  getMaidAttendanceReport
+} = require('../controllers/attendanceController');
+const {
+  getDocumentQueue,
+  reviewDocument
+} = require('../controllers/maidDocumentController');
+const {
+  getMaidPerformanceTrend,
+  recomputePerformance
+} = require('../controllers/performanceController');
+const {
+  getAllPayouts,
+  getPayoutById,
+  generatePayouts,
+  approvePayout,
+  markPayoutPaid
+} = require('../controllers/earningsController');
+const {
+  getAllFeedback,
+  respondToFeedback
+} = require('../controllers/feedbackController');
+const {
+  getAllConfigs,
+  getConfig,
+  updateConfig,
+  deleteConfig
+} = require('../controllers/configController');
+const {
+  getPermissionCatalogue,
+  getStaffPermissions,
+  updateStaffPermissions
+} = require('../controllers/permissionController');
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const { cancelSubscriptionPause } = require('../controllers/subscriptionController');
 
 // Protected Admin Routes
-router.get('/active-customers', authenticateToken, authorizeAdmin, getActiveCustomers);
-router.get('/pending-bookings', authenticateToken, authorizeAdmin, getPendingBookings);
-router.get('/available-maids', authenticateToken, authorizeAdmin, getAvailableMaids);
-router.post('/assign-maid', authenticateToken, authorizeAdmin, assignMaidToBooking);
-router.post('/generate-otp', authenticateToken, authorizeAdmin, generateServiceOTP);
+router.get('/active-customers', authenticateToken, requirePermission('customers:view'), getActiveCustomers);
+router.get('/pending-bookings', authenticateToken, requirePermission('bookings:view'), getPendingBookings);
+router.get('/available-maids', authenticateToken, requirePermission('bookings:assign'), getAvailableMaids);
+router.post(
+  '/assign-maid',
+  authenticateToken,
+  requirePermission('bookings:assign'),
+  auditAction('MAID_ASSIGNED', 'Booking', { getResourceId: (req) => req.body.bookingId }),
+  assignMaidToBooking
+);
+router.post('/generate-otp', authenticateToken, requirePermission('bookings:assign'), generateServiceOTP);
+router.get('/audit-logs', authenticateToken, requirePermission('audit:view'), getAuditLogs);
+
+// Automatic maid matching
+router.get('/bookings/:id/match-candidates', authenticateToken, requirePermission('bookings:assign'), getMatchCandidates);
+router.post('/bookings/:id/auto-assign', authenticateToken, requirePermission('bookings:assign'), autoAssignBooking);
+router.post('/auto-assign/next-day', authenticateToken, requirePermission('bookings:assign'), runNextDayAutoAssignment);
+
+// Zone management routes (put specific routes first)
+router.get('/zones/resolve', authenticateToken, requirePermission('zones:view'), resolveZone);
+router.post('/zones', authenticateToken, requirePermission('zones:manage'), createZone);
+router.get('/zones', authenticateToken, requirePermission('zones:view'), getAllZones);
+router.get('/zones/:id', authenticateToken, requirePermission('zones:view'), getZoneById);
+router.put('/zones/:id', authenticateToken, requirePermission('zones:manage'), updateZone);
+router.delete('/zones/:id', authenticateToken, requirePermission('zones:manage'), deleteZone);
+router.post('/zones/:id/maids', authenticateToken, requirePermission('zones:manage'), assignMaidToZone);
+router.put('/zones/:id/maids/:maidId', authenticateToken, requirePermission('zones:manage'), updateMaidZone);
+router.delete('/zones/:id/maids/:maidId', authenticateToken, requirePermission('zones:manage'), removeMaidFromZone);
+
+// Maid attendance
+router.put('/attendance/:id', authenticateToken, requirePermission('attendance:manage'), adjustAttendance);
+router.get('/maids/:maidId/attendance', authenticateToken, requirePermission('attendance:view'), getMaidAttendanceReport);
+
+// Maid performance
+router.get('/maids/:maidId/performance', authenticateToken, requirePermission('performance:view'), getMaidPerformanceTrend);
+router.post('/performance/recompute', authenticateToken, requirePermission('performance:manage'), recomputePerformance);
+
+// Maid payouts
+router.get('/payouts', authenticateToken, requirePermission('payouts:view'), getAllPayouts);
+router.post('/payouts/generate', authenticateToken, requirePermission('payouts:manage'), generatePayouts);
+router.get('/payouts/:id', authenticateToken, requirePermission('payouts:view'), getPayoutById);
+router.put('/payouts/:id/approve', authenticateToken, requirePermission('payouts:manage'), approvePayout);
+router.put('/payouts/:id/paid', authenticateToken, requirePermission('payouts:manage'), markPayoutPaid);
+
+// Subscription pauses
+router.post(
+  '/subscription-pauses/:id/cancel',
+  authenticateToken,
+  requirePermission('subscriptions:manage'),
+  auditAction('SUBSCRIPTION_PAUSE_CANCELLED', 'SubscriptionPause'),
+  cancelSubscriptionPause
+);
+
+// Maid document verification
+router.get('/maid-documents', authenticateToken, requirePermission('maids:verify'), getDocumentQueue);
+router.put('/maid-documents/:id/review', authenticateToken, requirePermission('maids:verify'), reviewDocument);
+
+// Customer feedback
+router.get('/feedback', authenticateToken, requirePermission('feedback:view'), getAllFeedback);
+router.put('/feedback/:id/response', authenticateToken, requirePermission('feedback:respond'), respondToFeedback);
+
+// Runtime system settings
+router.get('/config', authenticateToken, requirePermission('config:manage'), getAllConfigs);
+router.get('/config/:key', authenticateToken, requirePermission('config:manage'), getConfig);
+router.put('/config/:key', authenticateToken, requirePermission('config:manage'), updateConfig);
+router.delete('/config/:key', authenticateToken, requirePermission('config:manage'), deleteConfig);
+
+// Staff permissions and supervised zones
+router.get('/permissions', authenticateToken, requirePermission('staff:manage'), getPermissionCatalogue);
+router.get('/staff/:userId/permissions', authenticateToken, requirePermission('staff:manage'), getStaffPermissions);
+router.put('/staff/:userId/permissions', authenticateToken, requirePermission('staff:manage'), updateStaffPermissions);
+
+// Staff invitations
+router.get('/invitations', authenticateToken, requirePermission('staff:manage'), getInvitations);
+router.post('/invitations', authenticateToken, requirePermission('staff:manage'), createInvitationValidation, createInvitation);
+router.delete('/invitations/:id', authenticateToken, requirePermission('staff:manage'), revokeInvitation);
 
 module.exports = router;
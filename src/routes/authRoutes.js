@@ -1,104 +1,45 @@
 const express = require('express');
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-
-const prisma = new PrismaClient();
-
-router.post('/register', async (req, res) => {
-  try {
-    const { email, password, name, phone, address, role } = req.body;
-    
-    // Check if user already exists
-    const existingUser = await prisma.user.findUnique({
-      where: { email }
-    });
-
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
-
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    // Create user
-    const user = await prisma.user.create({
-      data: {
-        email,
-        password: hashedPassword,
-        name,
-        phone,
-        address,
-        role // This will default to CUSTOMER if not provided
-      }
-    });
-
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
-
-    res.status(201).json({
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        phone: user.phone,
-        address: user.address,
-        role: user.role
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Error registering user' });
-  }
-});
-
-// Login route
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Find user
-    const user = await prisma.user.findUnique({
-      where: { email }
-    });
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-    // Check password
-    const validPassword = await bcrypt.compare(password, user.password);
-    if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
-
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Error logging in' });
-  }
-});
+const { authenticateToken } = require('../middleware/auth');
+const {
+  registerValidation,
+  loginValidation,
+  acceptInvitationValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation
+} = require('../middleware/validation');
+const {
+  register,
+  login,
+  acceptInvitation,
+  requestOtp,
+  verifyOtp,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refreshToken,
+  logout,
+  logoutAll
+} = require('../controllers/authController');
+
+// Sign-up, login and staff invitations
+router.post('/register', registerValidation, register);
+router.post('/login', loginValidation, login);
+router.post('/invitations/accept', acceptInvitationValidation, acceptInvitation);
+
+// Phone OTP login and verification
+router.post('/otp/request', requestOtp);
+router.post('/otp/verify', verifyOtp);
+
+// Password reset and change
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.post('/change-password', authenticateToken, changePasswordValidation, changePassword);
+
+// Session routes
+router.post('/refresh', refreshToken);
+router.post('/logout', authenticateToken, logout);
+router.post('/logout-all', authenticateToken, logoutAll);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
 const {
   createBooking,
   getAllBookings,
@@ -10,22 +11,28 @@ const {
   assignMaid,
   updateBookingStatus,
   cancelBooking,
+  rescheduleBooking,
   completeBookingPayment
 } = require('../controllers/bookingController');
+const { submitFeedback } = require('../controllers/feedbackController');
 
 // Customer routes
 router.post('/', authenticateToken, createBooking);
 router.get('/my-bookings', authenticateToken, getUserBookings);
 router.post('/complete-payment', authenticateToken, completeBookingPayment);
+router.post('/:id/feedback', authenticateToken, submitFeedback);
+
+// Customer or admin routes
+router.put('/:id/reschedule', authenticateToken, rescheduleBooking);
+router.put('/:id/cancel', authenticateToken, cancelBooking);
 
 // Maid routes
 router.get('/my-assignments', authenticateToken, getMaidBookings);
 router.put('/:id/status', authenticateToken, updateBookingStatus);
 
 // Admin routes
-router.get('/', authenticateToken, authorizeAdmin, getAllBookings);
-router.get('/:id', authenticateToken, authorizeAdmin, getBookingById);
-router.put('/:id/assign', authenticateToken, authorizeAdmin, assignMaid);
-router.put('/:id/cancel', authenticateToken, authorizeAdmin, cancelBooking);
+router.get('/', authenticateToken, requirePermission('bookings:view'), getAllBookings);
+router.get('/:id', authenticateToken, requirePermission('bookings:view'), getBookingById);
+router.put('/:id/assign', authenticateToken, requirePermission('bookings:assign'), auditAction('MAID_ASSIGNED', 'Booking'), assignMaid);
 
 module.exports = router; 
\ No newline at end of file
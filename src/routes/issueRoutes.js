@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
   createIssue,
   getAllIssues,
@@ -14,8 +14,8 @@ router.post('/', authenticateToken, createIssue);
 router.get('/my-issues', authenticateToken, getUserIssues);
 
 // Admin routes
-router.get('/', authenticateToken, authorizeAdmin, getAllIssues);
-router.get('/:id', authenticateToken, authorizeAdmin, getIssueById);
-router.put('/:id/status', authenticateToken, authorizeAdmin, updateIssueStatus);
+router.get('/', authenticateToken, requirePermission('issues:view'), getAllIssues);
+router.get('/:id', authenticateToken, requirePermission('issues:view'), getIssueById);
+router.put('/:id/status', authenticateToken, requirePermission('issues:resolve'), updateIssueStatus);
 
 module.exports = router; 
\ No newline at end of file
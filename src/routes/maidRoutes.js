@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { uploadDocumentFile } = require('../middleware/upload');
+const { auditAction } = require('../middleware/audit');
+const { updateTaskStatusValidation } = require('../middleware/validation');
 const {
   getAllMaids,
   getMaidById,
@@ -10,8 +13,23 @@ const {
   verifyStartOTP,
   completeService,
   getMaidAssignments,
-  generateEndOTP
+  generateEndOTP,
+  getBookingTasks,
+  updateTaskStatus
 } = require('../controllers/maidController');
+const { getMaidRatingSummary } = require('../controllers/feedbackController');
+const {
+  checkIn,
+  checkOut,
+  getMyAttendance
+} = require('../controllers/attendanceController');
+const {
+  uploadDocument,
+  getMyDocuments,
+  getDocumentFile
+} = require('../controllers/maidDocumentController');
+const { getMyPerformance } = require('../controllers/performanceController');
+const { getMyEarnings } = require('../controllers/earningsController');
 
 // Maid service workflow routes (put specific routes first)
 router.get('/my-assignments', authenticateToken, getMaidAssignments);
@@ -19,11 +37,28 @@ router.put('/profile', authenticateToken, updateMaidProfile);
 router.post('/verify-start-otp', authenticateToken, verifyStartOTP);
 router.post('/generate-end-otp', authenticateToken, generateEndOTP);
 router.post('/complete-service', authenticateToken, completeService);
+router.get('/bookings/:bookingId/tasks', authenticateToken, getBookingTasks);
+router.put('/bookings/:bookingId/tasks/:taskId', authenticateToken, updateTaskStatusValidation, updateTaskStatus);
+
+// Maid attendance
+router.post('/attendance/check-in', authenticateToken, checkIn);
+router.post('/attendance/check-out', authenticateToken, checkOut);
+router.get('/attendance', authenticateToken, getMyAttendance);
+router.get('/performance', authenticateToken, getMyPerformance);
+router.get('/earnings', authenticateToken, getMyEarnings);
+
+// Maid KYC documents
+router.post('/documents', authenticateToken, uploadDocumentFile, uploadDocument);
+router.get('/documents', authenticateToken, getMyDocuments);
+router.get('/documents/:id/file', authenticateToken, getDocumentFile);
+
+// Public routes
+router.get('/:id/ratings', getMaidRatingSummary);
 
 // Admin routes for maid management
-router.get('/', authenticateToken, authorizeAdmin, getAllMaids);
-router.get('/:id', authenticateToken, authorizeAdmin, getMaidById);
-router.put('/:id/status', authenticateToken, authorizeAdmin, updateMaidStatus);
-router.delete('/:id', authenticateToken, authorizeAdmin, deleteMaid);
+router.get('/', authenticateToken, requirePermission('maids:view'), getAllMaids);
+router.get('/:id', authenticateToken, requirePermission('maids:view'), getMaidById);
+router.put('/:id/status', authenticateToken, requirePermission('maids:manage'), auditAction('MAID_STATUS_UPDATED', 'Maid'), updateMaidStatus);
+router.delete('/:id', authenticateToken, requirePermission('maids:manage'), auditAction('MAID_DELETED', 'Maid'), deleteMaid);
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const notificationService = require('../services/notificationService');
 const { PrismaClient } = require('@prisma/client');
 
@@ -100,7 +100,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Get notification statistics (Admin only)
-router.get('/stats', authenticateToken, authorizeAdmin, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('notifications:view'), async (req, res) => {
   try {
     const { timeframe = '7d' } = req.query;
     
@@ -163,7 +163,7 @@ router.get('/stats', authenticateToken, authorizeAdmin, async (req, res) => {
 });
 
 // Send test notification (Admin only)
-router.post('/test', authenticateToken, authorizeAdmin, async (req, res) => {
+router.post('/test', authenticateToken, requirePermission('notifications:send'), async (req, res) => {
   try {
     const { userId, type = 'SYSTEM_ALERT', title, message, data = {} } = req.body;
     
@@ -188,7 +188,7 @@ router.post('/test', authenticateToken, authorizeAdmin, async (req, res) => {
 });
 
 // Send broadcast notification (Admin only)
-router.post('/broadcast', authenticateToken, authorizeAdmin, async (req, res) => {
+router.post('/broadcast', authenticateToken, requirePermission('notifications:send'), async (req, res) => {
   try {
     const { type = 'SYSTEM_ALERT', title, message, data = {} } = req.body;
     
@@ -213,7 +213,7 @@ router.post('/broadcast', authenticateToken, authorizeAdmin, async (req, res) =>
 });
 
 // Send system maintenance notification (Admin only)
-router.post('/maintenance', authenticateToken, authorizeAdmin, async (req, res) => {
+router.post('/maintenance', authenticateToken, requirePermission('notifications:send'), async (req, res) => {
   try {
     const { startTime, endTime, description } = req.body;
     
@@ -230,7 +230,7 @@ router.post('/maintenance', authenticateToken, authorizeAdmin, async (req, res)
 });
 
 // Send emergency alert (Admin only)
-router.post('/emergency', authenticateToken, authorizeAdmin, async (req, res) => {
+router.post('/emergency', authenticateToken, requirePermission('notifications:send'), async (req, res) => {
   try {
     const { alertType, message, priority = 'HIGH' } = req.body;
     
@@ -247,7 +247,7 @@ router.post('/emergency', authenticateToken, authorizeAdmin, async (req, res) =>
 });
 
 // Get WebSocket connection health (Admin only)
-router.get('/health', authenticateToken, authorizeAdmin, async (req, res) => {
+router.get('/health', authenticateToken, requirePermission('notifications:view'), async (req, res) => {
   try {
     const healthStatus = await notificationService.healthCheck();
     res.json(healthStatus);
@@ -277,14 +277,20 @@ router.get('/types', authenticateToken, (req, res) => {
     { type: 'SUBSCRIPTION_CANCELLED', description: 'Subscription cancelled' },
     { type: 'BOOKING_CANCELLED', description: 'Booking cancelled' },
     { type: 'BOOKING_RESCHEDULED', description: 'Booking rescheduled' },
+    { type: 'MAID_UNASSIGNED', description: 'Maid unassigned from booking' },
+    { type: 'MAID_LOCATION_UPDATE', description: 'Live maid location and ETA (not stored)' },
     { type: 'BOOKING_REMINDER', description: 'Booking reminder' },
     { type: 'ISSUE_REPORTED', description: 'Issue reported' },
     { type: 'ISSUE_RESOLVED', description: 'Issue resolved' },
     { type: 'FEEDBACK_RECEIVED', description: 'Feedback received' },
+    { type: 'FEEDBACK_RESPONSE', description: 'Admin responded to feedback' },
     { type: 'PROFILE_UPDATED', description: 'Profile updated' },
     { type: 'USER_STATUS_CHANGED', description: 'User status changed' },
     { type: 'MAID_STATUS_CHANGED', description: 'Maid status changed' },
     { type: 'DOCUMENT_VERIFIED', description: 'Document verified' },
+    { type: 'DOCUMENT_UPLOADED', description: 'Document uploaded for review' },
+    { type: 'DOCUMENT_EXPIRING', description: 'Document expiring soon' },
+    { type: 'PAYOUT_PAID', description: 'Maid payout paid' },
     { type: 'PERFORMANCE_ALERT', description: 'Performance alert' },
     { type: 'ATTENDANCE_ALERT', description: 'Attendance alert' },
     { type: 'SHIFT_REMINDER', description: 'Shift reminder' },
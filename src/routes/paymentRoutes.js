@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
 const {
   createPayment,
   getAllPayments,
@@ -13,6 +14,7 @@ const {
   verifyRazorpayPayment,
   handleRazorpayPaymentFailure,
   processRefund,
+  retryPlanChangeRefund,
   getPaymentStatus,
   handleRazorpayWebhook
 } = require('../controllers/paymentController');
@@ -33,9 +35,22 @@ router.get('/razorpay/status/:razorpayPaymentId', authenticateToken, getPaymentS
 router.post('/razorpay/webhook', handleRazorpayWebhook);
 
 // Admin routes
-router.get('/', authenticateToken, authorizeAdmin, getAllPayments);
-router.get('/:id', authenticateToken, authorizeAdmin, getPaymentById);
-router.put('/:id/status', authenticateToken, authorizeAdmin, updatePaymentStatus);
-router.post('/:paymentId/refund', authenticateToken, authorizeAdmin, processRefund);
+router.get('/', authenticateToken, requirePermission('payments:view'), getAllPayments);
+router.get('/:id', authenticateToken, requirePermission('payments:view'), getPaymentById);
+router.put('/:id/status', authenticateToken, requirePermission('payments:manage'), auditAction('PAYMENT_STATUS_UPDATED', 'Payment'), updatePaymentStatus);
+router.post(
+  '/:paymentId/refund',
+  authenticateToken,
+  requirePermission('payments:refund'),
+  auditAction('PAYMENT_REFUNDED', 'Payment', { getResourceId: (req) => req.params.paymentId }),
+  processRefund
+);
+router.post(
+  '/:paymentId/retry-refund',
+  authenticateToken,
+  requirePermission('payments:refund'),
+  auditAction('PAYMENT_REFUND_RETRIED', 'Payment', { getResourceId: (req) => req.params.paymentId }),
+  retryPlanChangeRefund
+);
 
 module.exports = router;
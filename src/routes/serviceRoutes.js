@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
 const {
   createService,
   getAllServices,
@@ -14,8 +15,8 @@ router.get('/', getAllServices);
 router.get('/:id', getServiceById);
 
 // Admin routes
-router.post('/', authenticateToken, authorizeAdmin, createService);
-router.put('/:id', authenticateToken, authorizeAdmin, updateService);
-router.delete('/:id', authenticateToken, authorizeAdmin, deleteService);
+router.post('/', authenticateToken, requirePermission('services:manage'), auditAction('SERVICE_CREATED', 'Service'), createService);
+router.put('/:id', authenticateToken, requirePermission('services:manage'), auditAction('SERVICE_UPDATED', 'Service'), updateService);
+router.delete('/:id', authenticateToken, requirePermission('services:manage'), auditAction('SERVICE_DELETED', 'Service'), deleteService);
 
 module.exports = router; 
\ No newline at end of file
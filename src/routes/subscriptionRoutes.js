@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { changePlanValidation, pauseSubscriptionValidation } = require('../middleware/validation');
 const {
   getSubscriptionPlans,
   subscribeToPlan,
@@ -8,8 +9,17 @@ const {
   confirmNextDayService,
   completeSubscriptionPayment,
   cancelSubscription,
+  retryRenewalPayment,
+  changePlan,
+  pauseSubscription,
+  cancelPause,
   checkSubscriptionStatus
 } = require('../controllers/subscriptionController');
+const {
+  getMyTaskList,
+  upsertTaskCustomization,
+  removeTaskCustomization
+} = require('../controllers/taskCustomizationController');
 
 // Public routes
 router.get('/plans', getSubscriptionPlans);
@@ -22,5 +32,14 @@ router.get('/status', authenticateToken, checkSubscriptionStatus);
 router.post('/confirm-service', authenticateToken, confirmNextDayService);
 router.post('/complete-payment', authenticateToken, completeSubscriptionPayment);
 router.post('/cancel', authenticateToken, cancelSubscription);
+router.post('/retry-payment', authenticateToken, retryRenewalPayment);
+router.post('/change-plan', authenticateToken, changePlanValidation, changePlan);
+router.post('/pause', authenticateToken, pauseSubscriptionValidation, pauseSubscription);
+router.post('/pauses/:id/cancel', authenticateToken, cancelPause);
+
+// Task customizations for the subscribed service
+router.get('/tasks', authenticateToken, getMyTaskList);
+router.put('/tasks/:taskId/customization', authenticateToken, upsertTaskCustomization);
+router.delete('/tasks/:taskId/customization', authenticateToken, removeTaskCustomization);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, authorizeAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditAction } = require('../middleware/audit');
 const {
   registerValidation,
   loginValidation,
@@ -9,9 +10,8 @@ const {
   updateStatusValidation,
   userIdValidation
 } = require('../middleware/validation');
+const { register, login } = require('../controllers/authController');
 const {
-  register,
-  login,
   getProfile,
   updateProfile,
   getAllUsers,
@@ -21,7 +21,7 @@ const {
   deleteUser
 } = require('../controllers/userController');
 
-// Public routes
+// Public routes (same handlers as /api/auth)
 router.post('/register', registerValidation, register);
 router.post('/login', loginValidation, login);
 
@@ -30,10 +30,10 @@ router.get('/profile', authenticateToken, getProfile);
 router.put('/profile', authenticateToken, updateProfileValidation, updateProfile);
 
 // Admin only routes
-router.get('/', authenticateToken, authorizeAdmin, getAllUsers);
-router.get('/:id', authenticateToken, authorizeAdmin, userIdValidation, getUserById);
-router.put('/:id/role', authenticateToken, authorizeAdmin, updateRoleValidation, updateUserRole);
-router.put('/:id/status', authenticateToken, authorizeAdmin, updateStatusValidation, updateUserStatus);
-router.delete('/:id', authenticateToken, authorizeAdmin, userIdValidation, deleteUser);
+router.get('/', authenticateToken, requirePermission('users:view'), getAllUsers);
+router.get('/:id', authenticateToken, requirePermission('users:view'), userIdValidation, getUserById);
+router.put('/:id/role', authenticateToken, requirePermission('users:manage'), updateRoleValidation, auditAction('USER_ROLE_UPDATED', 'User'), updateUserRole);
+router.put('/:id/status', authenticateToken, requirePermission('users:manage'), updateStatusValidation, auditAction('USER_STATUS_UPDATED', 'User'), updateUserStatus);
+router.delete('/:id', authenticateToken, requirePermission('users:manage'), userIdValidation, auditAction('USER_DELETED', 'User'), deleteUser);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,17 @@
+const maidMatchingService = require('../services/maidMatchingService');
+const configService = require('../services/configService');
+
+async function assignNextDayBookings() {
+  console.log('Auto-assigning maids to next day bookings...');
+  try {
+    const result = await maidMatchingService.autoAssignNextDayBookings();
+    console.log(`Auto-assignment finished: ${result.assigned.length} assigned, ${result.unassigned.length} unassigned out of ${result.processed}`);
+  } catch (error) {
+    console.error('Error auto-assigning next day bookings:', error);
+  }
+}
+
+// Run after the 6 PM confirmation reminders so confirmed bookings are picked up (default 9 PM)
+configService.scheduleJob('schedule.autoAssignment', assignNextDayBookings);
+
+module.exports = { assignNextDayBookings };
@@ -1,15 +1,21 @@
 const cron = require('node-cron');
 const { PrismaClient } = require('@prisma/client');
+const subscriptionPauseService = require('../services/subscriptionPauseService');
 
 const prisma = new PrismaClient();
 
 async function sendDailyNotifications() {
   console.log('Sending daily notifications for service confirmation...');
   try {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    // Customers on a break tomorrow have nothing to confirm
     const subscriptions = await prisma.subscription.findMany({
       where: {
         status: 'ACTIVE',
         endDate: { gte: new Date() },
+        pauses: { none: subscriptionPauseService.coveringWhere(tomorrow) }
       },
       include: {
         customer: true,
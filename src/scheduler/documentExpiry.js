@@ -0,0 +1,17 @@
+const maidDocumentService = require('../services/maidDocumentService');
+const configService = require('../services/configService');
+
+async function flagExpiringDocuments() {
+  console.log('Checking for expiring maid documents...');
+  try {
+    const flagged = await maidDocumentService.flagExpiringDocuments();
+    console.log(`Document expiry check finished: ${flagged} document(s) flagged`);
+  } catch (error) {
+    console.error('Error flagging expiring documents:', error);
+  }
+}
+
+// Every morning (default 8 AM)
+configService.scheduleJob('schedule.documentExpiry', flagExpiringDocuments);
+
+module.exports = { flagExpiringDocuments };
@@ -0,0 +1,25 @@
+const performanceService = require('../services/performanceService');
+const configService = require('../services/configService');
+
+async function computeMonthlyPerformance() {
+  console.log('Computing maid performance metrics...');
+  try {
+    const today = new Date();
+
+    // On the 1st, finalize last month before starting the new one
+    if (today.getDate() === 1) {
+      const lastMonth = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+      await performanceService.computeAllMaids(lastMonth.getMonth() + 1, lastMonth.getFullYear());
+    }
+
+    const result = await performanceService.computeAllMaids(today.getMonth() + 1, today.getFullYear());
+    console.log(`Performance metrics updated for ${result.updated} of ${result.maids} maids`);
+  } catch (error) {
+    console.error('Error computing performance metrics:', error);
+  }
+}
+
+// Every night (default 1 AM), ahead of the Monday 10 AM performance alerts
+configService.scheduleJob('schedule.performanceMetrics', computeMonthlyPerformance);
+
+module.exports = { computeMonthlyPerformance };
@@ -0,0 +1,17 @@
+const subscriptionLifecycleService = require('../services/subscriptionLifecycleService');
+const configService = require('../services/configService');
+
+async function expireEndedSubscriptions() {
+  console.log('Expiring ended subscriptions...');
+  try {
+    const expired = await subscriptionLifecycleService.expireEndedSubscriptions();
+    console.log(`Subscriptions expired: ${expired}`);
+  } catch (error) {
+    console.error('Error expiring subscriptions:', error);
+  }
+}
+
+// Nightly (default 1 AM)
+configService.scheduleJob('schedule.subscriptionExpiry', expireEndedSubscriptions);
+
+module.exports = { expireEndedSubscriptions };
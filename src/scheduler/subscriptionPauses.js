@@ -0,0 +1,17 @@
+const subscriptionPauseService = require('../services/subscriptionPauseService');
+const configService = require('../services/configService');
+
+async function processSubscriptionPauses() {
+  console.log('Processing subscription pauses...');
+  try {
+    const summary = await subscriptionPauseService.processPauses();
+    console.log(`Subscription pauses: ${summary.started} started, ${summary.resumed} resumed`);
+  } catch (error) {
+    console.error('Error processing subscription pauses:', error);
+  }
+}
+
+// Just after midnight (default 12:05 AM), so pauses start and end with the day
+configService.scheduleJob('schedule.subscriptionPauses', processSubscriptionPauses);
+
+module.exports = { processSubscriptionPauses };
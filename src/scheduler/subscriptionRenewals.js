@@ -0,0 +1,17 @@
+const renewalService = require('../services/renewalService');
+const configService = require('../services/configService');
+
+async function renewDueSubscriptions() {
+  console.log('Processing subscription renewals...');
+  try {
+    const summary = await renewalService.processDueRenewals();
+    console.log(`Subscription renewals: ${summary.renewed} renewed, ${summary.failed} failed, ${summary.pending} pending, ${summary.suspended} suspended`);
+  } catch (error) {
+    console.error('Error processing subscription renewals:', error);
+  }
+}
+
+// Hourly by default, so dunning retries run close to their due time
+configService.scheduleJob('schedule.subscriptionRenewals', renewDueSubscriptions);
+
+module.exports = { renewDueSubscriptions };
@@ -0,0 +1,17 @@
+const earningsService = require('../services/earningsService');
+const configService = require('../services/configService');
+
+async function generateWeeklyPayouts() {
+  console.log('Generating weekly maid payouts...');
+  try {
+    const payouts = await earningsService.generatePayouts();
+    console.log(`Weekly payouts generated: ${payouts.length}`);
+  } catch (error) {
+    console.error('Error generating weekly payouts:', error);
+  }
+}
+
+// Every Monday (default 2 AM), closing the week that just ended
+configService.scheduleJob('schedule.weeklyPayouts', generateWeeklyPayouts);
+
+module.exports = { generateWeeklyPayouts };
@@ -0,0 +1,140 @@
+const { PrismaClient } = require('@prisma/client');
+const maidAvailabilityService = require('./maidAvailabilityService');
+const configService = require('./configService');
+const { isPointInPolygon } = require('../utils/geoUtils');
+
+const prisma = new PrismaClient();
+
+class AttendanceService {
+
+  /**
+   * Attendance date for a timestamp. The column is a plain date, so the business-day
+   * calendar date (server time) is stored as UTC midnight to keep it from shifting a day.
+   */
+  getAttendanceDate(date = new Date()) {
+    const day = new Date(date);
+    return new Date(Date.UTC(day.getFullYear(), day.getMonth(), day.getDate()));
+  }
+
+  /**
+   * Check a location against the maid's active zones.
+   * Floating maids and maids without zones can check in anywhere.
+   */
+  isWithinMaidZones(maidProfile, latitude, longitude) {
+    const activeZones = (maidProfile.zones || [])
+      .map(maidZone => maidZone.zone)
+      .filter(zone => zone && zone.isActive);
+
+    if (maidProfile.isFloatingMaid || activeZones.length === 0) {
+      return true;
+    }
+
+    return activeZones.some(zone => isPointInPolygon(latitude, longitude, zone.boundaries));
+  }
+
+  /**
+   * PRESENT or LATE depending on the first booking the maid (by user id) has that day
+   */
+  async getCheckInStatus(maidUserId, checkInTime) {
+    const dayBookings = await maidAvailabilityService.getMaidBookingsForDay(maidUserId, checkInTime);
+    if (dayBookings.length === 0) {
+      return { status: 'PRESENT', firstBookingAt: null };
+    }
+
+    const firstBookingAt = dayBookings[0].scheduledAt;
+    const lateAfter = new Date(firstBookingAt.getTime() + configService.get('attendance.lateGraceMinutes') * 60 * 1000);
+
+    return {
+      status: checkInTime > lateAfter ? 'LATE' : 'PRESENT',
+      firstBookingAt
+    };
+  }
+
+  /**
+   * Hours worked, overtime and the resulting status for a check-in/check-out pair
+   */
+  calculateHours(checkIn, checkOut, currentStatus) {
+    const hoursWorked = Math.max(0, (new Date(checkOut) - new Date(checkIn)) / (60 * 60 * 1000));
+    const overtime = Math.max(0, hoursWorked - configService.get('attendance.standardWorkHours'));
+
+    let status = currentStatus;
+    if (currentStatus === 'PRESENT' && hoursWorked < configService.get('attendance.halfDayHours')) {
+      status = 'HALF_DAY';
+    }
+
+    return {
+      hoursWorked: Math.round(hoursWorked * 100) / 100,
+      overtime: Math.round(overtime * 100) / 100,
+      status
+    };
+  }
+
+  /**
+   * Continue the attendance streak when the maid also worked the previous day
+   */
+  async getNextStreak(maidProfile, date) {
+    const previousDay = new Date(date);
+    previousDay.setUTCDate(previousDay.getUTCDate() - 1);
+
+    const previous = await prisma.attendance.findUnique({
+      where: {
+        maidId_date: {
+          maidId: maidProfile.id,
+          date: previousDay
+        }
+      }
+    });
+
+    const worked = previous && ['PRESENT', 'LATE', 'HALF_DAY'].includes(previous.status);
+    return worked ? maidProfile.attendanceStreak + 1 : 1;
+  }
+
+  /**
+   * Attendance records and totals for a maid profile in a calendar month (1-12)
+   */
+  async getMonthlyReport(maidProfileId, month, year) {
+    const records = await prisma.attendance.findMany({
+      where: {
+        maidId: maidProfileId,
+        date: {
+          gte: new Date(Date.UTC(year, month - 1, 1)),
+          lt: new Date(Date.UTC(year, month, 1))
+        }
+      },
+      orderBy: { date: 'asc' }
+    });
+
+    const statusCounts = {
+      PRESENT: 0,
+      ABSENT: 0,
+      LATE: 0,
+      HALF_DAY: 0,
+      ON_LEAVE: 0,
+      SICK_LEAVE: 0
+    };
+    let totalHours = 0;
+    let totalOvertime = 0;
+
+    records.forEach(record => {
+      statusCounts[record.status] += 1;
+      totalHours += record.hoursWorked || 0;
+      totalOvertime += record.overtime || 0;
+    });
+
+    return {
+      month,
+      year,
+      summary: {
+        daysRecorded: records.length,
+        daysWorked: statusCounts.PRESENT + statusCounts.LATE + statusCounts.HALF_DAY,
+        statusCounts,
+        totalHours: Math.round(totalHours * 100) / 100,
+        totalOvertime: Math.round(totalOvertime * 100) / 100,
+        adminAdjustedDays: records.filter(record => record.adminAdjusted).length
+      },
+      records
+    };
+  }
+}
+
+module.exports = new AttendanceService();
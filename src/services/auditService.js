@@ -0,0 +1,99 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Fields never written to the audit trail
+const REDACTED_FIELDS = ['password', 'refreshToken', 'otp', 'startOTP', 'endOTP'];
+
+class AuditService {
+
+  /**
+   * Copy of a record without sensitive fields, safe to store as JSON
+   */
+  sanitize(values) {
+    if (values === null || values === undefined) {
+      return null;
+    }
+
+    return JSON.parse(JSON.stringify(values, (key, value) =>
+      REDACTED_FIELDS.includes(key) ? undefined : value
+    ));
+  }
+
+  /**
+   * Row data for an audit entry, for callers that write it inside their own transaction
+   */
+  buildEntry({ req, userId, action, resource, resourceId, oldValues, newValues }) {
+    return {
+      userId: userId ?? req?.user?.id ?? null,
+      action,
+      resource,
+      resourceId: resourceId ? String(resourceId) : null,
+      oldValues: this.sanitize(oldValues) ?? undefined,
+      newValues: this.sanitize(newValues) ?? undefined,
+      ipAddress: req?.ip,
+      userAgent: req?.get ? req.get('user-agent') : undefined
+    };
+  }
+
+  /**
+   * Write an audit entry. Failures are logged and never break the request being audited.
+   */
+  async log(entry) {
+    try {
+      return await prisma.auditLog.create({
+        data: this.buildEntry(entry)
+      });
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Filtered, paginated audit entries with the acting user attached
+   */
+  async getLogs({ userId, resource, resourceId, action, startDate, endDate, page = 1, limit = 20 }) {
+    const where = {};
+    if (userId) where.userId = userId;
+    if (resource) where.resource = resource;
+    if (resourceId) where.resourceId = resourceId;
+    if (action) where.action = action;
+    if (startDate || endDate) {
+      where.createdAt = {
+        ...(startDate && { gte: new Date(startDate) }),
+        ...(endDate && { lte: new Date(endDate) })
+      };
+    }
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    // AuditLog has no relation to User so the actors are looked up separately
+    const userIds = [...new Set(logs.map(log => log.userId).filter(Boolean))];
+    const users = await prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, name: true, email: true, role: true }
+    });
+    const usersById = new Map(users.map(user => [user.id, user]));
+
+    return {
+      logs: logs.map(log => ({ ...log, user: usersById.get(log.userId) || null })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,152 @@
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const tokenService = require('./tokenService');
+const phoneOtpService = require('./phoneOtpService');
+
+const prisma = new PrismaClient();
+
+// Roles anyone can sign up for; ADMIN and SUPERVISOR accounts come from staff invitations
+const PUBLIC_SIGNUP_ROLES = ['CUSTOMER', 'MAID'];
+
+// Profile created alongside a new account of each role
+const profileData = (role) => {
+  switch (role) {
+    case 'CUSTOMER':
+      return { customerProfile: { create: { preferences: {} } } };
+    case 'MAID':
+      // Maids cannot be assigned work until an admin verifies the profile
+      return {
+        maidProfile: {
+          create: {
+            skills: [],
+            languages: [],
+            availability: {},
+            status: 'PENDING_VERIFICATION'
+          }
+        }
+      };
+    case 'ADMIN':
+    case 'SUPERVISOR':
+      return { adminProfile: { create: { permissions: {} } } };
+    default:
+      return {};
+  }
+};
+
+class AuthService {
+
+  isPublicRole(role) {
+    return PUBLIC_SIGNUP_ROLES.includes(role);
+  }
+
+  /**
+   * Remove the password hash before a user leaves the API
+   */
+  toPublicUser(user) {
+    const { password, ...publicUser } = user;
+    return publicUser;
+  }
+
+  /**
+   * Create a user with the profile for its role. Throws when the email or phone is taken.
+   */
+  async createAccount({ email, password, name, phone, address, role, status, phoneVerifiedAt }) {
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+    if (existingUser) {
+      throw new Error('User already exists');
+    }
+
+    const existingPhone = await prisma.user.findUnique({
+      where: { phone }
+    });
+    if (existingPhone) {
+      throw new Error('Phone number already registered');
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    return prisma.user.create({
+      data: {
+        email,
+        password: hashedPassword,
+        name,
+        phone,
+        address,
+        role,
+        status,
+        phoneVerifiedAt,
+        ...profileData(role)
+      },
+      include: {
+        customerProfile: true,
+        maidProfile: true,
+        adminProfile: true
+      }
+    });
+  }
+
+  /**
+   * Public sign-up for customers and maids. The account stays PENDING_VERIFICATION, without
+   * a session, until the phone code sent here is confirmed through the OTP login.
+   * Returns { user, verificationCodeSent }; a code that could not be sent can be requested again.
+   */
+  async register({ email, password, name, phone, address, role = 'CUSTOMER' }, req) {
+    if (!this.isPublicRole(role)) {
+      throw new Error('Staff accounts are created by invitation');
+    }
+
+    const user = await this.createAccount({
+      email,
+      password,
+      name,
+      phone,
+      address,
+      role,
+      status: 'PENDING_VERIFICATION'
+    });
+
+    let verificationCodeSent = false;
+    try {
+      const result = await phoneOtpService.sendCode(user.phone, 'VERIFY_PHONE', req);
+      verificationCodeSent = result.sent;
+    } catch (error) {
+      console.error('Error sending verification code:', error);
+    }
+
+    return { user: this.toPublicUser(user), verificationCodeSent };
+  }
+
+  /**
+   * Check email and password and start a session. Returns { user, tokens }.
+   */
+  async login(email, password, req) {
+    const user = await prisma.user.findUnique({
+      where: { email },
+      include: {
+        customerProfile: true,
+        maidProfile: true,
+        adminProfile: true
+      }
+    });
+
+    if (!user || !(await bcrypt.compare(password, user.password))) {
+      throw new Error('Invalid credentials');
+    }
+
+    if (tokenService.isBlocked(user)) {
+      throw new Error(`Account is ${user.status.toLowerCase()}`);
+    }
+
+    if (user.status === 'PENDING_VERIFICATION') {
+      throw new Error('Phone number is not verified');
+    }
+
+    const tokens = await tokenService.issueTokens(user, req);
+
+    return { user: this.toPublicUser(user), tokens };
+  }
+}
+
+module.exports = new AuthService();
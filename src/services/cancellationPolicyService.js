@@ -0,0 +1,51 @@
+// Tiered booking cancellation policy
+const configService = require('./configService');
+
+const CANCELLATION_TIERS = {
+  FULL_REFUND: 'FULL_REFUND',
+  LATE_CANCELLATION: 'LATE_CANCELLATION',
+  NO_REFUND: 'NO_REFUND'
+};
+
+class CancellationPolicyService {
+
+  /**
+   * Work out refund and fee for cancelling a booking now.
+   * Subscription sessions are only credited back for free cancellations.
+   */
+  evaluate(booking, { waiveFee = false, paidAmount = booking.finalAmount } = {}) {
+    const freeCancellationHours = configService.get('booking.freeCancellationHours');
+    const lateCancellationFeePercent = configService.get('booking.lateCancellationFeePercent');
+    const hoursUntilService = (new Date(booking.scheduledAt) - new Date()) / (60 * 60 * 1000);
+
+    let tier;
+    if (booking.status === 'IN_PROGRESS') {
+      tier = CANCELLATION_TIERS.NO_REFUND;
+    } else if (waiveFee || hoursUntilService >= freeCancellationHours) {
+      tier = CANCELLATION_TIERS.FULL_REFUND;
+    } else {
+      tier = CANCELLATION_TIERS.LATE_CANCELLATION;
+    }
+
+    let refundPercent = 0;
+    if (tier === CANCELLATION_TIERS.FULL_REFUND) {
+      refundPercent = 100;
+    } else if (tier === CANCELLATION_TIERS.LATE_CANCELLATION) {
+      refundPercent = 100 - lateCancellationFeePercent;
+    }
+
+    const amount = paidAmount || 0;
+    const refundAmount = Math.round(amount * refundPercent) / 100;
+
+    return {
+      tier,
+      hoursUntilService: Math.round(hoursUntilService * 100) / 100,
+      refundPercent,
+      refundAmount,
+      fee: Math.round((amount - refundAmount) * 100) / 100,
+      creditSession: tier === CANCELLATION_TIERS.FULL_REFUND
+    };
+  }
+}
+
+module.exports = new CancellationPolicyService();
@@ -0,0 +1,524 @@
+const EventEmitter = require('events');
+const cron = require('node-cron');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// How often stored values are re-read, so changes made on another instance are picked up
+const CONFIG_REFRESH_SECONDS = parseInt(process.env.CONFIG_REFRESH_SECONDS || '60');
+
+const isCronExpression = (value) => cron.validate(value) || 'must be a valid cron expression';
+const isTimeOfDay = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value) || 'must be a time in HH:MM format';
+const atLeast = (min) => (value) => value >= min || `must be at least ${min}`;
+const isStringList = (value) =>
+  (Array.isArray(value) && value.every(item => typeof item === 'string')) || 'must be an array of strings';
+const isPositiveNumberList = (value) =>
+  (Array.isArray(value) && value.every(item => typeof item === 'number' && item > 0)) || 'must be an array of positive numbers';
+
+// Known settings. Defaults fall back to the environment variables used before these were configurable.
+const CONFIG_DEFINITIONS = {
+  'booking.rescheduleCutoffHours': {
+    type: 'NUMBER',
+    default: process.env.RESCHEDULE_CUTOFF_HOURS || '12',
+    description: 'Hours before the scheduled time after which customers can no longer reschedule',
+    validate: atLeast(0)
+  },
+  'booking.freeCancellationHours': {
+    type: 'NUMBER',
+    default: process.env.FREE_CANCELLATION_HOURS || '24',
+    description: 'Cancelling at least this many hours ahead is free',
+    validate: atLeast(0)
+  },
+  'booking.lateCancellationFeePercent': {
+    type: 'NUMBER',
+    default: process.env.LATE_CANCELLATION_FEE_PERCENT || '25',
+    description: 'Percentage of the paid amount kept for late cancellations',
+    validate: (value) => (value >= 0 && value <= 100) || 'must be between 0 and 100'
+  },
+  'subscription.defaultServiceTime': {
+    type: 'STRING',
+    default: '09:00',
+    description: 'Time of day (HH:MM) for bookings created from next-day confirmations',
+    validate: isTimeOfDay
+  },
+  'matching.defaultServiceRadiusKm': {
+    type: 'NUMBER',
+    default: '5',
+    description: 'Service radius for maids who have not set their own',
+    validate: atLeast(0.1)
+  },
+  'otp.length': {
+    type: 'NUMBER',
+    default: '6',
+    description: 'Number of digits in service start/end OTPs and phone login codes',
+    validate: (value) => (Number.isInteger(value) && value >= 4 && value <= 10) || 'must be a whole number from 4 to 10'
+  },
+  'otp.expiryMinutes': {
+    type: 'NUMBER',
+    default: '5',
+    description: 'Minutes a phone login/verification code stays valid',
+    validate: atLeast(1)
+  },
+  'otp.maxAttempts': {
+    type: 'NUMBER',
+    default: '5',
+    description: 'Wrong guesses allowed per phone code before it is invalidated',
+    validate: atLeast(1)
+  },
+  'otp.resendCooldownSeconds': {
+    type: 'NUMBER',
+    default: '60',
+    description: 'Seconds before another code can be sent to the same phone',
+    validate: atLeast(0)
+  },
+  'otp.maxSendsPerHour': {
+    type: 'NUMBER',
+    default: '5',
+    description: 'Codes that can be sent to one phone per hour',
+    validate: atLeast(1)
+  },
+  'auth.accessTokenMinutes': {
+    type: 'NUMBER',
+    default: process.env.ACCESS_TOKEN_MINUTES || '15',
+    description: 'Lifetime of access tokens in minutes',
+    validate: atLeast(1)
+  },
+  'auth.refreshTokenDays': {
+    type: 'NUMBER',
+    default: process.env.REFRESH_TOKEN_DAYS || '30',
+    description: 'Days a login session stays valid without being refreshed',
+    validate: atLeast(1)
+  },
+  'passwordReset.tokenMinutes': {
+    type: 'NUMBER',
+    default: '30',
+    description: 'Minutes an emailed password reset link stays valid',
+    validate: atLeast(5)
+  },
+  'passwordReset.maxRequestsPerHour': {
+    type: 'NUMBER',
+    default: '5',
+    description: 'Password reset emails that can be sent to one account per hour',
+    validate: atLeast(1)
+  },
+  'invitations.expiryDays': {
+    type: 'NUMBER',
+    default: '7',
+    description: 'Days a staff invitation can be accepted',
+    validate: atLeast(1)
+  },
+  'billing.retryIntervalsHours': {
+    type: 'JSON',
+    default: '[24, 72, 120]',
+    description: 'Hours to wait before each retry of a failed renewal charge',
+    validate: isPositiveNumberList
+  },
+  'billing.gracePeriodDays': {
+    type: 'NUMBER',
+    default: '3',
+    description: 'Days a subscription keeps running after the last renewal retry fails, before it is suspended',
+    validate: atLeast(0)
+  },
+  'billing.pendingChargeTimeoutHours': {
+    type: 'NUMBER',
+    default: '24',
+    description: 'Hours a renewal charge can wait for gateway confirmation before it is treated as failed',
+    validate: atLeast(1)
+  },
+  'subscription.suspendedExpiryDays': {
+    type: 'NUMBER',
+    default: '30',
+    description: 'Days after its end date that a suspended subscription is expired',
+    validate: atLeast(0)
+  },
+  'subscription.maxPauseDaysPerTerm': {
+    type: 'NUMBER',
+    default: '30',
+    description: 'Days a customer can pause their subscription in each plan term (0 turns pausing off)',
+    validate: atLeast(0)
+  },
+  'attendance.lateGraceMinutes': {
+    type: 'NUMBER',
+    default: process.env.ATTENDANCE_LATE_GRACE_MINUTES || '15',
+    description: 'Minutes after the first booking of the day before a check-in counts as late',
+    validate: atLeast(0)
+  },
+  'attendance.standardWorkHours': {
+    type: 'NUMBER',
+    default: process.env.STANDARD_WORK_HOURS || '8',
+    description: 'Hours in a regular working day, anything above is overtime',
+    validate: atLeast(1)
+  },
+  'attendance.halfDayHours': {
+    type: 'NUMBER',
+    default: process.env.HALF_DAY_HOURS || '4',
+    description: 'Days shorter than this are recorded as half days',
+    validate: atLeast(0)
+  },
+  'tracking.arrivalRadiusMeters': {
+    type: 'NUMBER',
+    default: process.env.ARRIVAL_RADIUS_METERS || '100',
+    description: 'Distance from the customer within which a maid counts as arrived',
+    validate: atLeast(1)
+  },
+  'tracking.averageTravelSpeedKmh': {
+    type: 'NUMBER',
+    default: process.env.AVERAGE_TRAVEL_SPEED_KMH || '20',
+    description: 'Average city travel speed used for ETAs',
+    validate: atLeast(1)
+  },
+  'documents.requiredTypes': {
+    type: 'JSON',
+    default: JSON.stringify((process.env.REQUIRED_MAID_DOCUMENTS || 'AADHAR_CARD,POLICE_VERIFICATION,PHOTO')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean)),
+    description: 'Document types a maid needs verified before becoming ACTIVE',
+    validate: isStringList
+  },
+  'documents.expiryWarningDays': {
+    type: 'NUMBER',
+    default: process.env.DOCUMENT_EXPIRY_WARNING_DAYS || '30',
+    description: 'How many days ahead of expiry documents are flagged',
+    validate: atLeast(1)
+  },
+  'documents.maxSizeMb': {
+    type: 'NUMBER',
+    default: process.env.MAX_DOCUMENT_SIZE_MB || '5',
+    description: 'Largest document upload accepted, in MB',
+    validate: atLeast(0.1)
+  },
+  'performance.onTimeGraceMinutes': {
+    type: 'NUMBER',
+    default: process.env.ON_TIME_GRACE_MINUTES || '10',
+    description: 'Minutes after the scheduled time a service may start and still count as on time',
+    validate: atLeast(0)
+  },
+  'earnings.defaultHourlyRate': {
+    type: 'NUMBER',
+    default: process.env.DEFAULT_MAID_HOURLY_RATE || '100',
+    description: 'Hourly rate for subscription bookings when the maid has none set',
+    validate: atLeast(0)
+  },
+  'schedule.bookingReminders': {
+    type: 'STRING',
+    default: '0 18 * * *',
+    description: 'Cron schedule for next-day booking reminders',
+    validate: isCronExpression
+  },
+  'schedule.paymentReminders': {
+    type: 'STRING',
+    default: '0 */6 * * *',
+    description: 'Cron schedule for pending payment reminders',
+    validate: isCronExpression
+  },
+  'schedule.subscriptionExpiryReminders': {
+    type: 'STRING',
+    default: '0 9 * * *',
+    description: 'Cron schedule for subscription expiry reminders',
+    validate: isCronExpression
+  },
+  'schedule.subscriptionRenewals': {
+    type: 'STRING',
+    default: '0 * * * *',
+    description: 'Cron schedule for charging due subscription renewals and retries',
+    validate: isCronExpression
+  },
+  'schedule.subscriptionExpiry': {
+    type: 'STRING',
+    default: '0 1 * * *',
+    description: 'Cron schedule for expiring ended subscriptions',
+    validate: isCronExpression
+  },
+  'schedule.subscriptionPauses': {
+    type: 'STRING',
+    default: '5 0 * * *',
+    description: 'Cron schedule for starting and ending subscription pauses',
+    validate: isCronExpression
+  },
+  'schedule.performanceAlerts': {
+    type: 'STRING',
+    default: '0 10 * * 1',
+    description: 'Cron schedule for maid performance alerts',
+    validate: isCronExpression
+  },
+  'schedule.attendanceAlerts': {
+    type: 'STRING',
+    default: '30 9 * * *',
+    description: 'Cron schedule for attendance alerts',
+    validate: isCronExpression
+  },
+  'schedule.autoAssignment': {
+    type: 'STRING',
+    default: '0 21 * * *',
+    description: 'Cron schedule for auto-assigning maids to next day bookings',
+    validate: isCronExpression
+  },
+  'schedule.documentExpiry': {
+    type: 'STRING',
+    default: '0 8 * * *',
+    description: 'Cron schedule for flagging expiring maid documents',
+    validate: isCronExpression
+  },
+  'schedule.performanceMetrics': {
+    type: 'STRING',
+    default: '0 1 * * *',
+    description: 'Cron schedule for computing maid performance metrics',
+    validate: isCronExpression
+  },
+  'schedule.weeklyPayouts': {
+    type: 'STRING',
+    default: '0 2 * * 1',
+    description: 'Cron schedule for generating maid payouts',
+    validate: isCronExpression
+  }
+};
+
+class ConfigService extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(50);
+    this.values = new Map(); // key -> stored SystemConfig row
+    this.loadedAt = null;
+    this.refreshTimer = null;
+  }
+
+  /**
+   * Convert a stored string to its typed value. Throws when the string does not match the type.
+   */
+  parseValue(type, raw) {
+    switch (type) {
+      case 'NUMBER': {
+        const value = Number(raw);
+        if (raw === '' || !Number.isFinite(value)) {
+          throw new Error('Value must be a number');
+        }
+        return value;
+      }
+      case 'BOOLEAN':
+        if (raw !== 'true' && raw !== 'false') {
+          throw new Error('Value must be true or false');
+        }
+        return raw === 'true';
+      case 'JSON':
+        try {
+          return JSON.parse(raw);
+        } catch (error) {
+          throw new Error('Value must be valid JSON');
+        }
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * String form of a value for storage
+   */
+  serializeValue(type, value) {
+    if (type === 'JSON') {
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Check a value against its type and the key's own rules; returns the string to store
+   */
+  validateValue(key, type, value) {
+    if (value === undefined || value === null) {
+      throw new Error('Value is required');
+    }
+
+    const raw = this.serializeValue(type, value);
+    const parsed = this.parseValue(type, raw);
+
+    const definition = CONFIG_DEFINITIONS[key];
+    if (definition && definition.validate) {
+      const result = definition.validate(parsed);
+      if (result !== true) {
+        throw new Error(`${key} ${result}`);
+      }
+    }
+
+    return raw;
+  }
+
+  /**
+   * Current typed value of a setting, from the cache or the default
+   */
+  get(key) {
+    const definition = CONFIG_DEFINITIONS[key];
+    const stored = this.values.get(key);
+
+    if (stored) {
+      try {
+        return this.parseValue(stored.type, stored.value);
+      } catch (error) {
+        console.error(`Invalid stored value for config ${key}, using default:`, error.message);
+      }
+    }
+
+    if (!definition) {
+      return undefined;
+    }
+
+    return this.parseValue(definition.type, definition.default);
+  }
+
+  /**
+   * Full view of a setting for the admin API
+   */
+  describe(key) {
+    const definition = CONFIG_DEFINITIONS[key];
+    const stored = this.values.get(key);
+
+    if (!definition && !stored) {
+      return null;
+    }
+
+    return {
+      key,
+      type: stored?.type || definition.type,
+      value: this.get(key),
+      defaultValue: definition ? this.parseValue(definition.type, definition.default) : null,
+      description: stored?.description || definition?.description || null,
+      isDefault: !stored,
+      isBuiltIn: Boolean(definition),
+      updatedBy: stored?.updatedBy || null,
+      updatedAt: stored?.updatedAt || null
+    };
+  }
+
+  /**
+   * Every built-in and stored setting
+   */
+  list() {
+    const keys = new Set([...Object.keys(CONFIG_DEFINITIONS), ...this.values.keys()]);
+    return [...keys].sort().map(key => this.describe(key));
+  }
+
+  /**
+   * Replace the cache with stored values and emit "change" for every effective value that moved
+   */
+  async load() {
+    const previous = new Map([...this.values.keys(), ...Object.keys(CONFIG_DEFINITIONS)]
+      .map(key => [key, JSON.stringify(this.get(key))]));
+
+    const rows = await prisma.systemConfig.findMany();
+    this.values = new Map(rows.map(row => [row.key, row]));
+    this.loadedAt = new Date();
+
+    const keys = new Set([...previous.keys(), ...this.values.keys()]);
+    keys.forEach(key => {
+      if (previous.get(key) !== JSON.stringify(this.get(key))) {
+        this.emit('change', { key, value: this.get(key) });
+      }
+    });
+
+    return this.values.size;
+  }
+
+  /**
+   * Load stored values and keep re-reading them in the background
+   */
+  async start() {
+    await this.load();
+
+    if (!this.refreshTimer && CONFIG_REFRESH_SECONDS > 0) {
+      this.refreshTimer = setInterval(() => {
+        this.load().catch(error => console.error('Error refreshing system config:', error));
+      }, CONFIG_REFRESH_SECONDS * 1000);
+      this.refreshTimer.unref();
+    }
+  }
+
+  /**
+   * Type and storage string for a new value. Built-in keys keep their type; new keys need one.
+   * Throws when the value is not valid for the setting.
+   */
+  resolveValue(key, { value, type }) {
+    const configType = CONFIG_DEFINITIONS[key]?.type || this.values.get(key)?.type || type;
+
+    if (!configType) {
+      throw new Error('Type is required for new settings');
+    }
+
+    if (type && type !== configType) {
+      throw new Error(`Type of ${key} is ${configType} and cannot be changed`);
+    }
+
+    return { type: configType, raw: this.validateValue(key, configType, value) };
+  }
+
+  /**
+   * Create or update a setting and notify listeners of the new value
+   */
+  async set(key, { value, type, description }, updatedBy) {
+    const definition = CONFIG_DEFINITIONS[key];
+    const { type: configType, raw } = this.resolveValue(key, { value, type });
+
+    const saved = await prisma.systemConfig.upsert({
+      where: { key },
+      update: {
+        value: raw,
+        ...(description !== undefined && { description }),
+        updatedBy
+      },
+      create: {
+        key,
+        value: raw,
+        type: configType,
+        description: description ?? definition?.description,
+        updatedBy
+      }
+    });
+
+    const oldValue = this.get(key);
+    this.values.set(key, saved);
+    this.emit('change', { key, value: this.get(key), oldValue });
+
+    return this.describe(key);
+  }
+
+  /**
+   * Delete a stored setting; built-in keys go back to their default
+   */
+  async remove(key) {
+    const stored = this.values.get(key) || await prisma.systemConfig.findUnique({ where: { key } });
+    if (!stored) {
+      return null;
+    }
+
+    await prisma.systemConfig.delete({ where: { key } });
+
+    const oldValue = this.get(key);
+    this.values.delete(key);
+    this.emit('change', { key, value: this.get(key), oldValue });
+
+    return stored;
+  }
+
+  /**
+   * Schedule a cron task from a schedule.* setting and move it when the setting changes
+   */
+  scheduleJob(key, task) {
+    let job = cron.schedule(this.get(key), task);
+
+    this.on('change', (change) => {
+      if (change.key !== key) return;
+
+      if (!cron.validate(change.value)) {
+        console.error(`Ignoring invalid schedule for ${key}: "${change.value}"`);
+        return;
+      }
+
+      job.stop();
+      job = cron.schedule(change.value, task);
+      console.log(`Rescheduled ${key} to "${change.value}"`);
+    });
+
+    return job;
+  }
+}
+
+module.exports = new ConfigService();
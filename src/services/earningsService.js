@@ -0,0 +1,292 @@
+const { PrismaClient } = require('@prisma/client');
+const configService = require('./configService');
+
+const prisma = new PrismaClient();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class EarningsService {
+
+  /**
+   * Monday-to-Monday week containing the given date
+   */
+  getWeekRange(date) {
+    const periodStart = new Date(date);
+    periodStart.setHours(0, 0, 0, 0);
+    // getDay() is 0 for Sunday
+    periodStart.setDate(periodStart.getDate() - ((periodStart.getDay() + 6) % 7));
+
+    const periodEnd = new Date(periodStart);
+    periodEnd.setDate(periodEnd.getDate() + 7);
+
+    return { periodStart, periodEnd };
+  }
+
+  /**
+   * Work out what the maid earns for a completed booking (with its payment, if any)
+   */
+  calculateEarning(booking, maidProfile) {
+    const earnedAt = booking.completedAt || booking.actualEndTime || new Date();
+
+    // Paid bookings: collected payment amount minus platform commission
+    if (booking.payment && booking.payment.status === 'COMPLETED' && booking.payment.finalAmount > 0) {
+      const grossAmount = booking.payment.finalAmount;
+      const commissionAmount = round(grossAmount * maidProfile.commissionRate);
+      return {
+        type: 'COMMISSION',
+        grossAmount,
+        commissionRate: maidProfile.commissionRate,
+        commissionAmount,
+        amount: round(grossAmount - commissionAmount),
+        earnedAt
+      };
+    }
+
+    // Subscription bookings: hours actually worked (or the estimate) at the hourly rate
+    const minutesWorked = booking.actualStartTime && booking.actualEndTime
+      ? (booking.actualEndTime - booking.actualStartTime) / (60 * 1000)
+      : booking.estimatedDuration;
+    const hoursWorked = round(Math.max(0, minutesWorked) / 60);
+    const hourlyRate = maidProfile.hourlyRate ?? configService.get('earnings.defaultHourlyRate');
+
+    return {
+      type: 'HOURLY',
+      hoursWorked,
+      hourlyRate,
+      amount: round(hoursWorked * hourlyRate),
+      earnedAt
+    };
+  }
+
+  /**
+   * Record (or refresh) the earning for a completed booking. Earnings already in a payout are left alone.
+   */
+  async recordBookingEarning(bookingId) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: {
+        payment: true,
+        earning: true
+      }
+    });
+
+    if (!booking || booking.status !== 'COMPLETED' || !booking.maidId) {
+      return null;
+    }
+
+    if (booking.earning && booking.earning.payoutId) {
+      return booking.earning;
+    }
+
+    // Bookings paid separately earn nothing until the payment is collected
+    if (booking.payment && booking.payment.status !== 'COMPLETED') {
+      return null;
+    }
+
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: booking.maidId }
+    });
+
+    if (!maidProfile) {
+      return null;
+    }
+
+    const earning = this.calculateEarning(booking, maidProfile);
+
+    return prisma.maidEarning.upsert({
+      where: { bookingId },
+      update: earning,
+      create: {
+        maidId: maidProfile.id,
+        bookingId,
+        ...earning
+      }
+    });
+  }
+
+  /**
+   * Record earnings for completed bookings that do not have one yet
+   */
+  async syncMissingEarnings(before = new Date()) {
+    const bookings = await prisma.booking.findMany({
+      where: {
+        status: 'COMPLETED',
+        maidId: { not: null },
+        completedAt: { lt: before },
+        earning: null,
+        OR: [
+          { payment: null },
+          { payment: { status: 'COMPLETED' } }
+        ]
+      },
+      select: { id: true }
+    });
+
+    for (const booking of bookings) {
+      await this.recordBookingEarning(booking.id);
+    }
+
+    return bookings.length;
+  }
+
+  /**
+   * Group unpaid earnings from weeks that have ended into one PENDING payout per maid and week.
+   * Late earnings for a week that is already approved or paid roll into the next open week.
+   */
+  async generatePayouts(asOf = new Date()) {
+    const { periodStart: currentWeekStart } = this.getWeekRange(asOf);
+
+    await this.syncMissingEarnings(currentWeekStart);
+
+    const earnings = await prisma.maidEarning.findMany({
+      where: {
+        payoutId: null,
+        earnedAt: { lt: currentWeekStart }
+      },
+      orderBy: { earnedAt: 'asc' }
+    });
+
+    const closedPayouts = await prisma.maidPayout.findMany({
+      where: {
+        maidId: { in: [...new Set(earnings.map(earning => earning.maidId))] },
+        status: { not: 'PENDING' }
+      },
+      select: { maidId: true, periodStart: true }
+    });
+    const closedWeeks = new Set(closedPayouts.map(payout => `${payout.maidId}:${payout.periodStart.toISOString()}`));
+
+    // maidId + week -> earnings
+    const groups = new Map();
+    for (const earning of earnings) {
+      let { periodStart, periodEnd } = this.getWeekRange(earning.earnedAt);
+      let key = `${earning.maidId}:${periodStart.toISOString()}`;
+      while (closedWeeks.has(key)) {
+        ({ periodStart, periodEnd } = this.getWeekRange(periodEnd));
+        key = `${earning.maidId}:${periodStart.toISOString()}`;
+      }
+
+      // Every finished week is closed; the next run picks the earning up
+      if (periodStart >= currentWeekStart) {
+        continue;
+      }
+
+      if (!groups.has(key)) {
+        groups.set(key, { maidId: earning.maidId, periodStart, periodEnd, earnings: [] });
+      }
+      groups.get(key).earnings.push(earning);
+    }
+
+    const payouts = [];
+    for (const group of groups.values()) {
+      const existing = await prisma.maidPayout.findUnique({
+        where: {
+          maidId_periodStart: {
+            maidId: group.maidId,
+            periodStart: group.periodStart
+          }
+        }
+      });
+
+      // Approved since the earnings were grouped; they roll over on the next run
+      if (existing && existing.status !== 'PENDING') {
+        continue;
+      }
+
+      const payout = await prisma.$transaction(async (tx) => {
+        const saved = existing || await tx.maidPayout.create({
+          data: {
+            maidId: group.maidId,
+            periodStart: group.periodStart,
+            periodEnd: group.periodEnd,
+            totalAmount: 0,
+            earningsCount: 0
+          }
+        });
+
+        await tx.maidEarning.updateMany({
+          where: { id: { in: group.earnings.map(earning => earning.id) } },
+          data: { payoutId: saved.id }
+        });
+
+        const totals = await tx.maidEarning.aggregate({
+          where: { payoutId: saved.id },
+          _sum: { amount: true },
+          _count: { id: true }
+        });
+
+        return tx.maidPayout.update({
+          where: { id: saved.id },
+          data: {
+            totalAmount: round(totals._sum.amount || 0),
+            earningsCount: totals._count.id
+          }
+        });
+      });
+
+      payouts.push(payout);
+    }
+
+    return payouts;
+  }
+
+  /**
+   * Earnings statement for a maid profile between two dates
+   */
+  async getStatement(maidProfileId, from, to) {
+    const earnings = await prisma.maidEarning.findMany({
+      where: {
+        maidId: maidProfileId,
+        earnedAt: {
+          gte: from,
+          lt: to
+        }
+      },
+      include: {
+        booking: {
+          select: {
+            id: true,
+            scheduledAt: true,
+            service: {
+              select: { id: true, name: true }
+            }
+          }
+        },
+        payout: {
+          select: { id: true, status: true, paidAt: true }
+        }
+      },
+      orderBy: { earnedAt: 'desc' }
+    });
+
+    const totals = { earned: 0, commission: 0, paid: 0, approved: 0, pending: 0 };
+    for (const earning of earnings) {
+      totals.earned += earning.amount;
+      totals.commission += earning.commissionAmount;
+
+      const payoutStatus = earning.payout?.status;
+      if (payoutStatus === 'PAID') {
+        totals.paid += earning.amount;
+      } else if (payoutStatus === 'APPROVED') {
+        totals.approved += earning.amount;
+      } else {
+        totals.pending += earning.amount;
+      }
+    }
+    Object.keys(totals).forEach(key => {
+      totals[key] = round(totals[key]);
+    });
+
+    const payouts = await prisma.maidPayout.findMany({
+      where: {
+        maidId: maidProfileId,
+        periodStart: { lt: to },
+        periodEnd: { gt: from }
+      },
+      orderBy: { periodStart: 'desc' }
+    });
+
+    return { from, to, totals, earnings, payouts };
+  }
+}
+
+module.exports = new EarningsService();
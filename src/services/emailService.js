@@ -0,0 +1,25 @@
+const { ConsoleProvider, ProviderRegistry } = require('./providerRegistry');
+
+/**
+ * Sends email through the provider named by EMAIL_PROVIDER. The console provider appends to
+ * EMAIL_LOG_FILE when set.
+ */
+class EmailService extends ProviderRegistry {
+  constructor() {
+    super({
+      kind: 'email',
+      envVar: 'EMAIL_PROVIDER',
+      consoleProvider: () => new ConsoleProvider({
+        label: 'Email',
+        fields: ['subject', 'text'],
+        logFile: process.env.EMAIL_LOG_FILE
+      })
+    });
+  }
+
+  async send(to, subject, text) {
+    return this.getProvider().send(to, subject, text);
+  }
+}
+
+module.exports = new EmailService();
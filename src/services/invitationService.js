@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const configService = require('./configService');
+const emailService = require('./emailService');
+const tokenService = require('./tokenService');
+const authService = require('./authService');
+
+const prisma = new PrismaClient();
+
+const STAFF_ROLES = ['ADMIN', 'SUPERVISOR'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Helper function to name the state of an invitation
+const invitationStatus = (invitation) => {
+  if (invitation.acceptedAt) return 'ACCEPTED';
+  if (invitation.revokedAt) return 'REVOKED';
+  if (invitation.expiresAt <= new Date()) return 'EXPIRED';
+  return 'PENDING';
+};
+
+class InvitationService {
+
+  isStaffRole(role) {
+    return STAFF_ROLES.includes(role);
+  }
+
+  describe(invitation) {
+    const { tokenHash, ...rest } = invitation;
+    return { ...rest, status: invitationStatus(invitation) };
+  }
+
+  /**
+   * Invite someone to an ADMIN or SUPERVISOR account and email them the link.
+   * A new invitation replaces any pending one for the same email.
+   */
+  async createInvitation({ email, role }, invitedBy) {
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+    if (existingUser) {
+      throw new Error('User already exists');
+    }
+
+    const now = new Date();
+
+    await prisma.staffInvitation.updateMany({
+      where: {
+        email,
+        acceptedAt: null,
+        revokedAt: null
+      },
+      data: { revokedAt: now }
+    });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const days = configService.get('invitations.expiryDays');
+
+    const invitation = await prisma.staffInvitation.create({
+      data: {
+        email,
+        role,
+        tokenHash: hashToken(token),
+        invitedById: invitedBy.id,
+        expiresAt: new Date(now.getTime() + days * 24 * 60 * 60 * 1000)
+      }
+    });
+
+    const link = process.env.INVITATION_URL
+      ? `${process.env.INVITATION_URL}?token=${token}`
+      : `Invitation token: ${token}`;
+
+    await emailService.send(
+      email,
+      'You have been invited to Sweep Pro',
+      `${invitedBy.name} has invited you to join Sweep Pro as ${role.toLowerCase()}. Use the link below to set up your account. It expires in ${days} days.\n\n${link}`
+    );
+
+    return this.describe(invitation);
+  }
+
+  async listInvitations({ status } = {}) {
+    const invitations = await prisma.staffInvitation.findMany({
+      include: {
+        invitedBy: {
+          select: { id: true, name: true, email: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const described = invitations.map(invitation => this.describe(invitation));
+    return status ? described.filter(invitation => invitation.status === status) : described;
+  }
+
+  /**
+   * Withdraw a pending invitation. Returns null when there is no such pending invitation.
+   */
+  async revokeInvitation(id) {
+    const result = await prisma.staffInvitation.updateMany({
+      where: {
+        id,
+        acceptedAt: null,
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    if (result.count === 0) {
+      return null;
+    }
+
+    return this.describe(await prisma.staffInvitation.findUnique({ where: { id } }));
+  }
+
+  /**
+   * Create the staff account for an invitation token and start a session.
+   * The invited email is already proven, so the account starts ACTIVE. Returns { user, tokens }.
+   */
+  async acceptInvitation(token, { name, phone, password }, req) {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    const invitation = await prisma.staffInvitation.findUnique({
+      where: { tokenHash }
+    });
+
+    if (!invitation || invitationStatus(invitation) !== 'PENDING') {
+      throw new Error('Invitation is invalid or has expired');
+    }
+
+    // Claim the invitation first so it cannot be accepted twice
+    const claimed = await prisma.staffInvitation.updateMany({
+      where: {
+        id: invitation.id,
+        acceptedAt: null,
+        revokedAt: null
+      },
+      data: { acceptedAt: now }
+    });
+
+    if (claimed.count === 0) {
+      throw new Error('Invitation is invalid or has expired');
+    }
+
+    let user;
+    try {
+      user = await authService.createAccount({
+        email: invitation.email,
+        password,
+        name,
+        phone,
+        role: invitation.role,
+        status: 'ACTIVE'
+      });
+    } catch (error) {
+      // Leave the invitation usable if the account could not be created
+      await prisma.staffInvitation.update({
+        where: { id: invitation.id },
+        data: { acceptedAt: null }
+      });
+      throw error;
+    }
+
+    await prisma.staffInvitation.update({
+      where: { id: invitation.id },
+      data: { acceptedUserId: user.id }
+    });
+
+    const tokens = await tokenService.issueTokens(user, req);
+
+    return { user: authService.toPublicUser(user), tokens };
+  }
+}
+
+module.exports = new InvitationService();
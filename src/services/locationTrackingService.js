@@ -0,0 +1,167 @@
+const { PrismaClient } = require('@prisma/client');
+const maidAvailabilityService = require('./maidAvailabilityService');
+const configService = require('./configService');
+const { calculateDistance } = require('../utils/geoUtils');
+
+const prisma = new PrismaClient();
+
+const LOCATION_ACTIVITIES = [
+  'GENERAL',
+  'TRAVELING_TO_CUSTOMER',
+  'AT_CUSTOMER_LOCATION',
+  'TRAVELING_BETWEEN_CUSTOMERS',
+  'BREAK',
+  'END_OF_DAY'
+];
+
+const bookingInclude = {
+  service: {
+    select: { id: true, name: true }
+  },
+  customer: {
+    select: { id: true, name: true, latitude: true, longitude: true }
+  },
+  maid: {
+    select: { id: true, name: true, phone: true }
+  }
+};
+
+class LocationTrackingService {
+
+  /**
+   * Booking the maid (by user id) is currently heading to: the given one if it is theirs
+   * and ASSIGNED, otherwise their next ASSIGNED booking today.
+   */
+  async getActiveBooking(maidUserId, bookingId = null) {
+    if (bookingId) {
+      return prisma.booking.findFirst({
+        where: {
+          id: bookingId,
+          maidId: maidUserId,
+          status: 'ASSIGNED'
+        },
+        include: bookingInclude
+      });
+    }
+
+    const { dayStart, dayEnd } = maidAvailabilityService.getDayRange(new Date());
+
+    return prisma.booking.findFirst({
+      where: {
+        maidId: maidUserId,
+        status: 'ASSIGNED',
+        scheduledAt: {
+          gte: dayStart,
+          lt: dayEnd
+        }
+      },
+      include: bookingInclude,
+      orderBy: { scheduledAt: 'asc' }
+    });
+  }
+
+  /**
+   * Distance (km) and ETA (minutes) from a position to a booking's service location
+   */
+  getEta(booking, latitude, longitude) {
+    const serviceLat = booking.serviceLatitude ?? booking.customer?.latitude;
+    const serviceLng = booking.serviceLongitude ?? booking.customer?.longitude;
+
+    if (serviceLat == null || serviceLng == null) {
+      return { distanceKm: null, etaMinutes: null };
+    }
+
+    const distanceKm = calculateDistance(latitude, longitude, serviceLat, serviceLng);
+
+    return {
+      distanceKm: Math.round(distanceKm * 1000) / 1000,
+      etaMinutes: Math.ceil((distanceKm / configService.get('tracking.averageTravelSpeedKmh')) * 60)
+    };
+  }
+
+  /**
+   * Persist a maid's position and work out the ETA to their active booking.
+   * arrived is true only for the first update inside the arrival radius.
+   */
+  async recordLocation(maidUserId, { latitude, longitude, accuracy, bookingId, activity }) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+
+    if (Number.isNaN(lat) || Number.isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      throw new Error('Valid latitude and longitude are required');
+    }
+
+    if (activity !== undefined && !LOCATION_ACTIVITIES.includes(activity)) {
+      throw new Error('Invalid activity. Must be one of: ' + LOCATION_ACTIVITIES.join(', '));
+    }
+
+    const maidProfile = await prisma.maidProfile.findUnique({
+      where: { userId: maidUserId }
+    });
+
+    if (!maidProfile) {
+      throw new Error('Maid profile not found');
+    }
+
+    const booking = await this.getActiveBooking(maidUserId, bookingId);
+
+    let eta = { distanceKm: null, etaMinutes: null };
+    let isNearby = false;
+    let arrived = false;
+
+    if (booking) {
+      eta = this.getEta(booking, lat, lng);
+      isNearby = eta.distanceKm !== null && eta.distanceKm * 1000 <= configService.get('tracking.arrivalRadiusMeters');
+    }
+
+    let resolvedActivity = activity || 'GENERAL';
+    if (!activity && booking) {
+      resolvedActivity = isNearby ? 'AT_CUSTOMER_LOCATION' : 'TRAVELING_TO_CUSTOMER';
+    }
+
+    const now = new Date();
+
+    if (isNearby && !booking.maidArrivedAt) {
+      // Only the update that claims the arrival counts, so concurrent updates notify once
+      const { count } = await prisma.booking.updateMany({
+        where: {
+          id: booking.id,
+          maidArrivedAt: null
+        },
+        data: { maidArrivedAt: now }
+      });
+      arrived = count === 1;
+    }
+
+    const [location] = await prisma.$transaction([
+      prisma.locationHistory.create({
+        data: {
+          maidId: maidProfile.id,
+          latitude: lat,
+          longitude: lng,
+          accuracy: accuracy !== undefined ? parseFloat(accuracy) : null,
+          timestamp: now,
+          bookingId: booking ? booking.id : null,
+          activity: resolvedActivity
+        }
+      }),
+      prisma.maidProfile.update({
+        where: { id: maidProfile.id },
+        data: {
+          currentLatitude: lat,
+          currentLongitude: lng,
+          lastLocationUpdate: now
+        }
+      })
+    ]);
+
+    return {
+      location,
+      booking,
+      ...eta,
+      arrived
+    };
+  }
+}
+
+module.exports = new LocationTrackingService();
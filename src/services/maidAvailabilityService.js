@@ -0,0 +1,268 @@
+const { PrismaClient } = require('@prisma/client');
+const auditService = require('./auditService');
+
+const prisma = new PrismaClient();
+
+// Booking statuses that still occupy a maid's time
+const ACTIVE_BOOKING_STATUSES = ['PENDING', 'CONFIRMED', 'ASSIGNED', 'IN_PROGRESS', 'RESCHEDULED'];
+
+/**
+ * Thrown when an assignment has conflicts that were not overridden with a reason
+ */
+class AssignmentConflictError extends Error {
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'AssignmentConflictError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class MaidAvailabilityService {
+
+  /**
+   * Time window a booking blocks, including the service buffer after it
+   */
+  getBookingWindow(scheduledAt, estimatedDuration, bufferTime = 0) {
+    const start = new Date(scheduledAt);
+    const end = new Date(start.getTime() + (estimatedDuration + bufferTime) * 60 * 1000);
+    return { start, end };
+  }
+
+  /**
+   * Start and end of the calendar day containing the given date
+   */
+  getDayRange(date) {
+    const dayStart = new Date(date);
+    dayStart.setHours(0, 0, 0, 0);
+
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+
+    return { dayStart, dayEnd };
+  }
+
+  /**
+   * Active bookings assigned to a maid (by user id) on the day of the given date.
+   * db may be a transaction client.
+   */
+  async getMaidBookingsForDay(maidId, date, excludeBookingId = null, db = prisma) {
+    const { dayStart, dayEnd } = this.getDayRange(date);
+
+    return db.booking.findMany({
+      where: {
+        maidId,
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        scheduledAt: {
+          gte: dayStart,
+          lt: dayEnd
+        },
+        ...(excludeBookingId && { id: { not: excludeBookingId } })
+      },
+      include: {
+        service: {
+          select: { id: true, name: true, bufferTime: true }
+        }
+      },
+      orderBy: { scheduledAt: 'asc' }
+    });
+  }
+
+  /**
+   * Active bookings of several maids on the day of the given date, in one query.
+   * Returns a Map of maid user id to bookings.
+   */
+  async getBookingsForDayByMaid(maidIds, date, excludeBookingId = null) {
+    const { dayStart, dayEnd } = this.getDayRange(date);
+
+    const bookings = await prisma.booking.findMany({
+      where: {
+        maidId: { in: maidIds },
+        status: { in: ACTIVE_BOOKING_STATUSES },
+        scheduledAt: {
+          gte: dayStart,
+          lt: dayEnd
+        },
+        ...(excludeBookingId && { id: { not: excludeBookingId } })
+      },
+      include: {
+        service: {
+          select: { id: true, name: true, bufferTime: true }
+        }
+      },
+      orderBy: { scheduledAt: 'asc' }
+    });
+
+    const byMaid = new Map(maidIds.map(maidId => [maidId, []]));
+    for (const booking of bookings) {
+      byMaid.get(booking.maidId).push(booking);
+    }
+
+    return byMaid;
+  }
+
+  /**
+   * Bookings whose window (duration plus buffer) overlaps the given window
+   */
+  findOverlappingBookings(window, bookings) {
+    return bookings.filter(existing => {
+      const existingWindow = this.getBookingWindow(
+        existing.scheduledAt,
+        existing.estimatedDuration,
+        existing.service?.bufferTime || 0
+      );
+      return window.start < existingWindow.end && existingWindow.start < window.end;
+    });
+  }
+
+  /**
+   * Check whether a maid (user with maidProfile) can take a booking (with service).
+   * Returns a list of conflicts, empty when the assignment is clean. db may be a transaction client.
+   */
+  async checkAssignmentConflicts(booking, maid, db = prisma) {
+    const conflicts = [];
+
+    if (maid.maidProfile?.status === 'ON_LEAVE') {
+      conflicts.push({
+        type: 'MAID_ON_LEAVE',
+        message: `${maid.name} is currently on leave`
+      });
+    }
+
+    const dayBookings = await this.getMaidBookingsForDay(maid.id, booking.scheduledAt, booking.id, db);
+
+    const window = this.getBookingWindow(
+      booking.scheduledAt,
+      booking.estimatedDuration,
+      booking.service?.bufferTime || 0
+    );
+    const overlapping = this.findOverlappingBookings(window, dayBookings);
+    if (overlapping.length > 0) {
+      conflicts.push({
+        type: 'SCHEDULE_OVERLAP',
+        message: `${maid.name} has ${overlapping.length} overlapping booking(s)`,
+        bookings: overlapping.map(existing => ({
+          id: existing.id,
+          status: existing.status,
+          scheduledAt: existing.scheduledAt,
+          estimatedDuration: existing.estimatedDuration,
+          bufferTime: existing.service?.bufferTime || 0,
+          serviceName: existing.service?.name
+        }))
+      });
+    }
+
+    const maidLimit = maid.maidProfile?.maxDailyBookings;
+    if (maidLimit !== undefined && dayBookings.length >= maidLimit) {
+      conflicts.push({
+        type: 'MAID_DAILY_LIMIT',
+        message: `${maid.name} already has ${dayBookings.length} of ${maidLimit} bookings that day`,
+        limit: maidLimit,
+        current: dayBookings.length
+      });
+    }
+
+    if (booking.service) {
+      const { dayStart, dayEnd } = this.getDayRange(booking.scheduledAt);
+      const serviceAssignments = await db.booking.count({
+        where: {
+          serviceId: booking.serviceId,
+          maidId: { not: null },
+          status: { in: ACTIVE_BOOKING_STATUSES },
+          scheduledAt: {
+            gte: dayStart,
+            lt: dayEnd
+          },
+          id: { not: booking.id }
+        }
+      });
+
+      if (serviceAssignments >= booking.service.maxDailyBookings) {
+        conflicts.push({
+          type: 'SERVICE_DAILY_LIMIT',
+          message: `${booking.service.name} already has ${serviceAssignments} of ${booking.service.maxDailyBookings} assigned bookings that day`,
+          limit: booking.service.maxDailyBookings,
+          current: serviceAssignments
+        });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Assign a maid (user with maidProfile) to a booking (with service). Conflicts block the
+   * assignment unless overridden with a reason; an override is audited in the same
+   * transaction as the assignment. The conflicts are checked in that transaction with the
+   * service and the maid locked, so concurrent assignments cannot double-book the maid or go
+   * over a daily limit. Returns { booking, conflicts }.
+   * Throws AssignmentConflictError when the conflicts are not overridden.
+   */
+  async assignMaid({ booking, maid, override = false, overrideReason, overriddenBy, req, include }) {
+    return prisma.$transaction(async (tx) => {
+      // Locks the service and the maid until commit, so their assignments are checked one at a time
+      if (booking.service) {
+        await tx.service.update({
+          where: { id: booking.serviceId },
+          data: { updatedAt: new Date() }
+        });
+      }
+      await tx.user.update({
+        where: { id: maid.id },
+        data: { updatedAt: new Date() }
+      });
+
+      const conflicts = await this.checkAssignmentConflicts(booking, maid, tx);
+
+      if (conflicts.length > 0) {
+        if (!override) {
+          throw new AssignmentConflictError(
+            'Maid cannot be assigned without override due to conflicts',
+            409,
+            { conflicts, canOverride: true }
+          );
+        }
+
+        if (!overrideReason) {
+          throw new AssignmentConflictError('overrideReason is required when overriding assignment conflicts', 400);
+        }
+      }
+
+      const updated = await tx.booking.update({
+        where: { id: booking.id },
+        data: {
+          maidId: maid.id,
+          status: 'ASSIGNED'
+        },
+        ...(include && { include })
+      });
+
+      if (conflicts.length > 0) {
+        await tx.auditLog.create({
+          data: auditService.buildEntry({
+            req,
+            userId: overriddenBy,
+            action: 'ASSIGNMENT_CONFLICT_OVERRIDE',
+            resource: 'Booking',
+            resourceId: booking.id,
+            oldValues: {
+              maidId: booking.maidId,
+              status: booking.status
+            },
+            newValues: {
+              maidId: maid.id,
+              status: 'ASSIGNED',
+              reason: overrideReason,
+              conflicts
+            }
+          })
+        });
+      }
+
+      return { booking: updated, conflicts };
+    });
+  }
+}
+
+module.exports = new MaidAvailabilityService();
+module.exports.AssignmentConflictError = AssignmentConflictError;
@@ -0,0 +1,127 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const configService = require('./configService');
+
+const prisma = new PrismaClient();
+
+class MaidDocumentService {
+
+  /**
+   * Document types required for activation
+   */
+  getRequiredDocumentTypes() {
+    return [...configService.get('documents.requiredTypes')];
+  }
+
+  /**
+   * Required document types without a verified, unexpired document
+   */
+  async getMissingRequiredDocuments(maidProfileId) {
+    const requiredTypes = this.getRequiredDocumentTypes();
+    const verifiedDocuments = await prisma.maidDocument.findMany({
+      where: {
+        maidId: maidProfileId,
+        verified: true,
+        type: { in: requiredTypes },
+        OR: [
+          { expiryDate: null },
+          { expiryDate: { gt: new Date() } }
+        ]
+      },
+      select: { type: true }
+    });
+
+    const verifiedTypes = new Set(verifiedDocuments.map(document => document.type));
+    return requiredTypes.filter(type => !verifiedTypes.has(type));
+  }
+
+  /**
+   * Move a PENDING_VERIFICATION maid to ACTIVE once every required document is verified.
+   * Returns true when the maid was activated.
+   */
+  async activateIfVerified(maidProfile) {
+    if (maidProfile.status !== 'PENDING_VERIFICATION') {
+      return false;
+    }
+
+    const missing = await this.getMissingRequiredDocuments(maidProfile.id);
+    if (missing.length > 0) {
+      return false;
+    }
+
+    const activatedProfile = await prisma.maidProfile.update({
+      where: { id: maidProfile.id },
+      data: { status: 'ACTIVE' },
+      include: {
+        user: {
+          select: { id: true, name: true }
+        }
+      }
+    });
+
+    await notificationService.notifyMaidStatusChange(activatedProfile, 'ACTIVE');
+
+    return true;
+  }
+
+  /**
+   * Warn maids and admins about verified documents expiring soon (once per document)
+   */
+  async flagExpiringDocuments() {
+    const warnUntil = new Date();
+    warnUntil.setDate(warnUntil.getDate() + configService.get('documents.expiryWarningDays'));
+
+    const documents = await prisma.maidDocument.findMany({
+      where: {
+        verified: true,
+        expiryFlaggedAt: null,
+        expiryDate: {
+          not: null,
+          lte: warnUntil
+        }
+      },
+      include: {
+        maid: {
+          include: {
+            user: {
+              select: { id: true, name: true }
+            }
+          }
+        }
+      }
+    });
+
+    for (const document of documents) {
+      const daysLeft = Math.ceil((document.expiryDate - new Date()) / (24 * 60 * 60 * 1000));
+      const expiryText = daysLeft > 0 ? `expires in ${daysLeft} day(s)` : 'has expired';
+
+      const notification = {
+        type: 'DOCUMENT_EXPIRING',
+        title: 'Document Expiring',
+        message: `Your ${document.type} ${expiryText}. Please upload a renewed copy.`,
+        data: {
+          documentId: document.id,
+          documentType: document.type,
+          expiryDate: document.expiryDate,
+          daysLeft
+        },
+        timestamp: new Date().toISOString()
+      };
+
+      await notificationService.sendToMaid(document.maid.userId, notification);
+      await notificationService.sendToAdmins({
+        ...notification,
+        message: `${document.maid.user.name}'s ${document.type} ${expiryText}`
+      });
+
+      await prisma.maidDocument.update({
+        where: { id: document.id },
+        data: { expiryFlaggedAt: new Date() }
+      });
+    }
+
+    return documents.length;
+  }
+}
+
+module.exports = new MaidDocumentService();
@@ -0,0 +1,346 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const maidAvailabilityService = require('./maidAvailabilityService');
+const configService = require('./configService');
+const { calculateDistance } = require('../utils/geoUtils');
+
+const prisma = new PrismaClient();
+
+// Relative weight of each factor in the final score (sums to 1)
+const MATCH_WEIGHTS = {
+  zone: 0.25,
+  distance: 0.2,
+  workload: 0.15,
+  language: 0.15,
+  rating: 0.15,
+  performance: 0.1
+};
+
+// Score given to a factor when there is not enough data to judge it
+const NEUTRAL_SCORE = 0.5;
+
+// Booking statuses that can still be auto-assigned
+const ASSIGNABLE_STATUSES = ['PENDING', 'CONFIRMED', 'RESCHEDULED'];
+
+// Unassigned bookings in those statuses, leaving out overage bookings nobody has paid for yet
+const awaitingAssignmentWhere = {
+  maidId: null,
+  status: { in: ASSIGNABLE_STATUSES },
+  NOT: { isOverage: true, status: 'PENDING' }
+};
+
+const bookingInclude = {
+  service: true,
+  customer: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+      phone: true,
+      latitude: true,
+      longitude: true,
+      languagePreferences: true
+    }
+  }
+};
+
+class MaidMatchingService {
+
+  /**
+   * Rank all eligible maids for a booking with a per-factor score breakdown.
+   * plannedBookings (maidId -> bookings) lets dry runs account for picks not yet saved.
+   */
+  async getRankedCandidates(bookingOrId, plannedBookings = new Map()) {
+    const booking = typeof bookingOrId === 'string'
+      ? await prisma.booking.findUnique({ where: { id: bookingOrId }, include: bookingInclude })
+      : bookingOrId;
+
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    const maids = await prisma.user.findMany({
+      where: {
+        role: { in: ['MAID', 'FLOATING_MAID'] },
+        status: 'ACTIVE',
+        maidProfile: {
+          status: 'ACTIVE'
+        }
+      },
+      include: {
+        maidProfile: {
+          include: {
+            zones: true
+          }
+        }
+      }
+    });
+
+    // Every maid's bookings that day in one query instead of one per maid
+    const existingBookings = await maidAvailabilityService.getBookingsForDayByMaid(
+      maids.map(maid => maid.id),
+      booking.scheduledAt,
+      booking.id
+    );
+
+    const candidates = [];
+    const excluded = [];
+
+    for (const maid of maids) {
+      const result = this.scoreMaid(booking, maid, [
+        ...existingBookings.get(maid.id),
+        ...(plannedBookings.get(maid.id) || [])
+      ]);
+      if (result.eligible) {
+        candidates.push(result);
+      } else {
+        excluded.push({
+          maidId: maid.id,
+          name: maid.name,
+          reasons: result.reasons
+        });
+      }
+    }
+
+    // Highest score first, lighter workload breaks ties
+    candidates.sort((a, b) => b.score - a.score || a.bookingsThatDay - b.bookingsThatDay);
+
+    return { booking, candidates, excluded };
+  }
+
+  /**
+   * Score a single maid against a booking. dayBookings are the maid's bookings that day,
+   * saved or planned.
+   */
+  scoreMaid(booking, maid, dayBookings) {
+    const profile = maid.maidProfile;
+    const reasons = [];
+
+    // Zone membership
+    let zoneScore = NEUTRAL_SCORE;
+    const maidZone = booking.zoneId
+      ? profile.zones.find(zone => zone.zoneId === booking.zoneId)
+      : null;
+    if (booking.zoneId) {
+      if (maidZone) {
+        zoneScore = maidZone.isPrimary ? 1 : 0.8;
+      } else {
+        zoneScore = profile.isFloatingMaid ? 0.4 : 0;
+      }
+    }
+
+    // Distance from the maid's last known position (or home) to the service location
+    const serviceLat = booking.serviceLatitude ?? booking.customer?.latitude;
+    const serviceLng = booking.serviceLongitude ?? booking.customer?.longitude;
+    const maidLat = profile.currentLatitude ?? maid.latitude;
+    const maidLng = profile.currentLongitude ?? maid.longitude;
+
+    let distanceKm = null;
+    let distanceScore = NEUTRAL_SCORE;
+    if (serviceLat != null && serviceLng != null && maidLat != null && maidLng != null) {
+      distanceKm = calculateDistance(serviceLat, serviceLng, maidLat, maidLng);
+      const radius = profile.serviceRadius || configService.get('matching.defaultServiceRadiusKm');
+      distanceScore = Math.max(0, 1 - distanceKm / radius);
+
+      // Zone members may be matched beyond their personal radius
+      if (distanceKm > radius && !maidZone && !profile.isFloatingMaid) {
+        reasons.push('OUT_OF_SERVICE_RADIUS');
+      }
+    }
+
+    // Daily capacity and schedule overlap (duration plus service buffer)
+    if (dayBookings.length >= profile.maxDailyBookings) {
+      reasons.push('DAILY_LIMIT_REACHED');
+    }
+
+    const window = maidAvailabilityService.getBookingWindow(
+      booking.scheduledAt,
+      booking.estimatedDuration,
+      booking.service?.bufferTime || 0
+    );
+    if (maidAvailabilityService.findOverlappingBookings(window, dayBookings).length > 0) {
+      reasons.push('SCHEDULE_CONFLICT');
+    }
+
+    const workloadScore = profile.maxDailyBookings > 0
+      ? Math.max(0, 1 - dayBookings.length / profile.maxDailyBookings)
+      : 0;
+
+    // Language match with the customer's preferences
+    const preferredLanguages = (booking.customer?.languagePreferences || []).map(lang => lang.toLowerCase());
+    const maidLanguages = (profile.languages || []).map(lang => lang.toLowerCase());
+    const languageScore = preferredLanguages.length === 0 ||
+      preferredLanguages.some(lang => maidLanguages.includes(lang))
+      ? 1
+      : 0;
+
+    // Unrated maids get a neutral rating so newcomers still receive work
+    const ratingScore = profile.totalRatings > 0 ? profile.rating / 5 : NEUTRAL_SCORE;
+    const performanceScore = Math.min(Math.max(profile.performanceScore || 0, 0), 5) / 5;
+
+    const breakdown = {
+      zone: zoneScore,
+      distance: distanceScore,
+      workload: workloadScore,
+      language: languageScore,
+      rating: ratingScore,
+      performance: performanceScore
+    };
+
+    const score = Object.keys(MATCH_WEIGHTS)
+      .reduce((total, factor) => total + breakdown[factor] * MATCH_WEIGHTS[factor], 0);
+
+    return {
+      eligible: reasons.length === 0,
+      reasons,
+      maidId: maid.id,
+      name: maid.name,
+      score: Math.round(score * 10000) / 100, // 0-100
+      breakdown,
+      distanceKm: distanceKm !== null ? Math.round(distanceKm * 100) / 100 : null,
+      bookingsThatDay: dayBookings.length
+    };
+  }
+
+  /**
+   * Assign the best-scoring maid to a booking. Returns null when no maid is eligible.
+   */
+  async autoAssignBooking(bookingId) {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: bookingInclude
+    });
+
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (!ASSIGNABLE_STATUSES.includes(booking.status) || booking.maidId ||
+        (booking.isOverage && booking.status === 'PENDING')) {
+      throw new Error('Booking is not awaiting assignment');
+    }
+
+    const { candidates } = await this.getRankedCandidates(booking);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const bestMatch = candidates[0];
+
+    // Someone may have assigned the booking while candidates were ranked
+    const claimed = await prisma.booking.updateMany({
+      where: {
+        id: booking.id,
+        ...awaitingAssignmentWhere
+      },
+      data: {
+        maidId: bestMatch.maidId,
+        status: 'ASSIGNED'
+      }
+    });
+
+    if (claimed.count === 0) {
+      throw new Error('Booking is not awaiting assignment');
+    }
+
+    const updatedBooking = await prisma.booking.findUnique({
+      where: { id: booking.id },
+      include: {
+        service: true,
+        customer: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            phone: true
+          }
+        },
+        maid: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            phone: true
+          }
+        }
+      }
+    });
+
+    await notificationService.notifyMaidAssigned(updatedBooking);
+
+    return {
+      booking: updatedBooking,
+      match: bestMatch
+    };
+  }
+
+  /**
+   * Assign every unassigned PENDING/CONFIRMED/RESCHEDULED booking scheduled for tomorrow, except
+   * unpaid overage bookings.
+   * With dryRun nothing is saved and the planned assignments are returned.
+   */
+  async autoAssignNextDayBookings({ dryRun = false } = {}) {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const { dayStart, dayEnd } = maidAvailabilityService.getDayRange(tomorrow);
+
+    const bookings = await prisma.booking.findMany({
+      where: {
+        ...awaitingAssignmentWhere,
+        scheduledAt: {
+          gte: dayStart,
+          lt: dayEnd
+        }
+      },
+      include: bookingInclude,
+      orderBy: [
+        { priority: 'desc' },
+        { scheduledAt: 'asc' }
+      ]
+    });
+
+    const plannedBookings = new Map();
+    const assigned = [];
+    const unassigned = [];
+
+    for (const booking of bookings) {
+      try {
+        if (dryRun) {
+          const { candidates } = await this.getRankedCandidates(booking, plannedBookings);
+          if (candidates.length === 0) {
+            unassigned.push({ bookingId: booking.id, reason: 'NO_ELIGIBLE_MAID' });
+            continue;
+          }
+
+          const bestMatch = candidates[0];
+          plannedBookings.set(bestMatch.maidId, [
+            ...(plannedBookings.get(bestMatch.maidId) || []),
+            booking
+          ]);
+          assigned.push({ bookingId: booking.id, maidId: bestMatch.maidId, score: bestMatch.score });
+        } else {
+          const result = await this.autoAssignBooking(booking.id);
+          if (!result) {
+            unassigned.push({ bookingId: booking.id, reason: 'NO_ELIGIBLE_MAID' });
+            continue;
+          }
+          assigned.push({ bookingId: booking.id, maidId: result.match.maidId, score: result.match.score });
+        }
+      } catch (error) {
+        console.error(`Error auto-assigning booking ${booking.id}:`, error);
+        unassigned.push({ bookingId: booking.id, reason: error.message });
+      }
+    }
+
+    return {
+      dryRun,
+      date: dayStart,
+      processed: bookings.length,
+      assigned,
+      unassigned
+    };
+  }
+}
+
+module.exports = new MaidMatchingService();
@@ -1,7 +1,10 @@
 const { PrismaClient } = require('@prisma/client');
 const { WebSocketServer } = require('ws');
-const jwt = require('jsonwebtoken');
 const cron = require('node-cron');
+const locationTrackingService = require('./locationTrackingService');
+const configService = require('./configService');
+const tokenService = require('./tokenService');
+const attendanceService = require('./attendanceService');
 
 const prisma = new PrismaClient();
 
@@ -42,6 +45,8 @@ class NotificationService {
             await this.authenticateClient(ws, data.token);
           } else if (data.type === 'ping') {
             ws.send(JSON.stringify({ type: 'pong' }));
+          } else if (data.type === 'location_update') {
+            await this.handleLocationUpdate(ws, data);
           }
         } catch (error) {
           console.error('WebSocket message error:', error);
@@ -62,22 +67,23 @@ class NotificationService {
 
   async authenticateClient(ws, token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId || decoded.id },
-        include: {
-          maidProfile: true,
-          adminProfile: true
-        }
-      });
-
-      if (!user) {
+      let user;
+      let sessionId;
+      try {
+        ({ user, sessionId } = await tokenService.verifyAccessToken(token, {
+          include: {
+            maidProfile: true,
+            adminProfile: true
+          }
+        }));
+      } catch (error) {
         ws.close(1008, 'Invalid token');
         return;
       }
 
       // Store client connection
       ws.userId = user.id;
+      ws.sessionId = sessionId;
       ws.userRole = user.role;
       ws.userName = user.name;
       ws.lastActivity = new Date();
@@ -118,6 +124,54 @@ class NotificationService {
     }
   }
 
+  // Persist a maid's position and stream the ETA to the customer of their active booking
+  async handleLocationUpdate(ws, data) {
+    if (!ws.userId || !['MAID', 'FLOATING_MAID'].includes(ws.userRole)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Only authenticated maids can send location updates' }));
+      return;
+    }
+
+    ws.lastActivity = new Date();
+
+    let result;
+    try {
+      result = await locationTrackingService.recordLocation(ws.userId, data);
+    } catch (error) {
+      ws.send(JSON.stringify({ type: 'error', message: error.message }));
+      return;
+    }
+
+    const { location, booking, distanceKm, etaMinutes, arrived } = result;
+
+    ws.send(JSON.stringify({
+      type: 'location_ack',
+      bookingId: booking ? booking.id : null,
+      activity: location.activity,
+      timestamp: location.timestamp
+    }));
+
+    if (!booking) return;
+
+    // Live ETA feed is not stored as a notification
+    this.sendLiveToUser(booking.customerId, {
+      type: 'MAID_LOCATION_UPDATE',
+      data: {
+        bookingId: booking.id,
+        maidName: booking.maid.name,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        distanceKm,
+        etaMinutes,
+        updatedAt: location.timestamp
+      },
+      timestamp: new Date().toISOString()
+    });
+
+    if (arrived) {
+      await this.notifyMaidArrival(booking);
+    }
+  }
+
   removeClientFromMaps(ws) {
     if (ws.userId) {
       this.clients.delete(ws.userId);
@@ -138,6 +192,24 @@ class NotificationService {
     }
   }
 
+  // Close a user's live connection, e.g. after their sessions are revoked
+  disconnectUser(userId, reason = 'Session revoked') {
+    const client = this.clients.get(userId);
+    if (client) {
+      // The close handler removes it from the client maps
+      client.close(1008, reason);
+    }
+  }
+
+  // Close the live connection opened with a given session
+  disconnectSession(sessionId, reason = 'Logged out') {
+    const client = [...this.clients.values()].find(ws => ws.sessionId && ws.sessionId === sessionId);
+    if (client) {
+      // The close handler removes it from the client maps
+      client.close(1008, reason);
+    }
+  }
+
   // Send notification to specific user
   async sendToUser(userId, notification) {
     const client = this.clients.get(userId);
@@ -149,6 +221,14 @@ class NotificationService {
     await this.saveNotificationToDatabase(userId, notification);
   }
 
+  // Send a live-only message to a connected user without saving it
+  sendLiveToUser(userId, message) {
+    const client = this.clients.get(userId);
+    if (client && client.readyState === client.OPEN) {
+      client.send(JSON.stringify(message));
+    }
+  }
+
   // Send notification to all admins
   async sendToAdmins(notification) {
     this.adminClients.forEach(client => {
@@ -625,15 +705,18 @@ class NotificationService {
     });
   }
 
-  async notifyBookingCancellation(booking, reason) {
+  async notifyBookingCancellation(booking, reason, refundAmount = null) {
     const notification = {
       type: 'BOOKING_CANCELLED',
       title: 'Booking Cancelled',
-      message: `Your booking for ${booking.service.name} has been cancelled`,
+      message: refundAmount
+        ? `Your booking for ${booking.service.name} has been cancelled. A refund of ₹${refundAmount} will be processed`
+        : `Your booking for ${booking.service.name} has been cancelled`,
       data: {
         bookingId: booking.id,
         serviceName: booking.service.name,
         reason,
+        refundAmount,
         scheduledAt: booking.scheduledAt,
         cancelledAt: new Date().toISOString()
       },
@@ -689,6 +772,29 @@ class NotificationService {
     });
   }
 
+  async notifyMaidUnassigned(booking, maidId, reason) {
+    const notification = {
+      type: 'MAID_UNASSIGNED',
+      title: 'Service Unassigned',
+      message: `You have been unassigned from ${booking.service.name}`,
+      data: {
+        bookingId: booking.id,
+        serviceName: booking.service.name,
+        scheduledAt: booking.scheduledAt,
+        reason,
+        unassignedAt: new Date().toISOString()
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    await this.sendToMaid(maidId, notification);
+    await this.sendToAdmins({
+      ...notification,
+      title: 'Booking Needs Reassignment',
+      message: `Booking ${booking.id} needs a new maid - ${reason}`
+    });
+  }
+
   async notifyServiceStarted(booking) {
     const notification = {
       type: 'SERVICE_STARTED',
@@ -788,6 +894,33 @@ class NotificationService {
     });
   }
 
+  async notifySubscriptionPlanChanged(subscription, planChange) {
+    const scheduled = planChange.status === 'SCHEDULED';
+    const notification = {
+      type: 'SUBSCRIPTION_PLAN_CHANGED',
+      title: scheduled ? 'Plan Change Scheduled' : 'Plan Changed',
+      message: scheduled
+        ? `Your subscription will switch to ${planChange.toPlan.name} on ${planChange.effectiveAt.toDateString()}`
+        : `Your subscription has switched from ${planChange.fromPlan.name} to ${planChange.toPlan.name}`,
+      data: {
+        subscriptionId: subscription.id,
+        planChangeId: planChange.id,
+        fromPlan: planChange.fromPlan.name,
+        toPlan: planChange.toPlan.name,
+        netAmount: planChange.netAmount,
+        effectiveAt: planChange.effectiveAt
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    await this.sendToUser(subscription.customer.userId, notification);
+    await this.sendToAdmins({
+      ...notification,
+      title: 'Subscription Plan Change',
+      message: `Plan change ${scheduled ? 'scheduled' : 'applied'}: ${planChange.fromPlan.name} to ${planChange.toPlan.name}`
+    });
+  }
+
   async notifySubscriptionCancelled(subscription, reason) {
     const notification = {
       type: 'SUBSCRIPTION_CANCELLED',
@@ -810,6 +943,94 @@ class NotificationService {
     });
   }
 
+  async notifySubscriptionSuspended(subscription, reason) {
+    const notification = {
+      type: 'SUBSCRIPTION_SUSPENDED',
+      title: 'Subscription Suspended',
+      message: `Your ${subscription.plan.name} subscription has been suspended. Services are paused until it is reactivated.`,
+      data: {
+        subscriptionId: subscription.id,
+        planName: subscription.plan.name,
+        reason,
+        suspendedAt: new Date().toISOString()
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    await this.sendToUser(subscription.customer.userId, notification);
+    await this.sendToAdmins({
+      ...notification,
+      title: 'Subscription Suspension',
+      message: `Subscription suspended: ${subscription.plan.name} - ${reason}`
+    });
+  }
+
+  async notifySubscriptionReactivated(subscription) {
+    const notification = {
+      type: 'SUBSCRIPTION_REACTIVATED',
+      title: 'Subscription Reactivated',
+      message: `Your ${subscription.plan.name} subscription is active again`,
+      data: {
+        subscriptionId: subscription.id,
+        planName: subscription.plan.name,
+        endDate: subscription.endDate
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    await this.sendToUser(subscription.customer.userId, notification);
+  }
+
+  async notifySubscriptionPaused(subscription, reason) {
+    const notification = {
+      type: 'SUBSCRIPTION_PAUSED',
+      title: 'Subscription Paused',
+      message: `Your ${subscription.plan.name} subscription is paused. ${reason}`,
+      data: {
+        subscriptionId: subscription.id,
+        planName: subscription.plan.name,
+        reason,
+        endDate: subscription.endDate
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    await this.sendToUser(subscription.customer.userId, notification);
+  }
+
+  async notifySubscriptionResumed(subscription) {
+    const notification = {
+      type: 'SUBSCRIPTION_RESUMED',
+      title: 'Subscription Resumed',
+      message: `Welcome back! Your ${subscription.plan.name} subscription has resumed`,
+      data: {
+        subscriptionId: subscription.id,
+        planName: subscription.plan.name,
+        endDate: subscription.endDate,
+        nextBillDate: subscription.nextBillDate
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    await this.sendToUser(subscription.customer.userId, notification);
+  }
+
+  async notifySubscriptionExpired(subscription) {
+    const notification = {
+      type: 'SUBSCRIPTION_EXPIRED',
+      title: 'Subscription Expired',
+      message: `Your ${subscription.plan.name} subscription has expired. Subscribe again to keep booking services.`,
+      data: {
+        subscriptionId: subscription.id,
+        planName: subscription.plan.name,
+        endDate: subscription.endDate
+      },
+      timestamp: new Date().toISOString()
+    };
+
+    await this.sendToUser(subscription.customer.userId, notification);
+  }
+
   async notifyPaymentReminder(booking) {
     const notification = {
       type: 'PAYMENT_REMINDER',
@@ -1026,28 +1247,25 @@ class NotificationService {
 
   // Scheduled job initialization
   initializeScheduledJobs() {
-    // Daily booking reminders at 6 PM
-    cron.schedule('0 18 * * *', async () => {
+    // Schedules come from system config (defaults: reminders 6 PM, payments every 6 hours,
+    // expiry 9 AM, performance Monday 10 AM, attendance 9:30 AM)
+    configService.scheduleJob('schedule.bookingReminders', async () => {
       await this.sendDailyBookingReminders();
     });
 
-    // Payment reminders every 6 hours
-    cron.schedule('0 */6 * * *', async () => {
+    configService.scheduleJob('schedule.paymentReminders', async () => {
       await this.sendPaymentReminders();
     });
 
-    // Subscription expiry reminders daily at 9 AM
-    cron.schedule('0 9 * * *', async () => {
+    configService.scheduleJob('schedule.subscriptionExpiryReminders', async () => {
       await this.sendSubscriptionExpiryReminders();
     });
 
-    // Performance alerts weekly on Monday at 10 AM
-    cron.schedule('0 10 * * 1', async () => {
+    configService.scheduleJob('schedule.performanceAlerts', async () => {
       await this.sendPerformanceAlerts();
     });
 
-    // Attendance alerts daily at 9:30 AM
-    cron.schedule('30 9 * * *', async () => {
+    configService.scheduleJob('schedule.attendanceAlerts', async () => {
       await this.sendAttendanceAlerts();
     });
 
@@ -1172,8 +1390,7 @@ class NotificationService {
   }
 
   async sendAttendanceAlerts() {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = attendanceService.getAttendanceDate();
 
     const absentMaids = await prisma.attendance.findMany({
       where: {
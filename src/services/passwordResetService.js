@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const configService = require('./configService');
+const emailService = require('./emailService');
+const phoneOtpService = require('./phoneOtpService');
+const tokenService = require('./tokenService');
+
+const prisma = new PrismaClient();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordResetService {
+
+  /**
+   * Send a reset link by email or a reset code by SMS, depending on which one is given.
+   * Returns { sent: true, channel, expiresAt }, { sent: false, retryAfterSeconds } when rate
+   * limited, or { sent: false } when there is no active account to reset.
+   * Callers must not pass the difference on to the client.
+   */
+  async requestReset({ email, phone }, req) {
+    const user = await prisma.user.findUnique({
+      where: email ? { email } : { phone }
+    });
+
+    if (!user || tokenService.isBlocked(user)) {
+      return { sent: false };
+    }
+
+    if (!email) {
+      const result = await phoneOtpService.sendCode(user.phone, 'PASSWORD_RESET', req);
+      return { ...result, channel: 'SMS' };
+    }
+
+    return this.sendResetEmail(user, req);
+  }
+
+  async sendResetEmail(user, req) {
+    const now = new Date();
+    const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+    const recentTokens = await prisma.passwordResetToken.findMany({
+      where: {
+        userId: user.id,
+        createdAt: { gte: oneHourAgo }
+      },
+      orderBy: { createdAt: 'asc' },
+      select: { createdAt: true }
+    });
+
+    if (recentTokens.length >= configService.get('passwordReset.maxRequestsPerHour')) {
+      return {
+        sent: false,
+        retryAfterSeconds: Math.ceil((recentTokens[0].createdAt.getTime() + 60 * 60 * 1000 - now.getTime()) / 1000)
+      };
+    }
+
+    // Only the newest link works
+    await prisma.passwordResetToken.updateMany({
+      where: {
+        userId: user.id,
+        usedAt: null,
+        expiresAt: { gt: now }
+      },
+      data: { expiresAt: now }
+    });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const minutes = configService.get('passwordReset.tokenMinutes');
+    const expiresAt = new Date(now.getTime() + minutes * 60 * 1000);
+
+    await prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt,
+        ipAddress: req?.ip
+      }
+    });
+
+    const link = process.env.PASSWORD_RESET_URL
+      ? `${process.env.PASSWORD_RESET_URL}?token=${token}`
+      : `Reset token: ${token}`;
+
+    await emailService.send(
+      user.email,
+      'Reset your Sweep Pro password',
+      `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${minutes} minutes.\n\n${link}\n\nIf you did not ask for this, you can ignore this email.`
+    );
+
+    return { sent: true, channel: 'EMAIL', expiresAt };
+  }
+
+  /**
+   * Set a new password with an emailed token or an SMS code. Either works once.
+   * Returns { success: true, userId } or { success: false, reason, attemptsRemaining }.
+   */
+  async resetPassword({ token, phone, code }, newPassword) {
+    let userId;
+
+    if (token) {
+      const now = new Date();
+      const tokenHash = hashToken(token);
+
+      // Claim the token in one step so it cannot be used twice
+      const claimed = await prisma.passwordResetToken.updateMany({
+        where: {
+          tokenHash,
+          usedAt: null,
+          expiresAt: { gt: now }
+        },
+        data: { usedAt: now }
+      });
+
+      if (claimed.count === 0) {
+        return { success: false, reason: 'INVALID_TOKEN' };
+      }
+
+      const resetToken = await prisma.passwordResetToken.findUnique({
+        where: { tokenHash },
+        select: { userId: true }
+      });
+      userId = resetToken.userId;
+    } else {
+      const result = await phoneOtpService.verifyCode(phone, code, ['PASSWORD_RESET']);
+
+      if (!result.valid) {
+        return { success: false, reason: result.reason, attemptsRemaining: result.attemptsRemaining };
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { phone },
+        select: { id: true }
+      });
+
+      if (!user) {
+        return { success: false, reason: 'INVALID_CODE', attemptsRemaining: 0 };
+      }
+      userId = user.id;
+    }
+
+    await this.setPassword(userId, newPassword, 'PASSWORD_RESET');
+
+    return { success: true, userId };
+  }
+
+  /**
+   * Store a new password and end every session of the user
+   */
+  async setPassword(userId, newPassword, reason) {
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    await prisma.user.update({
+      where: { id: userId },
+      data: { password: hashedPassword }
+    });
+
+    return tokenService.revokeAllSessions(userId, reason);
+  }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,175 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Local stand-in for recurring charges. Every charge succeeds unless the subscription's
+ * saved token starts with "fail", which makes declines easy to try out.
+ */
+class MockPaymentGateway {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  async charge({ payment, subscription }) {
+    const transactionId = `mock_${uuidv4()}`;
+
+    if (subscription.billingTokenId && subscription.billingTokenId.startsWith('fail')) {
+      return {
+        status: 'FAILED',
+        transactionId,
+        error: 'Card declined (mock)',
+        response: { id: transactionId, status: 'failed', amount: payment.finalAmount }
+      };
+    }
+
+    return {
+      status: 'SUCCEEDED',
+      transactionId,
+      response: { id: transactionId, status: 'captured', amount: payment.finalAmount }
+    };
+  }
+
+  async refund({ amount }) {
+    const transactionId = `mock_rfnd_${uuidv4()}`;
+
+    return {
+      status: 'SUCCEEDED',
+      transactionId,
+      response: { id: transactionId, status: 'processed', amount }
+    };
+  }
+}
+
+/**
+ * Razorpay recurring payments against the customer's saved token. Razorpay confirms the
+ * charge later through the webhook, so a started charge is PENDING.
+ */
+class RazorpayRecurringGateway {
+  constructor() {
+    this.name = 'razorpay';
+  }
+
+  async charge({ payment, subscription, user }) {
+    if (!subscription.billingCustomerId || !subscription.billingTokenId) {
+      return { status: 'FAILED', error: 'No saved payment method for recurring charges' };
+    }
+
+    // Loaded on first use so the mock gateway works without Razorpay keys
+    const { razorpay } = require('../utils/razorpay-credintials');
+
+    const order = await razorpay.orders.create({
+      amount: Math.round(payment.finalAmount * 100), // Convert to paise
+      currency: 'INR',
+      payment_capture: 1,
+      receipt: `rn_${subscription.id.substring(0, 8)}_${Date.now().toString().slice(-8)}`,
+      notes: {
+        subscriptionId: subscription.id,
+        paymentId: payment.id,
+        paymentType: payment.paymentType
+      }
+    });
+
+    const response = await razorpay.payments.createRecurringPayment({
+      email: user.email,
+      contact: user.phone,
+      amount: order.amount,
+      currency: 'INR',
+      order_id: order.id,
+      customer_id: subscription.billingCustomerId,
+      token: subscription.billingTokenId,
+      recurring: '1',
+      description: payment.paymentType === 'PLAN_CHANGE' ? 'Subscription plan change' : 'Subscription renewal'
+    });
+
+    // The webhook matches payments by order id, like the other Razorpay payments
+    return {
+      status: 'PENDING',
+      transactionId: order.id,
+      response: { order, payment: response }
+    };
+  }
+
+  async refund({ amount, reason, originalPayment }) {
+    // Refunds go back against the customer's last captured Razorpay payment
+    const razorpayPaymentId = originalPayment && originalPayment.gatewayResponse?.id;
+    if (!razorpayPaymentId) {
+      return { status: 'FAILED', error: 'No captured payment to refund against' };
+    }
+
+    const { razorpay } = require('../utils/razorpay-credintials');
+
+    const refund = await razorpay.payments.refund(razorpayPaymentId, {
+      amount: Math.round(amount * 100), // Convert to paise
+      notes: {
+        reason,
+        original_payment_id: originalPayment.id
+      }
+    });
+
+    return {
+      status: 'SUCCEEDED',
+      transactionId: refund.id,
+      response: refund
+    };
+  }
+}
+
+// Gateways by BILLING_GATEWAY name. A gateway has a name, async charge({ payment, subscription, user })
+// returning { status: 'SUCCEEDED' | 'FAILED' | 'PENDING', transactionId, response, error } and optionally
+// the paymentMethod it charged, and
+// async refund({ amount, reason, originalPayment }) returning the same shape.
+const gateways = {
+  mock: () => new MockPaymentGateway(),
+  razorpay: () => new RazorpayRecurringGateway()
+};
+
+// The mock gateway approves charges without taking money, so it is only allowed where NODE_ENV says so
+const MOCK_ENVIRONMENTS = ['development', 'test'];
+
+class PaymentGatewayService {
+  constructor() {
+    this.gateway = null;
+  }
+
+  /**
+   * Make a gateway available under a name
+   */
+  registerGateway(name, factory) {
+    gateways[name] = factory;
+  }
+
+  /**
+   * Gateway named by BILLING_GATEWAY, created on first use. Development and test default to the
+   * mock gateway; everywhere else the default is Razorpay and mock is refused.
+   */
+  getGateway() {
+    if (!this.gateway) {
+      const mockAllowed = MOCK_ENVIRONMENTS.includes(process.env.NODE_ENV);
+      const name = process.env.BILLING_GATEWAY || (mockAllowed ? 'mock' : 'razorpay');
+      if (name === 'mock' && !mockAllowed) {
+        throw new Error('The mock billing gateway is only allowed in development and test');
+      }
+      if (!gateways[name]) {
+        throw new Error(`Unknown billing gateway: ${name}`);
+      }
+      this.gateway = gateways[name]();
+    }
+    return this.gateway;
+  }
+
+  /**
+   * Use a specific gateway instance (for tests or custom setups)
+   */
+  setGateway(gateway) {
+    this.gateway = gateway;
+  }
+
+  async charge(details) {
+    return this.getGateway().charge(details);
+  }
+
+  async refund(details) {
+    return this.getGateway().refund(details);
+  }
+}
+
+module.exports = new PaymentGatewayService();
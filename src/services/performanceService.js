@@ -0,0 +1,228 @@
+const { PrismaClient } = require('@prisma/client');
+const configService = require('./configService');
+
+const prisma = new PrismaClient();
+
+// Relative weight of each component in the overall score
+const SCORE_WEIGHTS = {
+  quality: 0.5,
+  reliability: 0.35,
+  retention: 0.15
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+class PerformanceService {
+
+  /**
+   * Start and end of a calendar month (1-12)
+   */
+  getMonthRange(month, year) {
+    return {
+      monthStart: new Date(year, month - 1, 1),
+      monthEnd: new Date(year, month, 1)
+    };
+  }
+
+  /**
+   * Compute and store one maid profile's metrics for a month.
+   * Scores are on a 0-5 scale; returns null when the maid had no bookings that month.
+   */
+  async computeMonthlyMetrics(maidProfile, month, year) {
+    const { monthStart, monthEnd } = this.getMonthRange(month, year);
+    const maidUserId = maidProfile.userId;
+
+    const bookings = await prisma.booking.findMany({
+      where: {
+        maidId: maidUserId,
+        scheduledAt: {
+          gte: monthStart,
+          lt: monthEnd
+        }
+      },
+      include: { feedback: true }
+    });
+
+    if (bookings.length === 0) {
+      return null;
+    }
+
+    const completed = bookings.filter(booking => booking.status === 'COMPLETED');
+    const cancelledCount = bookings.filter(booking => booking.status === 'CANCELLED').length;
+    const noShowCount = bookings.filter(booking => booking.status === 'NO_SHOW').length;
+
+    // Punctuality from actual vs scheduled start
+    const onTimeGraceMinutes = configService.get('performance.onTimeGraceMinutes');
+    const started = completed.filter(booking => booking.actualStartTime);
+    const onTimeCount = started.filter(booking =>
+      booking.actualStartTime - booking.scheduledAt <= onTimeGraceMinutes * 60 * 1000
+    ).length;
+    const onTimePercentage = started.length > 0 ? (onTimeCount / started.length) * 100 : 0;
+
+    // Ratings left on this month's bookings
+    const feedback = bookings.map(booking => booking.feedback).filter(Boolean);
+    const averageRating = feedback.length > 0
+      ? feedback.reduce((sum, entry) => sum + entry.overallRating, 0) / feedback.length
+      : 0;
+    const qualityRatings = feedback.map(entry => entry.qualityRating ?? entry.overallRating);
+    const qualityScore = qualityRatings.length > 0
+      ? (averageRating + qualityRatings.reduce((sum, rating) => sum + rating, 0) / qualityRatings.length) / 2
+      : null;
+
+    // Repeat customers: served this month and at least twice by this maid overall
+    const customerIds = [...new Set(completed.map(booking => booking.customerId))];
+    let customerRetention = 0;
+    if (customerIds.length > 0) {
+      const history = await prisma.booking.groupBy({
+        by: ['customerId'],
+        where: {
+          maidId: maidUserId,
+          status: 'COMPLETED',
+          customerId: { in: customerIds },
+          scheduledAt: { lt: monthEnd }
+        },
+        _count: { id: true }
+      });
+      const repeatCustomers = history.filter(entry => entry._count.id >= 2).length;
+      customerRetention = (repeatCustomers / customerIds.length) * 100;
+    }
+
+    // Reliability from punctuality and how many bookings were actually delivered
+    const closedCount = completed.length + cancelledCount + noShowCount;
+    const completionRate = closedCount > 0 ? completed.length / closedCount : null;
+    let reliabilityScore = null;
+    if (completionRate !== null) {
+      reliabilityScore = started.length > 0
+        ? 5 * (0.6 * (onTimePercentage / 100) + 0.4 * completionRate)
+        : 5 * completionRate;
+    }
+
+    // Weighted overall score over the components that have data
+    const components = {
+      quality: qualityScore,
+      reliability: reliabilityScore,
+      retention: customerIds.length > 0 ? (customerRetention / 100) * 5 : null
+    };
+    let weightedTotal = 0;
+    let weightSum = 0;
+    Object.keys(SCORE_WEIGHTS).forEach(component => {
+      if (components[component] !== null) {
+        weightedTotal += components[component] * SCORE_WEIGHTS[component];
+        weightSum += SCORE_WEIGHTS[component];
+      }
+    });
+    const overallScore = weightSum > 0 ? weightedTotal / weightSum : 0;
+
+    const metrics = {
+      totalBookings: bookings.length,
+      completedBookings: completed.length,
+      cancelledBookings: cancelledCount,
+      averageRating: round(averageRating),
+      onTimePercentage: round(onTimePercentage),
+      customerRetention: round(customerRetention),
+      qualityScore: round(qualityScore || 0),
+      reliabilityScore: round(reliabilityScore || 0),
+      overallScore: round(overallScore)
+    };
+
+    return prisma.performanceMetric.upsert({
+      where: {
+        maidId_month_year: {
+          maidId: maidProfile.id,
+          month,
+          year
+        }
+      },
+      update: metrics,
+      create: {
+        maidId: maidProfile.id,
+        month,
+        year,
+        ...metrics
+      }
+    });
+  }
+
+  /**
+   * Set MaidProfile.performanceScore to the latest month's overall score
+   */
+  async refreshPerformanceScore(maidProfileId) {
+    const latest = await prisma.performanceMetric.findFirst({
+      where: { maidId: maidProfileId },
+      orderBy: [
+        { year: 'desc' },
+        { month: 'desc' }
+      ]
+    });
+
+    if (!latest) {
+      return null;
+    }
+
+    return prisma.maidProfile.update({
+      where: { id: maidProfileId },
+      data: { performanceScore: latest.overallScore }
+    });
+  }
+
+  /**
+   * Compute a month's metrics for every maid and refresh their performance scores
+   */
+  async computeAllMaids(month, year) {
+    const maidProfiles = await prisma.maidProfile.findMany({
+      select: { id: true, userId: true }
+    });
+
+    let updated = 0;
+    for (const maidProfile of maidProfiles) {
+      try {
+        const metric = await this.computeMonthlyMetrics(maidProfile, month, year);
+        if (metric) {
+          await this.refreshPerformanceScore(maidProfile.id);
+          updated++;
+        }
+      } catch (error) {
+        console.error(`Error computing performance for maid ${maidProfile.userId}:`, error);
+      }
+    }
+
+    return { month, year, maids: maidProfiles.length, updated };
+  }
+
+  /**
+   * Metrics for the last N months (oldest first) for a maid profile
+   */
+  async getTrend(maidProfileId, months = 6) {
+    const periods = [];
+    const cursor = new Date();
+    cursor.setDate(1);
+    for (let i = 0; i < months; i++) {
+      periods.unshift({ month: cursor.getMonth() + 1, year: cursor.getFullYear() });
+      cursor.setMonth(cursor.getMonth() - 1);
+    }
+
+    const metrics = await prisma.performanceMetric.findMany({
+      where: {
+        maidId: maidProfileId,
+        OR: periods
+      }
+    });
+
+    const byPeriod = new Map(metrics.map(metric => [`${metric.year}-${metric.month}`, metric]));
+
+    return periods.map(period => byPeriod.get(`${period.year}-${period.month}`) || {
+      ...period,
+      totalBookings: 0,
+      completedBookings: 0,
+      cancelledBookings: 0,
+      averageRating: 0,
+      onTimePercentage: 0,
+      customerRetention: 0,
+      qualityScore: 0,
+      reliabilityScore: 0,
+      overallScore: 0
+    });
+  }
+}
+
+module.exports = new PerformanceService();
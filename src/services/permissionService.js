@@ -0,0 +1,179 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Every permission an admin route can require
+const PERMISSIONS = {
+  'users:view': 'View users',
+  'users:manage': 'Change user roles and status, delete users',
+  'maids:view': 'View maids',
+  'maids:manage': 'Change maid status, delete maids',
+  'maids:verify': 'Review maid KYC documents',
+  'bookings:view': 'View bookings',
+  'bookings:assign': 'Assign maids to bookings and generate service OTPs',
+  'bookings:cancel': 'Cancel customers\' bookings and waive late cancellation fees',
+  'payments:view': 'View payments',
+  'payments:manage': 'Update payment status',
+  'payments:refund': 'Refund payments',
+  'payouts:view': 'View maid payouts',
+  'payouts:manage': 'Generate, approve and pay out maid payouts',
+  'services:manage': 'Create, update and delete services',
+  'zones:view': 'View zones',
+  'zones:manage': 'Create and edit zones and zone membership',
+  'attendance:view': 'View maid attendance reports',
+  'attendance:manage': 'Adjust attendance records',
+  'performance:view': 'View maid performance',
+  'performance:manage': 'Recompute performance metrics',
+  'feedback:view': 'View customer feedback',
+  'feedback:respond': 'Respond to customer feedback',
+  'issues:view': 'View reported issues',
+  'issues:resolve': 'Update and resolve issues',
+  'customers:view': 'View active customers',
+  'subscriptions:manage': 'Cancel customers\' scheduled subscription pauses',
+  'notifications:view': 'View notification stats and health',
+  'notifications:send': 'Send test, broadcast, maintenance and emergency notifications',
+  'audit:view': 'View the audit log',
+  'config:manage': 'Manage system settings',
+  'staff:manage': 'Manage supervisor permissions and zones'
+};
+
+// What a supervisor can do unless their profile grants or revokes more
+const SUPERVISOR_DEFAULT_PERMISSIONS = [
+  'maids:view',
+  'bookings:view',
+  'bookings:assign',
+  'zones:view',
+  'attendance:view',
+  'attendance:manage',
+  'performance:view',
+  'feedback:view',
+  'feedback:respond',
+  'issues:view',
+  'issues:resolve'
+];
+
+// Flags stored on admin profiles before permissions were fine-grained
+const LEGACY_PERMISSION_FLAGS = {
+  canManageUsers: ['users:view', 'users:manage'],
+  canManageServices: ['services:manage'],
+  canManageBookings: ['bookings:view', 'bookings:assign'],
+  canManagePayments: ['payments:view', 'payments:manage', 'payments:refund']
+};
+
+class PermissionService {
+
+  /**
+   * Names of all known permissions
+   */
+  getAllPermissions() {
+    return Object.keys(PERMISSIONS);
+  }
+
+  isValidPermission(permission) {
+    return Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+  }
+
+  /**
+   * Catalogue of permissions and the supervisor defaults
+   */
+  getCatalogue() {
+    return {
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      supervisorDefaults: [...SUPERVISOR_DEFAULT_PERMISSIONS]
+    };
+  }
+
+  /**
+   * Effective permission set for a supervisor from the defaults and their stored overrides.
+   * Stored permissions map a name (or legacy flag) to true to grant or false to revoke.
+   */
+  resolvePermissions(storedPermissions) {
+    const permissions = new Set(SUPERVISOR_DEFAULT_PERMISSIONS);
+
+    Object.entries(storedPermissions || {}).forEach(([name, enabled]) => {
+      const names = LEGACY_PERMISSION_FLAGS[name] || [name];
+      names
+        .filter(permission => this.isValidPermission(permission))
+        .forEach(permission => (enabled ? permissions.add(permission) : permissions.delete(permission)));
+    });
+
+    return permissions;
+  }
+
+  /**
+   * Permissions and zone scope for a user. Admins have every permission everywhere;
+   * zoneIds is null when access is not limited to particular zones.
+   * Returns null for roles without admin access.
+   */
+  async getAccess(user) {
+    if (user.role === 'ADMIN') {
+      return {
+        permissions: new Set(this.getAllPermissions()),
+        zoneIds: null
+      };
+    }
+
+    if (user.role !== 'SUPERVISOR') {
+      return null;
+    }
+
+    const adminProfile = await prisma.adminProfile.findUnique({
+      where: { userId: user.id },
+      include: {
+        supervisedZones: {
+          select: { id: true }
+        }
+      }
+    });
+
+    const zoneIds = (adminProfile?.supervisedZones || []).map(zone => zone.id);
+
+    return {
+      permissions: this.resolvePermissions(adminProfile?.permissions),
+      zoneIds: zoneIds.length > 0 ? zoneIds : null
+    };
+  }
+
+  /**
+   * Prisma filter limiting bookings to a zone scope (empty when unrestricted)
+   */
+  bookingZoneFilter(zoneIds) {
+    return zoneIds ? { zoneId: { in: zoneIds } } : {};
+  }
+
+  /**
+   * Prisma filter limiting maid users to a zone scope (empty when unrestricted)
+   */
+  maidZoneFilter(zoneIds) {
+    return zoneIds
+      ? { maidProfile: { zones: { some: { zoneId: { in: zoneIds } } } } }
+      : {};
+  }
+
+  /**
+   * Check whether a booking falls in a zone scope
+   */
+  isBookingInScope(booking, zoneIds) {
+    return !zoneIds || zoneIds.includes(booking.zoneId);
+  }
+
+  /**
+   * Check whether a maid (by user id) works in a zone scope
+   */
+  async isMaidInScope(maidUserId, zoneIds) {
+    if (!zoneIds) {
+      return true;
+    }
+
+    const membership = await prisma.maidZone.findFirst({
+      where: {
+        zoneId: { in: zoneIds },
+        maid: { userId: maidUserId }
+      }
+    });
+
+    return Boolean(membership);
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const configService = require('./configService');
+const smsService = require('./smsService');
+const { generateOTP } = require('../utils/otpUtils');
+
+const prisma = new PrismaClient();
+
+const hashCode = (phone, code) => crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+
+const MESSAGES = {
+  LOGIN: (code, minutes) => `Your Sweep Pro login code is ${code}. It expires in ${minutes} minutes.`,
+  VERIFY_PHONE: (code, minutes) => `Your Sweep Pro verification code is ${code}. It expires in ${minutes} minutes.`,
+  PASSWORD_RESET: (code, minutes) => `Your Sweep Pro password reset code is ${code}. It expires in ${minutes} minutes. Ignore this message if you did not ask for it.`
+};
+
+class PhoneOtpService {
+
+  /**
+   * Send a code to a phone unless its rate limits are hit.
+   * With deliver: false the code is recorded but no SMS goes out, so unregistered numbers
+   * hit the same limits and expiry as registered ones.
+   * Returns { sent: true, expiresAt } or { sent: false, retryAfterSeconds }.
+   */
+  async sendCode(phone, purpose, req, { deliver = true } = {}) {
+    const issued = await prisma.$transaction(async (tx) => {
+      // Sends to one phone take turns, so parallel requests cannot all get past the limits
+      await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${phone}))`;
+
+      const now = new Date();
+      const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+      const recentCodes = await tx.phoneOtp.findMany({
+        where: {
+          phone,
+          createdAt: { gte: oneHourAgo }
+        },
+        orderBy: { createdAt: 'desc' },
+        select: { createdAt: true }
+      });
+
+      const cooldownMs = configService.get('otp.resendCooldownSeconds') * 1000;
+      if (recentCodes.length > 0 && now - recentCodes[0].createdAt < cooldownMs) {
+        return {
+          sent: false,
+          retryAfterSeconds: Math.ceil((cooldownMs - (now - recentCodes[0].createdAt)) / 1000)
+        };
+      }
+
+      if (recentCodes.length >= configService.get('otp.maxSendsPerHour')) {
+        const oldest = recentCodes[recentCodes.length - 1].createdAt;
+        return {
+          sent: false,
+          retryAfterSeconds: Math.ceil((oldest.getTime() + 60 * 60 * 1000 - now.getTime()) / 1000)
+        };
+      }
+
+      const code = generateOTP();
+      const expiresAt = new Date(now.getTime() + configService.get('otp.expiryMinutes') * 60 * 1000);
+
+      // A new code replaces any earlier one still outstanding
+      await tx.phoneOtp.updateMany({
+        where: { phone, consumedAt: null },
+        data: { consumedAt: now }
+      });
+
+      await tx.phoneOtp.create({
+        data: {
+          phone,
+          purpose,
+          codeHash: hashCode(phone, code),
+          expiresAt,
+          ipAddress: req?.ip
+        }
+      });
+
+      return { sent: true, expiresAt, code };
+    });
+
+    if (!issued.sent) {
+      return issued;
+    }
+
+    if (deliver) {
+      await smsService.send(phone, MESSAGES[purpose](issued.code, configService.get('otp.expiryMinutes')));
+    }
+
+    return { sent: true, expiresAt: issued.expiresAt };
+  }
+
+  /**
+   * Check a code against the phone's outstanding code, optionally only codes sent for the given purposes.
+   * Returns { valid: true, purpose } or { valid: false, reason, attemptsRemaining }.
+   */
+  async verifyCode(phone, code, purposes) {
+    const otp = await prisma.phoneOtp.findFirst({
+      where: {
+        phone,
+        ...(purposes && { purpose: { in: purposes } }),
+        consumedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!otp) {
+      return { valid: false, reason: 'NO_ACTIVE_CODE', attemptsRemaining: 0 };
+    }
+
+    // Claim an attempt before checking, so concurrent guesses cannot go past the limit
+    const maxAttempts = configService.get('otp.maxAttempts');
+    const { count: claimed } = await prisma.phoneOtp.updateMany({
+      where: {
+        id: otp.id,
+        consumedAt: null,
+        attempts: { lt: maxAttempts }
+      },
+      data: { attempts: { increment: 1 } }
+    });
+
+    if (claimed === 0) {
+      return { valid: false, reason: 'TOO_MANY_ATTEMPTS', attemptsRemaining: 0 };
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(phone, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      // The last allowed wrong guess burns the code
+      await prisma.phoneOtp.updateMany({
+        where: {
+          id: otp.id,
+          consumedAt: null,
+          attempts: { gte: maxAttempts }
+        },
+        data: { consumedAt: new Date() }
+      });
+
+      const updated = await prisma.phoneOtp.findUnique({
+        where: { id: otp.id },
+        select: { attempts: true }
+      });
+
+      return {
+        valid: false,
+        reason: 'INVALID_CODE',
+        attemptsRemaining: Math.max(0, maxAttempts - updated.attempts)
+      };
+    }
+
+    // Only one request can use a correct code
+    const { count: consumed } = await prisma.phoneOtp.updateMany({
+      where: { id: otp.id, consumedAt: null },
+      data: { consumedAt: new Date() }
+    });
+
+    if (consumed === 0) {
+      return { valid: false, reason: 'NO_ACTIVE_CODE', attemptsRemaining: 0 };
+    }
+
+    return { valid: true, purpose: otp.purpose };
+  }
+
+  /**
+   * Record that a user proved ownership of their phone; PENDING_VERIFICATION users become ACTIVE
+   */
+  async markPhoneVerified(user) {
+    if (user.phoneVerifiedAt && user.status !== 'PENDING_VERIFICATION') {
+      return user;
+    }
+
+    return prisma.user.update({
+      where: { id: user.id },
+      data: {
+        phoneVerifiedAt: user.phoneVerifiedAt || new Date(),
+        ...(user.status === 'PENDING_VERIFICATION' && { status: 'ACTIVE' })
+      }
+    });
+  }
+}
+
+module.exports = new PhoneOtpService();
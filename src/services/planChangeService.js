@@ -0,0 +1,454 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('./notificationService');
+const paymentGatewayService = require('./paymentGatewayService');
+const razorpayService = require('./razorpayService');
+const sessionUsageService = require('./sessionUsageService');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const planChangeInclude = {
+  fromPlan: true,
+  toPlan: true,
+  payment: true
+};
+
+// Helper function to round amounts to paise
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class PlanChangeService {
+
+  /**
+   * Prorate a switch to newPlan over what is left of the current billing period.
+   * The customer is credited the unused part of what they pay now and charged the
+   * same part of the new plan's finalPrice; netAmount is positive for a charge and
+   * negative for a refund.
+   */
+  calculateProration(subscription, newPlan, now = new Date()) {
+    const periodEnd = subscription.nextBillDate || subscription.endDate;
+    const cycleStart = razorpayService.calculatePreviousBillDate(subscription, periodEnd);
+    const periodStart = cycleStart > subscription.startDate ? cycleStart : subscription.startDate;
+
+    const periodDays = Math.max(1, Math.round((periodEnd - periodStart) / DAY_MS));
+    const remainingDays = Math.min(periodDays, Math.max(0, Math.ceil((periodEnd - now) / DAY_MS)));
+
+    const creditAmount = roundAmount(subscription.amount * remainingDays / periodDays);
+    const chargeAmount = roundAmount(newPlan.finalPrice * remainingDays / periodDays);
+
+    return {
+      periodStart,
+      periodEnd,
+      periodDays,
+      remainingDays,
+      creditAmount,
+      chargeAmount,
+      netAmount: roundAmount(chargeAmount - creditAmount)
+    };
+  }
+
+  /**
+   * Switch plans right away. An upgrade charges the prorated difference through the billing
+   * gateway and switches once it is paid; a downgrade refunds the difference and switches at once.
+   * Returns { status, planChange, payment } where status is APPLIED, PENDING (waiting for the
+   * gateway to confirm the charge) or FAILED.
+   */
+  async changePlanNow(subscription, newPlan, actorId = null) {
+    const proration = this.calculateProration(subscription, newPlan);
+
+    await this.cancelScheduledChanges(subscription.id);
+
+    const planChange = await prisma.subscriptionPlanChange.create({
+      data: {
+        subscriptionId: subscription.id,
+        fromPlanId: subscription.planId,
+        toPlanId: newPlan.id,
+        timing: 'IMMEDIATELY',
+        status: 'PENDING_PAYMENT',
+        effectiveAt: new Date(),
+        periodDays: proration.periodDays,
+        remainingDays: proration.remainingDays,
+        creditAmount: proration.creditAmount,
+        chargeAmount: proration.chargeAmount,
+        netAmount: proration.netAmount,
+        requestedById: actorId
+      }
+    });
+
+    if (proration.netAmount > 0) {
+      return this.chargePlanChange(planChange, subscription);
+    }
+
+    let payment = null;
+    if (proration.netAmount < 0) {
+      payment = await this.refundPlanChange(planChange, subscription, newPlan);
+    }
+
+    return {
+      status: 'APPLIED',
+      planChange: await this.applyPlanChange(planChange.id),
+      payment
+    };
+  }
+
+  /**
+   * Switch plans when the next billing period starts. Replaces any earlier scheduled change.
+   */
+  async schedulePlanChange(subscription, newPlan, actorId = null) {
+    const proration = this.calculateProration(subscription, newPlan);
+
+    await this.cancelScheduledChanges(subscription.id);
+
+    const planChange = await prisma.subscriptionPlanChange.create({
+      data: {
+        subscriptionId: subscription.id,
+        fromPlanId: subscription.planId,
+        toPlanId: newPlan.id,
+        timing: 'NEXT_BILLING_DATE',
+        status: 'SCHEDULED',
+        effectiveAt: subscription.nextBillDate,
+        periodDays: proration.periodDays,
+        remainingDays: 0,
+        requestedById: actorId
+      },
+      include: planChangeInclude
+    });
+
+    try {
+      await notificationService.notifySubscriptionPlanChanged(subscription, planChange);
+    } catch (error) {
+      console.error('Error sending plan change notification:', error);
+    }
+
+    return planChange;
+  }
+
+  /**
+   * Drop scheduled plan changes that have not happened yet. Returns how many were cancelled.
+   */
+  async cancelScheduledChanges(subscriptionId) {
+    const result = await prisma.subscriptionPlanChange.updateMany({
+      where: { subscriptionId, status: 'SCHEDULED' },
+      data: { status: 'CANCELLED' }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Apply a scheduled change that is due, so the next bill is for the new plan.
+   * Changes made for a plan the subscription is no longer on are cancelled instead.
+   */
+  async applyScheduledChange(subscription, now = new Date()) {
+    const planChange = await prisma.subscriptionPlanChange.findFirst({
+      where: {
+        subscriptionId: subscription.id,
+        status: 'SCHEDULED',
+        effectiveAt: { lte: now }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!planChange) {
+      return null;
+    }
+
+    if (planChange.fromPlanId !== subscription.planId) {
+      await this.cancelScheduledChanges(subscription.id);
+      return null;
+    }
+
+    return this.applyPlanChange(planChange.id);
+  }
+
+  /**
+   * Put the subscription on the new plan and price. Does nothing if the change was already
+   * applied or given up.
+   */
+  async applyPlanChange(planChangeId) {
+    const planChange = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.subscriptionPlanChange.updateMany({
+        where: { id: planChangeId, status: { in: ['PENDING_PAYMENT', 'SCHEDULED'] } },
+        data: { status: 'APPLIED', appliedAt: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      const change = await tx.subscriptionPlanChange.findUnique({
+        where: { id: planChangeId },
+        include: planChangeInclude
+      });
+
+      await tx.subscription.update({
+        where: { id: change.subscriptionId },
+        data: {
+          planId: change.toPlanId,
+          amount: change.toPlan.finalPrice,
+          discount: change.toPlan.basePrice - change.toPlan.finalPrice
+        }
+      });
+
+      return change;
+    });
+
+    if (!planChange) {
+      return prisma.subscriptionPlanChange.findUnique({
+        where: { id: planChangeId },
+        include: planChangeInclude
+      });
+    }
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: planChange.subscriptionId },
+      include: { customer: true }
+    });
+
+    // A mid-period switch also changes the sessions left in the period
+    if (planChange.timing === 'IMMEDIATELY') {
+      await sessionUsageService.adjustForPlanChange(
+        subscription,
+        planChange.fromPlan,
+        planChange.toPlan,
+        planChange.remainingDays,
+        planChange.periodDays
+      );
+    }
+
+    try {
+      await notificationService.notifySubscriptionPlanChanged(subscription, planChange);
+    } catch (error) {
+      console.error('Error sending plan change notification:', error);
+    }
+
+    return planChange;
+  }
+
+  /**
+   * Mark a plan change payment paid and switch the plan. Returns null, and changes nothing, when
+   * the payment is no longer PROCESSING.
+   */
+  async completePlanChangePayment(paymentId, { transactionId, response } = {}) {
+    // Claim the charge, so a repeated webhook cannot settle it again
+    const claim = await prisma.payment.updateMany({
+      where: { id: paymentId, status: 'PROCESSING' },
+      data: {
+        status: 'COMPLETED',
+        ...(transactionId && { transactionId }),
+        ...(response && { gatewayResponse: response })
+      }
+    });
+    if (claim.count === 0) return null;
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: { planChange: true }
+    });
+
+    const planChange = await this.applyPlanChange(payment.planChange.id);
+
+    return { payment, planChange };
+  }
+
+  /**
+   * Mark a plan change payment failed. The subscription stays on its current plan. Returns null,
+   * and changes nothing, when the payment is no longer PROCESSING.
+   */
+  async failPlanChangePayment(paymentId, { transactionId, response, error } = {}) {
+    const claim = await prisma.payment.updateMany({
+      where: { id: paymentId, status: 'PROCESSING' },
+      data: {
+        status: 'FAILED',
+        ...(transactionId && { transactionId }),
+        gatewayResponse: {
+          ...(response || {}),
+          error: error || 'Payment failed',
+          failed_at: new Date()
+        }
+      }
+    });
+    if (claim.count === 0) return null;
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: { planChange: true }
+    });
+
+    const planChange = await prisma.subscriptionPlanChange.update({
+      where: { id: payment.planChange.id },
+      data: { status: 'FAILED' },
+      include: planChangeInclude
+    });
+
+    await notificationService.notifyPaymentFailed(payment);
+
+    return { payment, planChange };
+  }
+
+  // Charge the prorated difference for an upgrade
+  async chargePlanChange(planChange, subscription) {
+    const gateway = paymentGatewayService.getGateway();
+
+    const payment = await prisma.payment.create({
+      data: {
+        subscriptionId: subscription.id,
+        customerId: subscription.customer.userId,
+        amount: planChange.netAmount,
+        tax: 0,
+        finalAmount: planChange.netAmount,
+        paymentMethod: 'CARD',
+        status: 'PROCESSING',
+        paymentType: 'PLAN_CHANGE',
+        gateway: gateway.name,
+        planChange: { connect: { id: planChange.id } }
+      }
+    });
+
+    let result;
+    try {
+      result = await gateway.charge({ payment, subscription, user: subscription.customer.user });
+    } catch (error) {
+      console.error('Error charging plan change:', error);
+      result = { status: 'FAILED', error: error.message };
+    }
+
+    if (result.status === 'SUCCEEDED') {
+      return { status: 'APPLIED', ...(await this.completePlanChangePayment(payment.id, result)) };
+    }
+
+    if (result.status === 'PENDING') {
+      const pendingPayment = await prisma.payment.update({
+        where: { id: payment.id },
+        data: {
+          transactionId: result.transactionId,
+          gatewayResponse: result.response
+        }
+      });
+      const pendingChange = await prisma.subscriptionPlanChange.findUnique({
+        where: { id: planChange.id },
+        include: planChangeInclude
+      });
+      return { status: 'PENDING', planChange: pendingChange, payment: pendingPayment };
+    }
+
+    return { status: 'FAILED', ...(await this.failPlanChangePayment(payment.id, result)) };
+  }
+
+  // Refund the unused difference for a downgrade. A failed refund is left FAILED, does not hold
+  // up the switch and can be sent again with retryRefund.
+  async refundPlanChange(planChange, subscription, newPlan) {
+    const amount = -planChange.netAmount;
+    const originalPayment = await this.findRefundablePayment(subscription.id, amount);
+    const gateway = paymentGatewayService.getGateway();
+
+    const payment = await prisma.payment.create({
+      data: {
+        subscriptionId: subscription.id,
+        customerId: subscription.customer.userId,
+        amount,
+        tax: 0,
+        finalAmount: amount,
+        paymentMethod: originalPayment ? originalPayment.paymentMethod : 'CARD',
+        status: 'PROCESSING',
+        paymentType: 'PLAN_CHANGE',
+        gateway: gateway.name,
+        refundReason: `Prorated credit for switching to ${newPlan.name}`,
+        planChange: { connect: { id: planChange.id } }
+      }
+    });
+
+    return this.sendRefund(payment, originalPayment);
+  }
+
+  /**
+   * Send a failed plan change refund again. Returns the refund payment, or null when the payment
+   * is not a failed plan change refund (or another retry got to it first).
+   */
+  async retryRefund(paymentId) {
+    const claimed = await prisma.payment.updateMany({
+      where: {
+        id: paymentId,
+        paymentType: 'PLAN_CHANGE',
+        refundReason: { not: null },
+        status: 'FAILED'
+      },
+      data: { status: 'PROCESSING' }
+    });
+
+    if (claimed.count === 0) {
+      return null;
+    }
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId }
+    });
+    const originalPayment = await this.findRefundablePayment(payment.subscriptionId, payment.finalAmount);
+
+    return this.sendRefund(payment, originalPayment);
+  }
+
+  // Latest collected subscription payment with enough left unrefunded to cover the amount
+  async findRefundablePayment(subscriptionId, amount) {
+    const payments = await prisma.payment.findMany({
+      where: {
+        subscriptionId,
+        paymentType: { in: ['SUBSCRIPTION', 'RENEWAL', 'PLAN_CHANGE'] },
+        status: { in: ['COMPLETED', 'PARTIALLY_REFUNDED'] }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return payments.find(payment => payment.finalAmount - (payment.refundAmount || 0) >= amount) || null;
+  }
+
+  // Refund a PROCESSING plan change refund payment through the billing gateway and record the result
+  async sendRefund(payment, originalPayment) {
+    const amount = payment.finalAmount;
+
+    let result;
+    try {
+      result = await paymentGatewayService.refund({ amount, reason: payment.refundReason, originalPayment });
+    } catch (error) {
+      console.error('Error refunding plan change:', error);
+      result = { status: 'FAILED', error: error.message };
+    }
+
+    if (result.status !== 'SUCCEEDED') {
+      return prisma.payment.update({
+        where: { id: payment.id },
+        data: {
+          status: 'FAILED',
+          gatewayResponse: {
+            ...(result.response || {}),
+            error: result.error || 'Refund failed',
+            failed_at: new Date()
+          }
+        }
+      });
+    }
+
+    const refundedPayment = await prisma.payment.update({
+      where: { id: payment.id },
+      data: {
+        status: 'REFUNDED',
+        transactionId: result.transactionId,
+        gatewayResponse: result.response,
+        refundAmount: amount,
+        refundedAt: new Date()
+      }
+    });
+
+    try {
+      await notificationService.notifyRefundProcessed(refundedPayment, amount);
+    } catch (error) {
+      console.error('Error sending refund notification:', error);
+    }
+
+    return refundedPayment;
+  }
+}
+
+module.exports = new PlanChangeService();
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+// The console provider prints codes and reset tokens, so it is only allowed where NODE_ENV says so
+const CONSOLE_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * Development stand-in: prints messages and, when logFile is set, appends them to that file.
+ * fields names the arguments send takes after the recipient, e.g. ['subject', 'text'].
+ */
+class ConsoleProvider {
+  constructor({ label, fields, logFile }) {
+    this.label = label;
+    this.fields = fields;
+    this.logFile = logFile ? path.resolve(logFile) : null;
+  }
+
+  async send(to, ...values) {
+    console.log(`[${this.label} to ${to}] ${values.join('\n')}`);
+
+    if (this.logFile) {
+      const entry = { to };
+      this.fields.forEach((field, index) => {
+        entry[field] = values[index];
+      });
+      const line = JSON.stringify({ ...entry, sentAt: new Date().toISOString() }) + '\n';
+      await fs.promises.appendFile(this.logFile, line);
+    }
+
+    return { provider: 'console', to };
+  }
+}
+
+/**
+ * Outgoing message providers by name, picked by the environment variable envVar. A provider is
+ * any object with async send(to, ...). kind names the channel in error messages.
+ */
+class ProviderRegistry {
+  constructor({ kind, envVar, consoleProvider }) {
+    this.kind = kind;
+    this.envVar = envVar;
+    this.providers = { console: consoleProvider };
+    this.provider = null;
+  }
+
+  /**
+   * Make a provider available under a name, e.g. registerProvider('twilio', () => new TwilioProvider())
+   */
+  registerProvider(name, factory) {
+    this.providers[name] = factory;
+  }
+
+  /**
+   * Provider named by envVar, created on first use. Development and test default to console;
+   * everywhere else envVar must name a real provider.
+   */
+  getProvider() {
+    if (!this.provider) {
+      const consoleAllowed = CONSOLE_ENVIRONMENTS.includes(process.env.NODE_ENV);
+      const name = process.env[this.envVar] || (consoleAllowed ? 'console' : null);
+      if (!name || (name === 'console' && !consoleAllowed)) {
+        throw new Error(`${this.envVar} must be set to a real provider outside development and test`);
+      }
+      if (!this.providers[name]) {
+        throw new Error(`Unknown ${this.kind} provider: ${name}`);
+      }
+      this.provider = this.providers[name]();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Use a specific provider instance (for tests or custom setups)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+}
+
+module.exports = {
+  ConsoleProvider,
+  ProviderRegistry
+};
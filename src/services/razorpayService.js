@@ -1,6 +1,7 @@
 const { razorpay } = require('../utils/razorpay-credintials');
 const crypto = require('crypto');
 const { PrismaClient } = require('@prisma/client');
+const subscriptionLifecycleService = require('./subscriptionLifecycleService');
 
 const prisma = new PrismaClient();
 
@@ -266,13 +267,26 @@ class RazorpayService {
 
       // Update subscription status if it's a subscription payment
       if (updatedPayment.subscriptionId) {
-        await prisma.subscription.update({
-          where: { id: updatedPayment.subscriptionId },
-          data: { 
-            status: 'ACTIVE',
-            nextBillDate: this.calculateNextBillDate(updatedPayment.subscription)
-          }
-        });
+        const subscriptionData = {
+          nextBillDate: this.calculateNextBillDate(updatedPayment.subscription),
+          // Keep the saved card or mandate for renewal charges
+          ...(paymentDetails.customer_id && paymentDetails.token_id && {
+            billingCustomerId: paymentDetails.customer_id,
+            billingTokenId: paymentDetails.token_id
+          })
+        };
+
+        if (['ACTIVE', 'PAUSED'].includes(updatedPayment.subscription.status)) {
+          await prisma.subscription.update({
+            where: { id: updatedPayment.subscriptionId },
+            data: subscriptionData
+          });
+        } else {
+          await subscriptionLifecycleService.transition(updatedPayment.subscriptionId, 'ACTIVE', {
+            reason: 'Razorpay payment received',
+            data: subscriptionData
+          });
+        }
       }
 
       return {
@@ -455,8 +469,8 @@ class RazorpayService {
     return methodMap[method] || 'CARD';
   }
 
-  calculateNextBillDate(subscription) {
-    const currentDate = new Date();
+  calculateNextBillDate(subscription, fromDate = new Date()) {
+    const currentDate = fromDate;
     const billingCycle = subscription.billingCycle;
     
     switch (billingCycle) {
@@ -472,6 +486,24 @@ class RazorpayService {
         return new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, currentDate.getDate());
     }
   }
+
+  calculatePreviousBillDate(subscription, fromDate = new Date()) {
+    const currentDate = fromDate;
+    const billingCycle = subscription.billingCycle;
+
+    switch (billingCycle) {
+      case 'WEEKLY':
+        return new Date(currentDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+      case 'MONTHLY':
+        return new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, currentDate.getDate());
+      case 'QUARTERLY':
+        return new Date(currentDate.getFullYear(), currentDate.getMonth() - 3, currentDate.getDate());
+      case 'YEARLY':
+        return new Date(currentDate.getFullYear() - 1, currentDate.getMonth(), currentDate.getDate());
+      default:
+        return new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, currentDate.getDate());
+    }
+  }
 }
 
 module.exports = new RazorpayService();
@@ -0,0 +1,340 @@
+const { PrismaClient } = require('@prisma/client');
+const configService = require('./configService');
+const notificationService = require('./notificationService');
+const paymentGatewayService = require('./paymentGatewayService');
+const planChangeService = require('./planChangeService');
+const razorpayService = require('./razorpayService');
+const subscriptionLifecycleService = require('./subscriptionLifecycleService');
+
+const prisma = new PrismaClient();
+
+const subscriptionInclude = {
+  plan: true,
+  customer: {
+    include: {
+      user: {
+        select: { id: true, name: true, email: true, phone: true }
+      }
+    }
+  }
+};
+
+class RenewalService {
+
+  /**
+   * Charge every subscription whose bill or retry is due and suspend those whose grace period ran out.
+   * Returns counts of what happened.
+   */
+  async processDueRenewals(now = new Date()) {
+    const summary = { charged: 0, renewed: 0, failed: 0, pending: 0, suspended: 0 };
+
+    // Charges the gateway never confirmed count as declined, so dunning can retry them
+    summary.failed += await this.failStaleCharges(now);
+
+    const dueSubscriptions = await prisma.subscription.findMany({
+      where: {
+        status: 'ACTIVE',
+        autoRenew: true,
+        gracePeriodEndsAt: null,
+        OR: [
+          { renewalAttempts: 0, nextBillDate: { lte: now } },
+          { renewalAttempts: { gt: 0 }, nextRenewalAttemptAt: { lte: now } }
+        ]
+      },
+      select: { id: true }
+    });
+
+    for (const { id } of dueSubscriptions) {
+      try {
+        const result = await this.attemptRenewal(id);
+        if (result.status === 'SKIPPED') continue;
+
+        summary.charged++;
+        if (result.status === 'SUCCEEDED') summary.renewed++;
+        else if (result.status === 'PENDING') summary.pending++;
+        else summary.failed++;
+      } catch (error) {
+        console.error(`Error renewing subscription ${id}:`, error);
+      }
+    }
+
+    const overdueSubscriptions = await prisma.subscription.findMany({
+      where: {
+        status: 'ACTIVE',
+        gracePeriodEndsAt: { lte: now }
+      },
+      select: { id: true }
+    });
+
+    for (const { id } of overdueSubscriptions) {
+      try {
+        await subscriptionLifecycleService.transition(id, 'SUSPENDED', {
+          reason: 'Renewal payment failed'
+        });
+        summary.suspended++;
+      } catch (error) {
+        console.error(`Error suspending subscription ${id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Create a RENEWAL payment for the subscription and charge it through the billing gateway.
+   * Returns { status, payment } where status is SUCCEEDED, FAILED, PENDING, or SKIPPED when
+   * an earlier charge is still waiting for the gateway.
+   */
+  async attemptRenewal(subscriptionId) {
+    let subscription = await prisma.subscription.findUnique({
+      where: { id: subscriptionId },
+      include: subscriptionInclude
+    });
+
+    if (!subscription) {
+      throw new Error('Subscription not found');
+    }
+
+    const inFlight = await prisma.payment.findFirst({
+      where: {
+        subscriptionId,
+        paymentType: 'RENEWAL',
+        status: 'PROCESSING'
+      }
+    });
+
+    if (inFlight) {
+      return { status: 'SKIPPED', payment: inFlight };
+    }
+
+    // A plan change scheduled for this billing date is billed at the new price
+    if (await planChangeService.applyScheduledChange(subscription)) {
+      subscription = await prisma.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: subscriptionInclude
+      });
+    }
+
+    const gateway = paymentGatewayService.getGateway();
+
+    const payment = await prisma.payment.create({
+      data: {
+        subscriptionId,
+        customerId: subscription.customer.userId,
+        amount: subscription.amount,
+        tax: 0,
+        finalAmount: subscription.amount,
+        paymentMethod: await this.getSavedPaymentMethod(subscriptionId),
+        status: 'PROCESSING',
+        paymentType: 'RENEWAL',
+        gateway: gateway.name
+      }
+    });
+
+    let result;
+    try {
+      result = await gateway.charge({ payment, subscription, user: subscription.customer.user });
+    } catch (error) {
+      console.error('Error charging renewal:', error);
+      result = { status: 'FAILED', error: error.message };
+    }
+
+    if (result.status === 'SUCCEEDED') {
+      return { status: 'SUCCEEDED', payment: await this.completeRenewal(payment.id, result) };
+    }
+
+    if (result.status === 'PENDING') {
+      const pendingPayment = await prisma.payment.update({
+        where: { id: payment.id },
+        data: {
+          transactionId: result.transactionId,
+          gatewayResponse: result.response
+        }
+      });
+      return { status: 'PENDING', payment: pendingPayment };
+    }
+
+    return { status: 'FAILED', payment: await this.failRenewal(payment.id, result) };
+  }
+
+  /**
+   * Method of the subscription's last collected payment, which is the one that saved the card or
+   * mandate renewals are charged to
+   */
+  async getSavedPaymentMethod(subscriptionId) {
+    const lastPayment = await prisma.payment.findFirst({
+      where: {
+        subscriptionId,
+        paymentType: { in: ['SUBSCRIPTION', 'RENEWAL'] },
+        status: 'COMPLETED'
+      },
+      orderBy: { createdAt: 'desc' },
+      select: { paymentMethod: true }
+    });
+
+    return lastPayment ? lastPayment.paymentMethod : 'CARD';
+  }
+
+  /**
+   * Fail renewal charges still waiting for the gateway after billing.pendingChargeTimeoutHours.
+   * Returns how many were failed.
+   */
+  async failStaleCharges(now = new Date()) {
+    const cutoff = new Date(now.getTime() - configService.get('billing.pendingChargeTimeoutHours') * 60 * 60 * 1000);
+
+    const staleCharges = await prisma.payment.findMany({
+      where: {
+        paymentType: 'RENEWAL',
+        status: 'PROCESSING',
+        createdAt: { lte: cutoff }
+      },
+      select: { id: true }
+    });
+
+    let failed = 0;
+    for (const { id } of staleCharges) {
+      try {
+        // Null when a webhook settled the charge in the meantime
+        const payment = await this.failRenewal(id, { error: 'No confirmation from the payment gateway' });
+        if (payment) failed++;
+      } catch (error) {
+        console.error(`Error failing stale renewal charge ${id}:`, error);
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Mark a renewal payment paid, extend the subscription by one billing cycle and clear dunning.
+   * Also reactivates a subscription suspended for non-payment. Returns null, and changes nothing,
+   * when the payment is no longer PROCESSING.
+   */
+  async completeRenewal(paymentId, { transactionId, response, paymentMethod } = {}) {
+    // Claim the charge, so a repeated webhook or the stale charge job cannot settle it again
+    const claim = await prisma.payment.updateMany({
+      where: { id: paymentId, status: 'PROCESSING' },
+      data: {
+        status: 'COMPLETED',
+        ...(paymentMethod && { paymentMethod }),
+        ...(transactionId && { transactionId }),
+        ...(response && { gatewayResponse: response })
+      }
+    });
+    if (claim.count === 0) return null;
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId }
+    });
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: payment.subscriptionId }
+    });
+
+    const now = new Date();
+
+    // Extend from the current end date, or from today if it has already passed
+    const endDate = razorpayService.calculateNextBillDate(
+      subscription,
+      subscription.endDate > now ? subscription.endDate : now
+    );
+
+    // Keep the billing day, unless the renewal is so late that the next bill would already be due
+    let nextBillDate = razorpayService.calculateNextBillDate(subscription, subscription.nextBillDate || now);
+    if (nextBillDate <= now) {
+      nextBillDate = razorpayService.calculateNextBillDate(subscription, now);
+    }
+
+    const renewalData = {
+      endDate,
+      nextBillDate,
+      renewalAttempts: 0,
+      nextRenewalAttemptAt: null,
+      gracePeriodEndsAt: null,
+      lastRenewalError: null
+    };
+
+    if (['ACTIVE', 'PAUSED'].includes(subscription.status)) {
+      await prisma.subscription.update({
+        where: { id: subscription.id },
+        data: renewalData
+      });
+    } else {
+      // Paying a suspended subscription reactivates it
+      await subscriptionLifecycleService.transition(subscription.id, 'ACTIVE', {
+        reason: 'Renewal payment received',
+        data: renewalData
+      });
+    }
+
+    const renewed = await prisma.subscription.findUnique({
+      where: { id: subscription.id },
+      include: subscriptionInclude
+    });
+
+    await notificationService.notifySubscriptionRenewed(renewed);
+
+    return payment;
+  }
+
+  /**
+   * Mark a renewal payment failed and move the subscription along the dunning sequence:
+   * retry after each of billing.retryIntervalsHours, then billing.gracePeriodDays of grace
+   * before the renewal job suspends it. Returns null, and changes nothing, when the payment is no
+   * longer PROCESSING.
+   */
+  async failRenewal(paymentId, { transactionId, response, error } = {}) {
+    const claim = await prisma.payment.updateMany({
+      where: { id: paymentId, status: 'PROCESSING' },
+      data: {
+        status: 'FAILED',
+        ...(transactionId && { transactionId }),
+        gatewayResponse: {
+          ...(response || {}),
+          error: error || 'Payment failed',
+          failed_at: new Date()
+        }
+      }
+    });
+    if (claim.count === 0) return null;
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId }
+    });
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: payment.subscriptionId }
+    });
+
+    const now = new Date();
+    const attempts = subscription.renewalAttempts + 1;
+    const retryIntervals = configService.get('billing.retryIntervalsHours');
+
+    const data = {
+      renewalAttempts: attempts,
+      lastRenewalError: error || 'Payment failed'
+    };
+
+    // A suspended subscription only records the failure of a manual retry
+    if (subscription.status !== 'SUSPENDED') {
+      if (attempts <= retryIntervals.length) {
+        data.nextRenewalAttemptAt = new Date(now.getTime() + retryIntervals[attempts - 1] * 60 * 60 * 1000);
+      } else {
+        data.nextRenewalAttemptAt = null;
+        data.gracePeriodEndsAt = subscription.gracePeriodEndsAt ||
+          new Date(now.getTime() + configService.get('billing.gracePeriodDays') * 24 * 60 * 60 * 1000);
+      }
+    }
+
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data
+    });
+
+    await notificationService.notifyPaymentFailed(payment);
+
+    return payment;
+  }
+}
+
+module.exports = new RenewalService();
@@ -0,0 +1,454 @@
+const { PrismaClient } = require('@prisma/client');
+const razorpayService = require('./razorpayService');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to get the plan's sessions for one billing period
+function periodQuota(plan, billingCycle) {
+  switch (billingCycle) {
+    case 'WEEKLY':
+      return plan.sessionsPerWeek;
+    case 'QUARTERLY':
+      return plan.sessionsPerMonth * 3;
+    case 'YEARLY':
+      return plan.sessionsPerMonth * 12;
+    default:
+      return plan.sessionsPerMonth;
+  }
+}
+
+// Helper function to get the Monday-to-Sunday week containing date
+function weekBounds(date) {
+  const weekStart = new Date(date);
+  weekStart.setHours(0, 0, 0, 0);
+  weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+
+  const weekEnd = new Date(weekStart);
+  weekEnd.setDate(weekEnd.getDate() + 7);
+
+  return { weekStart, weekEnd };
+}
+
+// Helper function to match the bookings holding a session in the week containing date, other
+// than exceptBookingId. Overage bookings nobody has paid for do not hold one.
+function weekBookingsWhere(subscriptionId, date, exceptBookingId) {
+  const { weekStart, weekEnd } = weekBounds(date);
+
+  return {
+    usagePeriod: { subscriptionId },
+    scheduledAt: { gte: weekStart, lt: weekEnd },
+    status: { not: 'CANCELLED' },
+    NOT: { isOverage: true, status: 'PENDING' },
+    ...(exceptBookingId && { id: { not: exceptBookingId } })
+  };
+}
+
+// Helper function to give back a session taken from period: a session paid with a credit returns
+// the credit, otherwise the quota gets it back while the period runs and a credit after it ends
+async function returnSession(tx, period) {
+  const isRunning = period.periodEnd > new Date();
+
+  if (isRunning && period.creditsUsed === 0) {
+    await tx.subscriptionUsagePeriod.updateMany({
+      where: { id: period.id, sessionsUsed: { gt: 0 } },
+      data: { sessionsUsed: { decrement: 1 } }
+    });
+    return;
+  }
+
+  if (isRunning) {
+    await tx.subscriptionUsagePeriod.update({
+      where: { id: period.id },
+      data: { creditsUsed: { decrement: 1 } }
+    });
+  }
+
+  await tx.subscription.update({
+    where: { id: period.subscriptionId },
+    data: { sessionCredits: { increment: 1 } }
+  });
+}
+
+class SessionUsageService {
+
+  /**
+   * Billing period containing date, counted in billing cycles from nextBillDate
+   * (or endDate when the subscription does not renew)
+   */
+  periodBounds(subscription, date) {
+    let periodEnd = subscription.nextBillDate || subscription.endDate;
+    let periodStart = razorpayService.calculatePreviousBillDate(subscription, periodEnd);
+
+    while (date < periodStart) {
+      periodEnd = periodStart;
+      periodStart = razorpayService.calculatePreviousBillDate(subscription, periodEnd);
+    }
+
+    while (date >= periodEnd) {
+      periodStart = periodEnd;
+      periodEnd = razorpayService.calculateNextBillDate(subscription, periodStart);
+    }
+
+    return { periodStart, periodEnd };
+  }
+
+  /**
+   * Usage record of the billing period containing date, created on first use with the
+   * plan's quota plus the sessions rolled over from the period before.
+   * The subscription must include its plan.
+   */
+  async getPeriod(subscription, date = new Date()) {
+    const existing = await prisma.subscriptionUsagePeriod.findFirst({
+      where: {
+        subscriptionId: subscription.id,
+        periodStart: { lte: date },
+        periodEnd: { gt: date }
+      },
+      orderBy: { periodStart: 'desc' }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const bounds = this.periodBounds(subscription, date);
+
+    const previous = await prisma.subscriptionUsagePeriod.findFirst({
+      where: {
+        subscriptionId: subscription.id,
+        periodStart: { lt: bounds.periodStart }
+      },
+      orderBy: { periodStart: 'desc' }
+    });
+
+    // Never overlap the previous period, e.g. after a pause moved the billing date
+    const periodStart = previous && previous.periodEnd > bounds.periodStart ? previous.periodEnd : bounds.periodStart;
+
+    // Only the period right before can roll sessions over. It has no record when nothing was
+    // booked in it, so all of its sessions went unused, as long as the subscription had started.
+    let unused = 0;
+    if (previous && previous.periodEnd.getTime() >= periodStart.getTime() - DAY_MS) {
+      unused = Math.max(0, previous.sessionsAllowed - previous.sessionsUsed);
+    } else {
+      const previousStart = razorpayService.calculatePreviousBillDate(subscription, periodStart);
+      if (previousStart.getTime() >= subscription.startDate.getTime() - DAY_MS) {
+        unused = periodQuota(subscription.plan, subscription.billingCycle);
+      }
+    }
+    const rolledOverSessions = Math.min(subscription.plan.maxRolloverSessions, unused);
+
+    const where = {
+      subscriptionId_periodStart: {
+        subscriptionId: subscription.id,
+        periodStart
+      }
+    };
+
+    try {
+      return await prisma.subscriptionUsagePeriod.upsert({
+        where,
+        create: {
+          subscriptionId: subscription.id,
+          periodStart,
+          periodEnd: bounds.periodEnd,
+          sessionsAllowed: periodQuota(subscription.plan, subscription.billingCycle) + rolledOverSessions,
+          rolledOverSessions
+        },
+        update: {}
+      });
+    } catch (error) {
+      // A concurrent booking created the period first
+      if (error.code !== 'P2002') throw error;
+      return prisma.subscriptionUsagePeriod.findUnique({ where });
+    }
+  }
+
+  /**
+   * Take a session for a booking at scheduledAt and create the booking, in one transaction so
+   * concurrent bookings cannot both take the last session of a week or period. bookingData is
+   * the booking without its session fields. Beyond the quota, plans with an overagePrice get an
+   * unpaid overage booking at that price and other plans get no booking.
+   * Returns { booking, isOverage } or { booking: null, reason: 'WEEKLY_LIMIT' | 'PERIOD_LIMIT' }.
+   * The subscription must include its plan.
+   */
+  async bookSession(subscription, scheduledAt, bookingData, include) {
+    const period = await this.getPeriod(subscription, scheduledAt);
+
+    return prisma.$transaction(async (tx) => {
+      // Locks the subscription until commit, so its bookings are counted and claimed one at a time
+      await tx.subscription.update({
+        where: { id: subscription.id },
+        data: { updatedAt: new Date() }
+      });
+
+      const session = await this.reserveSession(tx, subscription, period, scheduledAt);
+      const isOverage = !session.reserved;
+
+      if (isOverage && subscription.plan.overagePrice == null) {
+        return { booking: null, reason: session.reason };
+      }
+
+      if (isOverage) {
+        await tx.subscriptionUsagePeriod.update({
+          where: { id: period.id },
+          data: { overageSessions: { increment: 1 } }
+        });
+      }
+
+      const booking = await tx.booking.create({
+        data: {
+          ...bookingData,
+          usagePeriodId: period.id,
+          // Overage sessions wait for their own payment
+          ...(isOverage && {
+            status: 'PENDING',
+            totalAmount: subscription.plan.overagePrice,
+            finalAmount: subscription.plan.overagePrice,
+            isOverage: true
+          })
+        },
+        ...(include && { include })
+      });
+
+      return { booking, isOverage };
+    });
+  }
+
+  /**
+   * Move a booking that holds a session to scheduledAt, in one transaction that locks the
+   * subscription like bookSession: take a session in the week and period of the new time, give
+   * back the one the booking held and save the move with moveBooking(tx, { usagePeriodId }).
+   * Overage bookings keep no session and only move to the new period's overage count.
+   * Returns { booking } with what moveBooking returned, or
+   * { booking: null, reason: 'WEEKLY_LIMIT' | 'PERIOD_LIMIT' }.
+   * The subscription must include its plan.
+   */
+  async rescheduleSession(subscription, booking, scheduledAt, moveBooking) {
+    const period = await this.getPeriod(subscription, scheduledAt);
+
+    return prisma.$transaction(async (tx) => {
+      await tx.subscription.update({
+        where: { id: subscription.id },
+        data: { updatedAt: new Date() }
+      });
+
+      const previous = await tx.subscriptionUsagePeriod.findUnique({
+        where: { id: booking.usagePeriodId }
+      });
+      const samePeriod = Boolean(previous) && previous.id === period.id;
+
+      if (booking.isOverage) {
+        if (!samePeriod) {
+          if (previous) {
+            await tx.subscriptionUsagePeriod.updateMany({
+              where: { id: previous.id, overageSessions: { gt: 0 } },
+              data: { overageSessions: { decrement: 1 } }
+            });
+          }
+          await tx.subscriptionUsagePeriod.update({
+            where: { id: period.id },
+            data: { overageSessions: { increment: 1 } }
+          });
+        }
+      } else if (samePeriod) {
+        // The booking keeps its session in the period and only needs room in the new week
+        const bookedThisWeek = await tx.booking.count({
+          where: weekBookingsWhere(subscription.id, scheduledAt, booking.id)
+        });
+        if (bookedThisWeek >= subscription.plan.sessionsPerWeek) {
+          return { booking: null, reason: 'WEEKLY_LIMIT' };
+        }
+      } else {
+        const session = await this.reserveSession(tx, subscription, period, scheduledAt, booking.id);
+        if (!session.reserved) {
+          return { booking: null, reason: session.reason };
+        }
+        if (previous) {
+          await returnSession(tx, previous);
+        }
+      }
+
+      return { booking: await moveBooking(tx, { usagePeriodId: period.id }) };
+    });
+  }
+
+  /**
+   * Take a session in period for a booking at scheduledAt: from the period's quota, then from
+   * session credits. The plan's sessionsPerWeek caps bookings in any one week; a booking being
+   * moved (exceptBookingId) does not count toward it.
+   * Returns { reserved: true, source: 'QUOTA' | 'CREDIT' } or
+   * { reserved: false, reason: 'WEEKLY_LIMIT' | 'PERIOD_LIMIT' }.
+   */
+  async reserveSession(tx, subscription, period, scheduledAt, exceptBookingId) {
+    const bookedThisWeek = await tx.booking.count({
+      where: weekBookingsWhere(subscription.id, scheduledAt, exceptBookingId)
+    });
+
+    if (bookedThisWeek >= subscription.plan.sessionsPerWeek) {
+      return { reserved: false, reason: 'WEEKLY_LIMIT' };
+    }
+
+    const claimed = await tx.subscriptionUsagePeriod.updateMany({
+      where: { id: period.id, sessionsUsed: { lt: period.sessionsAllowed } },
+      data: { sessionsUsed: { increment: 1 } }
+    });
+
+    if (claimed.count > 0) {
+      return { reserved: true, source: 'QUOTA' };
+    }
+
+    const credit = await tx.subscription.updateMany({
+      where: { id: subscription.id, sessionCredits: { gt: 0 } },
+      data: { sessionCredits: { decrement: 1 } }
+    });
+
+    if (credit.count > 0) {
+      await tx.subscriptionUsagePeriod.update({
+        where: { id: period.id },
+        data: { creditsUsed: { increment: 1 } }
+      });
+      return { reserved: true, source: 'CREDIT' };
+    }
+
+    return { reserved: false, reason: 'PERIOD_LIMIT' };
+  }
+
+  /**
+   * Customer-facing explanation of why bookSession found no session
+   */
+  describeLimit(plan, reason) {
+    return reason === 'WEEKLY_LIMIT'
+      ? `Your plan includes ${plan.sessionsPerWeek} sessions per week and they are all booked for that week.`
+      : 'You have used all sessions included in this billing period.';
+  }
+
+  /**
+   * Give back the session a cancelled booking used. Sessions of a period that is over, and of
+   * bookings made before sessions were tracked, come back as session credits. An overage booking
+   * used no session and only comes off its period's overage count.
+   * Returns whether a session was given back.
+   */
+  async releaseSession(booking) {
+    if (booking.isOverage) {
+      if (booking.usagePeriodId) {
+        await prisma.subscriptionUsagePeriod.updateMany({
+          where: { id: booking.usagePeriodId, overageSessions: { gt: 0 } },
+          data: { overageSessions: { decrement: 1 } }
+        });
+      }
+      return false;
+    }
+
+    if (booking.usagePeriodId) {
+      const period = await prisma.subscriptionUsagePeriod.findUnique({
+        where: { id: booking.usagePeriodId }
+      });
+
+      if (period) {
+        await prisma.$transaction((tx) => returnSession(tx, period));
+        return true;
+      }
+    }
+
+    const customerProfile = await prisma.customerProfile.findUnique({
+      where: { userId: booking.customerId },
+      include: { subscription: true }
+    });
+
+    if (!customerProfile?.subscription) {
+      return false;
+    }
+
+    await prisma.subscription.update({
+      where: { id: customerProfile.subscription.id },
+      data: { sessionCredits: { increment: 1 } }
+    });
+    return true;
+  }
+
+  /**
+   * Move usage periods back by `days` when the billing date moves (a pause starting at `from`):
+   * the period containing `from` gets longer and later periods shift. Negative `days` undo it.
+   */
+  async shiftPeriods(subscriptionId, from, days) {
+    const periods = await prisma.subscriptionUsagePeriod.findMany({
+      where: {
+        subscriptionId,
+        periodEnd: { gt: from }
+      },
+      // Move the period furthest along first, so shifted start dates never collide
+      orderBy: { periodStart: days > 0 ? 'desc' : 'asc' }
+    });
+
+    for (const period of periods) {
+      await prisma.subscriptionUsagePeriod.update({
+        where: { id: period.id },
+        data: {
+          ...(period.periodStart > from && {
+            periodStart: new Date(period.periodStart.getTime() + days * DAY_MS)
+          }),
+          periodEnd: new Date(period.periodEnd.getTime() + days * DAY_MS)
+        }
+      });
+    }
+  }
+
+  /**
+   * Scale the current period's quota to a plan switched mid-period, for the days that are left
+   */
+  async adjustForPlanChange(subscription, fromPlan, toPlan, remainingDays, periodDays) {
+    const period = await prisma.subscriptionUsagePeriod.findFirst({
+      where: {
+        subscriptionId: subscription.id,
+        periodStart: { lte: new Date() },
+        periodEnd: { gt: new Date() }
+      }
+    });
+
+    if (!period || periodDays <= 0) {
+      return null;
+    }
+
+    const quotaChange = periodQuota(toPlan, subscription.billingCycle) - periodQuota(fromPlan, subscription.billingCycle);
+    const adjustment = Math.round(quotaChange * remainingDays / periodDays);
+
+    if (adjustment === 0) {
+      return period;
+    }
+
+    return prisma.subscriptionUsagePeriod.update({
+      where: { id: period.id },
+      data: { sessionsAllowed: Math.max(0, period.sessionsAllowed + adjustment) }
+    });
+  }
+
+  /**
+   * Sessions left in the current period and week, for showing to the customer.
+   * The subscription must include its plan.
+   */
+  async getUsageSummary(subscription, now = new Date()) {
+    const period = await this.getPeriod(subscription, now);
+
+    const usedThisWeek = await prisma.booking.count({
+      where: weekBookingsWhere(subscription.id, now)
+    });
+
+    return {
+      periodStart: period.periodStart,
+      periodEnd: period.periodEnd,
+      allowed: period.sessionsAllowed,
+      rolledOver: period.rolledOverSessions,
+      used: period.sessionsUsed,
+      remaining: Math.max(0, period.sessionsAllowed - period.sessionsUsed),
+      credits: subscription.sessionCredits,
+      weeklyLimit: subscription.plan.sessionsPerWeek,
+      usedThisWeek,
+      remainingThisWeek: Math.max(0, subscription.plan.sessionsPerWeek - usedThisWeek),
+      overagePrice: subscription.plan.overagePrice
+    };
+  }
+}
+
+module.exports = new SessionUsageService();
@@ -0,0 +1,25 @@
+const { ConsoleProvider, ProviderRegistry } = require('./providerRegistry');
+
+/**
+ * Sends SMS through the provider named by SMS_PROVIDER. The console provider appends to
+ * SMS_LOG_FILE when set.
+ */
+class SmsService extends ProviderRegistry {
+  constructor() {
+    super({
+      kind: 'SMS',
+      envVar: 'SMS_PROVIDER',
+      consoleProvider: () => new ConsoleProvider({
+        label: 'SMS',
+        fields: ['message'],
+        logFile: process.env.SMS_LOG_FILE
+      })
+    });
+  }
+
+  async send(to, message) {
+    return this.getProvider().send(to, message);
+  }
+}
+
+module.exports = new SmsService();
@@ -0,0 +1,216 @@
+const { PrismaClient } = require('@prisma/client');
+const configService = require('./configService');
+const notificationService = require('./notificationService');
+
+const prisma = new PrismaClient();
+
+// Allowed status changes. Ended subscriptions can only be restarted, which waits for payment again.
+const TRANSITIONS = {
+  PENDING_PAYMENT: ['ACTIVE', 'CANCELLED', 'EXPIRED'],
+  ACTIVE: ['SUSPENDED', 'PAUSED', 'EXPIRED', 'CANCELLED'],
+  SUSPENDED: ['ACTIVE', 'EXPIRED', 'CANCELLED'],
+  PAUSED: ['ACTIVE', 'EXPIRED', 'CANCELLED'],
+  EXPIRED: ['PENDING_PAYMENT'],
+  CANCELLED: ['PENDING_PAYMENT']
+};
+
+const subscriptionInclude = {
+  plan: true,
+  customer: true
+};
+
+/**
+ * Thrown when a subscription is asked to move to a status its current status does not allow
+ */
+class InvalidSubscriptionTransitionError extends Error {
+  constructor(subscriptionId, fromStatus, toStatus) {
+    super(`Subscription cannot go from ${fromStatus} to ${toStatus}`);
+    this.name = 'InvalidSubscriptionTransitionError';
+    this.subscriptionId = subscriptionId;
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+}
+
+// Customer and admin notifications per new status
+const notifiers = {
+  ACTIVE: (subscription, fromStatus) => {
+    if (fromStatus === 'SUSPENDED') return notificationService.notifySubscriptionReactivated(subscription);
+    if (fromStatus === 'PAUSED') return notificationService.notifySubscriptionResumed(subscription);
+    return notificationService.notifySubscriptionCreated(subscription);
+  },
+  SUSPENDED: (subscription, fromStatus, reason) => notificationService.notifySubscriptionSuspended(subscription, reason),
+  PAUSED: (subscription, fromStatus, reason) => notificationService.notifySubscriptionPaused(subscription, reason),
+  EXPIRED: (subscription) => notificationService.notifySubscriptionExpired(subscription),
+  CANCELLED: (subscription, fromStatus, reason) => notificationService.notifySubscriptionCancelled(subscription, reason)
+};
+
+class SubscriptionLifecycleService {
+
+  canTransition(fromStatus, toStatus) {
+    return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  /**
+   * Move a subscription to a new status, record the change and notify.
+   * `data` holds other fields to update together with the status.
+   * Throws InvalidSubscriptionTransitionError when the change is not allowed.
+   */
+  async transition(subscriptionId, toStatus, { reason = null, actorId = null, data = {} } = {}) {
+    const current = await prisma.subscription.findUnique({
+      where: { id: subscriptionId },
+      select: { id: true, status: true }
+    });
+
+    if (!current) {
+      throw new Error('Subscription not found');
+    }
+
+    const fromStatus = current.status;
+    if (!this.canTransition(fromStatus, toStatus)) {
+      throw new InvalidSubscriptionTransitionError(subscriptionId, fromStatus, toStatus);
+    }
+
+    const subscription = await prisma.$transaction(async (tx) => {
+      // Only applies if nobody changed the status in the meantime
+      const updated = await tx.subscription.updateMany({
+        where: { id: subscriptionId, status: fromStatus },
+        data: { ...data, status: toStatus }
+      });
+
+      if (updated.count === 0) {
+        const latest = await tx.subscription.findUnique({
+          where: { id: subscriptionId },
+          select: { status: true }
+        });
+        throw new InvalidSubscriptionTransitionError(subscriptionId, latest ? latest.status : fromStatus, toStatus);
+      }
+
+      await tx.subscriptionStatusChange.create({
+        data: {
+          subscriptionId,
+          fromStatus,
+          toStatus,
+          reason,
+          changedById: actorId
+        }
+      });
+
+      return tx.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: subscriptionInclude
+      });
+    });
+
+    const notify = notifiers[toStatus];
+    if (notify) {
+      try {
+        await notify(subscription, fromStatus, reason);
+      } catch (error) {
+        console.error('Error sending subscription status notification:', error);
+      }
+    }
+
+    return subscription;
+  }
+
+  /**
+   * End date before which an active subscription can no longer be waiting on its renewal: the
+   * pending charge timeout, every retry and the grace period have all run out by then
+   */
+  renewalGraceCutoff(now = new Date()) {
+    const retryHours = configService.get('billing.retryIntervalsHours').reduce((sum, hours) => sum + hours, 0);
+    const waitHours = configService.get('billing.pendingChargeTimeoutHours') + retryHours +
+      configService.get('billing.gracePeriodDays') * 24;
+
+    return new Date(now.getTime() - waitHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Subscriptions that have run out: unpaid ones past their end date, active ones past their end
+   * date with nothing left to renew, and suspended ones subscription.suspendedExpiryDays after it.
+   * Active subscriptions that will renew, or are retrying a renewal, are left to the renewal job
+   * until renewalGraceCutoff, so a renewal that never settles cannot keep them running.
+   */
+  endedWhere(now = new Date()) {
+    const suspendedCutoff = new Date(now.getTime() - configService.get('subscription.suspendedExpiryDays') * 24 * 60 * 60 * 1000);
+
+    return {
+      OR: [
+        { status: 'PENDING_PAYMENT', endDate: { lt: now } },
+        {
+          status: 'ACTIVE',
+          endDate: { lt: now },
+          OR: [
+            {
+              renewalAttempts: 0,
+              gracePeriodEndsAt: null,
+              OR: [{ autoRenew: false }, { nextBillDate: null }]
+            },
+            { endDate: { lt: this.renewalGraceCutoff(now) } }
+          ]
+        },
+        { status: 'SUSPENDED', endDate: { lt: suspendedCutoff } }
+      ]
+    };
+  }
+
+  /**
+   * Expire every subscription that has run out. Returns how many were expired.
+   */
+  async expireEndedSubscriptions(now = new Date()) {
+    const ended = await prisma.subscription.findMany({
+      where: this.endedWhere(now),
+      select: { id: true }
+    });
+
+    let expired = 0;
+    for (const { id } of ended) {
+      try {
+        await this.transition(id, 'EXPIRED', { reason: 'Subscription period ended' });
+        expired++;
+      } catch (error) {
+        console.error(`Error expiring subscription ${id}:`, error);
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Expire a customer's subscription right away if it has run out, so status checks
+   * do not depend on the nightly job having run
+   */
+  async expireIfEnded(customerId) {
+    const subscription = await prisma.subscription.findFirst({
+      where: {
+        customerId,
+        ...this.endedWhere()
+      },
+      select: { id: true }
+    });
+
+    if (!subscription) {
+      return null;
+    }
+
+    try {
+      return await this.transition(subscription.id, 'EXPIRED', { reason: 'Subscription period ended' });
+    } catch (error) {
+      if (error instanceof InvalidSubscriptionTransitionError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async getHistory(subscriptionId) {
+    return prisma.subscriptionStatusChange.findMany({
+      where: { subscriptionId },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+}
+
+module.exports = new SubscriptionLifecycleService();
+module.exports.InvalidSubscriptionTransitionError = InvalidSubscriptionTransitionError;
@@ -0,0 +1,354 @@
+const { PrismaClient } = require('@prisma/client');
+const configService = require('./configService');
+const notificationService = require('./notificationService');
+const sessionUsageService = require('./sessionUsageService');
+const subscriptionLifecycleService = require('./subscriptionLifecycleService');
+const { InvalidSubscriptionTransitionError } = subscriptionLifecycleService;
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bookings that have not started yet and can be called off for a pause
+const CANCELLABLE_BOOKING_STATUSES = ['PENDING', 'CONFIRMED', 'ASSIGNED'];
+
+/**
+ * Thrown when a pause request breaks a pause rule (dates, overlap or the per-term limit)
+ */
+class PauseNotAllowedError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PauseNotAllowedError';
+    this.details = details;
+  }
+}
+
+// Helper function to drop the time of day
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+// Helper function to add whole days
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+class SubscriptionPauseService {
+
+  /**
+   * Where clause for pauses that cover the given day
+   */
+  coveringWhere(date) {
+    const day = startOfDay(date);
+    return {
+      status: { in: ['SCHEDULED', 'ACTIVE'] },
+      startDate: { lte: day },
+      endDate: { gte: day }
+    };
+  }
+
+  async findPauseCovering(subscriptionId, date) {
+    return prisma.subscriptionPause.findFirst({
+      where: {
+        subscriptionId,
+        ...this.coveringWhere(date)
+      }
+    });
+  }
+
+  /**
+   * The plan term (plan.duration months, counted from the subscription start) that contains date
+   */
+  termBounds(subscription, plan, date) {
+    const months = Math.max(1, plan.duration);
+    let termStart = new Date(subscription.startDate);
+    let termEnd = new Date(termStart);
+    termEnd.setMonth(termEnd.getMonth() + months);
+
+    while (termEnd <= date) {
+      termStart = termEnd;
+      termEnd = new Date(termStart);
+      termEnd.setMonth(termEnd.getMonth() + months);
+    }
+
+    return { termStart, termEnd };
+  }
+
+  /**
+   * Pause a subscription from startDate to endDate (both whole days, endDate included).
+   * Pushes endDate and nextBillDate back by the paused days and cancels subscription
+   * bookings in the window. The subscription turns PAUSED when the pause starts.
+   * Throws PauseNotAllowedError when the request breaks a pause rule.
+   */
+  async schedulePause(subscription, { startDate, endDate, reason = null }, actorId = null) {
+    const start = startOfDay(startDate);
+    const end = startOfDay(endDate);
+    const tomorrow = startOfDay(addDays(new Date(), 1));
+
+    if (start < tomorrow) {
+      throw new PauseNotAllowedError('A pause can start tomorrow at the earliest');
+    }
+
+    if (end < start) {
+      throw new PauseNotAllowedError('endDate must be on or after startDate');
+    }
+
+    if (start >= subscription.endDate) {
+      throw new PauseNotAllowedError('A pause must start before the subscription ends');
+    }
+
+    const days = Math.round((end - start) / DAY_MS) + 1;
+
+    const overlapping = await prisma.subscriptionPause.findFirst({
+      where: {
+        subscriptionId: subscription.id,
+        status: { in: ['SCHEDULED', 'ACTIVE'] },
+        startDate: { lte: end },
+        endDate: { gte: start }
+      }
+    });
+
+    if (overlapping) {
+      throw new PauseNotAllowedError('This pause overlaps another pause', { pause: overlapping });
+    }
+
+    // Pauses count toward the term they start in
+    const maxDays = configService.get('subscription.maxPauseDaysPerTerm');
+    const { termStart, termEnd } = this.termBounds(subscription, subscription.plan, start);
+
+    const usedPauses = await prisma.subscriptionPause.aggregate({
+      where: {
+        subscriptionId: subscription.id,
+        status: { not: 'CANCELLED' },
+        startDate: { gte: termStart, lt: termEnd }
+      },
+      _sum: { days: true }
+    });
+
+    const usedDays = usedPauses._sum.days || 0;
+    if (usedDays + days > maxDays) {
+      throw new PauseNotAllowedError(
+        `Pauses are limited to ${maxDays} days per term`,
+        { maxDays, usedDays, remainingDays: Math.max(0, maxDays - usedDays) }
+      );
+    }
+
+    const newEndDate = addDays(subscription.endDate, days);
+    const newNextBillDate = subscription.nextBillDate ? addDays(subscription.nextBillDate, days) : null;
+
+    const pause = await prisma.$transaction(async (tx) => {
+      const created = await tx.subscriptionPause.create({
+        data: {
+          subscriptionId: subscription.id,
+          startDate: start,
+          endDate: end,
+          days,
+          reason,
+          requestedById: actorId
+        }
+      });
+
+      await tx.subscription.update({
+        where: { id: subscription.id },
+        data: {
+          endDate: newEndDate,
+          nextBillDate: newNextBillDate
+        }
+      });
+
+      // Plan changes waiting for the next bill move with it
+      if (newNextBillDate) {
+        await tx.subscriptionPlanChange.updateMany({
+          where: { subscriptionId: subscription.id, status: 'SCHEDULED' },
+          data: { effectiveAt: newNextBillDate }
+        });
+      }
+
+      return created;
+    });
+
+    // The billing period the pause falls in gets longer by the same days
+    await sessionUsageService.shiftPeriods(subscription.id, start, days);
+
+    const cancelledBookings = await this.cancelBookingsInWindow(
+      subscription.customer.userId,
+      start,
+      addDays(end, 1),
+      reason ? `Subscription paused: ${reason}` : 'Subscription paused'
+    );
+
+    return prisma.subscriptionPause.update({
+      where: { id: pause.id },
+      data: { cancelledBookings }
+    });
+  }
+
+  /**
+   * Cancel the customer's subscription bookings (those without a payment of their own)
+   * scheduled in [from, to) and give their sessions back. Returns how many bookings were cancelled.
+   */
+  async cancelBookingsInWindow(userId, from, to, reason) {
+    const bookings = await prisma.booking.findMany({
+      where: {
+        customerId: userId,
+        scheduledAt: { gte: from, lt: to },
+        status: { in: CANCELLABLE_BOOKING_STATUSES },
+        payment: null
+      },
+      select: { id: true }
+    });
+
+    let cancelled = 0;
+    for (const { id } of bookings) {
+      const booking = await prisma.booking.update({
+        where: { id },
+        data: { status: 'CANCELLED' },
+        include: { service: true }
+      });
+      cancelled++;
+
+      await sessionUsageService.releaseSession(booking);
+
+      try {
+        await notificationService.notifyBookingCancellation(booking, reason);
+      } catch (error) {
+        console.error('Error sending booking cancellation notification:', error);
+      }
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Call off a pause that has not started and take back the days it pushed endDate and
+   * nextBillDate back by. Bookings it cancelled stay cancelled. Returns the pause, or null
+   * when it is no longer SCHEDULED.
+   */
+  async cancelPause(pauseId) {
+    const pause = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.subscriptionPause.updateMany({
+        where: { id: pauseId, status: 'SCHEDULED' },
+        data: { status: 'CANCELLED' }
+      });
+
+      if (claimed.count === 0) {
+        return null;
+      }
+
+      const cancelled = await tx.subscriptionPause.findUnique({
+        where: { id: pauseId }
+      });
+      const subscription = await tx.subscription.findUnique({
+        where: { id: cancelled.subscriptionId }
+      });
+
+      const nextBillDate = subscription.nextBillDate ? addDays(subscription.nextBillDate, -cancelled.days) : null;
+
+      await tx.subscription.update({
+        where: { id: subscription.id },
+        data: {
+          endDate: addDays(subscription.endDate, -cancelled.days),
+          nextBillDate
+        }
+      });
+
+      if (nextBillDate) {
+        await tx.subscriptionPlanChange.updateMany({
+          where: { subscriptionId: subscription.id, status: 'SCHEDULED' },
+          data: { effectiveAt: nextBillDate }
+        });
+      }
+
+      return cancelled;
+    });
+
+    if (pause) {
+      await sessionUsageService.shiftPeriods(pause.subscriptionId, pause.startDate, -pause.days);
+    }
+
+    return pause;
+  }
+
+  /**
+   * Start pauses whose first day has come and resume subscriptions whose pause is over.
+   * Returns { started, resumed }.
+   */
+  async processPauses(now = new Date()) {
+    const today = startOfDay(now);
+    const summary = { started: 0, resumed: 0 };
+
+    const endedPauses = await prisma.subscriptionPause.findMany({
+      where: {
+        status: 'ACTIVE',
+        endDate: { lt: today }
+      },
+      include: { subscription: { select: { status: true } } }
+    });
+
+    for (const pause of endedPauses) {
+      try {
+        if (pause.subscription.status === 'PAUSED') {
+          await subscriptionLifecycleService.transition(pause.subscriptionId, 'ACTIVE', {
+            reason: 'Pause ended'
+          });
+          summary.resumed++;
+        }
+        await prisma.subscriptionPause.update({
+          where: { id: pause.id },
+          data: { status: 'COMPLETED' }
+        });
+      } catch (error) {
+        console.error(`Error ending pause ${pause.id}:`, error);
+      }
+    }
+
+    const duePauses = await prisma.subscriptionPause.findMany({
+      where: {
+        status: 'SCHEDULED',
+        startDate: { lte: today }
+      },
+      include: { subscription: { select: { status: true } } },
+      orderBy: { startDate: 'asc' }
+    });
+
+    for (const pause of duePauses) {
+      try {
+        // A pause whose window already passed (the job did not run) is simply over
+        if (pause.endDate < today) {
+          await prisma.subscriptionPause.update({
+            where: { id: pause.id },
+            data: { status: 'COMPLETED' }
+          });
+          continue;
+        }
+
+        if (pause.subscription.status !== 'ACTIVE') {
+          await this.cancelPause(pause.id);
+          continue;
+        }
+
+        await subscriptionLifecycleService.transition(pause.subscriptionId, 'PAUSED', {
+          reason: `Paused until ${pause.endDate.toDateString()}`
+        });
+        await prisma.subscriptionPause.update({
+          where: { id: pause.id },
+          data: { status: 'ACTIVE' }
+        });
+        summary.started++;
+      } catch (error) {
+        if (error instanceof InvalidSubscriptionTransitionError) {
+          await this.cancelPause(pause.id);
+          continue;
+        }
+        console.error(`Error starting pause ${pause.id}:`, error);
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new SubscriptionPauseService();
+module.exports.PauseNotAllowedError = PauseNotAllowedError;
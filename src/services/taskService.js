@@ -0,0 +1,98 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_LANGUAGE = 'en';
+
+class TaskService {
+
+  /**
+   * Task instructions in the requested language, falling back to English and then the description
+   */
+  getLocalizedInstructions(task, language = DEFAULT_LANGUAGE) {
+    const instructions = task.instructionsMultiLang || {};
+    return instructions[language] || instructions[DEFAULT_LANGUAGE] || task.description;
+  }
+
+  /**
+   * Preferred instruction language for a maid (user with maidProfile)
+   */
+  getMaidLanguage(maid) {
+    return maid?.languagePreferences?.[0] || maid?.maidProfile?.languages?.[0] || DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Active customizations of a customer (by user id), keyed by task id
+   */
+  async getCustomizationMap(customerUserIds, taskIds = null) {
+    const customizations = await prisma.taskCustomization.findMany({
+      where: {
+        isActive: true,
+        customer: {
+          userId: { in: [].concat(customerUserIds) }
+        },
+        ...(taskIds && { taskId: { in: taskIds } })
+      },
+      include: {
+        customer: {
+          select: { userId: true }
+        }
+      }
+    });
+
+    // customer user id -> task id -> modifications
+    const map = new Map();
+    for (const customization of customizations) {
+      const userId = customization.customer.userId;
+      if (!map.has(userId)) {
+        map.set(userId, new Map());
+      }
+      map.get(userId).set(customization.taskId, customization.modifications || {});
+    }
+    return map;
+  }
+
+  /**
+   * Merge a service's tasks with one customer's customizations.
+   * Disabled tasks are left out unless includeDisabled is set.
+   */
+  mergeTasks(tasks, customizations = new Map(), language = DEFAULT_LANGUAGE, { includeDisabled = false } = {}) {
+    return [...tasks]
+      .sort((a, b) => a.order - b.order)
+      .map(task => {
+        const modifications = customizations.get(task.id);
+        const disabled = Boolean(modifications?.disabled) && !task.isRequired;
+        const checklist = Array.isArray(task.checklist) ? task.checklist : [];
+
+        return {
+          taskId: task.id,
+          name: task.name,
+          order: task.order,
+          isRequired: task.isRequired,
+          estimatedDuration: task.estimatedDuration,
+          instructions: this.getLocalizedInstructions(task, language),
+          checklist: [...checklist, ...(modifications?.extraChecklist || [])],
+          customerNotes: modifications?.notes || null,
+          customized: Boolean(modifications),
+          disabled
+        };
+      })
+      .filter(task => includeDisabled || !task.disabled);
+  }
+
+  /**
+   * Merged task list of a service for a customer (by user id)
+   */
+  async getCustomerTaskList(serviceId, customerUserId, language = DEFAULT_LANGUAGE, options = {}) {
+    const tasks = await prisma.task.findMany({
+      where: { serviceId },
+      orderBy: { order: 'asc' }
+    });
+
+    const customizationMap = await this.getCustomizationMap(customerUserId, tasks.map(task => task.id));
+
+    return this.mergeTasks(tasks, customizationMap.get(customerUserId), language, options);
+  }
+}
+
+module.exports = new TaskService();
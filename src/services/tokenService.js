@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const configService = require('./configService');
+
+const prisma = new PrismaClient();
+
+// Statuses that end every session and block new logins
+const BLOCKED_STATUSES = ['SUSPENDED', 'BLACKLISTED'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class TokenService {
+
+  /**
+   * Signing secret. Tests fall back to a fixed secret; everywhere else JWT_SECRET is required.
+   */
+  getSecret() {
+    if (process.env.JWT_SECRET) {
+      return process.env.JWT_SECRET;
+    }
+    if (process.env.NODE_ENV === 'test') {
+      return 'test-secret';
+    }
+    throw new Error('JWT_SECRET is not set');
+  }
+
+  isBlocked(user) {
+    return BLOCKED_STATUSES.includes(user.status);
+  }
+
+  /**
+   * Short-lived access token tied to a session
+   */
+  signAccessToken(userId, sessionId) {
+    const expiresInSeconds = Math.round(configService.get('auth.accessTokenMinutes') * 60);
+    const token = jwt.sign(
+      { userId, sid: sessionId },
+      this.getSecret(),
+      { expiresIn: expiresInSeconds }
+    );
+
+    return { token, expiresIn: expiresInSeconds };
+  }
+
+  /**
+   * Start a session for a user and return an access token with its refresh token.
+   * Accounts still waiting for phone verification cannot get a session.
+   */
+  async issueTokens(user, req) {
+    if (user.status === 'PENDING_VERIFICATION') {
+      throw new Error('Phone number is not verified');
+    }
+
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + configService.get('auth.refreshTokenDays') * 24 * 60 * 60 * 1000);
+
+    const session = await prisma.authSession.create({
+      data: {
+        userId: user.id,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt,
+        userAgent: req?.get ? req.get('user-agent') : undefined,
+        ipAddress: req?.ip
+      }
+    });
+
+    const { token, expiresIn } = this.signAccessToken(user.id, session.id);
+
+    return {
+      token,
+      refreshToken,
+      expiresIn,
+      refreshTokenExpiresAt: expiresAt
+    };
+  }
+
+  /**
+   * Swap a refresh token for a new pair. A token that was already rotated out
+   * revokes its session, since it means the token was copied.
+   */
+  async rotateRefreshToken(refreshToken) {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await prisma.authSession.findUnique({
+      where: { refreshTokenHash: tokenHash },
+      include: { user: true }
+    });
+
+    if (!session) {
+      const reusedSession = await prisma.authSession.findUnique({
+        where: { previousTokenHash: tokenHash }
+      });
+
+      if (reusedSession && !reusedSession.revokedAt) {
+        await this.revokeSession(reusedSession.id, 'REFRESH_TOKEN_REUSED');
+      }
+
+      throw new Error('Invalid refresh token');
+    }
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+      throw new Error('Session has expired');
+    }
+
+    if (this.isBlocked(session.user)) {
+      await this.revokeSession(session.id, session.user.status);
+      throw new Error('Account is not active');
+    }
+
+    const newRefreshToken = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + configService.get('auth.refreshTokenDays') * 24 * 60 * 60 * 1000);
+
+    // Only one refresh can swap out this token; a concurrent one counts as reuse
+    const rotated = await prisma.authSession.updateMany({
+      where: {
+        id: session.id,
+        refreshTokenHash: tokenHash,
+        revokedAt: null
+      },
+      data: {
+        previousTokenHash: tokenHash,
+        refreshTokenHash: hashToken(newRefreshToken),
+        expiresAt,
+        lastUsedAt: new Date()
+      }
+    });
+
+    if (rotated.count === 0) {
+      await this.revokeSession(session.id, 'REFRESH_TOKEN_REUSED');
+      throw new Error('Invalid refresh token');
+    }
+
+    const { token, expiresIn } = this.signAccessToken(session.userId, session.id);
+
+    return {
+      token,
+      refreshToken: newRefreshToken,
+      expiresIn,
+      refreshTokenExpiresAt: expiresAt
+    };
+  }
+
+  /**
+   * Find the session a refresh token belongs to
+   */
+  async findSessionByRefreshToken(refreshToken) {
+    return prisma.authSession.findUnique({
+      where: { refreshTokenHash: hashToken(refreshToken) }
+    });
+  }
+
+  async revokeSession(sessionId, reason = 'LOGOUT') {
+    return prisma.authSession.updateMany({
+      where: {
+        id: sessionId,
+        revokedAt: null
+      },
+      data: {
+        revokedAt: new Date(),
+        revokedReason: reason
+      }
+    });
+  }
+
+  /**
+   * End every session of a user, which rejects every access token issued to them
+   */
+  async revokeAllSessions(userId, reason = 'LOGOUT_ALL') {
+    const sessions = await prisma.authSession.updateMany({
+      where: {
+        userId,
+        revokedAt: null
+      },
+      data: {
+        revokedAt: new Date(),
+        revokedReason: reason
+      }
+    });
+
+    return sessions.count;
+  }
+
+  /**
+   * Verify an access token and load its user. Throws when the token is invalid, expired
+   * or revoked. Only session-bound tokens with an expiry are accepted, so tokens signed
+   * before sessions existed stop working.
+   */
+  async verifyAccessToken(token, { include } = {}) {
+    const decoded = jwt.verify(token, this.getSecret());
+
+    if (!decoded.sid || !decoded.exp || !decoded.userId) {
+      throw new Error('Token is not bound to a session');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      ...(include && { include })
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const session = await prisma.authSession.findUnique({
+      where: { id: decoded.sid },
+      select: { userId: true, revokedAt: true }
+    });
+
+    if (!session || session.userId !== user.id || session.revokedAt) {
+      throw new Error('Token has been revoked');
+    }
+
+    return { user, sessionId: decoded.sid };
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,31 @@
+const { PrismaClient } = require('@prisma/client');
+const { isPointInPolygon } = require('../utils/geoUtils');
+
+const prisma = new PrismaClient();
+
+class ZoneService {
+
+  /**
+   * Find the active zone whose boundaries contain the given coordinates
+   */
+  async resolveZoneForLocation(latitude, longitude) {
+    if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) {
+      return null;
+    }
+
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (isNaN(lat) || isNaN(lng)) {
+      return null;
+    }
+
+    const zones = await prisma.zone.findMany({
+      where: { isActive: true },
+      orderBy: { name: 'asc' }
+    });
+
+    return zones.find(zone => isPointInPolygon(lat, lng, zone.boundaries)) || null;
+  }
+}
+
+module.exports = new ZoneService();
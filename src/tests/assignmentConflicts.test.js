@@ -0,0 +1,208 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['conflict-admin@test.com', 'conflict-customer@test.com', 'conflict-maid@test.com'];
+const HOUR = 60 * 60 * 1000;
+
+// Store test data for cleanup
+let testData = {
+  admin: null,
+  customer: null,
+  maid: null,
+  service: null,
+  booking: null,
+  sameSlotBookings: [],
+  adminToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+async function cleanup() {
+  await prisma.booking.deleteMany({
+    where: { customer: { email: { in: TEST_EMAILS } } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Conflict Test Service' }
+  });
+}
+
+describe('Assignment conflicts', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Conflict Test Service',
+        description: 'Service for assignment conflict tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120,
+        bufferTime: 30
+      }
+    });
+
+    testData.admin = await prisma.user.create({
+      data: {
+        email: 'conflict-admin@test.com',
+        password: 'Test123!',
+        name: 'Conflict Admin',
+        phone: '3333333311',
+        role: 'ADMIN',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+
+    testData.customer = await prisma.user.create({
+      data: {
+        email: 'conflict-customer@test.com',
+        password: 'Test123!',
+        name: 'Conflict Customer',
+        phone: '3333333312',
+        role: 'CUSTOMER'
+      }
+    });
+
+    testData.maid = await prisma.user.create({
+      data: {
+        email: 'conflict-maid@test.com',
+        password: 'Test123!',
+        name: 'Conflict Maid',
+        phone: '3333333313',
+        role: 'MAID',
+        maidProfile: {
+          create: {
+            skills: [],
+            languages: [],
+            availability: {},
+            status: 'ACTIVE'
+          }
+        }
+      }
+    });
+
+    const scheduledAt = new Date(Date.now() + 48 * HOUR);
+
+    // Ends inside the new booking's buffer
+    await prisma.booking.create({
+      data: {
+        customerId: testData.customer.id,
+        maidId: testData.maid.id,
+        serviceId: testData.service.id,
+        status: 'ASSIGNED',
+        scheduledAt: new Date(scheduledAt.getTime() - 2 * HOUR),
+        estimatedDuration: 120,
+        serviceAddress: '2 Conflict Road',
+        totalAmount: 0,
+        finalAmount: 0
+      }
+    });
+
+    testData.booking = await prisma.booking.create({
+      data: {
+        customerId: testData.customer.id,
+        serviceId: testData.service.id,
+        status: 'CONFIRMED',
+        scheduledAt,
+        estimatedDuration: 120,
+        serviceAddress: '2 Conflict Road',
+        totalAmount: 0,
+        finalAmount: 0
+      }
+    });
+
+    // Two bookings at a time the maid is free, for concurrent assignments
+    for (const address of ['3 Conflict Road', '4 Conflict Road']) {
+      testData.sameSlotBookings.push(await prisma.booking.create({
+        data: {
+          customerId: testData.customer.id,
+          serviceId: testData.service.id,
+          status: 'CONFIRMED',
+          scheduledAt: new Date(scheduledAt.getTime() + 48 * HOUR),
+          estimatedDuration: 120,
+          serviceAddress: address,
+          totalAmount: 0,
+          finalAmount: 0
+        }
+      }));
+    }
+
+    testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
+  });
+
+  afterAll(async () => {
+    await prisma.auditLog.deleteMany({
+      where: { resourceId: testData.booking.id }
+    });
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('PUT /api/bookings/:id/assign', () => {
+    it('should reject an overlapping assignment with the conflicts', async () => {
+      const res = await request(app)
+        .put(`/api/bookings/${testData.booking.id}/assign`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ maidId: testData.maid.id });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.canOverride).toBe(true);
+      expect(res.body.conflicts.map(conflict => conflict.type)).toContain('SCHEDULE_OVERLAP');
+    });
+
+    it('should require a reason to override', async () => {
+      const res = await request(app)
+        .put(`/api/bookings/${testData.booking.id}/assign`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ maidId: testData.maid.id, override: true });
+
+      expect(res.statusCode).toBe(400);
+
+      const booking = await prisma.booking.findUnique({ where: { id: testData.booking.id } });
+      expect(booking.maidId).toBeNull();
+    });
+
+    it('should assign with an override and audit it', async () => {
+      const res = await request(app)
+        .put(`/api/bookings/${testData.booking.id}/assign`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ maidId: testData.maid.id, override: true, overrideReason: 'Customer asked for this maid' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.maidId).toBe(testData.maid.id);
+      expect(res.body.status).toBe('ASSIGNED');
+
+      const override = await prisma.auditLog.findFirst({
+        where: { resourceId: testData.booking.id, action: 'ASSIGNMENT_CONFLICT_OVERRIDE' }
+      });
+      expect(override.userId).toBe(testData.admin.id);
+      expect(override.newValues.reason).toBe('Customer asked for this maid');
+    });
+
+    it('should not double-book a maid assigned to two bookings at once', async () => {
+      const responses = await Promise.all(testData.sameSlotBookings.map(booking => request(app)
+        .put(`/api/bookings/${booking.id}/assign`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ maidId: testData.maid.id })));
+
+      expect(responses.map(res => res.statusCode).sort()).toEqual([200, 409]);
+
+      const assigned = await prisma.booking.count({
+        where: {
+          id: { in: testData.sameSlotBookings.map(booking => booking.id) },
+          maidId: testData.maid.id
+        }
+      });
+      expect(assigned).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['attendance-admin@test.com', 'attendance-maid@test.com'];
+const DAY = 24 * 60 * 60 * 1000;
+const LOCATION = { latitude: 12.9716, longitude: 77.5946 };
+
+// Store test data for cleanup
+let testData = {
+  admin: null,
+  maid: null,
+  attendance: null,
+  adminToken: null,
+  maidToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+// YYYY-MM-DD in server time, days from today
+function dateFromToday(days) {
+  const date = new Date(Date.now() + days * DAY);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+async function cleanup() {
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+}
+
+describe('Maid attendance', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.admin = await prisma.user.create({
+      data: {
+        email: 'attendance-admin@test.com',
+        password: 'Test123!',
+        name: 'Attendance Admin',
+        phone: '3333333341',
+        role: 'ADMIN',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+
+    testData.maid = await prisma.user.create({
+      data: {
+        email: 'attendance-maid@test.com',
+        password: 'Test123!',
+        name: 'Attendance Maid',
+        phone: '3333333342',
+        role: 'MAID',
+        maidProfile: {
+          create: {
+            skills: [],
+            languages: [],
+            availability: {},
+            status: 'ACTIVE',
+            attendanceStreak: 4
+          }
+        }
+      },
+      include: { maidProfile: true }
+    });
+
+    // Worked yesterday, so today's check-in continues the streak
+    await prisma.attendance.create({
+      data: {
+        maidId: testData.maid.maidProfile.id,
+        date: new Date(`${dateFromToday(-1)}T00:00:00.000Z`),
+        status: 'PRESENT'
+      }
+    });
+
+    testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
+    testData.maidToken = (await tokenService.issueTokens(testData.maid)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/maids/attendance/check-in', () => {
+    it('should require a location', async () => {
+      const res = await request(app)
+        .post('/api/maids/attendance/check-in')
+        .set('Authorization', `Bearer ${testData.maidToken}`)
+        .send({});
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should record today as the calendar date and continue the streak', async () => {
+      const res = await request(app)
+        .post('/api/maids/attendance/check-in')
+        .set('Authorization', `Bearer ${testData.maidToken}`)
+        .send(LOCATION);
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.date).toBe(`${dateFromToday(0)}T00:00:00.000Z`);
+      expect(res.body.data.status).toBe('PRESENT');
+      testData.attendance = res.body.data;
+
+      const maidProfile = await prisma.maidProfile.findUnique({
+        where: { userId: testData.maid.id }
+      });
+      expect(maidProfile.attendanceStreak).toBe(5);
+    });
+
+    it('should not check in twice on the same day', async () => {
+      const res = await request(app)
+        .post('/api/maids/attendance/check-in')
+        .set('Authorization', `Bearer ${testData.maidToken}`)
+        .send(LOCATION);
+
+      expect(res.statusCode).toBe(409);
+    });
+  });
+
+  describe('POST /api/maids/attendance/check-out', () => {
+    it('should check out today\'s record', async () => {
+      const res = await request(app)
+        .post('/api/maids/attendance/check-out')
+        .set('Authorization', `Bearer ${testData.maidToken}`)
+        .send(LOCATION);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.id).toBe(testData.attendance.id);
+      expect(res.body.data.checkOut).not.toBeNull();
+    });
+  });
+
+  describe('GET /api/maids/attendance', () => {
+    it('should include today in the current month', async () => {
+      const res = await request(app)
+        .get('/api/maids/attendance')
+        .set('Authorization', `Bearer ${testData.maidToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.records.map(record => record.id)).toContain(testData.attendance.id);
+    });
+  });
+
+  describe('PUT /api/admin/attendance/:id', () => {
+    it('should require admin notes', async () => {
+      const res = await request(app)
+        .put(`/api/admin/attendance/${testData.attendance.id}`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ status: 'ABSENT' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should adjust the record and flag it', async () => {
+      const res = await request(app)
+        .put(`/api/admin/attendance/${testData.attendance.id}`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ status: 'ON_LEAVE', checkIn: null, checkOut: null, adminNotes: 'Approved leave' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.status).toBe('ON_LEAVE');
+      expect(res.body.data.adminAdjusted).toBe(true);
+      expect(res.body.data.date).toBe(`${dateFromToday(0)}T00:00:00.000Z`);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['audit-admin@test.com', 'audit-supervisor@test.com', 'audit-customer@test.com'];
+
+// Store test data for cleanup
+let testData = {
+  admin: null,
+  supervisor: null,
+  customer: null,
+  service: null,
+  adminToken: null,
+  supervisorToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+async function cleanup() {
+  const users = await prisma.user.findMany({
+    where: { email: { in: TEST_EMAILS } },
+    select: { id: true }
+  });
+  await prisma.auditLog.deleteMany({
+    where: { userId: { in: users.map(user => user.id) } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Audit Test Service' }
+  });
+}
+
+// Entries are written once the response has finished, so poll briefly for them
+async function findAuditLog(where) {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const log = await prisma.auditLog.findFirst({ where });
+    if (log) return log;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
+describe('Audit logging', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Audit Test Service',
+        description: 'Service for audit tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.admin = await prisma.user.create({
+      data: {
+        email: 'audit-admin@test.com',
+        password: 'Test123!',
+        name: 'Audit Admin',
+        phone: '7777777771',
+        role: 'ADMIN',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+
+    testData.supervisor = await prisma.user.create({
+      data: {
+        email: 'audit-supervisor@test.com',
+        password: 'Test123!',
+        name: 'Audit Supervisor',
+        phone: '7777777772',
+        role: 'SUPERVISOR',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+
+    testData.customer = await prisma.user.create({
+      data: {
+        email: 'audit-customer@test.com',
+        password: 'Test123!',
+        name: 'Audit Customer',
+        phone: '7777777773',
+        role: 'CUSTOMER'
+      }
+    });
+
+    testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
+    testData.supervisorToken = (await tokenService.issueTokens(testData.supervisor)).token;
+  });
+
+  afterAll(async () => {
+    await prisma.auditLog.deleteMany({
+      where: { resourceId: testData.service.id }
+    });
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('Audited admin actions', () => {
+    it('should record a status change with before and after snapshots', async () => {
+      const res = await request(app)
+        .put(`/api/users/${testData.customer.id}/status`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .set('User-Agent', 'audit-test')
+        .send({ status: 'SUSPENDED' });
+
+      expect(res.statusCode).toBe(200);
+
+      const log = await findAuditLog({ resourceId: testData.customer.id, action: 'USER_STATUS_UPDATED' });
+      expect(log).not.toBeNull();
+      expect(log.userId).toBe(testData.admin.id);
+      expect(log.resource).toBe('User');
+      expect(log.oldValues.status).toBe('ACTIVE');
+      expect(log.newValues.status).toBe('SUSPENDED');
+      expect(log.newValues).not.toHaveProperty('password');
+      expect(log.userAgent).toBe('audit-test');
+    });
+
+    it('should record service edits', async () => {
+      const res = await request(app)
+        .put(`/api/services/${testData.service.id}`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ basePrice: 150 });
+
+      expect(res.statusCode).toBe(200);
+
+      const log = await findAuditLog({ resourceId: testData.service.id, action: 'SERVICE_UPDATED' });
+      expect(log.oldValues.basePrice).toBe(100);
+      expect(log.newValues.basePrice).toBe(150);
+    });
+
+    it('should not record rejected requests', async () => {
+      const res = await request(app)
+        .put(`/api/services/${testData.service.id}`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ category: 'GARDENING' });
+
+      expect(res.statusCode).toBe(400);
+
+      // Give a stray entry the same time to appear as a real one
+      await new Promise(resolve => setTimeout(resolve, 500));
+      const logs = await prisma.auditLog.count({
+        where: { resourceId: testData.service.id, action: 'SERVICE_UPDATED' }
+      });
+      expect(logs).toBe(1);
+    });
+  });
+
+  describe('GET /api/admin/audit-logs', () => {
+    it('should filter by resource and action with the acting user attached', async () => {
+      const res = await request(app)
+        .get(`/api/admin/audit-logs?resource=User&resourceId=${testData.customer.id}&action=USER_STATUS_UPDATED`)
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.logs).toHaveLength(1);
+      expect(res.body.logs[0].user.id).toBe(testData.admin.id);
+      expect(res.body.pagination.total).toBe(1);
+    });
+
+    it('should filter by date range', async () => {
+      const res = await request(app)
+        .get(`/api/admin/audit-logs?userId=${testData.admin.id}&endDate=2000-01-01`)
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.logs).toHaveLength(0);
+    });
+
+    it('should reject an invalid date', async () => {
+      const res = await request(app)
+        .get('/api/admin/audit-logs?startDate=yesterday')
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not be visible to supervisors by default', async () => {
+      const res = await request(app)
+        .get('/api/admin/audit-logs')
+        .set('Authorization', `Bearer ${testData.supervisorToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['reschedule-customer@test.com', 'reschedule-other@test.com', 'reschedule-maid@test.com'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Store test data for cleanup
+let testData = {
+  customer: null,
+  otherCustomer: null,
+  maid: null,
+  service: null,
+  booking: null,
+  soonBooking: null,
+  customerToken: null,
+  otherToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+// YYYY-MM-DD in server time, days from today
+function dateFromToday(days) {
+  const date = new Date(Date.now() + days * DAY);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+async function cleanup() {
+  await prisma.booking.deleteMany({
+    where: { customer: { email: { in: TEST_EMAILS } } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Reschedule Test Service' }
+  });
+}
+
+function createBooking(data) {
+  return prisma.booking.create({
+    data: {
+      customerId: testData.customer.id,
+      serviceId: testData.service.id,
+      estimatedDuration: 120,
+      serviceAddress: '3 Reschedule Lane',
+      totalAmount: 0,
+      finalAmount: 0,
+      ...data
+    }
+  });
+}
+
+describe('Booking reschedule', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Reschedule Test Service',
+        description: 'Service for reschedule tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.customer = await prisma.user.create({
+      data: {
+        email: 'reschedule-customer@test.com',
+        password: 'Test123!',
+        name: 'Reschedule Customer',
+        phone: '3333333321',
+        role: 'CUSTOMER'
+      }
+    });
+
+    testData.otherCustomer = await prisma.user.create({
+      data: {
+        email: 'reschedule-other@test.com',
+        password: 'Test123!',
+        name: 'Other Customer',
+        phone: '3333333322',
+        role: 'CUSTOMER'
+      }
+    });
+
+    testData.maid = await prisma.user.create({
+      data: {
+        email: 'reschedule-maid@test.com',
+        password: 'Test123!',
+        name: 'Reschedule Maid',
+        phone: '3333333323',
+        role: 'MAID',
+        maidProfile: {
+          create: {
+            skills: [],
+            languages: [],
+            availability: {},
+            status: 'ACTIVE'
+          }
+        }
+      }
+    });
+
+    testData.booking = await createBooking({
+      maidId: testData.maid.id,
+      status: 'ASSIGNED',
+      scheduledAt: new Date(`${dateFromToday(3)}T10:00:00`)
+    });
+
+    // The maid is busy at the time the customer moves to
+    await createBooking({
+      maidId: testData.maid.id,
+      status: 'ASSIGNED',
+      scheduledAt: new Date(`${dateFromToday(4)}T10:00:00`)
+    });
+
+    testData.soonBooking = await createBooking({
+      status: 'CONFIRMED',
+      scheduledAt: new Date(Date.now() + 2 * 60 * 60 * 1000)
+    });
+
+    testData.customerToken = (await tokenService.issueTokens(testData.customer)).token;
+    testData.otherToken = (await tokenService.issueTokens(testData.otherCustomer)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('PUT /api/bookings/:id/reschedule', () => {
+    it('should not allow rescheduling another customer\'s booking', async () => {
+      const res = await request(app)
+        .put(`/api/bookings/${testData.booking.id}/reschedule`)
+        .set('Authorization', `Bearer ${testData.otherToken}`)
+        .send({ scheduledDate: dateFromToday(5), scheduledTime: '10:00', reason: 'Not mine' });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should reject a reschedule inside the cutoff window', async () => {
+      const res = await request(app)
+        .put(`/api/bookings/${testData.soonBooking.id}/reschedule`)
+        .set('Authorization', `Bearer ${testData.customerToken}`)
+        .send({ scheduledDate: dateFromToday(5), scheduledTime: '10:00', reason: 'Too late' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should unassign a maid who is busy at the new time and notify them', async () => {
+      const res = await request(app)
+        .put(`/api/bookings/${testData.booking.id}/reschedule`)
+        .set('Authorization', `Bearer ${testData.customerToken}`)
+        .send({ scheduledDate: dateFromToday(4), scheduledTime: '11:00', reason: 'Working from office' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.maidUnassigned).toBe(true);
+      expect(res.body.data.status).toBe('RESCHEDULED');
+      expect(res.body.data.maidId).toBeNull();
+
+      const history = await prisma.rescheduleHistory.findMany({
+        where: { bookingId: testData.booking.id }
+      });
+      expect(history).toHaveLength(1);
+      expect(history[0].reason).toBe('Working from office');
+
+      const notification = await prisma.notification.findFirst({
+        where: { userId: testData.maid.id, type: 'MAID_UNASSIGNED' }
+      });
+      expect(notification).not.toBeNull();
+    });
+  });
+});
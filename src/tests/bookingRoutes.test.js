@@ -1,7 +1,7 @@
 const request = require('supertest');
 const { PrismaClient } = require('@prisma/client');
-const jwt = require('jsonwebtoken');
 const app = require('../index');
+const tokenService = require('../services/tokenService');
 
 const prisma = new PrismaClient();
 
@@ -155,15 +155,9 @@ describe('Booking Routes - Subscription Only', () => {
       });
 
       // Generate JWT tokens
-      testData.tokenWithSubscription = jwt.sign(
-        { id: testData.customerWithSubscription.id },
-        process.env.JWT_SECRET || 'test-secret'
-      );
-
-      testData.tokenWithoutSubscription = jwt.sign(
-        { id: testData.customerWithoutSubscription.id },
-        process.env.JWT_SECRET || 'test-secret'
-      );
+      testData.tokenWithSubscription = (await tokenService.issueTokens(testData.customerWithSubscription)).token;
+
+      testData.tokenWithoutSubscription = (await tokenService.issueTokens(testData.customerWithoutSubscription)).token;
     } catch (error) {
       console.error('Setup failed:', error);
       throw error;
@@ -322,6 +316,125 @@ describe('Booking Routes - Subscription Only', () => {
     });
   });
 
+  describe('PUT /api/bookings/:id/cancel', () => {
+    let booking;
+
+    beforeAll(async () => {
+      // Scheduled well outside the free cancellation window
+      booking = await prisma.booking.create({
+        data: {
+          customerId: testData.customerWithSubscription.id,
+          serviceId: testData.service.id,
+          status: 'CONFIRMED',
+          scheduledAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+          estimatedDuration: 120,
+          serviceAddress: '123 Test Street',
+          totalAmount: 0,
+          finalAmount: 0
+        }
+      });
+    });
+
+    it('should not allow cancelling another customer\'s booking', async () => {
+      const res = await request(app)
+        .put(`/api/bookings/${booking.id}/cancel`)
+        .set('Authorization', `Bearer ${testData.tokenWithoutSubscription}`)
+        .send({ reason: 'Not mine' });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should cancel with a full refund tier and credit the session back', async () => {
+      const res = await request(app)
+        .put(`/api/bookings/${booking.id}/cancel`)
+        .set('Authorization', `Bearer ${testData.tokenWithSubscription}`)
+        .send({ reason: 'Plans changed' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.status).toBe('CANCELLED');
+      expect(res.body.cancellation.tier).toBe('FULL_REFUND');
+      expect(res.body.cancellation.sessionCredited).toBe(true);
+    });
+
+    it('should reject cancelling an already cancelled booking', async () => {
+      const res = await request(app)
+        .put(`/api/bookings/${booking.id}/cancel`)
+        .set('Authorization', `Bearer ${testData.tokenWithSubscription}`)
+        .send({ reason: 'Again' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should cancel only once when two cancellations arrive together', async () => {
+      const concurrentBooking = await prisma.booking.create({
+        data: {
+          customerId: testData.customerWithSubscription.id,
+          serviceId: testData.service.id,
+          status: 'CONFIRMED',
+          scheduledAt: new Date(Date.now() + 4 * 24 * 60 * 60 * 1000),
+          estimatedDuration: 120,
+          serviceAddress: '123 Test Street',
+          totalAmount: 0,
+          finalAmount: 0
+        }
+      });
+
+      const responses = await Promise.all([0, 1].map(() => request(app)
+        .put(`/api/bookings/${concurrentBooking.id}/cancel`)
+        .set('Authorization', `Bearer ${testData.tokenWithSubscription}`)
+        .send({ reason: 'Plans changed' })));
+
+      expect(responses.filter(res => res.statusCode === 200)).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/bookings/:id/feedback', () => {
+    let booking;
+
+    beforeAll(async () => {
+      booking = await prisma.booking.create({
+        data: {
+          customerId: testData.customerWithSubscription.id,
+          serviceId: testData.service.id,
+          status: 'COMPLETED',
+          scheduledAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+          estimatedDuration: 120,
+          serviceAddress: '123 Test Street',
+          totalAmount: 0,
+          finalAmount: 0
+        }
+      });
+    });
+
+    it('should reject an out of range rating', async () => {
+      const res = await request(app)
+        .post(`/api/bookings/${booking.id}/feedback`)
+        .set('Authorization', `Bearer ${testData.tokenWithSubscription}`)
+        .send({ overallRating: 6 });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should accept feedback for a completed booking', async () => {
+      const res = await request(app)
+        .post(`/api/bookings/${booking.id}/feedback`)
+        .set('Authorization', `Bearer ${testData.tokenWithSubscription}`)
+        .send({ overallRating: 5, punctualityRating: 4, comment: 'Great job' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.overallRating).toBe(5);
+    });
+
+    it('should only allow feedback once per booking', async () => {
+      const res = await request(app)
+        .post(`/api/bookings/${booking.id}/feedback`)
+        .set('Authorization', `Bearer ${testData.tokenWithSubscription}`)
+        .send({ overallRating: 3 });
+
+      expect(res.statusCode).toBe(409);
+    });
+  });
+
   describe('GET /api/subscriptions/status', () => {
     it('should return active subscription status for customer with subscription', async () => {
       const res = await request(app)
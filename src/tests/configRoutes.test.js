@@ -0,0 +1,142 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const testEmails = ['configadmin@test.com'];
+const testKeys = ['booking.rescheduleCutoffHours', 'test.featureFlag'];
+
+// Store test data for cleanup
+let testData = {
+  admin: null,
+  adminToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+const cleanup = async () => {
+  await prisma.systemConfig.deleteMany({
+    where: {
+      key: { in: testKeys }
+    }
+  });
+  await prisma.adminProfile.deleteMany({
+    where: {
+      user: {
+        email: { in: testEmails }
+      }
+    }
+  });
+  await prisma.user.deleteMany({
+    where: {
+      email: { in: testEmails }
+    }
+  });
+};
+
+describe('System Config Routes', () => {
+  beforeAll(async () => {
+    try {
+      await cleanup();
+
+      testData.admin = await prisma.user.create({
+        data: {
+          email: 'configadmin@test.com',
+          password: 'Test123!',
+          name: 'Config Admin',
+          phone: '4444444441',
+          role: 'ADMIN',
+          adminProfile: {
+            create: {
+              permissions: {}
+            }
+          }
+        }
+      });
+
+      testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
+    } catch (error) {
+      console.error('Setup failed:', error);
+      throw error;
+    }
+  });
+
+  afterAll(async () => {
+    try {
+      await cleanup();
+      await prisma.$disconnect();
+    } catch (error) {
+      console.error('Cleanup failed:', error);
+      throw error;
+    }
+  });
+
+  describe('GET /api/admin/config', () => {
+    it('should list built-in settings with defaults', async () => {
+      const res = await request(app)
+        .get('/api/admin/config')
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      const cutoff = res.body.find(config => config.key === 'booking.rescheduleCutoffHours');
+      expect(cutoff.type).toBe('NUMBER');
+      expect(cutoff.isDefault).toBe(true);
+    });
+  });
+
+  describe('PUT /api/admin/config/:key', () => {
+    it('should update a built-in setting', async () => {
+      const res = await request(app)
+        .put('/api/admin/config/booking.rescheduleCutoffHours')
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ value: 6 });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.value).toBe(6);
+      expect(res.body.data.isDefault).toBe(false);
+    });
+
+    it('should reject a value of the wrong type', async () => {
+      const res = await request(app)
+        .put('/api/admin/config/booking.rescheduleCutoffHours')
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ value: 'soon' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toContain('number');
+    });
+
+    it('should require a type for new settings', async () => {
+      const res = await request(app)
+        .put('/api/admin/config/test.featureFlag')
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ value: true });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should create a new typed setting', async () => {
+      const res = await request(app)
+        .put('/api/admin/config/test.featureFlag')
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ value: true, type: 'BOOLEAN' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.value).toBe(true);
+    });
+  });
+
+  describe('DELETE /api/admin/config/:key', () => {
+    it('should reset a built-in setting to its default', async () => {
+      const res = await request(app)
+        .delete('/api/admin/config/booking.rescheduleCutoffHours')
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.isDefault).toBe(true);
+    });
+  });
+});
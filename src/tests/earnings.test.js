@@ -0,0 +1,215 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+const earningsService = require('../services/earningsService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['earnings-admin@test.com', 'earnings-customer@test.com', 'earnings-maid@test.com'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Store test data for cleanup
+let testData = {
+  admin: null,
+  customer: null,
+  maid: null,
+  service: null,
+  unpaidBooking: null,
+  week: null,
+  firstPayout: null,
+  adminToken: null,
+  maidToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+async function cleanup() {
+  await prisma.booking.deleteMany({
+    where: { customer: { email: { in: TEST_EMAILS } } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Earnings Test Service' }
+  });
+}
+
+// Completed booking in the test week, optionally with a separate payment
+function createCompletedBooking(paymentStatus) {
+  const completedAt = new Date(testData.week.periodStart.getTime() + DAY + 10 * 60 * 60 * 1000);
+
+  return prisma.booking.create({
+    data: {
+      customerId: testData.customer.id,
+      maidId: testData.maid.id,
+      serviceId: testData.service.id,
+      status: 'COMPLETED',
+      scheduledAt: new Date(completedAt.getTime() - 2 * 60 * 60 * 1000),
+      completedAt,
+      estimatedDuration: 120,
+      serviceAddress: '7 Earnings Row',
+      totalAmount: 500,
+      finalAmount: 500,
+      ...(paymentStatus && {
+        payment: {
+          create: {
+            customerId: testData.customer.id,
+            amount: 500,
+            finalAmount: 500,
+            status: paymentStatus,
+            paymentMethod: 'UPI'
+          }
+        }
+      })
+    }
+  });
+}
+
+async function getMaidPayouts() {
+  return prisma.maidPayout.findMany({
+    where: { maid: { userId: testData.maid.id } },
+    orderBy: { periodStart: 'asc' }
+  });
+}
+
+describe('Maid earnings and payouts', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.week = earningsService.getWeekRange(new Date(Date.now() - 21 * DAY));
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Earnings Test Service',
+        description: 'Service for earnings tests',
+        category: 'CLEANING',
+        basePrice: 500,
+        baseDuration: 120
+      }
+    });
+
+    testData.admin = await prisma.user.create({
+      data: {
+        email: 'earnings-admin@test.com',
+        password: 'Test123!',
+        name: 'Earnings Admin',
+        phone: '3333333381',
+        role: 'ADMIN',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+
+    testData.customer = await prisma.user.create({
+      data: {
+        email: 'earnings-customer@test.com',
+        password: 'Test123!',
+        name: 'Earnings Customer',
+        phone: '3333333382',
+        role: 'CUSTOMER'
+      }
+    });
+
+    testData.maid = await prisma.user.create({
+      data: {
+        email: 'earnings-maid@test.com',
+        password: 'Test123!',
+        name: 'Earnings Maid',
+        phone: '3333333383',
+        role: 'MAID',
+        maidProfile: {
+          create: {
+            skills: [],
+            languages: [],
+            availability: {},
+            status: 'ACTIVE',
+            commissionRate: 0.2,
+            hourlyRate: 150
+          }
+        }
+      }
+    });
+
+    await createCompletedBooking('COMPLETED');
+    testData.unpaidBooking = await createCompletedBooking('PENDING');
+
+    testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
+    testData.maidToken = (await tokenService.issueTokens(testData.maid)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/admin/payouts/generate', () => {
+    it('should pay out collected bookings only', async () => {
+      const res = await request(app)
+        .post('/api/admin/payouts/generate')
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+
+      const payouts = await getMaidPayouts();
+      expect(payouts).toHaveLength(1);
+      expect(payouts[0].periodStart).toEqual(testData.week.periodStart);
+      expect(payouts[0].totalAmount).toBe(400);
+      expect(payouts[0].earningsCount).toBe(1);
+      testData.firstPayout = payouts[0];
+
+      const unpaidEarning = await prisma.maidEarning.findUnique({
+        where: { bookingId: testData.unpaidBooking.id }
+      });
+      expect(unpaidEarning).toBeNull();
+    });
+
+    it('should roll late earnings for an approved week into the next payout', async () => {
+      const approveRes = await request(app)
+        .put(`/api/admin/payouts/${testData.firstPayout.id}/approve`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({});
+      expect(approveRes.statusCode).toBe(200);
+
+      // The pending payment is collected and a subscription booking is closed late
+      await prisma.payment.update({
+        where: { bookingId: testData.unpaidBooking.id },
+        data: { status: 'COMPLETED', finalAmount: 200 }
+      });
+      await createCompletedBooking(null);
+
+      const res = await request(app)
+        .post('/api/admin/payouts/generate')
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+
+      const payouts = await getMaidPayouts();
+      expect(payouts).toHaveLength(2);
+      expect(payouts[0].id).toBe(testData.firstPayout.id);
+      expect(payouts[0].totalAmount).toBe(400);
+      expect(payouts[1].periodStart).toEqual(testData.week.periodEnd);
+      expect(payouts[1].earningsCount).toBe(2);
+      // 200 less 20% commission, plus 2 hours at 150
+      expect(payouts[1].totalAmount).toBe(460);
+    });
+  });
+
+  describe('GET /api/maids/earnings', () => {
+    it('should count the approved payout separately from pending earnings', async () => {
+      const from = testData.week.periodStart.toISOString();
+      const to = new Date(testData.week.periodEnd.getTime() + 7 * DAY).toISOString();
+
+      const res = await request(app)
+        .get(`/api/maids/earnings?from=${from}&to=${to}`)
+        .set('Authorization', `Bearer ${testData.maidToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.totals.approved).toBe(400);
+      expect(res.body.totals.pending).toBe(460);
+    });
+  });
+});
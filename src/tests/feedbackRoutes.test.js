@@ -0,0 +1,330 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = [
+  'feedback-admin@test.com',
+  'feedback-supervisor@test.com',
+  'feedback-customer@test.com',
+  'feedback-other@test.com',
+  'feedback-maid@test.com'
+];
+const ZONE_NAMES = ['Feedback Zone North', 'Feedback Zone South'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Store test data for cleanup
+let testData = {
+  admin: null,
+  supervisor: null,
+  customer: null,
+  maid: null,
+  service: null,
+  northZone: null,
+  southZone: null,
+  northBooking: null,
+  southBooking: null,
+  upcomingBooking: null,
+  northFeedback: null,
+  southFeedback: null,
+  adminToken: null,
+  supervisorToken: null,
+  customerToken: null,
+  otherCustomerToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+async function cleanup() {
+  await prisma.booking.deleteMany({
+    where: { customer: { email: { in: TEST_EMAILS } } }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Feedback Test Service' }
+  });
+  await prisma.adminProfile.deleteMany({
+    where: { user: { email: { in: TEST_EMAILS } } }
+  });
+  await prisma.zone.deleteMany({
+    where: { name: { in: ZONE_NAMES } }
+  });
+  await prisma.maidProfile.deleteMany({
+    where: { user: { email: { in: TEST_EMAILS } } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+}
+
+function createZone(name, offset) {
+  return prisma.zone.create({
+    data: {
+      name,
+      boundaries: {
+        type: 'Polygon',
+        coordinates: [[
+          [78.45 + offset, 17.40],
+          [78.55 + offset, 17.40],
+          [78.55 + offset, 17.50],
+          [78.45 + offset, 17.50],
+          [78.45 + offset, 17.40]
+        ]]
+      }
+    }
+  });
+}
+
+function createBooking(zone, status, scheduledAt) {
+  return prisma.booking.create({
+    data: {
+      customerId: testData.customer.id,
+      maidId: testData.maid.id,
+      serviceId: testData.service.id,
+      zoneId: zone.id,
+      status,
+      scheduledAt,
+      estimatedDuration: 120,
+      serviceAddress: '5 Feedback Lane',
+      totalAmount: 0,
+      finalAmount: 0
+    }
+  });
+}
+
+describe('Feedback Routes', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.northZone = await createZone('Feedback Zone North', 0);
+    testData.southZone = await createZone('Feedback Zone South', 1);
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Feedback Test Service',
+        description: 'Service for feedback tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.admin = await prisma.user.create({
+      data: {
+        email: 'feedback-admin@test.com',
+        password: 'Test123!',
+        name: 'Feedback Admin',
+        phone: '2222222201',
+        role: 'ADMIN',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+
+    // Supervises the north zone only
+    testData.supervisor = await prisma.user.create({
+      data: {
+        email: 'feedback-supervisor@test.com',
+        password: 'Test123!',
+        name: 'Feedback Supervisor',
+        phone: '2222222202',
+        role: 'SUPERVISOR',
+        adminProfile: {
+          create: {
+            permissions: {},
+            supervisedZones: {
+              connect: [{ id: testData.northZone.id }]
+            }
+          }
+        }
+      }
+    });
+
+    testData.customer = await prisma.user.create({
+      data: {
+        email: 'feedback-customer@test.com',
+        password: 'Test123!',
+        name: 'Feedback Customer',
+        phone: '2222222203',
+        role: 'CUSTOMER'
+      }
+    });
+
+    const otherCustomer = await prisma.user.create({
+      data: {
+        email: 'feedback-other@test.com',
+        password: 'Test123!',
+        name: 'Other Feedback Customer',
+        phone: '2222222204',
+        role: 'CUSTOMER'
+      }
+    });
+
+    testData.maid = await prisma.user.create({
+      data: {
+        email: 'feedback-maid@test.com',
+        password: 'Test123!',
+        name: 'Feedback Maid',
+        phone: '2222222205',
+        role: 'MAID',
+        maidProfile: {
+          create: {
+            skills: [],
+            languages: [],
+            availability: {},
+            status: 'ACTIVE'
+          }
+        }
+      }
+    });
+
+    testData.northBooking = await createBooking(testData.northZone, 'COMPLETED', new Date(Date.now() - DAY));
+    testData.southBooking = await createBooking(testData.southZone, 'COMPLETED', new Date(Date.now() - 2 * DAY));
+    testData.upcomingBooking = await createBooking(testData.northZone, 'ASSIGNED', new Date(Date.now() + DAY));
+
+    testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
+    testData.supervisorToken = (await tokenService.issueTokens(testData.supervisor)).token;
+    testData.customerToken = (await tokenService.issueTokens(testData.customer)).token;
+    testData.otherCustomerToken = (await tokenService.issueTokens(otherCustomer)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/bookings/:id/feedback', () => {
+    it('should require an overall rating', async () => {
+      const res = await request(app)
+        .post(`/api/bookings/${testData.northBooking.id}/feedback`)
+        .set('Authorization', `Bearer ${testData.customerToken}`)
+        .send({ comment: 'No rating' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should reject feedback on another customer\'s booking', async () => {
+      const res = await request(app)
+        .post(`/api/bookings/${testData.northBooking.id}/feedback`)
+        .set('Authorization', `Bearer ${testData.otherCustomerToken}`)
+        .send({ overallRating: 1 });
+
+      expect(res.statusCode).toBe(403);
+    });
+
+    it('should reject feedback on a booking that is not completed', async () => {
+      const res = await request(app)
+        .post(`/api/bookings/${testData.upcomingBooking.id}/feedback`)
+        .set('Authorization', `Bearer ${testData.customerToken}`)
+        .send({ overallRating: 5 });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should save feedback and update the maid\'s rating', async () => {
+      const north = await request(app)
+        .post(`/api/bookings/${testData.northBooking.id}/feedback`)
+        .set('Authorization', `Bearer ${testData.customerToken}`)
+        .send({ overallRating: 5, qualityRating: 4, comment: 'Spotless', wouldRecommend: true });
+
+      expect(north.statusCode).toBe(201);
+      expect(north.body.data.overallRating).toBe(5);
+      testData.northFeedback = north.body.data;
+
+      const south = await request(app)
+        .post(`/api/bookings/${testData.southBooking.id}/feedback`)
+        .set('Authorization', `Bearer ${testData.customerToken}`)
+        .send({ overallRating: 2, comment: 'Arrived late' });
+
+      expect(south.statusCode).toBe(201);
+      testData.southFeedback = south.body.data;
+
+      const maidProfile = await prisma.maidProfile.findUnique({
+        where: { userId: testData.maid.id }
+      });
+      expect(maidProfile.totalRatings).toBe(2);
+      expect(maidProfile.rating).toBe(3.5);
+    });
+  });
+
+  describe('GET /api/admin/feedback', () => {
+    it('should list feedback in every zone for an admin', async () => {
+      const res = await request(app)
+        .get('/api/admin/feedback')
+        .query({ maidId: testData.maid.id })
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.feedback.map(feedback => feedback.id).sort())
+        .toEqual([testData.northFeedback.id, testData.southFeedback.id].sort());
+    });
+
+    it('should only list feedback in a supervisor\'s zones', async () => {
+      const res = await request(app)
+        .get('/api/admin/feedback')
+        .query({ maidId: testData.maid.id })
+        .set('Authorization', `Bearer ${testData.supervisorToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.feedback.map(feedback => feedback.id)).toEqual([testData.northFeedback.id]);
+      expect(res.body.pagination.total).toBe(1);
+    });
+
+    it('should reject a customer', async () => {
+      const res = await request(app)
+        .get('/api/admin/feedback')
+        .set('Authorization', `Bearer ${testData.customerToken}`);
+
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('PUT /api/admin/feedback/:id/response', () => {
+    it('should require a response', async () => {
+      const res = await request(app)
+        .put(`/api/admin/feedback/${testData.northFeedback.id}/response`)
+        .set('Authorization', `Bearer ${testData.supervisorToken}`)
+        .send({ response: '   ' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should not let a supervisor respond outside their zones', async () => {
+      const res = await request(app)
+        .put(`/api/admin/feedback/${testData.southFeedback.id}/response`)
+        .set('Authorization', `Bearer ${testData.supervisorToken}`)
+        .send({ response: 'Sorry about that' });
+
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('should save the response and notify the customer', async () => {
+      const res = await request(app)
+        .put(`/api/admin/feedback/${testData.northFeedback.id}/response`)
+        .set('Authorization', `Bearer ${testData.supervisorToken}`)
+        .send({ response: ' Thank you! ' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.adminResponse).toBe('Thank you!');
+      expect(res.body.data.adminResponseAt).toBeTruthy();
+
+      const notification = await prisma.notification.findFirst({
+        where: { userId: testData.customer.id, type: 'FEEDBACK_RESPONSE' }
+      });
+      expect(notification).toBeTruthy();
+    });
+
+    it('should filter by whether feedback has a response', async () => {
+      const res = await request(app)
+        .get('/api/admin/feedback')
+        .query({ maidId: testData.maid.id, hasResponse: 'false' })
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.feedback.map(feedback => feedback.id)).toEqual([testData.southFeedback.id]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const tokenService = require('../../services/tokenService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Customer with a profile and an ACTIVE, auto-renewing monthly subscription to plan, halfway
+ * through its billing period. `subscription` overrides any of the subscription's fields.
+ * Returns { customer, subscription, token }.
+ */
+async function createSubscribedCustomer(prisma, { email, phone, plan, subscription = {} }) {
+  const customer = await prisma.user.create({
+    data: {
+      email,
+      password: 'Test123!',
+      name: 'Subscription Customer',
+      phone,
+      role: 'CUSTOMER',
+      customerProfile: {
+        create: { preferences: {} }
+      }
+    },
+    include: { customerProfile: true }
+  });
+
+  const created = await prisma.subscription.create({
+    data: {
+      customerId: customer.customerProfile.id,
+      planId: plan.id,
+      status: 'ACTIVE',
+      startDate: new Date(Date.now() - 15 * DAY),
+      endDate: new Date(Date.now() + 15 * DAY),
+      billingCycle: 'MONTHLY',
+      amount: plan.finalPrice,
+      autoRenew: true,
+      nextBillDate: new Date(Date.now() + 15 * DAY),
+      ...subscription
+    }
+  });
+
+  const token = (await tokenService.issueTokens(customer)).token;
+
+  return { customer, subscription: created, token };
+}
+
+/**
+ * Remove the test's users with their bookings, subscriptions and payments, then its plans and service
+ */
+async function cleanupSubscriptionTest(prisma, { emails, planNames, serviceName }) {
+  await prisma.booking.deleteMany({
+    where: { customer: { email: { in: emails } } }
+  });
+  await prisma.subscription.deleteMany({
+    where: { customer: { user: { email: { in: emails } } } }
+  });
+  await prisma.payment.deleteMany({
+    where: { customer: { email: { in: emails } } }
+  });
+  await prisma.customerProfile.deleteMany({
+    where: { user: { email: { in: emails } } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: { in: emails } }
+  });
+  await prisma.servicePlan.deleteMany({
+    where: { name: { in: planNames } }
+  });
+  await prisma.service.deleteMany({
+    where: { name: serviceName }
+  });
+}
+
+module.exports = {
+  DAY,
+  createSubscribedCustomer,
+  cleanupSubscriptionTest
+};
@@ -0,0 +1,153 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('../services/notificationService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['tracking-customer@test.com', 'tracking-maid@test.com'];
+const SERVICE_LOCATION = { latitude: 17.45, longitude: 78.5 };
+
+// Store test data for cleanup
+let testData = {
+  customer: null,
+  maid: null,
+  service: null,
+  booking: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+async function cleanup() {
+  await prisma.booking.deleteMany({
+    where: { customer: { email: { in: TEST_EMAILS } } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Tracking Test Service' }
+  });
+}
+
+// Stand-in for an authenticated maid socket that keeps what it was sent
+function maidSocket() {
+  return {
+    userId: testData.maid.id,
+    userRole: 'MAID',
+    sent: [],
+    send(message) {
+      this.sent.push(JSON.parse(message));
+    }
+  };
+}
+
+describe('Maid location tracking', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Tracking Test Service',
+        description: 'Service for tracking tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.customer = await prisma.user.create({
+      data: {
+        email: 'tracking-customer@test.com',
+        password: 'Test123!',
+        name: 'Tracking Customer',
+        phone: '3333333351',
+        role: 'CUSTOMER'
+      }
+    });
+
+    testData.maid = await prisma.user.create({
+      data: {
+        email: 'tracking-maid@test.com',
+        password: 'Test123!',
+        name: 'Tracking Maid',
+        phone: '3333333352',
+        role: 'MAID',
+        maidProfile: {
+          create: {
+            skills: [],
+            languages: [],
+            availability: {},
+            status: 'ACTIVE'
+          }
+        }
+      }
+    });
+
+    testData.booking = await prisma.booking.create({
+      data: {
+        customerId: testData.customer.id,
+        maidId: testData.maid.id,
+        serviceId: testData.service.id,
+        status: 'ASSIGNED',
+        scheduledAt: new Date(Date.now() + 60 * 60 * 1000),
+        estimatedDuration: 120,
+        serviceAddress: '5 Tracking Street',
+        serviceLatitude: SERVICE_LOCATION.latitude,
+        serviceLongitude: SERVICE_LOCATION.longitude,
+        totalAmount: 0,
+        finalAmount: 0
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('location_update', () => {
+    it('should reject updates from non-maid sockets', async () => {
+      const ws = { ...maidSocket(), userRole: 'CUSTOMER' };
+
+      await notificationService.handleLocationUpdate(ws, SERVICE_LOCATION);
+
+      expect(ws.sent[0].type).toBe('error');
+    });
+
+    it('should store a position while travelling', async () => {
+      const ws = maidSocket();
+
+      await notificationService.handleLocationUpdate(ws, {
+        latitude: 17.5,
+        longitude: 78.55,
+        bookingId: testData.booking.id
+      });
+
+      expect(ws.sent[0].type).toBe('location_ack');
+      expect(ws.sent[0].activity).toBe('TRAVELING_TO_CUSTOMER');
+
+      const maidProfile = await prisma.maidProfile.findUnique({
+        where: { userId: testData.maid.id }
+      });
+      expect(maidProfile.currentLatitude).toBe(17.5);
+    });
+
+    it('should notify the arrival once for concurrent updates inside the radius', async () => {
+      const sockets = [maidSocket(), maidSocket(), maidSocket()];
+
+      await Promise.all(sockets.map(ws =>
+        notificationService.handleLocationUpdate(ws, { ...SERVICE_LOCATION, bookingId: testData.booking.id })
+      ));
+
+      sockets.forEach(ws => expect(ws.sent[0].activity).toBe('AT_CUSTOMER_LOCATION'));
+
+      const arrivals = await prisma.notification.count({
+        where: { userId: testData.customer.id, type: 'MAID_ARRIVED' }
+      });
+      expect(arrivals).toBe(1);
+
+      const booking = await prisma.booking.findUnique({ where: { id: testData.booking.id } });
+      expect(booking.maidArrivedAt).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+const { UPLOAD_DIR } = require('../middleware/upload');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['documents-admin@test.com', 'documents-new-maid@test.com', 'documents-suspended-maid@test.com'];
+const DAY = 24 * 60 * 60 * 1000;
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Store test data for cleanup
+let testData = {
+  admin: null,
+  newMaid: null,
+  suspendedMaid: null,
+  uploadedDocument: null,
+  adminToken: null,
+  newMaidToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+async function cleanup() {
+  const documents = await prisma.maidDocument.findMany({
+    where: { maid: { user: { email: { in: TEST_EMAILS } } } }
+  });
+  documents.forEach(document => fs.rmSync(path.join(UPLOAD_DIR, document.url), { force: true }));
+
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+}
+
+function createMaid(email, phone, status) {
+  return prisma.user.create({
+    data: {
+      email,
+      password: 'Test123!',
+      name: 'Documents Maid',
+      phone,
+      role: 'MAID',
+      maidProfile: {
+        create: {
+          skills: [],
+          languages: [],
+          availability: {},
+          status
+        }
+      }
+    },
+    include: { maidProfile: true }
+  });
+}
+
+function createVerifiedDocument(maid, type, expiryDate = null) {
+  return prisma.maidDocument.create({
+    data: {
+      maidId: maid.maidProfile.id,
+      type,
+      url: `maid-documents/${type.toLowerCase()}.png`,
+      verified: true,
+      verifiedAt: new Date(),
+      expiryDate
+    }
+  });
+}
+
+describe('Maid documents', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.admin = await prisma.user.create({
+      data: {
+        email: 'documents-admin@test.com',
+        password: 'Test123!',
+        name: 'Documents Admin',
+        phone: '3333333361',
+        role: 'ADMIN',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+
+    testData.newMaid = await createMaid('documents-new-maid@test.com', '3333333362', 'PENDING_VERIFICATION');
+    testData.suspendedMaid = await createMaid('documents-suspended-maid@test.com', '3333333363', 'SUSPENDED');
+
+    // Everything but the Aadhaar card is already verified for the new maid
+    await createVerifiedDocument(testData.newMaid, 'POLICE_VERIFICATION');
+    await createVerifiedDocument(testData.newMaid, 'PHOTO');
+
+    // The suspended maid's police verification has lapsed
+    await createVerifiedDocument(testData.suspendedMaid, 'AADHAR_CARD');
+    await createVerifiedDocument(testData.suspendedMaid, 'PHOTO');
+    await createVerifiedDocument(testData.suspendedMaid, 'POLICE_VERIFICATION', new Date(Date.now() - DAY));
+
+    testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
+    testData.newMaidToken = (await tokenService.issueTokens(testData.newMaid)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/maids/documents', () => {
+    it('should reject unsupported file types', async () => {
+      const res = await request(app)
+        .post('/api/maids/documents')
+        .set('Authorization', `Bearer ${testData.newMaidToken}`)
+        .field('type', 'AADHAR_CARD')
+        .attach('file', Buffer.from('not a document'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('Only JPEG, PNG and PDF files are allowed');
+    });
+
+    it('should store an image for review', async () => {
+      const res = await request(app)
+        .post('/api/maids/documents')
+        .set('Authorization', `Bearer ${testData.newMaidToken}`)
+        .field('type', 'AADHAR_CARD')
+        .attach('file', PNG_HEADER, { filename: 'aadhar.png', contentType: 'image/png' });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.verified).toBe(false);
+      testData.uploadedDocument = res.body.data;
+    });
+  });
+
+  describe('PUT /api/maids/:id/status', () => {
+    it('should not activate a new maid with a document still pending', async () => {
+      const res = await request(app)
+        .put(`/api/maids/${testData.newMaid.id}/status`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ status: 'ACTIVE' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.missingDocuments).toEqual(['AADHAR_CARD']);
+    });
+
+    it('should not reactivate a suspended maid with an expired document', async () => {
+      const res = await request(app)
+        .put(`/api/maids/${testData.suspendedMaid.id}/status`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ status: 'ACTIVE' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.missingDocuments).toEqual(['POLICE_VERIFICATION']);
+    });
+  });
+
+  describe('PUT /api/admin/maid-documents/:id/review', () => {
+    it('should require a reason to reject', async () => {
+      const res = await request(app)
+        .put(`/api/admin/maid-documents/${testData.uploadedDocument.id}/review`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ approved: false });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should activate the maid once the last required document is verified', async () => {
+      const res = await request(app)
+        .put(`/api/admin/maid-documents/${testData.uploadedDocument.id}/review`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ approved: true });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.maidActivated).toBe(true);
+
+      const maidProfile = await prisma.maidProfile.findUnique({
+        where: { userId: testData.newMaid.id }
+      });
+      expect(maidProfile.status).toBe('ACTIVE');
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['match-admin@test.com', 'match-customer@test.com', 'match-busy-maid@test.com', 'match-free-maid@test.com'];
+const HOUR = 60 * 60 * 1000;
+
+// Store test data for cleanup
+let testData = {
+  admin: null,
+  customer: null,
+  busyMaid: null,
+  freeMaid: null,
+  service: null,
+  booking: null,
+  adminToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+async function cleanup() {
+  await prisma.booking.deleteMany({
+    where: { customer: { email: { in: TEST_EMAILS } } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Matching Test Service' }
+  });
+}
+
+function createMaid(email, phone) {
+  return prisma.user.create({
+    data: {
+      email,
+      password: 'Test123!',
+      name: 'Matching Maid',
+      phone,
+      role: 'MAID',
+      maidProfile: {
+        create: {
+          skills: ['CLEANING'],
+          languages: ['English'],
+          availability: {},
+          status: 'ACTIVE',
+          maxDailyBookings: 3
+        }
+      }
+    }
+  });
+}
+
+describe('Maid matching', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Matching Test Service',
+        description: 'Service for matching tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.admin = await prisma.user.create({
+      data: {
+        email: 'match-admin@test.com',
+        password: 'Test123!',
+        name: 'Matching Admin',
+        phone: '3333333301',
+        role: 'ADMIN',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+
+    testData.customer = await prisma.user.create({
+      data: {
+        email: 'match-customer@test.com',
+        password: 'Test123!',
+        name: 'Matching Customer',
+        phone: '3333333302',
+        role: 'CUSTOMER'
+      }
+    });
+
+    testData.busyMaid = await createMaid('match-busy-maid@test.com', '3333333303');
+    testData.freeMaid = await createMaid('match-free-maid@test.com', '3333333304');
+
+    const scheduledAt = new Date(Date.now() + 48 * HOUR);
+
+    // The busy maid already works at the same time
+    await prisma.booking.create({
+      data: {
+        customerId: testData.customer.id,
+        maidId: testData.busyMaid.id,
+        serviceId: testData.service.id,
+        status: 'ASSIGNED',
+        scheduledAt,
+        estimatedDuration: 120,
+        serviceAddress: '1 Match Street',
+        totalAmount: 0,
+        finalAmount: 0
+      }
+    });
+
+    testData.booking = await prisma.booking.create({
+      data: {
+        customerId: testData.customer.id,
+        serviceId: testData.service.id,
+        status: 'CONFIRMED',
+        scheduledAt,
+        estimatedDuration: 120,
+        serviceAddress: '1 Match Street',
+        totalAmount: 0,
+        finalAmount: 0
+      }
+    });
+
+    testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('GET /api/admin/bookings/:id/match-candidates', () => {
+    it('should rank free maids and exclude maids with an overlapping booking', async () => {
+      const res = await request(app)
+        .get(`/api/admin/bookings/${testData.booking.id}/match-candidates`)
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+
+      const freeMaid = res.body.candidates.find(candidate => candidate.maidId === testData.freeMaid.id);
+      expect(freeMaid).toBeDefined();
+      expect(freeMaid.score).toBeGreaterThan(0);
+      expect(freeMaid.breakdown).toHaveProperty('workload', 1);
+
+      const busyMaid = res.body.excluded.find(maid => maid.maidId === testData.busyMaid.id);
+      expect(busyMaid.reasons).toContain('SCHEDULE_CONFLICT');
+    });
+  });
+
+  describe('POST /api/admin/bookings/:id/auto-assign', () => {
+    it('should assign the best eligible maid', async () => {
+      const res = await request(app)
+        .post(`/api/admin/bookings/${testData.booking.id}/auto-assign`)
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.status).toBe('ASSIGNED');
+      expect(res.body.data.maidId).not.toBe(testData.busyMaid.id);
+      expect(res.body.match.maidId).toBe(res.body.data.maidId);
+    });
+
+    it('should refuse a booking that is already assigned', async () => {
+      const res = await request(app)
+        .post(`/api/admin/bookings/${testData.booking.id}/auto-assign`)
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return 404 for an unknown booking', async () => {
+      const res = await request(app)
+        .post('/api/admin/bookings/00000000-0000-0000-0000-000000000000/auto-assign')
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['performance-admin@test.com', 'performance-customer@test.com', 'performance-maid@test.com'];
+const HOUR = 60 * 60 * 1000;
+
+// Store test data for cleanup
+let testData = {
+  admin: null,
+  customer: null,
+  maid: null,
+  service: null,
+  adminToken: null,
+  maidToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+async function cleanup() {
+  await prisma.booking.deleteMany({
+    where: { customer: { email: { in: TEST_EMAILS } } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Performance Test Service' }
+  });
+}
+
+function createBooking(data) {
+  return prisma.booking.create({
+    data: {
+      customerId: testData.customer.id,
+      maidId: testData.maid.id,
+      serviceId: testData.service.id,
+      estimatedDuration: 120,
+      serviceAddress: '6 Performance Park',
+      totalAmount: 0,
+      finalAmount: 0,
+      ...data
+    }
+  });
+}
+
+describe('Maid performance', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Performance Test Service',
+        description: 'Service for performance tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.admin = await prisma.user.create({
+      data: {
+        email: 'performance-admin@test.com',
+        password: 'Test123!',
+        name: 'Performance Admin',
+        phone: '3333333371',
+        role: 'ADMIN',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+
+    testData.customer = await prisma.user.create({
+      data: {
+        email: 'performance-customer@test.com',
+        password: 'Test123!',
+        name: 'Performance Customer',
+        phone: '3333333372',
+        role: 'CUSTOMER'
+      }
+    });
+
+    testData.maid = await prisma.user.create({
+      data: {
+        email: 'performance-maid@test.com',
+        password: 'Test123!',
+        name: 'Performance Maid',
+        phone: '3333333373',
+        role: 'MAID',
+        maidProfile: {
+          create: {
+            skills: [],
+            languages: [],
+            availability: {},
+            status: 'ACTIVE'
+          }
+        }
+      }
+    });
+
+    const now = new Date();
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    // Started on time, rated 4
+    const onTime = await createBooking({
+      status: 'COMPLETED',
+      scheduledAt: new Date(monthStart.getTime() + 10 * HOUR),
+      actualStartTime: new Date(monthStart.getTime() + 10 * HOUR + 5 * 60 * 1000)
+    });
+    await prisma.feedback.create({
+      data: {
+        bookingId: onTime.id,
+        customerId: testData.customer.id,
+        overallRating: 4,
+        qualityRating: 4
+      }
+    });
+
+    // Started an hour late, same customer again
+    await createBooking({
+      status: 'COMPLETED',
+      scheduledAt: new Date(monthStart.getTime() + 34 * HOUR),
+      actualStartTime: new Date(monthStart.getTime() + 35 * HOUR)
+    });
+
+    await createBooking({
+      status: 'CANCELLED',
+      scheduledAt: new Date(monthStart.getTime() + 58 * HOUR)
+    });
+
+    testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
+    testData.maidToken = (await tokenService.issueTokens(testData.maid)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/admin/performance/recompute', () => {
+    it('should reject an invalid month', async () => {
+      const res = await request(app)
+        .post('/api/admin/performance/recompute')
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ month: 13 });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should compute this month\'s metrics and refresh the performance score', async () => {
+      const res = await request(app)
+        .post('/api/admin/performance/recompute')
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({});
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.updated).toBeGreaterThanOrEqual(1);
+
+      const maidProfile = await prisma.maidProfile.findUnique({
+        where: { userId: testData.maid.id },
+        include: { performanceMetrics: true }
+      });
+      const [metric] = maidProfile.performanceMetrics;
+
+      expect(metric.totalBookings).toBe(3);
+      expect(metric.completedBookings).toBe(2);
+      expect(metric.cancelledBookings).toBe(1);
+      expect(metric.onTimePercentage).toBe(50);
+      expect(metric.customerRetention).toBe(100);
+      expect(metric.averageRating).toBe(4);
+      expect(maidProfile.performanceScore).toBe(metric.overallScore);
+    });
+  });
+
+  describe('GET /api/admin/maids/:maidId/performance', () => {
+    it('should reject an out of range trend length', async () => {
+      const res = await request(app)
+        .get(`/api/admin/maids/${testData.maid.id}/performance?months=0`)
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should return one entry per month ending with the current one', async () => {
+      const res = await request(app)
+        .get(`/api/admin/maids/${testData.maid.id}/performance?months=3`)
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trend).toHaveLength(3);
+      expect(res.body.trend[2].totalBookings).toBe(3);
+      expect(res.body.trend[0].totalBookings).toBe(0);
+    });
+  });
+
+  describe('GET /api/maids/performance', () => {
+    it('should return the maid\'s own trend', async () => {
+      const res = await request(app)
+        .get('/api/maids/performance')
+        .set('Authorization', `Bearer ${testData.maidToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.trend).toHaveLength(6);
+      expect(res.body.performanceScore).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,326 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const maidMatchingService = require('../services/maidMatchingService');
+const sessionUsageService = require('../services/sessionUsageService');
+const { DAY, createSubscribedCustomer, cleanupSubscriptionTest } = require('./helpers/subscriptionFixtures');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = [
+  'quota-customer@test.com',
+  'overage-customer@test.com',
+  'concurrent-customer@test.com',
+  'idle-customer@test.com'
+];
+
+// Store test data for cleanup
+let testData = {
+  service: null,
+  quotaPlan: null,
+  overagePlan: null,
+  quota: null,
+  overage: null,
+  concurrent: null,
+  idle: null
+};
+
+jest.setTimeout(30000);
+
+// YYYY-MM-DD in server time, days after next Monday
+function dateAfterNextMonday(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + ((8 - date.getDay()) % 7 || 7) + days);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function cleanup() {
+  return cleanupSubscriptionTest(prisma, {
+    emails: TEST_EMAILS,
+    planNames: ['Quota Test Plan', 'Overage Test Plan'],
+    serviceName: 'Quota Test Service'
+  });
+}
+
+// Five days into a monthly billing period
+function createQuotaCustomer(email, phone, plan) {
+  return createSubscribedCustomer(prisma, {
+    email,
+    phone,
+    plan,
+    subscription: {
+      startDate: new Date(Date.now() - 5 * DAY),
+      endDate: new Date(Date.now() + 26 * DAY),
+      nextBillDate: new Date(Date.now() + 26 * DAY)
+    }
+  });
+}
+
+function book(token, scheduledDate) {
+  return request(app)
+    .post('/api/bookings')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      serviceId: testData.service.id,
+      scheduledDate,
+      scheduledTime: '10:00',
+      address: '12 Quota Street'
+    });
+}
+
+function reschedule(token, bookingId, scheduledDate) {
+  return request(app)
+    .put(`/api/bookings/${bookingId}/reschedule`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      scheduledDate,
+      scheduledTime: '10:00',
+      reason: 'Plans changed'
+    });
+}
+
+describe('Session quotas', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Quota Test Service',
+        description: 'Service for session quota tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.quotaPlan = await prisma.servicePlan.create({
+      data: {
+        name: 'Quota Test Plan',
+        description: 'Plan without overage',
+        serviceId: testData.service.id,
+        sessionsPerWeek: 2,
+        sessionsPerMonth: 3,
+        maxRolloverSessions: 1,
+        duration: 1,
+        basePrice: 1000,
+        finalPrice: 800
+      }
+    });
+
+    testData.overagePlan = await prisma.servicePlan.create({
+      data: {
+        name: 'Overage Test Plan',
+        description: 'Plan with paid overage',
+        serviceId: testData.service.id,
+        sessionsPerWeek: 7,
+        sessionsPerMonth: 1,
+        overagePrice: 300,
+        duration: 1,
+        basePrice: 500,
+        finalPrice: 400
+      }
+    });
+
+    testData.quota = await createQuotaCustomer('quota-customer@test.com', '8888888842', testData.quotaPlan);
+    testData.overage = await createQuotaCustomer('overage-customer@test.com', '8888888843', testData.overagePlan);
+    testData.concurrent = await createQuotaCustomer('concurrent-customer@test.com', '8888888841', testData.quotaPlan);
+
+    // Second billing period, nothing booked in the first
+    testData.idle = await createSubscribedCustomer(prisma, {
+      email: 'idle-customer@test.com',
+      phone: '8888888844',
+      plan: testData.quotaPlan,
+      subscription: {
+        startDate: new Date(Date.now() - 45 * DAY),
+        endDate: new Date(Date.now() + 15 * DAY),
+        nextBillDate: new Date(Date.now() + 15 * DAY)
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  it('should show the sessions left in the subscription status', async () => {
+    const res = await request(app)
+      .get('/api/subscriptions/status')
+      .set('Authorization', `Bearer ${testData.quota.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.sessions.allowed).toBe(3);
+    expect(res.body.sessions.remaining).toBe(3);
+    expect(res.body.sessions.weeklyLimit).toBe(2);
+  });
+
+  it('should refuse a booking beyond the weekly limit', async () => {
+    expect((await book(testData.quota.token, dateAfterNextMonday(0))).statusCode).toBe(201);
+    expect((await book(testData.quota.token, dateAfterNextMonday(1))).statusCode).toBe(201);
+
+    const res = await book(testData.quota.token, dateAfterNextMonday(2));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.quotaExceeded).toBe(true);
+  });
+
+  it('should refuse a booking once the period quota is used', async () => {
+    expect((await book(testData.quota.token, dateAfterNextMonday(7))).statusCode).toBe(201);
+
+    const res = await book(testData.quota.token, dateAfterNextMonday(8));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.quotaExceeded).toBe(true);
+    expect(res.body.sessions.remaining).toBe(0);
+  });
+
+  it('should give the session back on a free cancellation', async () => {
+    const booking = await prisma.booking.findFirst({
+      where: { customerId: testData.quota.customer.id, status: 'CONFIRMED' },
+      orderBy: { scheduledAt: 'desc' }
+    });
+
+    const cancelRes = await request(app)
+      .put(`/api/bookings/${booking.id}/cancel`)
+      .set('Authorization', `Bearer ${testData.quota.token}`)
+      .send({ reason: 'Plans changed' });
+
+    expect(cancelRes.statusCode).toBe(200);
+
+    const res = await request(app)
+      .get('/api/subscriptions/my-subscription')
+      .set('Authorization', `Bearer ${testData.quota.token}`);
+
+    expect(res.body.sessions.used).toBe(2);
+    expect(res.body.sessions.remaining).toBe(1);
+  });
+
+  it('should roll unused sessions over into the next period', async () => {
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.quota.subscription.id },
+      include: { plan: true }
+    });
+
+    const nextPeriod = await sessionUsageService.getPeriod(subscription, new Date(subscription.nextBillDate.getTime() + DAY));
+
+    expect(nextPeriod.rolledOverSessions).toBe(1);
+    expect(nextPeriod.sessionsAllowed).toBe(4);
+  });
+
+  it('should not reschedule a booking into a fully booked week', async () => {
+    const booked = await book(testData.quota.token, dateAfterNextMonday(7));
+    expect(booked.statusCode).toBe(201);
+
+    const res = await reschedule(testData.quota.token, booked.body.data.booking.id, dateAfterNextMonday(2));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.quotaExceeded).toBe(true);
+  });
+
+  it('should keep the session when a booking moves within its week', async () => {
+    const booking = await prisma.booking.findFirst({
+      where: {
+        customerId: testData.quota.customer.id,
+        scheduledAt: new Date(`${dateAfterNextMonday(1)}T10:00:00`)
+      }
+    });
+
+    const res = await reschedule(testData.quota.token, booking.id, dateAfterNextMonday(2));
+
+    expect(res.statusCode).toBe(200);
+
+    const period = await prisma.subscriptionUsagePeriod.findUnique({
+      where: { id: booking.usagePeriodId }
+    });
+    expect(period.sessionsUsed).toBe(3);
+  });
+
+  it('should roll sessions over from a period nothing was booked in', async () => {
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.idle.subscription.id },
+      include: { plan: true }
+    });
+
+    const period = await sessionUsageService.getPeriod(subscription);
+
+    expect(period.rolledOverSessions).toBe(1);
+    expect(period.sessionsAllowed).toBe(4);
+  });
+
+  it('should create a payable overage booking when the plan has an overage price', async () => {
+    expect((await book(testData.overage.token, dateAfterNextMonday(0))).statusCode).toBe(201);
+
+    const res = await book(testData.overage.token, dateAfterNextMonday(1));
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.requiresPayment).toBe(true);
+    expect(res.body.data.booking.status).toBe('PENDING');
+    expect(res.body.data.booking.isOverage).toBe(true);
+    expect(res.body.data.booking.finalAmount).toBe(300);
+  });
+
+  it('should not count an unpaid overage booking toward the weekly limit', async () => {
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.overage.subscription.id },
+      include: { plan: true }
+    });
+
+    const summary = await sessionUsageService.getUsageSummary(subscription, new Date(`${dateAfterNextMonday(0)}T12:00:00`));
+
+    expect(summary.usedThisWeek).toBe(1);
+    expect(summary.remainingThisWeek).toBe(6);
+  });
+
+  it('should only take the overage price for an overage booking', async () => {
+    const booking = await prisma.booking.findFirst({
+      where: { customerId: testData.overage.customer.id, isOverage: true }
+    });
+
+    const res = await request(app)
+      .post('/api/payments/razorpay/booking/create-order')
+      .set('Authorization', `Bearer ${testData.overage.token}`)
+      .send({ bookingId: booking.id, amount: 1 });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should not auto-assign an unpaid overage booking', async () => {
+    const booking = await prisma.booking.findFirst({
+      where: { customerId: testData.overage.customer.id, isOverage: true }
+    });
+
+    await expect(maidMatchingService.autoAssignBooking(booking.id)).rejects.toThrow('Booking is not awaiting assignment');
+  });
+
+  it('should take a cancelled overage booking off the overage count', async () => {
+    const booking = await prisma.booking.findFirst({
+      where: { customerId: testData.overage.customer.id, isOverage: true }
+    });
+
+    const res = await request(app)
+      .put(`/api/bookings/${booking.id}/cancel`)
+      .set('Authorization', `Bearer ${testData.overage.token}`)
+      .send({ reason: 'Plans changed' });
+
+    expect(res.statusCode).toBe(200);
+
+    const period = await prisma.subscriptionUsagePeriod.findUnique({
+      where: { id: booking.usagePeriodId }
+    });
+    expect(period.overageSessions).toBe(0);
+  });
+
+  it('should not let concurrent bookings go over the weekly limit', async () => {
+    const responses = await Promise.all([0, 1, 2].map(day => book(testData.concurrent.token, dateAfterNextMonday(day))));
+    const statusCodes = responses.map(res => res.statusCode).sort();
+
+    expect(statusCodes).toEqual([201, 201, 403]);
+
+    const period = await prisma.subscriptionUsagePeriod.findFirst({
+      where: { subscriptionId: testData.concurrent.subscription.id }
+    });
+    expect(period.sessionsUsed).toBe(2);
+  });
+});
@@ -0,0 +1,179 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const subscriptionLifecycleService = require('../services/subscriptionLifecycleService');
+const { InvalidSubscriptionTransitionError } = subscriptionLifecycleService;
+const { DAY, createSubscribedCustomer, cleanupSubscriptionTest } = require('./helpers/subscriptionFixtures');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = [
+  'lifecycle-ended@test.com',
+  'lifecycle-active@test.com',
+  'lifecycle-renewing@test.com',
+  'lifecycle-stuck@test.com'
+];
+
+// Store test data for cleanup
+let testData = {
+  service: null,
+  plan: null,
+  endedSubscription: null,
+  activeSubscription: null,
+  renewingSubscription: null,
+  stuckSubscription: null,
+  activeToken: null
+};
+
+jest.setTimeout(30000);
+
+function cleanup() {
+  return cleanupSubscriptionTest(prisma, {
+    emails: TEST_EMAILS,
+    planNames: ['Lifecycle Test Plan'],
+    serviceName: 'Lifecycle Test Service'
+  });
+}
+
+describe('Subscription lifecycle', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Lifecycle Test Service',
+        description: 'Service for lifecycle tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.plan = await prisma.servicePlan.create({
+      data: {
+        name: 'Lifecycle Test Plan',
+        description: 'Plan for lifecycle tests',
+        serviceId: testData.service.id,
+        sessionsPerWeek: 1,
+        sessionsPerMonth: 4,
+        duration: 1,
+        basePrice: 1000,
+        finalPrice: 800
+      }
+    });
+
+    const ended = await createSubscribedCustomer(prisma, {
+      email: 'lifecycle-ended@test.com',
+      phone: '8888888813',
+      plan: testData.plan,
+      subscription: {
+        endDate: new Date(Date.now() - DAY),
+        autoRenew: false
+      }
+    });
+    testData.endedSubscription = ended.subscription;
+
+    const active = await createSubscribedCustomer(prisma, {
+      email: 'lifecycle-active@test.com',
+      phone: '8888888814',
+      plan: testData.plan
+    });
+    testData.activeSubscription = active.subscription;
+    testData.activeToken = active.token;
+
+    // Ended yesterday and still in the renewal retries
+    const renewing = await createSubscribedCustomer(prisma, {
+      email: 'lifecycle-renewing@test.com',
+      phone: '8888888811',
+      plan: testData.plan,
+      subscription: {
+        endDate: new Date(Date.now() - DAY),
+        nextBillDate: new Date(Date.now() - DAY),
+        renewalAttempts: 1,
+        nextRenewalAttemptAt: new Date(Date.now() + DAY)
+      }
+    });
+    testData.renewingSubscription = renewing.subscription;
+
+    // Ended a month ago and the renewal never settled
+    const stuck = await createSubscribedCustomer(prisma, {
+      email: 'lifecycle-stuck@test.com',
+      phone: '8888888812',
+      plan: testData.plan,
+      subscription: {
+        startDate: new Date(Date.now() - 60 * DAY),
+        endDate: new Date(Date.now() - 30 * DAY),
+        nextBillDate: new Date(Date.now() - 30 * DAY)
+      }
+    });
+    testData.stuckSubscription = stuck.subscription;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  it('should expire a subscription past its end date and record the change', async () => {
+    await subscriptionLifecycleService.expireEndedSubscriptions();
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.endedSubscription.id }
+    });
+    const history = await subscriptionLifecycleService.getHistory(subscription.id);
+
+    expect(subscription.status).toBe('EXPIRED');
+    expect(history[0]).toMatchObject({ fromStatus: 'ACTIVE', toStatus: 'EXPIRED' });
+  });
+
+  it('should leave subscriptions that are still running alone', async () => {
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.activeSubscription.id }
+    });
+
+    expect(subscription.status).toBe('ACTIVE');
+  });
+
+  it('should leave a subscription retrying its renewal to the renewal job', async () => {
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.renewingSubscription.id }
+    });
+
+    expect(subscription.status).toBe('ACTIVE');
+  });
+
+  it('should expire an auto-renewing subscription once the renewal grace has run out', async () => {
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.stuckSubscription.id }
+    });
+
+    expect(subscription.endDate.getTime()).toBeLessThan(subscriptionLifecycleService.renewalGraceCutoff().getTime());
+    expect(subscription.status).toBe('EXPIRED');
+  });
+
+  it('should reject a transition the current status does not allow', async () => {
+    await expect(
+      subscriptionLifecycleService.transition(testData.endedSubscription.id, 'SUSPENDED')
+    ).rejects.toBeInstanceOf(InvalidSubscriptionTransitionError);
+  });
+
+  it('should cancel through the lifecycle and refuse a second cancel', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/cancel')
+      .set('Authorization', `Bearer ${testData.activeToken}`);
+
+    expect(res.statusCode).toBe(200);
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.activeSubscription.id }
+    });
+    expect(subscription.status).toBe('CANCELLED');
+    expect(subscription.autoRenew).toBe(false);
+
+    const secondRes = await request(app)
+      .post('/api/subscriptions/cancel')
+      .set('Authorization', `Bearer ${testData.activeToken}`);
+
+    expect(secondRes.statusCode).toBe(404);
+  });
+});
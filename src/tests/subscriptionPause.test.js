@@ -0,0 +1,284 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+const subscriptionPauseService = require('../services/subscriptionPauseService');
+const { DAY, createSubscribedCustomer, cleanupSubscriptionTest } = require('./helpers/subscriptionFixtures');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAIL = 'pause-customer@test.com';
+const ADMIN_EMAIL = 'pause-admin@test.com';
+
+// Store test data for cleanup
+let testData = {
+  service: null,
+  plan: null,
+  customer: null,
+  subscription: null,
+  booking: null,
+  token: null,
+  adminToken: null
+};
+
+jest.setTimeout(30000);
+
+// YYYY-MM-DD in server time, days from today
+function dateFromToday(days) {
+  const date = new Date(Date.now() + days * DAY);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function cleanup() {
+  return cleanupSubscriptionTest(prisma, {
+    emails: [TEST_EMAIL, ADMIN_EMAIL],
+    planNames: ['Pause Test Plan'],
+    serviceName: 'Pause Test Service'
+  });
+}
+
+describe('Subscription pauses', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Pause Test Service',
+        description: 'Service for pause tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.plan = await prisma.servicePlan.create({
+      data: {
+        name: 'Pause Test Plan',
+        description: 'Plan for pause tests',
+        serviceId: testData.service.id,
+        sessionsPerWeek: 7,
+        sessionsPerMonth: 30,
+        duration: 1,
+        basePrice: 1000,
+        finalPrice: 800
+      }
+    });
+
+    const subscribed = await createSubscribedCustomer(prisma, {
+      email: TEST_EMAIL,
+      phone: '6666666661',
+      plan: testData.plan,
+      subscription: {
+        startDate: new Date(Date.now() - 10 * DAY),
+        endDate: new Date(Date.now() + 20 * DAY),
+        nextBillDate: new Date(Date.now() + 20 * DAY)
+      }
+    });
+    testData.customer = subscribed.customer;
+    testData.subscription = subscribed.subscription;
+    testData.token = subscribed.token;
+
+    // Subscription booking inside the pause window
+    testData.booking = await prisma.booking.create({
+      data: {
+        customerId: testData.customer.id,
+        serviceId: testData.service.id,
+        scheduledAt: new Date(`${dateFromToday(3)}T10:00:00`),
+        serviceAddress: 'Test Address',
+        status: 'CONFIRMED',
+        estimatedDuration: 120,
+        totalAmount: 0,
+        finalAmount: 0
+      }
+    });
+
+    const admin = await prisma.user.create({
+      data: {
+        email: ADMIN_EMAIL,
+        password: 'Test123!',
+        name: 'Pause Admin',
+        phone: '8888888831',
+        role: 'ADMIN',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+    testData.adminToken = (await tokenService.issueTokens(admin)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  it('should pause, push the end and bill dates back and cancel bookings in the window', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/pause')
+      .set('Authorization', `Bearer ${testData.token}`)
+      .send({ startDate: dateFromToday(1), endDate: dateFromToday(4), reason: 'Vacation' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.pause.days).toBe(4);
+    expect(res.body.data.pause.cancelledBookings).toBe(1);
+
+    const subscription = res.body.data.subscription;
+    expect(new Date(subscription.endDate).getTime()).toBe(testData.subscription.endDate.getTime() + 4 * DAY);
+    expect(new Date(subscription.nextBillDate).getTime()).toBe(testData.subscription.nextBillDate.getTime() + 4 * DAY);
+
+    const booking = await prisma.booking.findUnique({
+      where: { id: testData.booking.id }
+    });
+    expect(booking.status).toBe('CANCELLED');
+  });
+
+  it('should not confirm next day service while paused', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/confirm-service')
+      .set('Authorization', `Bearer ${testData.token}`)
+      .send({ confirm: true });
+
+    expect(res.statusCode).toBe(409);
+  });
+
+  it('should reject pauses beyond the per-term limit', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/pause')
+      .set('Authorization', `Bearer ${testData.token}`)
+      .send({ startDate: dateFromToday(6), endDate: dateFromToday(35) });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.remainingDays).toBe(26);
+  });
+
+  it('should reject overlapping pauses', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/pause')
+      .set('Authorization', `Bearer ${testData.token}`)
+      .send({ startDate: dateFromToday(4), endDate: dateFromToday(6) });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should not reschedule a booking into the pause', async () => {
+    const booking = await prisma.booking.create({
+      data: {
+        customerId: testData.customer.id,
+        serviceId: testData.service.id,
+        scheduledAt: new Date(`${dateFromToday(8)}T10:00:00`),
+        serviceAddress: 'Test Address',
+        status: 'CONFIRMED',
+        estimatedDuration: 120,
+        totalAmount: 0,
+        finalAmount: 0
+      }
+    });
+
+    const res = await request(app)
+      .put(`/api/bookings/${booking.id}/reschedule`)
+      .set('Authorization', `Bearer ${testData.token}`)
+      .send({ scheduledDate: dateFromToday(3), scheduledTime: '10:00', reason: 'Earlier' });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('should mark the subscription paused when the pause starts and resume it after', async () => {
+    await subscriptionPauseService.processPauses(new Date(Date.now() + DAY));
+
+    let subscription = await prisma.subscription.findUnique({
+      where: { id: testData.subscription.id }
+    });
+    expect(subscription.status).toBe('PAUSED');
+
+    await subscriptionPauseService.processPauses(new Date(Date.now() + 5 * DAY));
+
+    subscription = await prisma.subscription.findUnique({
+      where: { id: testData.subscription.id }
+    });
+    const pause = await prisma.subscriptionPause.findFirst({
+      where: { subscriptionId: subscription.id }
+    });
+    expect(subscription.status).toBe('ACTIVE');
+    expect(pause.status).toBe('COMPLETED');
+  });
+
+  it('should give the days back when the customer cancels a pause before it starts', async () => {
+    const before = await prisma.subscription.findUnique({
+      where: { id: testData.subscription.id }
+    });
+
+    const pauseRes = await request(app)
+      .post('/api/subscriptions/pause')
+      .set('Authorization', `Bearer ${testData.token}`)
+      .send({ startDate: dateFromToday(10), endDate: dateFromToday(11) });
+    expect(pauseRes.statusCode).toBe(201);
+
+    const res = await request(app)
+      .post(`/api/subscriptions/pauses/${pauseRes.body.data.pause.id}/cancel`)
+      .set('Authorization', `Bearer ${testData.token}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.pause.status).toBe('CANCELLED');
+    expect(new Date(res.body.data.subscription.endDate).getTime()).toBe(before.endDate.getTime());
+    expect(new Date(res.body.data.subscription.nextBillDate).getTime()).toBe(before.nextBillDate.getTime());
+
+    const secondRes = await request(app)
+      .post(`/api/subscriptions/pauses/${pauseRes.body.data.pause.id}/cancel`)
+      .set('Authorization', `Bearer ${testData.token}`);
+    expect(secondRes.statusCode).toBe(400);
+  });
+
+  it('should let an admin cancel a customer\'s scheduled pause', async () => {
+    const before = await prisma.subscription.findUnique({
+      where: { id: testData.subscription.id }
+    });
+
+    const pause = await subscriptionPauseService.schedulePause(
+      { ...before, plan: testData.plan, customer: testData.customer.customerProfile },
+      { startDate: new Date(`${dateFromToday(12)}T00:00:00`), endDate: new Date(`${dateFromToday(13)}T00:00:00`) }
+    );
+
+    const customerRes = await request(app)
+      .post(`/api/admin/subscription-pauses/${pause.id}/cancel`)
+      .set('Authorization', `Bearer ${testData.token}`);
+    expect(customerRes.statusCode).toBe(403);
+
+    const res = await request(app)
+      .post(`/api/admin/subscription-pauses/${pause.id}/cancel`)
+      .set('Authorization', `Bearer ${testData.adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(new Date(res.body.data.subscription.endDate).getTime()).toBe(before.endDate.getTime());
+  });
+
+  it('should give the days back when the subscription is no longer active as the pause starts', async () => {
+    const before = await prisma.subscription.findUnique({
+      where: { id: testData.subscription.id }
+    });
+
+    const pause = await subscriptionPauseService.schedulePause(
+      { ...before, plan: testData.plan, customer: testData.customer.customerProfile },
+      { startDate: new Date(`${dateFromToday(14)}T00:00:00`), endDate: new Date(`${dateFromToday(15)}T00:00:00`) }
+    );
+
+    await prisma.subscription.update({
+      where: { id: testData.subscription.id },
+      data: { status: 'SUSPENDED' }
+    });
+
+    await subscriptionPauseService.processPauses(new Date(`${dateFromToday(14)}T00:30:00`));
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.subscription.id }
+    });
+    const cancelled = await prisma.subscriptionPause.findUnique({
+      where: { id: pause.id }
+    });
+
+    expect(cancelled.status).toBe('CANCELLED');
+    expect(subscription.endDate.getTime()).toBe(before.endDate.getTime());
+    expect(subscription.nextBillDate.getTime()).toBe(before.nextBillDate.getTime());
+  });
+});
@@ -0,0 +1,271 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+const planChangeService = require('../services/planChangeService');
+const renewalService = require('../services/renewalService');
+const paymentGatewayService = require('../services/paymentGatewayService');
+const { DAY, createSubscribedCustomer, cleanupSubscriptionTest } = require('./helpers/subscriptionFixtures');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = [
+  'plan-upgrade@test.com',
+  'plan-downgrade@test.com',
+  'plan-scheduled@test.com',
+  'plan-refund-retry@test.com',
+  'plan-admin@test.com'
+];
+
+// Store test data for cleanup
+let testData = {
+  service: null,
+  basicPlan: null,
+  premiumPlan: null,
+  upgrade: null,
+  downgrade: null,
+  scheduled: null,
+  refundRetry: null,
+  adminToken: null
+};
+
+jest.setTimeout(30000);
+
+function cleanup() {
+  return cleanupSubscriptionTest(prisma, {
+    emails: TEST_EMAILS,
+    planNames: ['Plan Change Basic', 'Plan Change Premium'],
+    serviceName: 'Plan Change Test Service'
+  });
+}
+
+// Halfway through a monthly billing period, with the first payment collected
+async function createPayingCustomer(email, phone, plan) {
+  const subscribed = await createSubscribedCustomer(prisma, {
+    email,
+    phone,
+    plan,
+    subscription: { endDate: new Date(Date.now() + 45 * DAY) }
+  });
+
+  await prisma.payment.create({
+    data: {
+      subscriptionId: subscribed.subscription.id,
+      customerId: subscribed.customer.id,
+      amount: plan.finalPrice,
+      finalAmount: plan.finalPrice,
+      paymentMethod: 'CARD',
+      status: 'COMPLETED',
+      paymentType: 'SUBSCRIPTION'
+    }
+  });
+
+  return subscribed;
+}
+
+describe('Subscription plan changes', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Plan Change Test Service',
+        description: 'Service for plan change tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.basicPlan = await prisma.servicePlan.create({
+      data: {
+        name: 'Plan Change Basic',
+        description: 'Basic plan for plan change tests',
+        serviceId: testData.service.id,
+        sessionsPerWeek: 1,
+        sessionsPerMonth: 4,
+        duration: 3,
+        basePrice: 700,
+        finalPrice: 600
+      }
+    });
+
+    testData.premiumPlan = await prisma.servicePlan.create({
+      data: {
+        name: 'Plan Change Premium',
+        description: 'Premium plan for plan change tests',
+        serviceId: testData.service.id,
+        sessionsPerWeek: 2,
+        sessionsPerMonth: 8,
+        duration: 3,
+        basePrice: 1400,
+        finalPrice: 1200
+      }
+    });
+
+    testData.upgrade = await createPayingCustomer('plan-upgrade@test.com', '5555555551', testData.basicPlan);
+    testData.downgrade = await createPayingCustomer('plan-downgrade@test.com', '5555555552', testData.premiumPlan);
+    testData.scheduled = await createPayingCustomer('plan-scheduled@test.com', '5555555553', testData.basicPlan);
+    testData.refundRetry = await createPayingCustomer('plan-refund-retry@test.com', '8888888821', testData.premiumPlan);
+
+    const admin = await prisma.user.create({
+      data: {
+        email: 'plan-admin@test.com',
+        password: 'Test123!',
+        name: 'Plan Change Admin',
+        phone: '8888888822',
+        role: 'ADMIN',
+        adminProfile: {
+          create: { permissions: {} }
+        }
+      }
+    });
+    testData.adminToken = (await tokenService.issueTokens(admin)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  it('should prorate the price difference over the rest of the billing period', () => {
+    const proration = planChangeService.calculateProration(testData.upgrade.subscription, testData.premiumPlan);
+
+    expect(proration.remainingDays).toBeGreaterThan(0);
+    expect(proration.remainingDays).toBeLessThanOrEqual(proration.periodDays);
+    expect(proration.netAmount).toBeCloseTo(proration.chargeAmount - proration.creditAmount, 2);
+    expect(proration.netAmount).toBeGreaterThan(0);
+    expect(proration.netAmount).toBeLessThan(600);
+  });
+
+  it('should charge the prorated difference and switch an upgrade immediately', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/change-plan')
+      .set('Authorization', `Bearer ${testData.upgrade.token}`)
+      .send({ planId: testData.premiumPlan.id });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.subscription.planId).toBe(testData.premiumPlan.id);
+    expect(res.body.data.subscription.amount).toBe(1200);
+    expect(res.body.data.planChange.status).toBe('APPLIED');
+    expect(res.body.data.payment.paymentType).toBe('PLAN_CHANGE');
+    expect(res.body.data.payment.status).toBe('COMPLETED');
+    expect(res.body.data.payment.finalAmount).toBe(res.body.data.planChange.netAmount);
+  });
+
+  it('should refund the prorated difference for an immediate downgrade', async () => {
+    // A later payment too small to cover the refund
+    await prisma.payment.create({
+      data: {
+        subscriptionId: testData.downgrade.subscription.id,
+        customerId: testData.downgrade.customer.id,
+        amount: 10,
+        finalAmount: 10,
+        paymentMethod: 'UPI',
+        status: 'COMPLETED',
+        paymentType: 'PLAN_CHANGE'
+      }
+    });
+
+    const res = await request(app)
+      .post('/api/subscriptions/change-plan')
+      .set('Authorization', `Bearer ${testData.downgrade.token}`)
+      .send({ planId: testData.basicPlan.id, timing: 'IMMEDIATELY' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.subscription.planId).toBe(testData.basicPlan.id);
+    expect(res.body.data.planChange.netAmount).toBeLessThan(0);
+    expect(res.body.data.payment.status).toBe('REFUNDED');
+    expect(res.body.data.payment.refundAmount).toBe(-res.body.data.planChange.netAmount);
+    // Refunded against the subscription payment, the only one that covers it
+    expect(res.body.data.payment.paymentMethod).toBe('CARD');
+  });
+
+  it('should let an admin send a failed downgrade refund again', async () => {
+    const gateway = paymentGatewayService.getGateway();
+    paymentGatewayService.setGateway({
+      name: gateway.name,
+      charge: (details) => gateway.charge(details),
+      refund: async () => ({ status: 'FAILED', error: 'Refund declined' })
+    });
+
+    let res;
+    try {
+      res = await request(app)
+        .post('/api/subscriptions/change-plan')
+        .set('Authorization', `Bearer ${testData.refundRetry.token}`)
+        .send({ planId: testData.basicPlan.id });
+    } finally {
+      paymentGatewayService.setGateway(gateway);
+    }
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.subscription.planId).toBe(testData.basicPlan.id);
+    expect(res.body.data.payment.status).toBe('FAILED');
+
+    const customerRes = await request(app)
+      .post(`/api/payments/${res.body.data.payment.id}/retry-refund`)
+      .set('Authorization', `Bearer ${testData.refundRetry.token}`);
+    expect(customerRes.statusCode).toBe(403);
+
+    const retryRes = await request(app)
+      .post(`/api/payments/${res.body.data.payment.id}/retry-refund`)
+      .set('Authorization', `Bearer ${testData.adminToken}`);
+
+    expect(retryRes.statusCode).toBe(200);
+    expect(retryRes.body.payment.status).toBe('REFUNDED');
+    expect(retryRes.body.payment.refundAmount).toBe(-res.body.data.planChange.netAmount);
+
+    const secondRes = await request(app)
+      .post(`/api/payments/${res.body.data.payment.id}/retry-refund`)
+      .set('Authorization', `Bearer ${testData.adminToken}`);
+    expect(secondRes.statusCode).toBe(400);
+  });
+
+  it('should switch a scheduled change at the next renewal and bill the new price', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/change-plan')
+      .set('Authorization', `Bearer ${testData.scheduled.token}`)
+      .send({ planId: testData.premiumPlan.id, timing: 'NEXT_BILLING_DATE' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.planChange.status).toBe('SCHEDULED');
+
+    let subscription = await prisma.subscription.findUnique({
+      where: { id: testData.scheduled.subscription.id }
+    });
+    expect(subscription.planId).toBe(testData.basicPlan.id);
+
+    // Bring the billing date forward
+    const billDate = new Date(Date.now() - 60 * 1000);
+    await prisma.subscription.update({
+      where: { id: subscription.id },
+      data: { nextBillDate: billDate }
+    });
+    await prisma.subscriptionPlanChange.updateMany({
+      where: { subscriptionId: subscription.id, status: 'SCHEDULED' },
+      data: { effectiveAt: billDate }
+    });
+
+    await renewalService.processDueRenewals();
+
+    subscription = await prisma.subscription.findUnique({
+      where: { id: subscription.id }
+    });
+    const renewal = await prisma.payment.findFirst({
+      where: { subscriptionId: subscription.id, paymentType: 'RENEWAL' }
+    });
+
+    expect(subscription.planId).toBe(testData.premiumPlan.id);
+    expect(renewal.finalAmount).toBe(1200);
+  });
+
+  it('should reject switching to the plan the customer is already on', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/change-plan')
+      .set('Authorization', `Bearer ${testData.upgrade.token}`)
+      .send({ planId: testData.premiumPlan.id });
+
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,235 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const renewalService = require('../services/renewalService');
+const paymentGatewayService = require('../services/paymentGatewayService');
+const {
+  DAY,
+  createSubscribedCustomer,
+  cleanupSubscriptionTest
+} = require('./helpers/subscriptionFixtures');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['renewal-paying@test.com', 'renewal-declined@test.com', 'renewal-stalled@test.com'];
+
+// Store test data for cleanup
+let testData = {
+  service: null,
+  plan: null,
+  payingCustomer: null,
+  declinedCustomer: null,
+  payingSubscription: null,
+  declinedSubscription: null,
+  stalledSubscription: null,
+  stalledPayment: null,
+  declinedToken: null
+};
+
+jest.setTimeout(30000);
+
+function cleanup() {
+  return cleanupSubscriptionTest(prisma, {
+    emails: TEST_EMAILS,
+    planNames: ['Renewal Test Plan'],
+    serviceName: 'Renewal Test Service'
+  });
+}
+
+// A month into the subscription, billed an hour ago
+function createDueCustomer(email, phone, subscription) {
+  return createSubscribedCustomer(prisma, {
+    email,
+    phone,
+    plan: testData.plan,
+    subscription: {
+      startDate: new Date(Date.now() - 30 * DAY),
+      endDate: new Date(Date.now() + DAY),
+      discount: 200,
+      nextBillDate: new Date(Date.now() - 60 * 60 * 1000),
+      ...subscription
+    }
+  });
+}
+
+describe('Subscription renewals', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Renewal Test Service',
+        description: 'Service for renewal tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.plan = await prisma.servicePlan.create({
+      data: {
+        name: 'Renewal Test Plan',
+        description: 'Plan for renewal tests',
+        serviceId: testData.service.id,
+        sessionsPerWeek: 1,
+        sessionsPerMonth: 4,
+        duration: 1,
+        basePrice: 1000,
+        finalPrice: 800
+      }
+    });
+
+    const paying = await createDueCustomer('renewal-paying@test.com', '8888888801', {});
+    testData.payingCustomer = paying.customer;
+    testData.payingSubscription = paying.subscription;
+
+    // The customer first paid by UPI, so renewals are charged to the UPI mandate
+    await prisma.payment.create({
+      data: {
+        subscriptionId: paying.subscription.id,
+        customerId: paying.customer.id,
+        amount: 800,
+        finalAmount: 800,
+        status: 'COMPLETED',
+        paymentMethod: 'UPI',
+        paymentType: 'SUBSCRIPTION',
+        createdAt: new Date(Date.now() - 30 * DAY)
+      }
+    });
+
+    // The mock gateway declines tokens starting with "fail"
+    const declined = await createDueCustomer('renewal-declined@test.com', '8888888802', {
+      billingTokenId: 'fail_card'
+    });
+    testData.declinedCustomer = declined.customer;
+    testData.declinedSubscription = declined.subscription;
+    testData.declinedToken = declined.token;
+
+    // A charge started two days ago that the gateway never confirmed
+    const stalled = await createDueCustomer('renewal-stalled@test.com', '8888888803', {});
+    testData.stalledSubscription = stalled.subscription;
+    testData.stalledPayment = await prisma.payment.create({
+      data: {
+        subscriptionId: stalled.subscription.id,
+        customerId: stalled.customer.id,
+        amount: 800,
+        finalAmount: 800,
+        status: 'PROCESSING',
+        paymentMethod: 'CARD',
+        paymentType: 'RENEWAL',
+        gateway: 'razorpay',
+        createdAt: new Date(Date.now() - 2 * DAY)
+      }
+    });
+
+    await renewalService.processDueRenewals();
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  it('should charge a due renewal and extend the subscription', async () => {
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.payingSubscription.id }
+    });
+    const payment = await prisma.payment.findFirst({
+      where: { subscriptionId: subscription.id, paymentType: 'RENEWAL' }
+    });
+
+    expect(payment.status).toBe('COMPLETED');
+    expect(payment.paymentMethod).toBe('UPI');
+    expect(subscription.endDate.getTime()).toBeGreaterThan(testData.payingSubscription.endDate.getTime());
+    expect(subscription.nextBillDate.getTime()).toBeGreaterThan(Date.now());
+    expect(subscription.renewalAttempts).toBe(0);
+  });
+
+  it('should ignore a repeated confirmation of a settled charge', async () => {
+    const before = await prisma.subscription.findUnique({
+      where: { id: testData.payingSubscription.id }
+    });
+    const payment = await prisma.payment.findFirst({
+      where: { subscriptionId: before.id, paymentType: 'RENEWAL' }
+    });
+
+    expect(await renewalService.completeRenewal(payment.id)).toBeNull();
+    expect(await renewalService.failRenewal(payment.id)).toBeNull();
+
+    const after = await prisma.subscription.findUnique({
+      where: { id: before.id }
+    });
+
+    expect(after.endDate.getTime()).toBe(before.endDate.getTime());
+    expect(after.renewalAttempts).toBe(0);
+  });
+
+  it('should schedule a retry when the charge is declined', async () => {
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.declinedSubscription.id }
+    });
+
+    expect(subscription.status).toBe('ACTIVE');
+    expect(subscription.renewalAttempts).toBe(1);
+    expect(subscription.nextRenewalAttemptAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should fail a charge the gateway never confirmed into dunning', async () => {
+    const payment = await prisma.payment.findUnique({
+      where: { id: testData.stalledPayment.id }
+    });
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.stalledSubscription.id }
+    });
+
+    expect(payment.status).toBe('FAILED');
+    expect(subscription.renewalAttempts).toBe(1);
+    expect(subscription.nextRenewalAttemptAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should let the customer retry a failed renewal', async () => {
+    const res = await request(app)
+      .post('/api/subscriptions/retry-payment')
+      .set('Authorization', `Bearer ${testData.declinedToken}`);
+
+    expect(res.statusCode).toBe(402);
+    expect(res.body.data.subscription.renewalAttempts).toBe(2);
+  });
+
+  it('should suspend the subscription once the grace period ends', async () => {
+    await prisma.subscription.update({
+      where: { id: testData.declinedSubscription.id },
+      data: {
+        nextRenewalAttemptAt: null,
+        gracePeriodEndsAt: new Date(Date.now() - 60 * 1000)
+      }
+    });
+
+    await renewalService.processDueRenewals();
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { id: testData.declinedSubscription.id }
+    });
+
+    expect(subscription.status).toBe('SUSPENDED');
+  });
+
+  it('should refuse the mock gateway outside development and test', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    const billingGateway = process.env.BILLING_GATEWAY;
+    const gateway = paymentGatewayService.gateway;
+
+    try {
+      process.env.NODE_ENV = 'production';
+      process.env.BILLING_GATEWAY = 'mock';
+      paymentGatewayService.setGateway(null);
+
+      expect(() => paymentGatewayService.getGateway()).toThrow('only allowed in development and test');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+      if (billingGateway === undefined) delete process.env.BILLING_GATEWAY;
+      else process.env.BILLING_GATEWAY = billingGateway;
+      paymentGatewayService.setGateway(gateway);
+    }
+  });
+});
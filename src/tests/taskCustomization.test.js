@@ -0,0 +1,194 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAIL = 'customize-customer@test.com';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Store test data for cleanup
+let testData = {
+  customer: null,
+  service: null,
+  plan: null,
+  requiredTask: null,
+  optionalTask: null,
+  token: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+async function cleanup() {
+  await prisma.subscription.deleteMany({
+    where: { customer: { user: { email: TEST_EMAIL } } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: TEST_EMAIL }
+  });
+  await prisma.servicePlan.deleteMany({
+    where: { name: 'Customization Test Plan' }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Customization Test Service' }
+  });
+}
+
+describe('Task customizations', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Customization Test Service',
+        description: 'Service for task customization tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.requiredTask = await prisma.task.create({
+      data: {
+        serviceId: testData.service.id,
+        name: 'Dust shelves',
+        description: 'Dust every shelf',
+        estimatedDuration: 20,
+        isRequired: true,
+        order: 1,
+        checklist: []
+      }
+    });
+
+    testData.optionalTask = await prisma.task.create({
+      data: {
+        serviceId: testData.service.id,
+        name: 'Fold laundry',
+        description: 'Fold the dry laundry',
+        estimatedDuration: 15,
+        isRequired: false,
+        order: 2,
+        checklist: []
+      }
+    });
+
+    testData.plan = await prisma.servicePlan.create({
+      data: {
+        name: 'Customization Test Plan',
+        description: 'Plan for task customization tests',
+        serviceId: testData.service.id,
+        sessionsPerWeek: 2,
+        sessionsPerMonth: 8,
+        duration: 1,
+        basePrice: 1000,
+        finalPrice: 800
+      }
+    });
+
+    testData.customer = await prisma.user.create({
+      data: {
+        email: TEST_EMAIL,
+        password: 'Test123!',
+        name: 'Customization Customer',
+        phone: '3333333393',
+        role: 'CUSTOMER',
+        customerProfile: {
+          create: { preferences: {} }
+        }
+      },
+      include: { customerProfile: true }
+    });
+
+    await prisma.subscription.create({
+      data: {
+        customerId: testData.customer.customerProfile.id,
+        planId: testData.plan.id,
+        status: 'ACTIVE',
+        startDate: new Date(Date.now() - 5 * DAY),
+        endDate: new Date(Date.now() + 25 * DAY),
+        billingCycle: 'MONTHLY',
+        amount: 800,
+        autoRenew: true,
+        nextBillDate: new Date(Date.now() + 25 * DAY)
+      }
+    });
+
+    testData.token = (await tokenService.issueTokens(testData.customer)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('PUT /api/subscriptions/tasks/:taskId/customization', () => {
+    it('should not allow disabling a required task', async () => {
+      const res = await request(app)
+        .put(`/api/subscriptions/tasks/${testData.requiredTask.id}/customization`)
+        .set('Authorization', `Bearer ${testData.token}`)
+        .send({ disabled: true });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should keep earlier modifications on a partial update', async () => {
+      const notesRes = await request(app)
+        .put(`/api/subscriptions/tasks/${testData.requiredTask.id}/customization`)
+        .set('Authorization', `Bearer ${testData.token}`)
+        .send({ notes: 'Use the microfiber cloth' });
+
+      expect(notesRes.statusCode).toBe(200);
+
+      const res = await request(app)
+        .put(`/api/subscriptions/tasks/${testData.requiredTask.id}/customization`)
+        .set('Authorization', `Bearer ${testData.token}`)
+        .send({ extraChecklist: ['Top of the fridge'] });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.modifications).toEqual({
+        notes: 'Use the microfiber cloth',
+        extraChecklist: ['Top of the fridge']
+      });
+    });
+
+    it('should clear notes sent empty', async () => {
+      const res = await request(app)
+        .put(`/api/subscriptions/tasks/${testData.requiredTask.id}/customization`)
+        .set('Authorization', `Bearer ${testData.token}`)
+        .send({ notes: '' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.modifications).toEqual({ extraChecklist: ['Top of the fridge'] });
+    });
+
+    it('should disable an optional task', async () => {
+      const res = await request(app)
+        .put(`/api/subscriptions/tasks/${testData.optionalTask.id}/customization`)
+        .set('Authorization', `Bearer ${testData.token}`)
+        .send({ disabled: true });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.modifications.disabled).toBe(true);
+    });
+  });
+
+  describe('DELETE /api/subscriptions/tasks/:taskId/customization', () => {
+    it('should start over after a customization is removed', async () => {
+      const deleteRes = await request(app)
+        .delete(`/api/subscriptions/tasks/${testData.requiredTask.id}/customization`)
+        .set('Authorization', `Bearer ${testData.token}`);
+
+      expect(deleteRes.statusCode).toBe(200);
+
+      const res = await request(app)
+        .put(`/api/subscriptions/tasks/${testData.requiredTask.id}/customization`)
+        .set('Authorization', `Bearer ${testData.token}`)
+        .send({ notes: 'Skip the glass cabinet' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.modifications).toEqual({ notes: 'Skip the glass cabinet' });
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const TEST_EMAILS = ['tasks-customer@test.com', 'tasks-maid@test.com'];
+
+// Store test data for cleanup
+let testData = {
+  customer: null,
+  maid: null,
+  service: null,
+  requiredTask: null,
+  optionalTask: null,
+  booking: null,
+  maidToken: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+async function cleanup() {
+  await prisma.booking.deleteMany({
+    where: { customer: { email: { in: TEST_EMAILS } } }
+  });
+  await prisma.user.deleteMany({
+    where: { email: { in: TEST_EMAILS } }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Task Test Service' }
+  });
+}
+
+describe('Service tasks', () => {
+  beforeAll(async () => {
+    await cleanup();
+
+    testData.service = await prisma.service.create({
+      data: {
+        name: 'Task Test Service',
+        description: 'Service for task tests',
+        category: 'CLEANING',
+        basePrice: 100,
+        baseDuration: 120
+      }
+    });
+
+    testData.requiredTask = await prisma.task.create({
+      data: {
+        serviceId: testData.service.id,
+        name: 'Mop floors',
+        description: 'Mop every room',
+        estimatedDuration: 30,
+        isRequired: true,
+        order: 1,
+        checklist: ['Living room', 'Kitchen']
+      }
+    });
+
+    testData.optionalTask = await prisma.task.create({
+      data: {
+        serviceId: testData.service.id,
+        name: 'Water plants',
+        description: 'Water the balcony plants',
+        estimatedDuration: 10,
+        isRequired: false,
+        order: 2,
+        checklist: []
+      }
+    });
+
+    testData.customer = await prisma.user.create({
+      data: {
+        email: 'tasks-customer@test.com',
+        password: 'Test123!',
+        name: 'Task Customer',
+        phone: '3333333391',
+        role: 'CUSTOMER'
+      }
+    });
+
+    testData.maid = await prisma.user.create({
+      data: {
+        email: 'tasks-maid@test.com',
+        password: 'Test123!',
+        name: 'Task Maid',
+        phone: '3333333392',
+        role: 'MAID',
+        maidProfile: {
+          create: {
+            skills: [],
+            languages: [],
+            availability: {},
+            status: 'ACTIVE'
+          }
+        }
+      }
+    });
+
+    testData.booking = await prisma.booking.create({
+      data: {
+        customerId: testData.customer.id,
+        maidId: testData.maid.id,
+        serviceId: testData.service.id,
+        status: 'IN_PROGRESS',
+        scheduledAt: new Date(),
+        actualStartTime: new Date(),
+        estimatedDuration: 120,
+        serviceAddress: '4 Task Avenue',
+        totalAmount: 0,
+        finalAmount: 0,
+        serviceOTP: {
+          create: {
+            startOTP: '1111',
+            endOTP: '2222',
+            startVerified: true
+          }
+        },
+        taskCompletions: {
+          create: [
+            { taskId: testData.requiredTask.id },
+            { taskId: testData.optionalTask.id }
+          ]
+        }
+      }
+    });
+
+    testData.maidToken = (await tokenService.issueTokens(testData.maid)).token;
+  });
+
+  afterAll(async () => {
+    await cleanup();
+    await prisma.$disconnect();
+  });
+
+  describe('PUT /api/maids/bookings/:bookingId/tasks/:taskId', () => {
+    it('should reject an unknown verification method', async () => {
+      const res = await request(app)
+        .put(`/api/maids/bookings/${testData.booking.id}/tasks/${testData.requiredTask.id}`)
+        .set('Authorization', `Bearer ${testData.maidToken}`)
+        .send({ status: 'COMPLETED', verificationMethod: 'TELEPATHY' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toHaveProperty('errors');
+    });
+
+    it('should not allow skipping a required task', async () => {
+      const res = await request(app)
+        .put(`/api/maids/bookings/${testData.booking.id}/tasks/${testData.requiredTask.id}`)
+        .set('Authorization', `Bearer ${testData.maidToken}`)
+        .send({ status: 'SKIPPED', notes: 'No mop' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should allow skipping an optional task with notes', async () => {
+      const res = await request(app)
+        .put(`/api/maids/bookings/${testData.booking.id}/tasks/${testData.optionalTask.id}`)
+        .set('Authorization', `Bearer ${testData.maidToken}`)
+        .send({ status: 'SKIPPED', notes: 'No plants on the balcony' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.status).toBe('SKIPPED');
+    });
+  });
+
+  describe('POST /api/maids/complete-service', () => {
+    it('should block completion while a required task is pending', async () => {
+      const res = await request(app)
+        .post('/api/maids/complete-service')
+        .set('Authorization', `Bearer ${testData.maidToken}`)
+        .send({ bookingId: testData.booking.id, otp: '2222' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.pendingTasks.map(task => task.taskId)).toEqual([testData.requiredTask.id]);
+    });
+
+    it('should complete once required tasks are verified', async () => {
+      const taskRes = await request(app)
+        .put(`/api/maids/bookings/${testData.booking.id}/tasks/${testData.requiredTask.id}`)
+        .set('Authorization', `Bearer ${testData.maidToken}`)
+        .send({ status: 'COMPLETED', verificationMethod: 'CUSTOMER_CONFIRMATION' });
+
+      expect(taskRes.statusCode).toBe(200);
+      expect(taskRes.body.data.verificationMethod).toBe('CUSTOMER_CONFIRMATION');
+
+      const res = await request(app)
+        .post('/api/maids/complete-service')
+        .set('Authorization', `Bearer ${testData.maidToken}`)
+        .send({ bookingId: testData.booking.id, otp: '2222' });
+
+      expect(res.statusCode).toBe(200);
+    });
+  });
+});
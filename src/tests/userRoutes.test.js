@@ -2,6 +2,8 @@ const request = require('supertest');
 const { PrismaClient } = require('@prisma/client');
 const jwt = require('jsonwebtoken');
 const app = require('../index');
+const tokenService = require('../services/tokenService');
+const smsService = require('../services/smsService');
 
 const prisma = new PrismaClient();
 
@@ -68,7 +70,7 @@ describe('User Routes', () => {
         }
       });
 
-      testData.adminToken = jwt.sign({ id: testData.admin.id }, process.env.JWT_SECRET || 'test-secret');
+      testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
 
       // Create test customer user
       testData.customer = await prisma.user.create({
@@ -86,7 +88,7 @@ describe('User Routes', () => {
         }
       });
 
-      testData.customerToken = jwt.sign({ id: testData.customer.id }, process.env.JWT_SECRET || 'test-secret');
+      testData.customerToken = (await tokenService.issueTokens(testData.customer)).token;
       testData.testUserId = testData.customer.id;
     } catch (error) {
       console.error('Setup failed:', error);
@@ -144,7 +146,9 @@ describe('User Routes', () => {
 
         expect(res.statusCode).toBe(201);
         expect(res.body).toHaveProperty('user');
-        expect(res.body).toHaveProperty('token');
+        // No session until the phone is verified
+        expect(res.body).not.toHaveProperty('token');
+        expect(res.body.verificationRequired).toBe(true);
 
         // Clean up the created user
         await prisma.customerProfile.deleteMany({
@@ -194,6 +198,44 @@ describe('User Routes', () => {
       expect(res.statusCode).toBe(400);
       expect(res.body).toHaveProperty('errors');
     });
+
+    it('should not allow signing up as an admin', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'newadmin@test.com',
+          password: 'Test123!',
+          name: 'New Admin',
+          phone: '5555555556',
+          role: 'ADMIN'
+        });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toHaveProperty('errors');
+    });
+
+    it('should create a maid profile pending verification for maid sign-up', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'newmaid@test.com',
+          password: 'Test123!',
+          name: 'New Maid',
+          phone: '5555555557',
+          role: 'MAID'
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.user.maidProfile.status).toBe('PENDING_VERIFICATION');
+      expect(res.body.user).not.toHaveProperty('password');
+
+      await prisma.phoneOtp.deleteMany({
+        where: { phone: '5555555557' }
+      });
+      await prisma.user.deleteMany({
+        where: { email: 'newmaid@test.com' }
+      });
+    });
   });
 
   describe('POST /api/users/login', () => {
@@ -222,6 +264,282 @@ describe('User Routes', () => {
     });
   });
 
+  describe('Session tokens', () => {
+    let session;
+
+    it('should return a refresh token on login', async () => {
+      const res = await request(app)
+        .post('/api/users/login')
+        .send({
+          email: 'testcustomer@test.com',
+          password: 'Test123!'
+        });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveProperty('refreshToken');
+      expect(res.body).toHaveProperty('expiresIn');
+      session = res.body;
+    });
+
+    it('should rotate the refresh token and reject the old one', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.refreshToken).not.toBe(session.refreshToken);
+
+      const reuseRes = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken });
+
+      expect(reuseRes.statusCode).toBe(401);
+    });
+
+    it('should let only one of two concurrent refreshes through', async () => {
+      const loginRes = await request(app)
+        .post('/api/users/login')
+        .send({
+          email: 'testcustomer@test.com',
+          password: 'Test123!'
+        });
+
+      const responses = await Promise.all([
+        request(app).post('/api/auth/refresh').send({ refreshToken: loginRes.body.refreshToken }),
+        request(app).post('/api/auth/refresh').send({ refreshToken: loginRes.body.refreshToken })
+      ]);
+
+      expect(responses.map(res => res.statusCode).sort()).toEqual([200, 401]);
+    });
+
+    it('should reject tokens that are not bound to a session', async () => {
+      const legacyToken = jwt.sign({ id: testData.customer.id }, process.env.JWT_SECRET || 'test-secret');
+
+      const res = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${legacyToken}`);
+
+      expect(res.statusCode).toBe(401);
+    });
+
+    it('should reject the access token after logout', async () => {
+      const loginRes = await request(app)
+        .post('/api/users/login')
+        .send({
+          email: 'testcustomer@test.com',
+          password: 'Test123!'
+        });
+
+      const logoutRes = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${loginRes.body.token}`);
+
+      expect(logoutRes.statusCode).toBe(200);
+
+      const res = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${loginRes.body.token}`);
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
+  describe('Phone OTP', () => {
+    afterAll(async () => {
+      await prisma.phoneOtp.deleteMany({
+        where: { phone: testData.admin.phone }
+      });
+    });
+
+    it('should answer the same for an unregistered phone', async () => {
+      const res = await request(app)
+        .post('/api/auth/otp/request')
+        .send({ phone: '+19999999999' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveProperty('expiresAt');
+
+      const resendRes = await request(app)
+        .post('/api/auth/otp/request')
+        .send({ phone: '+19999999999' });
+
+      expect(resendRes.statusCode).toBe(429);
+      expect(resendRes.body).toHaveProperty('retryAfterSeconds');
+
+      await prisma.phoneOtp.deleteMany({
+        where: { phone: '+19999999999' }
+      });
+    });
+
+    it('should send only one code to parallel requests', async () => {
+      const responses = await Promise.all([0, 1, 2].map(() => request(app)
+        .post('/api/auth/otp/request')
+        .send({ phone: '+19999999998' })));
+      const statusCodes = responses.map(res => res.statusCode).sort();
+
+      expect(statusCodes).toEqual([200, 429, 429]);
+
+      await prisma.phoneOtp.deleteMany({
+        where: { phone: '+19999999998' }
+      });
+    });
+
+    it('should send a code and rate limit an immediate resend', async () => {
+      const res = await request(app)
+        .post('/api/auth/otp/request')
+        .send({ phone: testData.admin.phone });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveProperty('expiresAt');
+
+      const resendRes = await request(app)
+        .post('/api/auth/otp/request')
+        .send({ phone: testData.admin.phone });
+
+      expect(resendRes.statusCode).toBe(429);
+      expect(resendRes.body).toHaveProperty('retryAfterSeconds');
+    });
+
+    it('should reject a wrong code', async () => {
+      const res = await request(app)
+        .post('/api/auth/otp/verify')
+        .send({ phone: testData.admin.phone, code: 'wrong' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toHaveProperty('attemptsRemaining');
+    });
+  });
+
+  describe('Phone verification', () => {
+    const PENDING_EMAILS = ['pending@test.com', 'pending-nosms@test.com'];
+    const PENDING_PHONES = ['5555555558', '5555555559'];
+    const sentMessages = [];
+
+    afterAll(async () => {
+      smsService.setProvider(null);
+      await prisma.phoneOtp.deleteMany({
+        where: { phone: { in: PENDING_PHONES } }
+      });
+      await prisma.user.deleteMany({
+        where: { email: { in: PENDING_EMAILS } }
+      });
+    });
+
+    it('should not log in before the phone is verified', async () => {
+      smsService.setProvider({
+        send: async (to, message) => sentMessages.push({ to, message })
+      });
+
+      const registerRes = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'pending@test.com',
+          password: 'Test123!',
+          name: 'Pending User',
+          phone: '5555555558'
+        });
+
+      expect(registerRes.statusCode).toBe(201);
+      expect(registerRes.body.verificationCodeSent).toBe(true);
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'pending@test.com', password: 'Test123!' });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.verificationRequired).toBe(true);
+    });
+
+    it('should activate the account with the SMS code', async () => {
+      const { message } = sentMessages.find(sent => sent.to === '5555555558');
+      const code = message.match(/code is (\w+)/)[1];
+
+      const res = await request(app)
+        .post('/api/auth/otp/verify')
+        .send({ phone: '5555555558', code });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toHaveProperty('token');
+      expect(res.body.user.status).toBe('ACTIVE');
+    });
+
+    it('should keep the account when the verification SMS fails', async () => {
+      smsService.setProvider({
+        send: async () => {
+          throw new Error('SMS gateway down');
+        }
+      });
+
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          email: 'pending-nosms@test.com',
+          password: 'Test123!',
+          name: 'Pending No SMS',
+          phone: '5555555559'
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.verificationCodeSent).toBe(false);
+
+      const user = await prisma.user.findUnique({
+        where: { email: 'pending-nosms@test.com' }
+      });
+      expect(user.status).toBe('PENDING_VERIFICATION');
+    });
+  });
+
+  describe('Password reset', () => {
+    it('should answer the same for an unknown email', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@test.com' });
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should answer the same once an account hits the request limit', async () => {
+      const unknownRes = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@test.com' });
+
+      for (let i = 0; i < 6; i++) {
+        const res = await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: testData.customer.email });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual(unknownRes.body);
+      }
+    });
+
+    it('should reject an invalid reset token', async () => {
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'not-a-real-token', newPassword: 'NewPass123' });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    it('should reject a weak new password', async () => {
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'not-a-real-token', newPassword: 'weak' });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toHaveProperty('errors');
+    });
+
+    it('should require the current password to change it', async () => {
+      const res = await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${testData.customerToken}`)
+        .send({ currentPassword: 'Wrong123', newPassword: 'NewPass123' });
+
+      expect(res.statusCode).toBe(401);
+    });
+  });
+
   describe('GET /api/users/profile', () => {
     it('should get user profile with valid token', async () => {
       const res = await request(app)
@@ -311,6 +629,47 @@ describe('User Routes', () => {
         expect(res.statusCode).toBe(400);
         expect(res.body).toHaveProperty('errors');
       });
+
+      it('should not grant a staff role', async () => {
+        const res = await request(app)
+          .put(`/api/users/${testData.testUserId}/role`)
+          .set('Authorization', `Bearer ${testData.adminToken}`)
+          .send({
+            role: 'ADMIN'
+          });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body).toHaveProperty('errors');
+      });
+
+      it('should not let a supervisor promote someone', async () => {
+        const supervisor = await prisma.user.create({
+          data: {
+            email: 'testsupervisor@test.com',
+            password: 'Test123!',
+            name: 'Test Supervisor',
+            phone: '5555555560',
+            role: 'SUPERVISOR',
+            adminProfile: {
+              create: { permissions: {} }
+            }
+          }
+        });
+        const supervisorToken = (await tokenService.issueTokens(supervisor)).token;
+
+        const res = await request(app)
+          .put(`/api/users/${testData.testUserId}/role`)
+          .set('Authorization', `Bearer ${supervisorToken}`)
+          .send({
+            role: 'MAID'
+          });
+
+        expect(res.statusCode).toBe(403);
+
+        await prisma.user.delete({
+          where: { id: supervisor.id }
+        });
+      });
     });
 
     describe('PUT /api/users/:id/status', () => {
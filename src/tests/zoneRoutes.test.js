@@ -0,0 +1,373 @@
+const request = require('supertest');
+const { PrismaClient } = require('@prisma/client');
+const app = require('../index');
+const tokenService = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+const testEmails = ['zoneadmin@test.com', 'zonesupervisor@test.com', 'zonemaid1@test.com', 'zonemaid2@test.com', 'zonecustomer@test.com'];
+
+// Square around (17.40, 78.45) - (17.50, 78.55), [lng, lat] order
+const testBoundaries = {
+  type: 'Polygon',
+  coordinates: [[
+    [78.45, 17.40],
+    [78.55, 17.40],
+    [78.55, 17.50],
+    [78.45, 17.50],
+    [78.45, 17.40]
+  ]]
+};
+
+// Store test data for cleanup
+let testData = {
+  admin: null,
+  supervisor: null,
+  maid1: null,
+  maid2: null,
+  adminToken: null,
+  supervisorToken: null,
+  zone: null
+};
+
+// Increase timeout for all tests
+jest.setTimeout(30000);
+
+const cleanup = async () => {
+  await prisma.booking.deleteMany({
+    where: {
+      customer: {
+        email: { in: testEmails }
+      }
+    }
+  });
+  await prisma.service.deleteMany({
+    where: { name: 'Zone Test Service' }
+  });
+  await prisma.zone.deleteMany({
+    where: {
+      name: { in: ['Test Zone', 'Test Zone Renamed'] }
+    }
+  });
+  await prisma.maidProfile.deleteMany({
+    where: {
+      user: {
+        email: { in: testEmails }
+      }
+    }
+  });
+  await prisma.adminProfile.deleteMany({
+    where: {
+      user: {
+        email: { in: testEmails }
+      }
+    }
+  });
+  await prisma.user.deleteMany({
+    where: {
+      email: { in: testEmails }
+    }
+  });
+};
+
+describe('Zone Routes', () => {
+  beforeAll(async () => {
+    try {
+      await cleanup();
+
+      testData.admin = await prisma.user.create({
+        data: {
+          email: 'zoneadmin@test.com',
+          password: 'Test123!',
+          name: 'Zone Admin',
+          phone: '3333333331',
+          role: 'ADMIN',
+          adminProfile: {
+            create: {
+              permissions: {}
+            }
+          }
+        }
+      });
+
+      testData.supervisor = await prisma.user.create({
+        data: {
+          email: 'zonesupervisor@test.com',
+          password: 'Test123!',
+          name: 'Zone Supervisor',
+          phone: '3333333334',
+          role: 'SUPERVISOR',
+          adminProfile: {
+            create: {
+              permissions: {}
+            }
+          }
+        }
+      });
+
+      testData.maid1 = await prisma.user.create({
+        data: {
+          email: 'zonemaid1@test.com',
+          password: 'Test123!',
+          name: 'Zone Maid One',
+          phone: '3333333332',
+          role: 'MAID',
+          maidProfile: {
+            create: {
+              skills: ['CLEANING'],
+              languages: ['en'],
+              availability: {},
+              status: 'ACTIVE'
+            }
+          }
+        }
+      });
+
+      testData.maid2 = await prisma.user.create({
+        data: {
+          email: 'zonemaid2@test.com',
+          password: 'Test123!',
+          name: 'Zone Maid Two',
+          phone: '3333333333',
+          role: 'MAID',
+          maidProfile: {
+            create: {
+              skills: ['CLEANING'],
+              languages: ['en'],
+              availability: {},
+              status: 'ACTIVE'
+            }
+          }
+        }
+      });
+
+      testData.adminToken = (await tokenService.issueTokens(testData.admin)).token;
+      testData.supervisorToken = (await tokenService.issueTokens(testData.supervisor)).token;
+    } catch (error) {
+      console.error('Setup failed:', error);
+      throw error;
+    }
+  });
+
+  afterAll(async () => {
+    try {
+      await cleanup();
+      await prisma.$disconnect();
+    } catch (error) {
+      console.error('Cleanup failed:', error);
+      throw error;
+    }
+  });
+
+  describe('POST /api/admin/zones', () => {
+    it('should create a zone with valid boundaries', async () => {
+      const res = await request(app)
+        .post('/api/admin/zones')
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({
+          name: 'Test Zone',
+          description: 'Zone used by automated tests',
+          boundaries: testBoundaries,
+          maxMaids: 1
+        });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.name).toBe('Test Zone');
+      expect(res.body.maxMaids).toBe(1);
+      testData.zone = res.body;
+    });
+
+    it('should reject an unclosed polygon', async () => {
+      const res = await request(app)
+        .post('/api/admin/zones')
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({
+          name: 'Broken Zone',
+          boundaries: {
+            type: 'Polygon',
+            coordinates: [[[78.45, 17.40], [78.55, 17.40], [78.55, 17.50], [78.45, 17.50]]]
+          }
+        });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toContain('closed');
+    });
+  });
+
+  describe('GET /api/admin/zones/resolve', () => {
+    it('should resolve a point inside the zone', async () => {
+      const res = await request(app)
+        .get('/api/admin/zones/resolve')
+        .query({ latitude: 17.45, longitude: 78.50 })
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.zone.id).toBe(testData.zone.id);
+    });
+
+    it('should return null for a point outside every zone', async () => {
+      const res = await request(app)
+        .get('/api/admin/zones/resolve')
+        .query({ latitude: 10.0, longitude: 70.0 })
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.zone).toBe(null);
+    });
+  });
+
+  describe('POST /api/admin/zones/:id/maids', () => {
+    it('should attach a maid as primary', async () => {
+      const res = await request(app)
+        .post(`/api/admin/zones/${testData.zone.id}/maids`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ maidId: testData.maid1.id, isPrimary: true });
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.data.isPrimary).toBe(true);
+    });
+
+    it('should enforce maxMaids', async () => {
+      const res = await request(app)
+        .post(`/api/admin/zones/${testData.zone.id}/maids`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ maidId: testData.maid2.id });
+
+      expect(res.statusCode).toBe(409);
+      expect(res.body.message).toContain('maximum');
+    });
+
+    it('should reject an isPrimary that is not a boolean', async () => {
+      const res = await request(app)
+        .post(`/api/admin/zones/${testData.zone.id}/maids`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ maidId: testData.maid2.id, isPrimary: 'false' });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
+  describe('PUT /api/admin/zones/:id', () => {
+    it('should update zone name', async () => {
+      const res = await request(app)
+        .put(`/api/admin/zones/${testData.zone.id}`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ name: 'Test Zone Renamed' });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.name).toBe('Test Zone Renamed');
+    });
+
+    it('should reject an isActive that is not a boolean', async () => {
+      const res = await request(app)
+        .put(`/api/admin/zones/${testData.zone.id}`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ isActive: 'false' });
+
+      expect(res.statusCode).toBe(400);
+
+      const zone = await prisma.zone.findUnique({ where: { id: testData.zone.id } });
+      expect(zone.isActive).toBe(true);
+    });
+  });
+
+  describe('Supervisor permissions', () => {
+    it('should let a supervisor view zones', async () => {
+      const res = await request(app)
+        .get('/api/admin/zones')
+        .set('Authorization', `Bearer ${testData.supervisorToken}`);
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it('should not let a supervisor create zones', async () => {
+      const res = await request(app)
+        .post('/api/admin/zones')
+        .set('Authorization', `Bearer ${testData.supervisorToken}`)
+        .send({ name: 'Supervisor Zone', boundaries: testBoundaries });
+
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toContain('zones:manage');
+    });
+
+    it('should limit a supervisor to the zones they oversee', async () => {
+      const updateRes = await request(app)
+        .put(`/api/admin/staff/${testData.supervisor.id}/permissions`)
+        .set('Authorization', `Bearer ${testData.adminToken}`)
+        .send({ zoneIds: [testData.zone.id] });
+
+      expect(updateRes.statusCode).toBe(200);
+      expect(updateRes.body.data.zoneRestricted).toBe(true);
+
+      const res = await request(app)
+        .get('/api/maids')
+        .set('Authorization', `Bearer ${testData.supervisorToken}`);
+
+      expect(res.statusCode).toBe(200);
+      const maidIds = res.body.map(maid => maid.id);
+      expect(maidIds).toContain(testData.maid1.id);
+      expect(maidIds).not.toContain(testData.maid2.id);
+    });
+
+    it('should not let a supervisor assign a maid from outside their zones', async () => {
+      const customer = await prisma.user.create({
+        data: {
+          email: 'zonecustomer@test.com',
+          password: 'Test123!',
+          name: 'Zone Customer',
+          phone: '3333333335',
+          role: 'CUSTOMER'
+        }
+      });
+      const service = await prisma.service.create({
+        data: {
+          name: 'Zone Test Service',
+          description: 'Service for zone tests',
+          category: 'CLEANING',
+          basePrice: 100,
+          baseDuration: 120
+        }
+      });
+      const booking = await prisma.booking.create({
+        data: {
+          customerId: customer.id,
+          serviceId: service.id,
+          zoneId: testData.zone.id,
+          status: 'CONFIRMED',
+          scheduledAt: new Date(Date.now() + 48 * 60 * 60 * 1000),
+          estimatedDuration: 120,
+          serviceAddress: 'Inside Test Zone',
+          totalAmount: 0,
+          finalAmount: 0
+        }
+      });
+
+      const res = await request(app)
+        .put(`/api/bookings/${booking.id}/assign`)
+        .set('Authorization', `Bearer ${testData.supervisorToken}`)
+        .send({ maidId: testData.maid2.id });
+
+      expect(res.statusCode).toBe(404);
+
+      const adminRes = await request(app)
+        .post('/api/admin/assign-maid')
+        .set('Authorization', `Bearer ${testData.supervisorToken}`)
+        .send({ bookingId: booking.id, maidId: testData.maid2.id });
+
+      expect(adminRes.statusCode).toBe(404);
+
+      const unchanged = await prisma.booking.findUnique({ where: { id: booking.id } });
+      expect(unchanged.maidId).toBeNull();
+    });
+  });
+
+  describe('DELETE /api/admin/zones/:id/maids/:maidId', () => {
+    it('should detach a maid from the zone', async () => {
+      const res = await request(app)
+        .delete(`/api/admin/zones/${testData.zone.id}/maids/${testData.maid1.id}`)
+        .set('Authorization', `Bearer ${testData.adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// Geospatial helpers shared by zone resolution and maid lookups
+
+// Calculate distance between two coordinates (Haversine formula), in km
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Radius of the Earth in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  const distance = R * c; // Distance in km
+  return distance;
+}
+
+// Ray casting test against a single linear ring of [lng, lat] positions
+function isPointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = ((yi > lat) !== (yj > lat)) &&
+      (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+    if (intersects) inside = !inside;
+  }
+  return inside;
+}
+
+// Check whether a point lies inside a GeoJSON Polygon or MultiPolygon.
+// The first ring of each polygon is the outer boundary, the rest are holes.
+function isPointInPolygon(lat, lng, geometry) {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return false;
+
+  const polygons = geometry.type === 'MultiPolygon'
+    ? geometry.coordinates
+    : [geometry.coordinates];
+
+  return polygons.some(([outerRing, ...holes]) => {
+    if (!outerRing || !isPointInRing(lat, lng, outerRing)) return false;
+    return !holes.some(hole => isPointInRing(lat, lng, hole));
+  });
+}
+
+// Validate a GeoJSON Polygon/MultiPolygon, returns an error message or null
+function validatePolygon(geometry) {
+  if (!geometry || typeof geometry !== 'object') {
+    return 'boundaries must be a GeoJSON Polygon or MultiPolygon object';
+  }
+
+  if (!['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return 'boundaries.type must be Polygon or MultiPolygon';
+  }
+
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return 'boundaries.coordinates must be a non-empty array';
+  }
+
+  const polygons = geometry.type === 'MultiPolygon'
+    ? geometry.coordinates
+    : [geometry.coordinates];
+
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+      return 'Each polygon must contain at least one linear ring';
+    }
+
+    for (const ring of polygon) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return 'Each linear ring must have at least 4 positions';
+      }
+
+      const validPositions = ring.every(position =>
+        Array.isArray(position) &&
+        position.length >= 2 &&
+        typeof position[0] === 'number' && position[0] >= -180 && position[0] <= 180 &&
+        typeof position[1] === 'number' && position[1] >= -90 && position[1] <= 90
+      );
+      if (!validPositions) {
+        return 'Positions must be [longitude, latitude] pairs within valid ranges';
+      }
+
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return 'Each linear ring must be closed (first and last positions equal)';
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  calculateDistance,
+  isPointInPolygon,
+  validatePolygon
+};
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+const configService = require('../services/configService');
+
+// Random numeric OTP, length from the otp.length setting unless given
+function generateOTP(length = configService.get('otp.length')) {
+  const min = 10 ** (length - 1);
+  return crypto.randomInt(min, 10 * min).toString();
+}
+
+module.exports = {
+  generateOTP
+};